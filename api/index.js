@@ -10,7 +10,7 @@ const cors = require('cors');
 
 // Import configuration modules
 const { sessionConfig, sessionStore } = require('../lib/config/session');
-const { UPLOAD_CONFIG } = require('../lib/config/constants');
+const { UPLOAD_CONFIG, ATTEMPT_CONFIG, WEBHOOK_CONFIG } = require('../lib/config/constants');
 
 // Import middleware
 const { errorHandler } = require('../lib/middleware/errorHandler');
@@ -32,12 +32,18 @@ const settingsRoutes = require('../routes/settings');
 const streakRoutes = require('../routes/streaks');
 const webhookRoutes = require('../routes/webhooks');
 const materialsRoutes = require('../routes/materials');
+const questionBankRoutes = require('../routes/questionBank');
+const cronRoutes = require('../routes/cron');
 
 // Import utilities
 const logger = require('../lib/utils/logger');
 
 // Import services that need initialization
 const sessionService = require('../lib/services/sessionService');
+const attemptService = require('../lib/services/attemptService');
+require('../lib/services/cache/cacheInvalidation'); // Subscribes the caches to domain events
+const webhookInboxService = require('../lib/services/events/webhookInboxService');
+const outboundWebhookService = require('../lib/services/events/outboundWebhookService'); // Also subscribes to domain events
 
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -113,7 +119,15 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 app.use(cookieParser());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Webhook signatures are computed over the exact bytes that were sent
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ limit: '10mb', extended: true, parameterLimit: 50000 }));
 
 
@@ -151,6 +165,10 @@ app.use('/api', generalAPIRateLimit);
 const { extendSessionOnActivity } = require('../lib/middleware/auth');
 app.use('/api', extendSessionOnActivity);
 
+// Attribute AI calls made while handling a request to the logged-in user
+const aiUsageService = require('../lib/services/ai/aiUsageService');
+app.use('/api', aiUsageService.trackCaller());
+
 // Setup API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/students', studentRoutes);
@@ -169,6 +187,8 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/streaks', streakRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/materials', materialsRoutes);
+app.use('/api/question-bank', questionBankRoutes);
+app.use('/api/cron', cronRoutes);
 
 
 // Duplicate auth routes removed - now handled by /api/auth/* routes
@@ -278,9 +298,42 @@ const server = app.listen(PORT, () => {
     });
 });
 
+// Timers only run on a long-lived server; on Vercel the same jobs run from /api/cron (vercel.json)
+const runsScheduledJobs = !process.env.VERCEL;
+const schedule = (job, intervalMs) => {
+    if (!runsScheduledJobs) return null;
+    const timer = setInterval(job, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+// Finalize lesson attempts that ran past their time limit and were abandoned
+const attemptSweep = schedule(() => {
+    attemptService.finalizeExpiredAttempts().catch(error => {
+        logger.error('Failed to finalize expired attempts', { error: error.message });
+    });
+}, ATTEMPT_CONFIG.SWEEP_INTERVAL_MS);
+
+// Retry received webhooks whose processing failed
+const webhookRetrySweep = schedule(() => {
+    webhookInboxService.retryDue().catch(error => {
+        logger.error('Failed to retry webhooks', { error: error.message });
+    });
+}, WEBHOOK_CONFIG.RETRY_SWEEP_INTERVAL_MS);
+
+// Deliver queued outbound webhooks and retry failed ones
+const outboundWebhookSweep = schedule(() => {
+    outboundWebhookService.processQueue().catch(error => {
+        logger.error('Failed to deliver outbound webhooks', { error: error.message });
+    });
+}, WEBHOOK_CONFIG.RETRY_SWEEP_INTERVAL_MS);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
     logger.info('SIGTERM received, shutting down gracefully');
+    clearInterval(attemptSweep);
+    clearInterval(webhookRetrySweep);
+    clearInterval(outboundWebhookSweep);
     server.close(() => {
         logger.info('Process terminated');
         process.exit(0);
@@ -289,6 +342,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     logger.info('SIGINT received, shutting down gracefully');
+    clearInterval(attemptSweep);
+    clearInterval(webhookRetrySweep);
+    clearInterval(outboundWebhookSweep);
     server.close(() => {
         logger.info('Process terminated');
         process.exit(0);
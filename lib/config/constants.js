@@ -19,7 +19,8 @@ const UPLOAD_CONFIG = {
   MAX_IMAGE_DIMENSION: 480,
   MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
   ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-  ALLOWED_DOCUMENT_TYPES: ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  ALLOWED_DOCUMENT_TYPES: ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  ALLOWED_QUIZ_EXTENSIONS: ['xml', 'gift', 'txt'] // Moodle XML and GIFT question files
 };
 
 // Cache configuration
@@ -27,7 +28,67 @@ const CACHE_CONFIG = {
   DEFAULT_MAX_AGE: 60, // 1 minute
   LESSON_CACHE_MAX_AGE: 60 * 10, // 10 minutes
   STATISTICS_CACHE_MAX_AGE: 60 * 5, // 5 minutes
-  RESULTS_CACHE_MAX_AGE: 60 * 60 * 24 // 24 hours
+  RESULTS_CACHE_MAX_AGE: 60 * 60 * 24, // 24 hours
+  // Server-side cache store: memory (per process), postgres (shared table through the pg pool) or file
+  STORE: process.env.CACHE_STORE || 'memory',
+  STORE_TABLE: process.env.CACHE_TABLE || 'cache_entries',
+  STORE_DIR: process.env.CACHE_DIR || null, // File store directory (defaults to <tmp>/onluyen-cache)
+  MAX_ENTRIES: 5000, // Oldest entries are evicted beyond this
+  MAX_VALUE_BYTES: 512 * 1024, // Larger values are not cached
+  CLEANUP_EVERY_WRITES: 100, // Shared stores purge expired entries and enforce MAX_ENTRIES this often
+  // Server-side data caches, dropped by domain events (lesson/result/student changes)
+  TAGS_TTL: 60 * 10, // 10 minutes (popular tags also weigh lesson views, which publish no event)
+  PLATFORM_STATS_TTL: 60 * 10, // 10 minutes
+  VALIDATOR_TTL: 60 * 60 // Issued ETags remembered to answer conditional requests without a query
+};
+
+// Domain events published after data changes (see lib/services/events/eventBus.js)
+const DOMAIN_EVENTS = {
+  LESSON_CREATED: 'lesson.created',
+  LESSON_UPDATED: 'lesson.updated',
+  LESSON_DELETED: 'lesson.deleted',
+  RESULT_CREATED: 'result.created',
+  STUDENT_REGISTERED: 'student.registered',
+  STUDENT_APPROVED: 'student.approved'
+};
+
+// Signed webhooks (Supabase database webhooks in, admin-registered endpoints out)
+const WEBHOOK_CONFIG = {
+  SUPABASE_SECRET: process.env.SUPABASE_WEBHOOK_SECRET || null, // Shared HMAC secret; unsigned webhooks are rejected
+  SIGNATURE_HEADER: 'x-webhook-signature', // "sha256=<hex HMAC of `${timestamp}.${raw body}`>"
+  TIMESTAMP_HEADER: 'x-webhook-timestamp', // Unix seconds
+  ID_HEADER: 'x-webhook-id', // Delivery id sent with outbound webhooks (unsigned, so never trusted inbound)
+  TOLERANCE_SECONDS: 5 * 60, // Older (or further in the future) signatures are rejected as replays
+  INBOX_STATUS: {
+    PROCESSING: 'processing',
+    PROCESSED: 'processed',
+    IGNORED: 'ignored', // No domain event for this change
+    FAILED: 'failed', // Will be retried
+    DEAD: 'dead' // Gave up after MAX_ATTEMPTS
+  },
+  MAX_ATTEMPTS: 5,
+  RETRY_BASE_SECONDS: 30, // Doubles after every failed attempt
+  RETRY_BATCH_SIZE: 20,
+  RETRY_SWEEP_INTERVAL_MS: 60 * 1000,
+  PROCESSING_TIMEOUT_SECONDS: 5 * 60, // An inbox entry claimed longer ago was abandoned by a crashed or frozen request
+  // Outbound: events an endpoint can subscribe to, plus the test event sent on demand
+  OUTBOUND_EVENTS: [DOMAIN_EVENTS.RESULT_CREATED, DOMAIN_EVENTS.STUDENT_REGISTERED, DOMAIN_EVENTS.STUDENT_APPROVED],
+  TEST_EVENT: 'webhook.test',
+  EVENT_HEADER: 'x-webhook-event',
+  DELIVERY_STATUS: {
+    PENDING: 'pending',
+    DELIVERING: 'delivering',
+    DELIVERED: 'delivered',
+    FAILED: 'failed', // Will be retried
+    DEAD: 'dead' // Gave up after OUTBOUND_MAX_ATTEMPTS
+  },
+  OUTBOUND_MAX_ATTEMPTS: 8, // About two hours of backoff in total
+  OUTBOUND_RETRY_BASE_SECONDS: 30, // Doubles after every failed attempt
+  OUTBOUND_TIMEOUT_MS: 10 * 1000, // Deliveries from the queue (cron)
+  OUTBOUND_INLINE_TIMEOUT_MS: 3 * 1000, // First attempt, made while the publishing request finishes
+  OUTBOUND_DELIVERING_TIMEOUT_SECONDS: 2 * 60, // A delivery left in delivering this long was abandoned
+  OUTBOUND_BATCH_SIZE: 20,
+  RESPONSE_LOG_BYTES: 512 // Response body kept per logged attempt (the rest is never read)
 };
 
 // Rating system configuration
@@ -39,6 +100,165 @@ const RATING_CONFIG = {
   STREAK_BONUS_RATE: 0.1
 };
 
+// Scoring policies for multi-statement true/false questions
+const SCORING_CONFIG = {
+  POLICIES: {
+    ALL_OR_NOTHING: 'all_or_nothing',
+    PROPORTIONAL: 'proportional',
+    MOET: 'moet'
+  },
+  DEFAULT_POLICY: 'proportional',
+  // MOET 2025 exam ladder: share of the question's points by number of correct statements
+  MOET_LADDER: { 0: 0, 1: 0.1, 2: 0.25, 3: 0.5, 4: 1 },
+  MOET_STATEMENT_COUNT: 4
+};
+
+// Lesson attempt configuration
+const ATTEMPT_CONFIG = {
+  STATUS: {
+    IN_PROGRESS: 'in_progress',
+    FINALIZING: 'finalizing',
+    SUBMITTED: 'submitted'
+  },
+  MODES: {
+    TEST: 'test',
+    PRACTICE: 'practice' // Hints are available and cost points
+  },
+  LATE_GRACE_SECONDS: 30, // Allowance for network latency after the deadline
+  ABANDONED_AFTER_SECONDS: 120, // No heartbeat for this long past the deadline = abandoned
+  SWEEP_INTERVAL_MS: 60 * 1000, // How often a long-running server finalizes expired attempts (Vercel uses /api/cron)
+  // Fields that would reveal the answer and must not be served while an attempt is in progress
+  ANSWER_FIELDS: ['correct', 'correctAnswer', 'explanation', 'solution', 'hints']
+};
+
+// Scheduled jobs (/api/cron/*), called by Vercel Cron on serverless deployments
+const CRON_CONFIG = {
+  SECRET: process.env.CRON_SECRET || null // Vercel sends it as "Authorization: Bearer <secret>"
+};
+
+// Lesson publication workflow
+const PUBLICATION_CONFIG = {
+  STATUS: {
+    DRAFT: 'draft',
+    SCHEDULED: 'scheduled',
+    PUBLISHED: 'published',
+    ARCHIVED: 'archived'
+  },
+  DEFAULT_STATUS: 'published' // Lessons saved before the workflow existed stay visible
+};
+
+// Question bank
+const QUESTION_BANK_CONFIG = {
+  DIFFICULTIES: ['easy', 'medium', 'hard'],
+  // Fields copied from a bank item into the lessons that use it (lesson-specific id and points are kept)
+  CONTENT_FIELDS: [
+    'type', 'question', 'options', 'correct', 'correctAnswer', 'explanation', 'solution',
+    'solutionStatus', 'solutionSource', 'hints', 'image', 'tolerance', 'toleranceType', 'units', 'unit'
+  ],
+  MAX_PAGE_SIZE: 100
+};
+
+// AI formatting of uploaded documents
+const DOCUMENT_FORMAT_CONFIG = {
+  MAX_CHUNK_CHARS: 12000, // Keeps each Gemini call well inside its output limit
+  MAX_QUESTIONS_PER_CHUNK: 10,
+  CONCURRENCY: 3, // Chunks formatted at the same time
+  CHUNK_ATTEMPTS: 3,
+  RETRY_DELAY_MS: 2000, // Doubled after every failed attempt
+  JOB_TTL_MS: 60 * 60 * 1000, // Finished jobs are kept for an hour for polling
+  LEASE_MS: 2 * 60 * 1000, // A step left unfinished by a frozen request is taken over after this
+  IDLE_WAIT_MS: 1000, // Wait before the next step when chunks are waiting to retry
+  STREAM_BUDGET_MS: 45 * 1000 // A progress stream ends before the function time limit; the client reconnects
+};
+
+// AI provider selection: gemini, openai (any OpenAI-compatible server, e.g. a local LLM) or mock (offline fixtures)
+const AI_CONFIG = {
+  PROVIDER: process.env.AI_PROVIDER || 'gemini',
+  GEMINI_MODEL: 'gemini-2.5-flash',
+  OPENAI_BASE_URL: process.env.AI_BASE_URL || 'http://localhost:11434/v1',
+  OPENAI_API_KEY: process.env.AI_API_KEY || '',
+  OPENAI_MODEL: process.env.AI_MODEL || '',
+  MOCK_FIXTURES: process.env.AI_MOCK_FIXTURES || null, // JSON file of { task: response } overrides
+  PROMPT_OVERRIDES_TABLE: 'prompt_overrides', // Admin edits of the bundled lib/prompts templates
+  PROMPT_OVERRIDES_REFRESH_MS: 30 * 1000 // How long an instance trusts its copy of the edits
+};
+
+// AI usage metering: default quotas per role (null = unlimited), overridable per role or student by admins
+const AI_USAGE_CONFIG = {
+  ROLES: ['student', 'admin', 'system'],
+  PERIODS: ['daily', 'monthly'],
+  DEFAULT_QUOTAS: {
+    student: {
+      daily: { tokens: 100000, requests: 50 },
+      monthly: { tokens: 1500000, requests: 800 }
+    },
+    admin: {
+      daily: { tokens: null, requests: null },
+      monthly: { tokens: null, requests: null }
+    },
+    system: { // Calls made outside a logged-in request
+      daily: { tokens: null, requests: null },
+      monthly: { tokens: null, requests: null }
+    }
+  },
+  // USD per million tokens by provider (gemini-2.5-flash list price; local and mock models are free)
+  COST_PER_MILLION_TOKENS: {
+    gemini: { input: 0.30, output: 2.50 },
+    openai: { input: 0, output: 0 },
+    mock: { input: 0, output: 0 }
+  },
+  QUOTA_CACHE_MS: 60 * 1000, // Quota settings are re-read from the database after this long
+  TIME_ZONE: process.env.APP_TIME_ZONE || 'Asia/Ho_Chi_Minh' // Daily and monthly quotas reset at midnight here
+};
+
+// Worked solutions stored on lesson questions
+const SOLUTION_CONFIG = {
+  STATUS: {
+    DRAFT: 'draft', // AI output waiting for a teacher, hidden from students
+    APPROVED: 'approved'
+  },
+  SOURCE: {
+    AI: 'ai',
+    TEACHER: 'teacher'
+  },
+  CONCURRENCY: 3, // Questions solved at the same time during batch generation
+  MAX_FORMULAS: 6, // Reference formulas from materials/ given to the model per question
+  MAX_LENGTH: 20000
+};
+
+// Progressive hints in practice attempts
+const HINT_CONFIG = {
+  // Tiers in the order they are revealed; authored hints are stored on the question as { concept, formula, firstStep }
+  LEVELS: ['concept', 'formula', 'firstStep'],
+  // Share of the question's points each tier costs (cumulative: all three cost half the points)
+  POINT_COST: [0.1, 0.15, 0.25],
+  AI_CACHE_TTL: 24 * 60 * 60, // Seconds an AI hint is reused for the same question
+  SAVE_ATTEMPTS: 3 // Rounds a hint request retries when concurrent requests reveal hints of the same question
+};
+
+// Keyword (BM25) retrieval over the materials/ library used to ground AI answers
+const RETRIEVAL_CONFIG = {
+  TOP_K: 3, // Snippets injected into a prompt
+  MIN_SCORE: 6, // Weaker matches are treated as unrelated to the question
+  MAX_SECTION_CHARS: 700, // Larger parts of a materials file are split into smaller sections
+  BM25_K1: 1.2,
+  BM25_B: 0.75
+};
+
+// AI generation of practice questions from a materials topic
+const QUESTION_GENERATION_CONFIG = {
+  TYPES: ['abcd', 'truefalse', 'number'],
+  MAX_QUESTIONS: 30, // Per request, all types together
+  DEFAULT_DIFFICULTY_MIX: { easy: 0.3, medium: 0.5, hard: 0.2 },
+  ABCD_OPTIONS: 4,
+  TRUEFALSE_STATEMENTS: 4,
+  // Generated number questions accept answers within this tolerance (also used to check recomputed answers)
+  NUMBER_TOLERANCE: { type: 'percent', value: 1 },
+  DUPLICATE_THRESHOLD: 0.75, // Stem similarity at which a question counts as a near-duplicate
+  MAX_ROUNDS: 2, // Model calls per request; later rounds only ask for the questions still missing
+  MAX_MATERIAL_CHARS: 6000 // Topic text given to the model
+};
+
 // API endpoints
 const API_ENDPOINTS = {
   GEMINI_URL: "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent"
@@ -69,7 +289,21 @@ module.exports = {
   ADMIN_CREDENTIALS,
   UPLOAD_CONFIG,
   CACHE_CONFIG,
+  DOMAIN_EVENTS,
+  WEBHOOK_CONFIG,
   RATING_CONFIG,
+  SCORING_CONFIG,
+  ATTEMPT_CONFIG,
+  CRON_CONFIG,
+  PUBLICATION_CONFIG,
+  QUESTION_BANK_CONFIG,
+  DOCUMENT_FORMAT_CONFIG,
+  AI_CONFIG,
+  AI_USAGE_CONFIG,
+  SOLUTION_CONFIG,
+  HINT_CONFIG,
+  RETRIEVAL_CONFIG,
+  QUESTION_GENERATION_CONFIG,
   API_ENDPOINTS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES
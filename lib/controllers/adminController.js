@@ -1,5 +1,10 @@
 const databaseService = require('../services/databaseService');
+const cacheService = require('../services/cacheService');
+const eventBus = require('../services/events/eventBus');
+const webhookInboxService = require('../services/events/webhookInboxService');
+const outboundWebhookService = require('../services/events/outboundWebhookService');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { CACHE_CONFIG, DOMAIN_EVENTS, WEBHOOK_CONFIG } = require('../config/constants');
 
 class AdminController {
     // Get all students
@@ -35,6 +40,7 @@ class AdminController {
         }
         
         await databaseService.updateStudent(studentId, updateData);
+        eventBus.publishAfterResponse(DOMAIN_EVENTS.STUDENT_APPROVED, { studentId });
         
         res.json({ 
             success: true, 
@@ -102,7 +108,9 @@ class AdminController {
     // Get dashboard statistics
     getDashboardStats = asyncHandler(async (req, res) => {
         try {
-            const stats = await databaseService.calculatePlatformStats();
+            const stats = await cacheService.remember('stats:platform', CACHE_CONFIG.PLATFORM_STATS_TTL, () =>
+                databaseService.calculatePlatformStats()
+            );
             res.json({
                 success: true,
                 data: stats
@@ -115,6 +123,117 @@ class AdminController {
             });
         }
     });
+
+    // List received webhooks (?status=failed&topic=database/update&limit=50&offset=0)
+    getWebhookInbox = asyncHandler(async (req, res) => {
+        const { status, topic, limit, offset } = req.query;
+        const result = await webhookInboxService.list({ status, topic, limit, offset });
+        res.json({
+            success: true,
+            ...result
+        });
+    });
+
+    // Get one received webhook with its payload
+    getWebhookInboxEntry = asyncHandler(async (req, res) => {
+        const entry = await webhookInboxService.getEntry(req.params.id);
+        res.json({
+            success: true,
+            entry
+        });
+    });
+
+    // Process a failed webhook again now
+    retryWebhookInboxEntry = asyncHandler(async (req, res) => {
+        const entry = await webhookInboxService.retry(req.params.id);
+        res.json({
+            success: true,
+            message: `Webhook ${entry.status}`,
+            entry
+        });
+    });
+
+    // List outbound webhook endpoints
+    getWebhookEndpoints = asyncHandler(async (req, res) => {
+        const endpoints = await outboundWebhookService.listEndpoints();
+        res.json({
+            success: true,
+            endpoints,
+            events: WEBHOOK_CONFIG.OUTBOUND_EVENTS
+        });
+    });
+
+    // Register an outbound webhook endpoint; the secret is only returned here
+    createWebhookEndpoint = asyncHandler(async (req, res) => {
+        const { name, url, events, secret, active } = req.body;
+        const endpoint = await outboundWebhookService.createEndpoint({ name, url, events, secret, active });
+        res.status(201).json({
+            success: true,
+            message: 'Webhook endpoint created',
+            endpoint
+        });
+    });
+
+    // Update an outbound webhook endpoint
+    updateWebhookEndpoint = asyncHandler(async (req, res) => {
+        const { name, url, events, secret, active } = req.body;
+        const endpoint = await outboundWebhookService.updateEndpoint(req.params.id, { name, url, events, secret, active });
+        res.json({
+            success: true,
+            message: 'Webhook endpoint updated',
+            endpoint
+        });
+    });
+
+    // Delete an outbound webhook endpoint
+    deleteWebhookEndpoint = asyncHandler(async (req, res) => {
+        await outboundWebhookService.deleteEndpoint(req.params.id);
+        res.json({
+            success: true,
+            message: 'Webhook endpoint deleted'
+        });
+    });
+
+    // Send a test event to an endpoint now
+    sendWebhookTestEvent = asyncHandler(async (req, res) => {
+        const delivery = await outboundWebhookService.sendTestEvent(req.params.id);
+        res.json({
+            success: delivery.status === WEBHOOK_CONFIG.DELIVERY_STATUS.DELIVERED,
+            message: delivery.status === WEBHOOK_CONFIG.DELIVERY_STATUS.DELIVERED
+                ? 'Test event delivered'
+                : `Test event failed: ${delivery.last_error}`,
+            delivery
+        });
+    });
+
+    // List outbound deliveries (?endpointId=&status=failed&eventType=&limit=50&offset=0)
+    getWebhookDeliveries = asyncHandler(async (req, res) => {
+        const { endpointId, status, eventType, limit, offset } = req.query;
+        const result = await outboundWebhookService.listDeliveries({ endpointId, status, eventType, limit, offset });
+        res.json({
+            success: true,
+            ...result
+        });
+    });
+
+    // Get one delivery with its attempt log
+    getWebhookDelivery = asyncHandler(async (req, res) => {
+        const delivery = await outboundWebhookService.getDelivery(req.params.id);
+        res.json({
+            success: true,
+            delivery
+        });
+    });
+
+    // Deliver a failed webhook again now
+    retryWebhookDelivery = asyncHandler(async (req, res) => {
+        const delivery = await outboundWebhookService.redeliver(req.params.id);
+        res.json({
+            success: true,
+            message: `Delivery ${delivery.status}`,
+            delivery
+        });
+    });
 }
 
 module.exports = new AdminController();
@@ -0,0 +1,136 @@
+const attemptService = require('../services/attemptService');
+const hintService = require('../services/hintService');
+const sessionService = require('../services/sessionService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+class AttemptController {
+  // Start (or resume) an attempt at a lesson
+  startAttempt = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const sessionData = sessionService.getSessionData(req);
+
+    const { attempt, lesson, resumed } = await attemptService.startAttempt(
+      id,
+      sessionData.studentId,
+      req.body.studentInfo || sessionData.studentInfo || (sessionData.studentName ? { name: sessionData.studentName } : null),
+      { mode: req.body.mode || undefined }
+    );
+    const questions = attemptService.getServedQuestions(lesson, attempt);
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      resumed,
+      attempt: this._formatAttempt(attempt),
+      timing: attemptService.getTimingState(attempt),
+      lesson: {
+        id: lesson.id,
+        title: lesson.title,
+        timeLimitEnabled: lesson.time_limit_enabled,
+        timeLimitHours: lesson.time_limit_hours,
+        timeLimitMinutes: lesson.time_limit_minutes,
+        timeLimitSeconds: lesson.time_limit_seconds,
+        showCountdown: lesson.show_countdown,
+        autoSubmit: lesson.auto_submit,
+        warningAlerts: lesson.warning_alerts
+      },
+      questions
+    });
+  });
+
+  // Record a heartbeat (and the answers given so far) for an attempt
+  heartbeatAttempt = asyncHandler(async (req, res) => {
+    const { id, attemptId } = req.params;
+    const sessionData = sessionService.getSessionData(req);
+
+    const { attempt, timing, finalized } = await attemptService.heartbeat(
+      attemptId,
+      sessionData.studentId,
+      id,
+      req.body.answers
+    );
+
+    res.json({
+      success: true,
+      attempt: this._formatAttempt(attempt),
+      timing,
+      finalized: finalized ? {
+        resultId: finalized.savedResult.id,
+        score: finalized.score,
+        totalPoints: finalized.totalPoints
+      } : null
+    });
+  });
+
+  // Submit an attempt - graded on the server, time taken from server timestamps
+  submitAttempt = asyncHandler(async (req, res) => {
+    const { id, attemptId } = req.params;
+    const sessionData = sessionService.getSessionData(req);
+
+    const submission = await attemptService.submitAttempt(attemptId, sessionData.studentId, id, {
+      answers: req.body.answers,
+      studentInfo: req.body.studentInfo,
+      mode: req.body.mode || 'test',
+      ipAddress: req.ip || req.connection.remoteAddress || 'unknown'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Result submitted successfully',
+      resultId: submission.savedResult.id,
+      attempt: this._formatAttempt(submission.attempt),
+      score: submission.score,
+      totalPoints: submission.totalPoints,
+      timeTaken: submission.timeTaken,
+      isLate: submission.isLate,
+      rating: submission.rating,
+      streak: submission.streak
+    });
+  });
+
+  // Reveal the next hint tier for a question (practice attempts only)
+  requestHint = asyncHandler(async (req, res) => {
+    const { id, attemptId } = req.params;
+    const sessionData = sessionService.getSessionData(req);
+
+    const hint = await hintService.requestHint(attemptId, sessionData.studentId, id, req.body.questionId);
+
+    res.json({
+      success: true,
+      ...hint
+    });
+  });
+
+  // List the hints already revealed in an attempt
+  getAttemptHints = asyncHandler(async (req, res) => {
+    const { id, attemptId } = req.params;
+    const sessionData = sessionService.getSessionData(req);
+
+    const hints = await hintService.getAttemptHints(attemptId, sessionData.studentId, id);
+
+    res.json({
+      success: true,
+      ...hints
+    });
+  });
+
+  // Helper method to map an attempt record to the camelCase shape used by the frontend
+  _formatAttempt(attempt) {
+    return {
+      id: attempt.id,
+      lessonId: attempt.lesson_id,
+      status: attempt.status,
+      startedAt: attempt.started_at,
+      deadlineAt: attempt.deadline_at || null,
+      submittedAt: attempt.submitted_at || null,
+      resultId: attempt.result_id || null,
+      timeTaken: attempt.time_taken ?? null,
+      isLate: attempt.is_late || false,
+      autoSubmitted: attempt.auto_submitted || false,
+      mode: attempt.mode || 'test',
+      hintsUsed: Object.values(attemptService.countHints(attempt)).reduce((sum, count) => sum + count, 0),
+      questionCount: Array.isArray(attempt.question_ids) ? attempt.question_ids.length : 0
+    };
+  }
+}
+
+module.exports = new AttemptController();
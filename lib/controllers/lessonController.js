@@ -1,9 +1,19 @@
 const databaseService = require('../services/databaseService');
 const sessionService = require('../services/sessionService');
-const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
-const { SUCCESS_MESSAGES } = require('../config/constants');
+const revisionService = require('../services/revisionService');
+const regradeService = require('../services/regradeService');
+const questionBankService = require('../services/questionBankService');
+const quizExchangeService = require('../services/quizExchangeService');
+const lessonTextService = require('../services/lessonTextService');
+const solutionService = require('../services/solutionService');
+const hintService = require('../services/hintService');
+const cacheService = require('../services/cacheService');
+const { asyncHandler, NotFoundError, ValidationError, withAIFallback } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES, PUBLICATION_CONFIG, CACHE_CONFIG } = require('../config/constants');
+const { isLessonVisible } = require('../utils/publication');
 const aiService = require('../services/ai/aiService');
 const imageGenerationService = require('../services/ai/imageGenerationService');
+const aiUsageService = require('../services/ai/aiUsageService');
 const { assignPointsToQuestions } = require('../utils/pointsDistributor');
 
 class LessonController {
@@ -24,7 +34,8 @@ class LessonController {
       limit: parseInt(limit),
       search,
       sort,
-      tags
+      tags,
+      publication: this._getPublicationFilter(req)
     });
 
     // If includeStats is true and user is admin, add statistics for each lesson
@@ -108,6 +119,11 @@ class LessonController {
 
     const lesson = await databaseService.getLessonById(id);
 
+    // Draft, scheduled and archived lessons only exist for admins
+    if (!sessionService.isAdminAuthenticated(req) && !isLessonVisible(lesson)) {
+      throw new NotFoundError('Lesson not found');
+    }
+
     // Increment view count
     await databaseService.incrementLessonViews(id, lesson.views || 0);
 
@@ -116,6 +132,11 @@ class LessonController {
       views: (lesson.views || 0) + 1
     };
 
+    // AI solutions stay hidden from students until a teacher approves them
+    if (!sessionService.isAdminAuthenticated(req)) {
+      lessonWithProgress.questions = solutionService.hideDraftSolutions(lesson.questions);
+    }
+
     // If student is authenticated, add progress information
     if (sessionData && sessionData.studentId) {
       try {
@@ -150,6 +171,14 @@ class LessonController {
 
     // Remove CSRF token from lesson data before database insertion
     delete lessonData.csrfToken;
+
+    // Lessons may be sent as "Câu X:" text instead of structured questions
+    const textWarnings = this._applyLessonText(lessonData);
+
+    // Fill in questions that reference the question bank
+    if (lessonData.questions) {
+      lessonData.questions = await questionBankService.resolveLessonQuestions(lessonData.questions);
+    }
     
     // Assign points to questions based on distribution configuration
     if (lessonData.questions && lessonData.questionTypeDistribution && lessonData.pointsDistribution) {
@@ -191,7 +220,8 @@ class LessonController {
       success: true,
       message: 'Lesson created successfully',
       lesson: newLesson,
-      aiGenerated: !!lessonData.ai_summary
+      aiGenerated: !!lessonData.ai_summary,
+      textWarnings
     });
   });
 
@@ -202,6 +232,14 @@ class LessonController {
 
     // Remove CSRF token from update data before database update
     delete updateData.csrfToken;
+
+    // Lessons may be sent as "Câu X:" text instead of structured questions
+    const textWarnings = this._applyLessonText(updateData);
+
+    // Fill in questions that reference the question bank
+    if (updateData.questions) {
+      updateData.questions = await questionBankService.resolveLessonQuestions(updateData.questions);
+    }
     
     // Assign points to questions based on distribution configuration
     if (updateData.questions && updateData.questionTypeDistribution && updateData.pointsDistribution) {
@@ -223,6 +261,7 @@ class LessonController {
       try {
         // Get existing lesson data if needed
         const existingLesson = await databaseService.getLessonById(id);
+        aiUsageService.setLesson(id);
         
         const aiSummary = await aiService.generateLessonSummary({
           title: updateData.title || existingLesson.title,
@@ -246,7 +285,8 @@ class LessonController {
       success: true,
       message: SUCCESS_MESSAGES.UPDATE_SUCCESS,
       lesson: updatedLesson[0],
-      aiRegenerated: !!updateData.ai_summary
+      aiRegenerated: !!updateData.ai_summary,
+      textWarnings
     });
   });
 
@@ -278,6 +318,30 @@ class LessonController {
     });
   });
 
+  // Change a lesson's publication state and schedule (admin only)
+  updateLessonPublication = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { publicationStatus, publishAt, unpublishAt } = req.body;
+
+    const updateData = { publicationStatus };
+    if (publishAt !== undefined) updateData.publishAt = publishAt;
+    if (unpublishAt !== undefined) updateData.unpublishAt = unpublishAt;
+
+    const updatedLesson = await databaseService.updateLesson(id, updateData, {
+      revisionNote: `publication:${publicationStatus}`
+    });
+
+    if (!updatedLesson || updatedLesson.length === 0) {
+      throw new NotFoundError('Lesson not found');
+    }
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.UPDATE_SUCCESS,
+      lesson: updatedLesson[0]
+    });
+  });
+
   // Get lesson statistics
   getLessonStatistics = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -288,6 +352,217 @@ class LessonController {
     res.json(statistics);
   });
 
+  // Hint usage per question across practice results (admin only)
+  getLessonHintStats = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    let stats;
+    try {
+      stats = await hintService.getLessonHintStats(id);
+    } catch (error) {
+      if (error.message === 'Lesson not found') {
+        throw new NotFoundError('Lesson not found');
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      ...stats
+    });
+  });
+
+  // List lesson revisions (admin only)
+  getLessonRevisions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const revisions = await databaseService.getLessonRevisions(id);
+
+    res.json({
+      success: true,
+      lessonId: id,
+      revisions
+    });
+  });
+
+  // Get a single lesson revision with its snapshot (admin only)
+  getLessonRevision = asyncHandler(async (req, res) => {
+    const { id, revision } = req.params;
+
+    const lessonRevision = await revisionService.getRevision(id, revision);
+
+    res.json({
+      success: true,
+      revision: lessonRevision
+    });
+  });
+
+  // Diff two lesson revisions question by question (admin only)
+  diffLessonRevisions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      throw new ValidationError('Both from and to revision numbers are required', ['from', 'to']);
+    }
+
+    const diff = await revisionService.diffRevisions(id, from, to);
+
+    res.json({
+      success: true,
+      lessonId: id,
+      diff
+    });
+  });
+
+  // Restore an older lesson revision (admin only)
+  restoreLessonRevision = asyncHandler(async (req, res) => {
+    const { id, revision } = req.params;
+
+    const lesson = await revisionService.restoreRevision(id, revision);
+
+    res.json({
+      success: true,
+      message: `Revision ${revision} restored`,
+      lesson
+    });
+  });
+
+  // Re-grade all results of a lesson against its current questions (admin only)
+  // Previews the changes unless dryRun is explicitly false
+  regradeLessonResults = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const dryRun = req.body?.dryRun !== false && req.query['dry-run'] !== 'false';
+
+    const regrade = await regradeService.regradeLesson(id, { dryRun });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${regrade.summary.changedResults} result(s) would change`
+        : `${regrade.summary.changedResults} result(s) re-graded`,
+      ...regrade
+    });
+  });
+
+  // List the worked solutions of a lesson's questions (admin only)
+  getLessonSolutions = asyncHandler(async (req, res) => {
+    const solutions = await solutionService.listSolutions(req.params.id);
+
+    res.json({
+      success: true,
+      ...solutions
+    });
+  });
+
+  // Generate AI draft solutions for a lesson's questions in one batch (admin only)
+  generateLessonSolutions = asyncHandler(async (req, res) => {
+    const { overwrite = false, questionKeys = [] } = req.body || {};
+    if (!Array.isArray(questionKeys)) {
+      throw new ValidationError('questionKeys must be an array');
+    }
+
+    const batch = await solutionService.generateLessonSolutions(req.params.id, {
+      overwrite: overwrite === true,
+      questionKeys: questionKeys.map(String)
+    });
+
+    res.json({
+      success: true,
+      message: `${batch.generated.length} draft solution(s) generated`,
+      ...batch
+    });
+  });
+
+  // Approve draft solutions so students see them on result pages (admin only)
+  approveLessonSolutions = asyncHandler(async (req, res) => {
+    const { questionKeys = [] } = req.body || {};
+    if (!Array.isArray(questionKeys)) {
+      throw new ValidationError('questionKeys must be an array');
+    }
+
+    const approval = await solutionService.approveSolutions(req.params.id, questionKeys.map(String));
+
+    res.json({
+      success: true,
+      message: `${approval.approved.length} solution(s) approved`,
+      ...approval
+    });
+  });
+
+  // Edit, approve or remove the solution of one question (admin only)
+  updateQuestionSolution = asyncHandler(async (req, res) => {
+    const { id, questionKey } = req.params;
+    const { solution, status } = req.body || {};
+
+    const updated = await solutionService.updateSolution(id, questionKey, { solution, status });
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.UPDATE_SUCCESS,
+      solution: updated
+    });
+  });
+
+  // Export a lesson as Moodle XML or GIFT (admin only)
+  exportLesson = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format || 'moodle';
+
+    let lesson;
+    try {
+      lesson = await databaseService.getLessonById(id, { applyQuestionPool: false });
+    } catch (error) {
+      if (error.message === 'Lesson not found') {
+        throw new NotFoundError('Lesson not found');
+      }
+      throw error;
+    }
+
+    const exported = quizExchangeService.exportLesson(lesson, format);
+
+    res.set('Content-Type', exported.contentType);
+    res.set('X-Export-Skipped', String(exported.skipped.length));
+    res.attachment(exported.filename);
+    res.send(exported.content);
+  });
+
+  // Parse "Câu X:" lesson text without saving it (admin only)
+  parseLessonText = asyncHandler(async (req, res) => {
+    const { text } = req.body;
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw new ValidationError('Lesson text is required', ['text']);
+    }
+
+    const parsed = lessonTextService.parse(text);
+
+    res.json({
+      success: true,
+      valid: parsed.errors.length === 0,
+      ...parsed
+    });
+  });
+
+  // Get a lesson's questions as "Câu X:" text (admin only)
+  getLessonText = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    let lesson;
+    try {
+      lesson = await databaseService.getLessonById(id, { applyQuestionPool: false });
+    } catch (error) {
+      if (error.message === 'Lesson not found') {
+        throw new NotFoundError('Lesson not found');
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      text: lessonTextService.serialize(lesson.questions || [])
+    });
+  });
+
   // Get lesson results (admin only)
   getLessonResults = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -314,7 +589,8 @@ class LessonController {
       limit: parseInt(limit),
       search,
       sort,
-      tags
+      tags,
+      publication: this._getPublicationFilter(req)
     });
     
     res.json({
@@ -434,7 +710,10 @@ class LessonController {
       id: undefined, // Let database generate new ID
       created: undefined, // Will be set by createLesson
       last_updated: undefined, // Will be set by createLesson
-      views: 0 // Reset views for duplicate
+      views: 0, // Reset views for duplicate
+      publicationStatus: PUBLICATION_CONFIG.STATUS.DRAFT, // Copies stay hidden until reviewed
+      publishAt: null,
+      unpublishAt: null
     };
     
     const newLesson = await databaseService.createLesson(duplicateData);
@@ -494,7 +773,9 @@ class LessonController {
   // Get platform statistics for lessons page
   getPlatformStats = asyncHandler(async (req, res) => {
     try {
-      const stats = await databaseService.calculatePlatformStats();
+      const stats = await cacheService.remember('stats:platform', CACHE_CONFIG.PLATFORM_STATS_TTL, () =>
+        databaseService.calculatePlatformStats()
+      );
       
       // Format for lessons page display
       const formattedStats = {
@@ -531,6 +812,7 @@ class LessonController {
       if (!lesson) {
         throw new NotFoundError('Lesson not found');
       }
+      aiUsageService.setLesson(id);
     } else if (lessonData) {
       // If lessonData is provided (for new lessons), use it directly
       lesson = lessonData;
@@ -548,7 +830,7 @@ class LessonController {
       });
     }
     
-    try {
+    await withAIFallback(async () => {
       // Get custom prompt from request body if provided
       const customPrompt = req.body.customPrompt;
 
@@ -575,14 +857,14 @@ class LessonController {
       } else {
         throw new Error(result.error || 'Failed to generate image');
       }
-    } catch (error) {
+    }, error => {
       console.error('Error generating lesson image:', error);
       res.status(500).json({
         success: false,
         message: 'Failed to generate image',
         error: error.message
       });
-    }
+    });
   });
 
   // Generate image variations for lesson
@@ -595,8 +877,9 @@ class LessonController {
     if (!lesson) {
       throw new NotFoundError('Lesson not found');
     }
+    aiUsageService.setLesson(id);
     
-    try {
+    await withAIFallback(async () => {
       const result = await imageGenerationService.generateImageVariations(lesson, count);
       
       res.json({
@@ -605,35 +888,36 @@ class LessonController {
         variations: result.variations,
         error: result.error
       });
-    } catch (error) {
+    }, error => {
       console.error('Error generating image variations:', error);
       res.status(500).json({
         success: false,
         message: 'Failed to generate image variations',
         error: error.message
       });
-    }
+    });
   });
 
   // Generate AI summary for a lesson
   generateLessonSummary = asyncHandler(async (req, res) => {
     const lessonData = req.body;
+    aiUsageService.setLesson(lessonData.id);
     
-    try {
+    await withAIFallback(async () => {
       const summary = await aiService.generateLessonSummary(lessonData);
       
       res.json({
         success: true,
         summary: summary
       });
-    } catch (error) {
+    }, error => {
       console.error('Error generating lesson summary:', error);
       res.status(500).json({
         success: false,
         message: 'Failed to generate summary',
         error: error.message
       });
-    }
+    });
   });
 
   // Bulk generate AI summaries for lessons without descriptions
@@ -703,6 +987,40 @@ class LessonController {
       });
     }
   });
+
+  // Helper method to replace a "Câu X:" rawContent field with the parsed questions
+  // Text with any line error is rejected as a whole; returns the parser warnings
+  _applyLessonText(data) {
+    if (typeof data.rawContent !== 'string') {
+      return [];
+    }
+
+    const parsed = lessonTextService.parse(data.rawContent);
+    if (parsed.errors.length > 0) {
+      throw new ValidationError(`Lesson text has ${parsed.errors.length} error(s)`, parsed.errors);
+    }
+
+    data.questions = parsed.questions;
+    delete data.rawContent;
+    return parsed.warnings;
+  }
+
+  // Helper method to decide which publication states a lesson list may include
+  // Students only see live lessons; admins see every state and may filter with ?status=
+  _getPublicationFilter(req) {
+    if (!sessionService.isAdminAuthenticated(req)) {
+      return 'visible';
+    }
+
+    const { status } = req.query;
+    if (!status || status === 'all') {
+      return 'all';
+    }
+    if (!Object.values(PUBLICATION_CONFIG.STATUS).includes(status)) {
+      throw new ValidationError(`Invalid publication status filter (${Object.values(PUBLICATION_CONFIG.STATUS).join(', ')})`, ['status']);
+    }
+    return status;
+  }
 }
 
 module.exports = new LessonController();
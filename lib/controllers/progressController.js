@@ -1,4 +1,5 @@
 const databaseService = require('../services/databaseService');
+const gradingService = require('../services/gradingService');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 class ProgressController {
@@ -359,10 +360,19 @@ class ProgressController {
         }
 
         try {
+            // Re-grade against the stored questions so the lesson's scoring policy applies
+            const sources = await databaseService.getPracticeQuestionSources(
+                studentId,
+                Array.isArray(questions) ? questions.map(question => question && question.id) : []
+            );
+            const graded = sources.size > 0
+                ? gradingService.gradePracticeQuestions(sources, questions)
+                : { gradedQuestions: questions, score, totalQuestions };
+
             const result = await databaseService.savePracticeResults(studentId, {
-                questions,
-                score,
-                totalQuestions,
+                questions: graded.gradedQuestions,
+                score: graded.score,
+                totalQuestions: graded.totalQuestions,
                 timeSpent,
                 timestamp: new Date().toISOString()
             });
@@ -0,0 +1,95 @@
+const questionBankService = require('../services/questionBankService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+class QuestionBankController {
+  // List bank questions (admin only)
+  getQuestions = asyncHandler(async (req, res) => {
+    const { page, limit, search, tags, grade, subject, difficulty, type } = req.query;
+
+    const result = await questionBankService.listQuestions({
+      page, limit, search, tags, grade, subject, difficulty, type
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  });
+
+  // Get a bank question with the lessons that use it (admin only)
+  getQuestionById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const question = await questionBankService.getQuestionById(id);
+    const usage = await questionBankService.getUsage(id, question.version);
+
+    res.json({
+      success: true,
+      question,
+      usage
+    });
+  });
+
+  // Get the lessons that use a bank question (admin only)
+  getQuestionUsage = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const question = await questionBankService.getQuestionById(id);
+    const usage = await questionBankService.getUsage(id, question.version);
+
+    res.json({
+      success: true,
+      questionId: id,
+      version: question.version,
+      usage
+    });
+  });
+
+  // Add a question to the bank (admin only)
+  createQuestion = asyncHandler(async (req, res) => {
+    const data = { ...req.body };
+    delete data.csrfToken;
+
+    const question = await questionBankService.createQuestion(data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Question created successfully',
+      question
+    });
+  });
+
+  // Update a bank question, optionally pushing the change to every lesson using it (admin only)
+  updateQuestion = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { propagate, ...data } = req.body;
+    delete data.csrfToken;
+
+    const { question, propagation } = await questionBankService.updateQuestion(id, data, {
+      propagate: propagate === true || req.query.propagate === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.UPDATE_SUCCESS,
+      question,
+      propagatedLessons: propagation.updated,
+      failedLessons: propagation.failed
+    });
+  });
+
+  // Delete a bank question that is no longer used (admin only)
+  deleteQuestion = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    await questionBankService.deleteQuestion(id);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.DELETE_SUCCESS
+    });
+  });
+}
+
+module.exports = new QuestionBankController();
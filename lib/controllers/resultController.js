@@ -1,130 +1,74 @@
 const databaseService = require('../services/databaseService');
-const ratingService = require('../services/ratingService');
-const streakService = require('../services/streakService');
 const sessionService = require('../services/sessionService');
+const submissionService = require('../services/submissionService');
+const attemptService = require('../services/attemptService');
+const solutionService = require('../services/solutionService');
+const gradingService = require('../services/gradingService');
+const { isLessonVisible } = require('../utils/publication');
 const { asyncHandler, NotFoundError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
 const { SUCCESS_MESSAGES } = require('../config/constants');
 
 class ResultController {
   // Submit lesson result
   submitResult = asyncHandler(async (req, res) => {
-    const { lessonId, answers, timeTaken, studentInfo, mode = 'test' } = req.body;
+    const { lessonId, attemptId, answers, studentInfo, mode = 'test' } = req.body;
     const sessionData = sessionService.getSessionData(req);
-
-    // Get lesson to validate answers
-    const lesson = await databaseService.getLessonById(lessonId);
-
-    // Calculate score and process answers
-    let score = 0;
-    let totalPoints = 0;
-
-    // Calculate score from the answers
-    if (answers && Array.isArray(answers)) {
-      answers.forEach(answer => {
-        if (answer.earnedPoints) {
-          score += answer.earnedPoints;
-        }
-        if (answer.points) {
-          totalPoints += answer.points;
-        }
+    const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+
+    // Prefer the attempt the student started - it fixes the served questions and the start time
+    const attempt = attemptId
+      ? { id: attemptId }
+      : await attemptService.getActiveAttempt(lessonId, sessionData.studentId);
+
+    let submission;
+    if (attempt) {
+      submission = await attemptService.submitAttempt(attempt.id, sessionData.studentId, lessonId, {
+        answers,
+        studentInfo,
+        mode,
+        ipAddress
       });
-    }
-
-    // Round score and totalPoints to 2 decimal places (.01 precision)
-    score = Math.round(score * 100) / 100;
-    totalPoints = Math.round(totalPoints * 100) / 100;
+    } else {
+      // Get lesson with its full question list so answers are graded against the stored questions
+      const lesson = await databaseService.getLessonById(lessonId, { applyQuestionPool: false });
 
-    // Debug logging for score calculation
-    console.log('🔍 Result Controller - Score Calculation:', {
-      score,
-      totalPoints,
-      answersCount: answers ? answers.length : 0,
-      answers: answers ? answers.map(a => ({
-        type: a.type,
-        points: a.points,
-        earnedPoints: a.earnedPoints,
-        isCorrect: a.isCorrect
-      })) : []
-    });
-
-    // Ensure all numeric values in answers are properly formatted
-    const processedAnswers = answers ? answers.map(answer => ({
-      ...answer,
-      points: typeof answer.points === 'number' ? Math.round(answer.points * 100) / 100 : answer.points,
-      earnedPoints: typeof answer.earnedPoints === 'number' ? Math.round(answer.earnedPoints * 100) / 100 : answer.earnedPoints
-    })) : [];
+      // Without an attempt the submission starts and ends here, so unpublished lessons are refused
+      if (!isLessonVisible(lesson)) {
+        throw new NotFoundError('Lesson not found');
+      }
 
-    // Prepare result data matching the database schema with snake_case columns
-    const resultData = {
-      id: Date.now().toString(),
-      lesson_id: lessonId, // Changed to snake_case
-      student_id: sessionData.studentId,
-      questions: processedAnswers, // Use 'questions' column name, not 'answers'
-      score,
-      total_points: totalPoints, // Changed to snake_case
-      student_info: studentInfo, // Changed to snake_case
-      timestamp: new Date().toISOString(),
-      ip_address: req.ip || req.connection.remoteAddress || 'unknown', // Changed to snake_case
-      time_taken: timeTaken ? Math.round(timeTaken) : null, // Round decimal time values to integers
-      mode: mode
-    };
+      if (attemptService.getTimeLimitSeconds(lesson)) {
+        throw new ValidationError('Timed lessons must be started through /api/lessons/:id/attempts', ['attemptId']);
+      }
 
-    // Debug: Log the exact data being sent to database
-    console.log('🔍 Result data being sent to database:', JSON.stringify(resultData, null, 2));
+      // Only an attempt snapshot records which pool questions were served
+      if (gradingService.usesQuestionPool(lesson)) {
+        throw new ValidationError('Question pool lessons must be started through /api/lessons/:id/attempts', ['attemptId']);
+      }
 
-    let savedResult;
-    try {
-      savedResult = await databaseService.createResult(resultData);
-      console.log('✅ Result saved successfully:', savedResult);
-    } catch (dbError) {
-      console.error('❌ Database save error:', dbError);
-      console.error('❌ Error details:', {
-        message: dbError.message,
-        code: dbError.code,
-        details: dbError.details,
-        hint: dbError.hint
+      // No server start time is known, so time taken is not recorded
+      submission = await submissionService.recordResult({
+        lesson,
+        studentId: sessionData.studentId,
+        answers,
+        studentInfo,
+        timeTaken: null,
+        mode,
+        ipAddress
       });
-      throw new Error(`Failed to save result: ${dbError.message}`);
     }
-    
-    // Update rating and streak if student is authenticated (gamification disabled)
-    let ratingUpdate = null;
-    let streakUpdate = null;
-
-    if (sessionData.studentId && score > 0) {
-      try {
-        // Update student streak (only for successful completion)
-        streakUpdate = await streakService.recordDailyActivity(sessionData.studentId);
 
-        // Get current streak for rating calculation
-        const currentStreak = streakUpdate?.stats?.currentStreak || 0;
-        
-        // XP, achievements, and quests disabled - gamification services removed
-        
-        // Update rating with calculated streak
-        ratingUpdate = await ratingService.updateStudentRating(
-          sessionData.studentId,
-          lessonId,
-          score,
-          totalPoints,
-          timeTaken,
-          currentStreak
-        );
-        
-        // Gamification features (quests, achievements, activity logging) disabled
-      } catch (error) {
-        console.error('Rating or streak update failed:', error);
-      }
-    }
-    
     res.status(201).json({
       success: true,
       message: 'Result submitted successfully',
-      resultId: savedResult.id,
-      score,
-      totalPoints,
-      rating: ratingUpdate,
-      streak: streakUpdate?.stats || null
+      resultId: submission.savedResult.id,
+      attemptId: submission.attempt ? submission.attempt.id : null,
+      score: submission.score,
+      totalPoints: submission.totalPoints,
+      timeTaken: submission.timeTaken ?? null,
+      isLate: submission.isLate || false,
+      rating: submission.rating,
+      streak: submission.streak
     });
   });
 
@@ -310,21 +254,40 @@ class ResultController {
     const result = req.resultData || await databaseService.getResultById(id);
 
     // Get lesson data to provide question details, correct answers, and explanations
+    // Prefer the revision the result was graded against so later edits don't change it
     let lessonData = null;
+    let currentQuestions = [];
     try {
-      lessonData = await databaseService.getLessonById(result.lesson_id);
+      if (result.revision_id) {
+        const revision = await databaseService.getLessonRevisionById(result.revision_id);
+        lessonData = { ...revision.snapshot, revisionNumber: revision.revision_number };
+      } else {
+        lessonData = await databaseService.getLessonById(result.lesson_id, { applyQuestionPool: false });
+      }
     } catch (error) {
       console.error('Error fetching lesson data for result:', error);
       // Continue without lesson data if it fails - result page can still show basic info
     }
 
+    // Solutions approved after grading live on the current lesson, not the graded revision
+    if (lessonData && result.revision_id) {
+      try {
+        currentQuestions = (await databaseService.getLessonById(result.lesson_id, { applyQuestionPool: false })).questions;
+      } catch (error) {
+        console.error('Error fetching current lesson solutions for result:', error);
+      }
+    }
+
     // Create enhanced result data for frontend
     const enhancedResult = {
       ...result,
       lesson: lessonData ? {
         id: lessonData.id,
         title: lessonData.title,
-        questions: lessonData.questions || []
+        revisionNumber: lessonData.revisionNumber || null,
+        questions: solutionService.applyToResultQuestions(lessonData.questions, currentQuestions, {
+          includeDrafts: sessionService.isAdminAuthenticated(req)
+        })
       } : null
     };
 
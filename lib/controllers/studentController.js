@@ -1,7 +1,8 @@
 const databaseService = require('../services/databaseService');
 const sessionService = require('../services/sessionService');
+const eventBus = require('../services/events/eventBus');
 const { asyncHandler, NotFoundError, AuthorizationError, ValidationError, AuthenticationError } = require('../middleware/errorHandler');
-const { SUCCESS_MESSAGES } = require('../config/constants');
+const { SUCCESS_MESSAGES, DOMAIN_EVENTS } = require('../config/constants');
 const { sanitizeObject } = require('../utils/sanitization');
 
 class StudentController {
@@ -51,6 +52,7 @@ class StudentController {
       is_approved: true,
       approved_at: new Date().toISOString()
     });
+    eventBus.publishAfterResponse(DOMAIN_EVENTS.STUDENT_APPROVED, { studentId });
     
     res.json({
       success: true,
@@ -1,9 +1,14 @@
 const databaseService = require('../services/databaseService');
+const cacheService = require('../services/cacheService');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { CACHE_CONFIG } = require('../config/constants');
+
+// Tag queries scan every lesson; results are kept until a lesson event drops the "tags:" keys
+const cachedTags = (key, loader) => cacheService.remember(`tags:${key}`, CACHE_CONFIG.TAGS_TTL, loader);
 
 class TagsController {
     getAllTags = asyncHandler(async (req, res) => {
-        const tags = await databaseService.getAllUniqueTags();
+        const tags = await cachedTags('all', () => databaseService.getAllUniqueTags());
         res.json(tags);
     });
 
@@ -11,7 +16,7 @@ class TagsController {
         const { limit = 10 } = req.query;
         console.log(`[TagsController] Getting popular tags with limit: ${limit}`);
 
-        const popularTags = await databaseService.getPopularTags(parseInt(limit));
+        const popularTags = await cachedTags(`popular:${parseInt(limit)}`, () => databaseService.getPopularTags(parseInt(limit)));
 
         console.log(`[TagsController] Returning ${popularTags.length} popular tags`);
 
@@ -26,7 +31,7 @@ class TagsController {
         const { tag } = req.params;
         console.log(`[TagsController] Getting related tags for: ${tag}`);
 
-        const relatedTags = await databaseService.getRelatedTags(tag);
+        const relatedTags = await cachedTags(`related:${tag}`, () => databaseService.getRelatedTags(tag));
 
         console.log(`[TagsController] Returning ${relatedTags.length} related tags`);
 
@@ -44,7 +49,8 @@ class TagsController {
 
         console.log(`[TagsController] Getting intersection tags for: ${selectedTags.join(', ')}`);
 
-        const intersectionTags = await databaseService.getIntersectionTags(selectedTags);
+        const intersectionKey = `intersection:${[...selectedTags].sort().join(',')}`;
+        const intersectionTags = await cachedTags(intersectionKey, () => databaseService.getIntersectionTags(selectedTags));
 
         console.log(`[TagsController] Returning ${intersectionTags.length} intersection tags`);
 
@@ -61,10 +67,10 @@ class TagsController {
         console.log(`[TagsController] Getting complete tags data with limit: ${limit}`);
 
         // Get popular tags with statistics
-        const popularTags = await databaseService.getPopularTags(parseInt(limit));
+        const popularTags = await cachedTags(`popular:${parseInt(limit)}`, () => databaseService.getPopularTags(parseInt(limit)));
 
         // Get tag-to-lessons mapping for client-side filtering
-        const tagToLessons = await databaseService.getTagToLessonsMapping();
+        const tagToLessons = await cachedTags('mapping', () => databaseService.getTagToLessonsMapping());
 
         console.log(`[TagsController] Returning complete tags data: ${popularTags.length} tags`);
 
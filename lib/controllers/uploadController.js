@@ -1,7 +1,13 @@
 const { supabaseAdmin } = require('../config/database');
 const aiService = require('../services/ai/aiService');
-const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
-const { UPLOAD_CONFIG } = require('../config/constants');
+const quizExchangeService = require('../services/quizExchangeService');
+const lessonTextService = require('../services/lessonTextService');
+const docxImportService = require('../services/docxImportService');
+const documentFormatService = require('../services/documentFormatService');
+const aiUsageService = require('../services/ai/aiUsageService');
+const databaseService = require('../services/databaseService');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { UPLOAD_CONFIG, PUBLICATION_CONFIG, DOCUMENT_FORMAT_CONFIG } = require('../config/constants');
 const sharp = require('sharp');
 const mammoth = require('mammoth');
 const pdfParse = require('pdf-parse');
@@ -146,14 +152,54 @@ class UploadController {
         throw new ValidationError('No text content found in the document');
       }
 
-      // Process with AI to format as lesson content
-      const formattedContent = await aiService.formatDocumentWithAI(extractedText);
+      // Fail before starting chunk jobs when the caller has no AI quota left
+      await aiUsageService.reserveForRequest('formatDocument', res);
+
+      // Large documents are formatted in chunks; with async=true the job is only created and
+      // every poll (or the progress stream) formats its next chunks
+      if (req.query.async === 'true' || req.body.async === true || req.body.async === 'true') {
+        const job = await documentFormatService.createJob(extractedText, { filename: file.originalname });
+        return res.status(202).json({
+          success: true,
+          message: 'Document formatting started',
+          jobId: job.id,
+          job,
+          originalText: extractedText,
+          filename: file.originalname
+        });
+      }
+
+      // Process with AI to format as lesson content; a document too large for one request
+      // is handed back as a job to poll, like async=true
+      const job = await documentFormatService.formatDocument(extractedText, { filename: file.originalname }, {
+        budgetMs: DOCUMENT_FORMAT_CONFIG.STREAM_BUDGET_MS
+      });
+      if (!documentFormatService.isFinished(job)) {
+        return res.status(202).json({
+          success: true,
+          message: 'Document formatting continues; poll the job for the result',
+          jobId: job.id,
+          job,
+          originalText: extractedText,
+          filename: file.originalname
+        });
+      }
+      if (job.status !== 'completed') {
+        throw new Error(job.error || 'AI formatting failed');
+      }
 
+      // The merged AI output is checked against the "Câu X:" format so problems show up by line
       res.json({
         success: true,
         message: 'Document processed successfully',
         originalText: extractedText,
-        formattedContent: formattedContent,
+        formattedContent: job.result.formattedContent,
+        questions: job.result.questions,
+        parseErrors: job.result.parseErrors,
+        parseWarnings: job.result.parseWarnings,
+        countCheck: job.result.countCheck,
+        failedChunks: job.result.failedChunks,
+        jobId: job.id,
         filename: file.originalname
       });
 
@@ -166,6 +212,140 @@ class UploadController {
     }
   });
 
+  // Get the progress of a document formatting job, formatting its next chunks first
+  getDocumentJob = asyncHandler(async (req, res) => {
+    const job = await documentFormatService.advanceJob(req.params.jobId);
+    if (!job) {
+      throw new NotFoundError('Document formatting job not found');
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  });
+
+  // Stream the progress of a document formatting job as Server-Sent Events
+  // The job is formatted by this request; the stream ends before the function time limit
+  // and EventSource reconnects to continue it
+  streamDocumentJob = asyncHandler(async (req, res) => {
+    const job = await documentFormatService.getJob(req.params.jobId);
+    if (!job) {
+      throw new NotFoundError('Document formatting job not found');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    const send = (snapshot) => {
+      const type = documentFormatService.isFinished(snapshot) ? 'done' : 'progress';
+      res.write(`data: ${JSON.stringify({ type, job: snapshot })}\n\n`);
+    };
+
+    send(job);
+    if (!documentFormatService.isFinished(job)) {
+      let closed = false;
+      req.on('close', () => { closed = true; });
+
+      try {
+        await documentFormatService.runJob(job.id, {
+          budgetMs: DOCUMENT_FORMAT_CONFIG.STREAM_BUDGET_MS,
+          onProgress: (snapshot) => { if (!closed) send(snapshot); }
+        });
+      } catch (error) {
+        console.error(`Document format job ${job.id} stream error:`, error);
+        if (!closed) res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
+      }
+    }
+    res.end();
+  });
+
+  // Import questions from a Word question sheet (deterministic, no AI)
+  // Keeps equations as LaTeX, stores embedded images and reads underline/bold/red answer marks.
+  // With createLesson=true an error-free import is saved straight away as a draft lesson
+  importDocx = asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new ValidationError('No document file provided');
+    }
+
+    const file = req.file;
+    if (file.mimetype !== 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+      throw new ValidationError('Invalid file type. Only DOCX files are allowed.');
+    }
+
+    if (file.size > UPLOAD_CONFIG.MAX_FILE_SIZE) {
+      throw new ValidationError('File size too large. Maximum size is 10MB.');
+    }
+
+    const storeImages = req.body.preview !== true && req.body.preview !== 'true';
+    const imported = await docxImportService.importDocx(file.buffer, { storeImages });
+
+    let lesson = null;
+    if (storeImages && (req.body.createLesson === true || req.body.createLesson === 'true') &&
+        imported.questions.length > 0 && imported.errors.length === 0) {
+      lesson = await databaseService.createLesson({
+        title: req.body.title || file.originalname.replace(/\.[^.]+$/, '') || 'Imported lesson',
+        questions: imported.questions,
+        publicationStatus: PUBLICATION_CONFIG.STATUS.DRAFT
+      }, { revisionNote: 'import:docx' });
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${imported.questions.length} question(s) with ${imported.errors.length} error(s)`,
+      text: imported.text,
+      questions: imported.questions,
+      errors: imported.errors,
+      warnings: imported.warnings,
+      images: imported.images,
+      filename: file.originalname,
+      lesson
+    });
+  });
+
+  // Import questions from a Moodle XML or GIFT file (deterministic, no AI)
+  // With createLesson=true the questions are saved straight away as a draft lesson
+  importQuiz = asyncHandler(async (req, res) => {
+    let content = req.body.content;
+    let filename = req.body.filename || '';
+
+    if (req.file) {
+      const extension = req.file.originalname.toLowerCase().split('.').pop();
+      if (!UPLOAD_CONFIG.ALLOWED_QUIZ_EXTENSIONS.includes(extension)) {
+        throw new ValidationError('Invalid file type. Only Moodle XML and GIFT files are allowed.');
+      }
+      content = req.file.buffer.toString('utf8');
+      filename = req.file.originalname;
+    }
+
+    const imported = quizExchangeService.importQuestions(content, {
+      format: req.body.format || null,
+      filename
+    });
+
+    let lesson = null;
+    if ((req.body.createLesson === true || req.body.createLesson === 'true') && imported.questions.length > 0) {
+      lesson = await databaseService.createLesson({
+        title: req.body.title || filename.replace(/\.[^.]+$/, '') || 'Imported lesson',
+        questions: imported.questions,
+        publicationStatus: PUBLICATION_CONFIG.STATUS.DRAFT
+      }, { revisionNote: `import:${imported.format}` });
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${imported.questions.length} question(s), ${imported.unmapped.length} could not be mapped`,
+      format: imported.format,
+      questions: imported.questions,
+      unmapped: imported.unmapped,
+      warnings: imported.warnings,
+      lesson
+    });
+  });
+
   // Delete uploaded image
   deleteImage = asyncHandler(async (req, res) => {
     const { filename } = req.params;
@@ -1,31 +1,38 @@
 const cacheService = require('../services/cacheService');
+const databaseService = require('../services/databaseService');
+const { CACHE_CONFIG } = require('../config/constants');
 
 // Main cache middleware
 const cacheMiddleware = cacheService.cacheMiddleware();
 
+// Seconds until a scheduled lesson appears or a published one disappears, or null when none is due
+// Lists and statistics change at those times without any event, so a remembered ETag must
+// not outlive them. The time is shared through the cache and dropped by lesson events.
+const untilNextPublicationChange = async () => {
+  const key = 'lesson:next-publication-change';
+  let cached = await cacheService.get(key);
+  if (!cached || (cached.at && new Date(cached.at).getTime() <= Date.now())) {
+    const next = await databaseService.getNextPublicationChange();
+    cached = { at: next ? next.toISOString() : null };
+    await cacheService.set(key, cached, CACHE_CONFIG.VALIDATOR_TTL);
+  }
+  return cached.at ? Math.floor((new Date(cached.at).getTime() - Date.now()) / 1000) : null;
+};
+
 // Specific cache middleware for lessons
-const lessonCacheMiddleware = (req, res, next) => {
+// Lesson lists remember their ETag (dropped by lesson events), so a client revalidating an
+// unchanged list gets a 304 without a query. A lesson page also counts a view, so it always runs.
+const lessonCacheMiddleware = async (req, res, next) => {
   // Store original res.json method
   const originalJson = res.json;
+  const maxAge = cacheService.getCacheMaxAge('/api/lessons/');
+
+  // Lists are keyed by the full URL: /featured, /recent, /grade/:grade... with their query parameters
+  const cacheKey = req.params.id ? null : `lesson:list:${req.originalUrl}`;
 
   // Override res.json to handle lesson-specific caching
   res.json = (data) => {
-    // Create cache key that includes query parameters for lesson lists
-    let cacheKey = `lesson:${req.params.id || 'list'}`;
-    if (!req.params.id) {
-      // For lesson lists, include query parameters in cache key
-      const { page, limit, search, sort, tags } = req.query;
-      const queryKey = `${page || 1}:${limit || 10}:${search || ''}:${sort || 'newest'}:${tags || ''}`;
-      cacheKey = `lesson:list:${queryKey}`;
-    }
-
-    const cacheResult = cacheService.handleCacheResponse(
-      req,
-      res,
-      data,
-      cacheKey,
-      cacheService.getCacheMaxAge('/api/lessons/')
-    );
+    const cacheResult = cacheService.handleCacheResponse(req, res, data, cacheKey, maxAge, untilNextPublicationChange);
 
     if (cacheResult.fromCache) {
       return; // 304 response already sent
@@ -35,23 +42,24 @@ const lessonCacheMiddleware = (req, res, next) => {
     return originalJson.call(res, cacheResult.data);
   };
 
+  if (cacheKey && await cacheService.answerFromValidator(req, res, cacheKey, maxAge)) {
+    return; // 304 response already sent
+  }
+
   next();
 };
 
 // Cache middleware for statistics
-const statisticsCacheMiddleware = (req, res, next) => {
+// The ETag is remembered until a result or lesson event drops it
+const statisticsCacheMiddleware = async (req, res, next) => {
   // Store original res.json method
   const originalJson = res.json;
+  const cacheKey = `statistics:${req.path}`;
+  const maxAge = cacheService.getCacheMaxAge('/api/lessons/statistics');
   
   // Override res.json to handle statistics caching
   res.json = (data) => {
-    const cacheResult = cacheService.handleCacheResponse(
-      req, 
-      res, 
-      data, 
-      `statistics:${req.path}`,
-      cacheService.getCacheMaxAge('/api/lessons/statistics')
-    );
+    const cacheResult = cacheService.handleCacheResponse(req, res, data, cacheKey, maxAge, untilNextPublicationChange);
     
     if (cacheResult.fromCache) {
       return; // 304 response already sent
@@ -60,6 +68,10 @@ const statisticsCacheMiddleware = (req, res, next) => {
     // Call original json method with data
     return originalJson.call(res, cacheResult.data);
   };
+
+  if (await cacheService.answerFromValidator(req, res, cacheKey, maxAge)) {
+    return; // 304 response already sent
+  }
   
   next();
 };
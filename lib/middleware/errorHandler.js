@@ -37,6 +37,13 @@ class NotFoundError extends AppError {
   }
 }
 
+class QuotaExceededError extends AppError {
+  constructor(message, details = null) {
+    super(message, 429, 'AI_QUOTA_EXCEEDED');
+    this.details = details;
+  }
+}
+
 class DatabaseError extends AppError {
   constructor(message = ERROR_MESSAGES.DATABASE_ERROR) {
     super(message, 500, 'DATABASE_ERROR');
@@ -156,6 +163,17 @@ const asyncHandler = (fn) => {
   };
 };
 
+// Run an AI operation and replace its failures with a fallback
+// Quota errors are never replaced: the client gets the 429 rather than a degraded answer
+const withAIFallback = async (operation, fallback) => {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof QuotaExceededError) throw error;
+    return fallback(error);
+  }
+};
+
 // Database error handler
 const handleDatabaseError = (error) => {
   if (error.code === 'PGRST116') {
@@ -262,12 +280,14 @@ module.exports = {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
+  QuotaExceededError,
   DatabaseError,
   
   // Error handlers
   errorHandler,
   notFoundHandler,
   asyncHandler,
+  withAIFallback,
   handleDatabaseError,
   rateLimitHandler,
   uploadErrorHandler,
@@ -1,4 +1,6 @@
-const { ERROR_MESSAGES } = require('../config/constants');
+const { ERROR_MESSAGES, SCORING_CONFIG, PUBLICATION_CONFIG, QUESTION_BANK_CONFIG } = require('../config/constants');
+const { validateNumericSettings } = require('../utils/numericAnswer');
+const { validatePublicationSettings } = require('../utils/publication');
 
 // Validation helper functions
 const isValidPhoneNumber = (phone) => {
@@ -136,6 +138,46 @@ const validateAdminLogin = (req, res, next) => {
   next();
 };
 
+// Helper to check the content of a single question
+const getQuestionErrors = (q, prefix = '') => {
+  const errors = [];
+  if (!q || typeof q !== 'object') {
+    return [`${prefix}Câu hỏi không hợp lệ`];
+  }
+  if (!q.question || typeof q.question !== 'string') {
+    errors.push(`${prefix}Nội dung câu hỏi không hợp lệ`);
+  }
+  // Accept both old and new question type formats
+  const validTypes = ['multiple_choice', 'true_false', 'fill_blank', 'abcd', 'truefalse', 'number'];
+  if (!q.type || !validTypes.includes(q.type)) {
+    errors.push(`${prefix}Loại câu hỏi không hợp lệ`);
+  }
+  // For multiple choice questions (both formats)
+  if ((q.type === 'multiple_choice' || q.type === 'abcd') &&
+      (!q.options || !Array.isArray(q.options) || q.options.length < 2)) {
+    errors.push(`${prefix}Câu hỏi trắc nghiệm phải có ít nhất 2 lựa chọn`);
+  }
+  // Accept both 'correctAnswer' and 'correct' properties
+  if (!q.correctAnswer && !q.correct) {
+    errors.push(`${prefix}Thiếu đáp án đúng`);
+  }
+  // Numeric questions may carry tolerance and accepted unit settings
+  if (q.type === 'number') {
+    const numericErrors = validateNumericSettings(q);
+    if (numericErrors.includes('tolerance')) {
+      errors.push(`${prefix}Sai số cho phép không hợp lệ (absolute, relative, percent hoặc sigfigs)`);
+    }
+    if (numericErrors.includes('units')) {
+      errors.push(`${prefix}Đơn vị chấp nhận không hợp lệ`);
+    }
+  }
+  return errors;
+};
+
+// A lesson question that only points at a question bank item
+const isBankReference = (q) => !!q && q.bankId !== undefined && q.bankId !== null &&
+  (typeof q.question !== 'string' || q.question.trim() === '');
+
 // Validation middleware for lesson creation/update
 const validateLesson = (req, res, next) => {
   console.log('validateLesson - Request body keys:', Object.keys(req.body));
@@ -154,7 +196,7 @@ const validateLesson = (req, res, next) => {
       });
     });
   }
-  const { title, content, questions, quiz, subject, grade, color, description, tags } = req.body;
+  const { title, content, questions, quiz, subject, grade, color, description, tags, rawContent } = req.body;
   const errors = [];
   
   // Extract questions from either root level or quiz object
@@ -171,35 +213,40 @@ const validateLesson = (req, res, next) => {
 
     // Modern lessons use questions array instead of content
     // Accept either content (legacy) or questions (modern) or quiz.questions (new format)
-    if ((!content || content.trim().length === 0) && (!actualQuestions || !Array.isArray(actualQuestions) || actualQuestions.length === 0)) {
+    // or rawContent ("Câu X:" text, parsed into questions by the controller)
+    const hasRawContent = typeof rawContent === 'string' && rawContent.trim().length > 0;
+    if ((!content || content.trim().length === 0) && !hasRawContent && (!actualQuestions || !Array.isArray(actualQuestions) || actualQuestions.length === 0)) {
       errors.push('Bài học phải có nội dung hoặc ít nhất một câu hỏi');
     }
 
     // Validate questions structure if provided
     if (actualQuestions && Array.isArray(actualQuestions)) {
       actualQuestions.forEach((q, index) => {
-        if (!q.question || typeof q.question !== 'string') {
-          errors.push(`Câu hỏi ${index + 1}: Nội dung câu hỏi không hợp lệ`);
-        }
-        // Accept both old and new question type formats
-        const validTypes = ['multiple_choice', 'true_false', 'fill_blank', 'abcd', 'truefalse', 'number'];
-        if (!q.type || !validTypes.includes(q.type)) {
-          errors.push(`Câu hỏi ${index + 1}: Loại câu hỏi không hợp lệ`);
-        }
-        // For multiple choice questions (both formats)
-        if ((q.type === 'multiple_choice' || q.type === 'abcd') &&
-            (!q.options || !Array.isArray(q.options) || q.options.length < 2)) {
-          errors.push(`Câu hỏi ${index + 1}: Câu hỏi trắc nghiệm phải có ít nhất 2 lựa chọn`);
-        }
-        // Accept both 'correctAnswer' and 'correct' properties
-        if (!q.correctAnswer && !q.correct) {
-          errors.push(`Câu hỏi ${index + 1}: Thiếu đáp án đúng`);
+        // Question bank references are filled in from the bank when the lesson is saved
+        if (isBankReference(q)) {
+          if (typeof q.bankId !== 'string' || q.bankId.trim() === '') {
+            errors.push(`Câu hỏi ${index + 1}: Mã câu hỏi ngân hàng không hợp lệ`);
+          }
+          return;
         }
+        errors.push(...getQuestionErrors(q, `Câu hỏi ${index + 1}: `));
       });
     }
   }
 
   // Validate optional fields if present
+  const scoringPolicy = req.body.scoringPolicy ?? req.body.scoring_policy;
+  if (scoringPolicy !== undefined && scoringPolicy !== null &&
+      !Object.values(SCORING_CONFIG.POLICIES).includes(scoringPolicy)) {
+    errors.push(`Chính sách chấm điểm không hợp lệ (${Object.values(SCORING_CONFIG.POLICIES).join(', ')})`);
+  }
+
+  errors.push(...getPublicationErrors(req.body));
+
+  if (rawContent !== undefined && typeof rawContent !== 'string') {
+    errors.push('Nội dung văn bản bài học phải là chuỗi ký tự');
+  }
+
   if (subject && typeof subject !== 'string') {
     errors.push('Môn học phải là chuỗi ký tự');
   }
@@ -234,6 +281,73 @@ const validateLesson = (req, res, next) => {
   next();
 };
 
+// Helper to turn publication setting errors into messages
+const getPublicationErrors = (data) => {
+  const messages = {
+    status: `Trạng thái xuất bản không hợp lệ (${Object.values(PUBLICATION_CONFIG.STATUS).join(', ')})`,
+    publishAt: 'Thời điểm xuất bản không hợp lệ',
+    unpublishAt: 'Thời điểm gỡ bài không hợp lệ',
+    window: 'Thời điểm gỡ bài phải sau thời điểm xuất bản',
+    schedule: 'Bài học hẹn giờ phải có thời điểm xuất bản'
+  };
+  return validatePublicationSettings(data).map(error => messages[error]);
+};
+
+// Validation middleware for changing a lesson's publication state
+const validateLessonPublication = (req, res, next) => {
+  const errors = getPublicationErrors(req.body);
+
+  if ((req.body.publicationStatus ?? req.body.publication_status) === undefined) {
+    errors.push('Thiếu trạng thái xuất bản');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: ERROR_MESSAGES.VALIDATION_ERROR,
+      message: 'Dữ liệu xuất bản không hợp lệ',
+      details: errors
+    });
+  }
+
+  next();
+};
+
+// Validation middleware for question bank items
+const validateBankQuestion = (req, res, next) => {
+  const { tags, grade, subject, difficulty } = req.body;
+  // Updates may send only the fields that change
+  const isUpdate = req.method === 'PUT' || req.method === 'PATCH';
+  const errors = isUpdate && req.body.question === undefined && req.body.type === undefined
+    ? []
+    : getQuestionErrors(req.body);
+
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    errors.push('Tags phải là mảng các chuỗi ký tự');
+  }
+
+  if (grade !== undefined && grade !== null && typeof grade !== 'string' && typeof grade !== 'number') {
+    errors.push('Lớp học không hợp lệ');
+  }
+
+  if (subject !== undefined && subject !== null && typeof subject !== 'string') {
+    errors.push('Môn học phải là chuỗi ký tự');
+  }
+
+  if (difficulty !== undefined && difficulty !== null && !QUESTION_BANK_CONFIG.DIFFICULTIES.includes(difficulty)) {
+    errors.push(`Độ khó không hợp lệ (${QUESTION_BANK_CONFIG.DIFFICULTIES.join(', ')})`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: ERROR_MESSAGES.VALIDATION_ERROR,
+      message: 'Dữ liệu câu hỏi không hợp lệ',
+      details: errors
+    });
+  }
+
+  next();
+};
+
 // Validation middleware for result submission
 const validateResult = (req, res, next) => {
   const { lessonId, answers, timeTaken, studentInfo } = req.body;
@@ -247,7 +361,12 @@ const validateResult = (req, res, next) => {
     errors.push('Câu trả lời phải là một mảng');
   }
 
-  if (typeof timeTaken !== 'number' || timeTaken < 0) {
+  if (req.body.attemptId !== undefined && (typeof req.body.attemptId !== 'string' || req.body.attemptId.trim() === '')) {
+    errors.push('Mã lượt làm bài không hợp lệ');
+  }
+
+  // Time taken is measured on the server; a client value is accepted but ignored
+  if (timeTaken !== undefined && (typeof timeTaken !== 'number' || timeTaken < 0)) {
     errors.push('Thời gian làm bài không hợp lệ');
   }
 
@@ -270,6 +389,31 @@ const validateResult = (req, res, next) => {
   next();
 };
 
+// Validation middleware for lesson attempt heartbeats and submissions
+const validateAttemptSubmission = (req, res, next) => {
+  const { answers, studentInfo } = req.body;
+  const errors = [];
+  const isSubmit = req.path.endsWith('/submit');
+
+  if (isSubmit ? !Array.isArray(answers) : (answers !== undefined && !Array.isArray(answers))) {
+    errors.push('Câu trả lời phải là một mảng');
+  }
+
+  if (studentInfo !== undefined && (studentInfo === null || typeof studentInfo !== 'object')) {
+    errors.push('Thông tin học sinh không hợp lệ');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: ERROR_MESSAGES.VALIDATION_ERROR,
+      message: 'Dữ liệu lượt làm bài không hợp lệ',
+      details: errors
+    });
+  }
+
+  next();
+};
+
 // Validation middleware for pagination parameters
 const validatePagination = (req, res, next) => {
   const { page, limit } = req.query;
@@ -384,13 +528,17 @@ module.exports = {
   validateStudentLogin,
   validateAdminLogin,
   validateLesson,
+  validateLessonPublication,
+  validateBankQuestion,
   validateResult,
+  validateAttemptSubmission,
   validatePagination,
   validateIdParam,
   validateFileUpload,
   validateSearch,
   validate,
   // Export validation helpers for reuse
+  getQuestionErrors,
   isValidPhoneNumber,
   isValidPassword,
   isValidName,
@@ -1,119 +1,71 @@
-const fetch = require('node-fetch');
-const { API_ENDPOINTS, APP_CONFIG } = require('../../config/constants');
 const aiCacheService = require('../cache/aiCacheService');
 const { sanitizeInput } = require('../../utils/sanitization');
-const { GoogleGenAI } = require('@google/genai');
+const { createProvider } = require('./providers');
+const promptRegistry = require('./promptRegistry');
+const aiUsageService = require('./aiUsageService');
+const { AppError, withAIFallback } = require('../../middleware/errorHandler');
+const materialsService = require('../materialsService');
+const { HINT_CONFIG } = require('../../config/constants');
 
 class AIService {
   constructor() {
-    this.apiKey = APP_CONFIG.GEMINI_API_KEY;
-    this.apiUrl = API_ENDPOINTS.GEMINI_URL;
+    // All model calls go through the configured provider (gemini, openai or mock)
+    this.provider = createProvider();
+  }
 
-    // Initialize Google GenAI for advanced features
-    this.genAI = new GoogleGenAI({
-      apiKey: this.apiKey
-    });
+  /**
+   * Replace the AI provider (e.g. with a MockProvider in tests)
+   * @param {Object} provider - Provider instance
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // Helper method to run a prompt through the provider and return the generated text
+  // Every model call is checked against the caller's quota and metered
+  async _generate(task, prompt, settings = {}) {
+    const reservationId = await aiUsageService.reserve(task);
+    let response;
+    try {
+      response = await this.provider.generateText({ task, prompt, ...settings });
+    } catch (error) {
+      await aiUsageService.release(reservationId);
+      throw error;
+    }
+    await aiUsageService.record({ operation: task, provider: this.provider.name, usage: response.usage, reservationId });
+    return response.text;
   }
 
   // Format document content using AI
   async formatDocumentWithAI(text) {
-    const prompt = `Bạn là một trợ lý AI chuyên định dạng nội dung bài học cho hệ thống giáo dục.
-
-NHIỆM VỤ: Chuyển đổi văn bản sau thành định dạng bài học chuẩn với các câu hỏi trắc nghiệm.
-
-YÊU CẦU ĐỊNH DẠNG:
-1. Mỗi câu hỏi phải bắt đầu bằng "Câu X:" (X là số thứ tự)
-2. Với câu hỏi trắc nghiệm ABCD:
-   - Mỗi lựa chọn trên một dòng riêng: A. [nội dung]
-   - Đánh dấu đáp án đúng bằng dấu * ở đầu: *A. [đáp án đúng]
-   - Luôn có đủ 4 lựa chọn A, B, C, D
-3. Với câu hỏi Đúng/Sai nhiều ý:
-   - Mỗi ý trên một dòng: a) [nội dung]
-   - Đánh dấu ý đúng bằng dấu *: *a) [ý đúng]
-4. Với câu hỏi điền số:
-   - Viết "Answer: [số]" trên dòng mới sau câu hỏi
-5. Giữa các câu hỏi cách nhau một dòng trống
-
-QUY TẮC CHUYỂN ĐỔI:
-- Nếu văn bản có sẵn câu hỏi, TUYỆT ĐỐI GIỮ NGUYÊN và định dạng lại cho đúng chuẩn. Không được phép thay đổi câu hỏi và lựa chọn bằng bất kì lí do nào. Đảm bảo chuyển đổi TẤT CẢ các câu.
-- Nếu văn bản là bài giảng/lý thuyết, tạo 5-10 câu hỏi trắc nghiệm dựa trên nội dung. Ưu tiên câu hỏi ABCD (6 câu), Đúng/Sai nhiều ý (2 câu tổng 8 ý), điền số (3 câu). Câu hỏi phải rõ ràng, súc tích, phù hợp với nội dung. Các lựa chọn phải hợp lý, độ khó tùy vào kiến thức gốc.
-- Sử dụng latex đối với các phương trình trong cặp dấu $inline-latex$
-
-VÍ DỤ OUTPUT:
-Câu 1: Phương trình bậc hai $ax² + bx + c = 0$ có nghiệm khi nào?
-A. $Δ > 0$
-*B. $Δ ≥ 0$
-C. $Δ < 0$
-D. $Δ ≤ 0$
-
-Câu 2: Các phát biểu sau về tam giác vuông, phát biểu nào đúng?
-*a) Tổng hai góc nhọn bằng 90°
-b) Cạnh huyền là cạnh nhỏ nhất
-*c) Định lý Pytago: $a² + b² = c²$
-d) Có thể có hai góc vuông
-
-Câu 3: Tính diện tích hình tròn có bán kính 5cm (lấy π = 3.14)
-Answer: 78.5
-
-VĂN BẢN CẦN CHUYỂN ĐỔI:
-${text}
-
-OUTPUT (chỉ trả về nội dung đã định dạng, không giải thích thêm):`;
+    const { text: prompt } = await promptRegistry.render('formatDocument', { text });
 
-    try {
-      const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            thinkingConfig: {
-              thinkingBudget: 6000,
-            },
-            maxOutputTokens: 30000
-          }
-        })
+    return withAIFallback(async () => {
+      let formattedContent = await this._generate('formatDocument', prompt, {
+        input: text,
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        thinkingBudget: 6000,
+        maxOutputTokens: 30000
       });
 
-      if (!response.ok) {
-        const errorData = await response.text();
-        console.error('Gemini API error:', errorData);
-        throw new Error(`AI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        console.error('Invalid AI response format:', data);
-        throw new Error('Invalid AI response format');
-      }
-
-      let formattedContent = data.candidates[0].content.parts[0].text;
-
       // Clean up the response
       formattedContent = this.cleanupAIResponse(formattedContent);
 
       // Validate that we have at least one question
-      if (!formattedContent.includes('Câu 1:')) {
+      // (chunks of a large document keep their source numbering, so this need not be "Câu 1:")
+      if (!/^Câu\s*\d+\s*:/m.test(formattedContent)) {
         console.warn('AI response does not contain expected question format');
         throw new Error('AI không tạo được câu hỏi từ nội dung');
       }
 
       return formattedContent;
 
-    } catch (error) {
+    }, error => {
       console.error('AI formatting error:', error);
       throw new Error('Không thể kết nối với AI để định dạng nội dung');
-    }
+    });
   }
 
   // Clean up AI response
@@ -144,9 +96,10 @@ OUTPUT (chỉ trả về nội dung đã định dạng, không giải thích th
   // Enhanced lesson summary generation with better context understanding
   async generateLessonSummary(lessonData) {
     // Check cache first
-    const cachedResult = await aiCacheService.get('summary', lessonData);
+    const cachedResult = await aiCacheService.get('summary', lessonData, { template: await promptRegistry.describe('summary') });
     if (cachedResult) {
       console.log('Using cached lesson summary');
+      await aiUsageService.record({ operation: 'summary', cacheHit: true });
       return cachedResult.summary || cachedResult;
     }
 
@@ -178,55 +131,18 @@ OUTPUT (chỉ trả về nội dung đã định dạng, không giải thích th
       }
     }
 
-    const prompt = `Bạn là giáo viên vật lý giàu kinh nghiệm. Hãy tạo mô tả ngắn gọn và hấp dẫn cho bài học sau:
-
-${lessonContext}
-
-YÊU CẦU:
-- Mô tả phải dài 3-4 câu, súc tích nhưng đầy đủ thông tin
-- Nêu rõ kiến thức chính học sinh sẽ học được
-- Có thể đề cập đến ứng dụng thực tế nếu phù hợp
-- Viết theo phong cách mô tả trực tiếp
-- Phải liên quan trực tiếp đến nội dung bài học này.
+    const { text: prompt, template } = await promptRegistry.render('summary', { lessonContext });
 
-VÍ DỤ MẪU:
-- "Khám phá nguyên lý hoạt động của đòn bẩy và ròng rọc trong cuộc sống hàng ngày. Học cách tính toán lực và khoảng cách để nâng vật nặng dễ dàng hơn."
-- "Tìm hiểu về chuyển động thẳng đều và các công thức tính vận tốc, quãng đường. Áp dụng kiến thức để giải quyết các bài toán thực tế về giao thông."
-
-MÔ TẢ (chỉ trả về mô tả, không giải thích thêm):`;
-
-    try {
-      const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.7, // Higher for more creative summaries
-            topK: 40,
-            topP: 0.9,
-            maxOutputTokens: 8000
-          }
-        })
+    return withAIFallback(async () => {
+      const responseText = await this._generate('summary', prompt, {
+        input: lessonData,
+        temperature: 0.7, // Higher for more creative summaries
+        topK: 40,
+        topP: 0.9,
+        maxOutputTokens: 8000
       });
 
-      if (!response.ok) {
-        throw new Error(`AI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        throw new Error('Invalid AI response format');
-      }
-
-      const summary = this.cleanupAIResponse(data.candidates[0].content.parts[0].text);
+      const summary = this.cleanupAIResponse(responseText);
       
       // Validate summary quality
       if (summary.length < 50 || summary.length > 500) {
@@ -234,73 +150,43 @@ MÔ TẢ (chỉ trả về mô tả, không giải thích thêm):`;
       }
       
       // Cache the result
-      await aiCacheService.set('summary', lessonData, summary, 3600); // Cache for 1 hour
+      await aiCacheService.set('summary', lessonData, { summary }, 3600, { template }); // Cache for 1 hour
       
       return summary;
 
-    } catch (error) {
+    }, error => {
       console.error('Error generating lesson summary:', error);
       // Return a fallback summary if AI fails
       const fallbackSubject = lessonData.subject || 'Vật lý';
       const fallbackGrade = lessonData.grade || '';
       return `Bài học ${fallbackSubject} ${fallbackGrade} với các câu hỏi trắc nghiệm và bài tập thực hành. Phù hợp cho học sinh muốn ôn tập và nâng cao kiến thức.`;
-    }
+    });
   }
 
   // Generate image prompt for lesson visualization
   async generateImagePrompt() {
-    const prompt = `Tạo một mô tả hình ảnh (prompt) 
-- Phải là tiếng Anh, ngắn gọn (tối đa 50 từ)
-- Mô tả một hình ảnh ngẫu nhiên nhưng tuyệt đối không có con người.
-- Prompt tuân theo cấu trúc sau:{description} = {focusDetailed},%20{adjective1},%20{adjective2},%20{visualStyle1},%20{visualStyle2},%20{visualStyle3},%20{artistReference}
-Ví dụ: A photo of a cat on a couch, comfortable, cute, colourful, interior design, Ansel Adams.
-Ví dụ: A fox wearing a cloak, cinematic, heroic, professional photography, 4k, photo realistic, Tim Burton.
-
-PROMPT TIẾNG ANH (chỉ trả về prompt, không giải thích):`;
-
-    try {
-      const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 2,
-            topK: 300,
-            topP: 0.9,
-            maxOutputTokens: 8000
-          }
-        })
+    const { text: prompt } = await promptRegistry.render('imagePrompt');
+
+    return withAIFallback(async () => {
+      const responseText = await this._generate('imagePrompt', prompt, {
+        temperature: 2,
+        topK: 300,
+        topP: 0.9,
+        maxOutputTokens: 8000
       });
 
-      if (!response.ok) {
-        throw new Error(`AI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        throw new Error('Invalid AI response format');
-      }
-
-      const imagePrompt = this.cleanupAIResponse(data.candidates[0].content.parts[0].text);
+      const imagePrompt = this.cleanupAIResponse(responseText);
       
       // Add standard suffix for consistency
       const enhancedPrompt = `${imagePrompt}`;
       
       return enhancedPrompt;
 
-    } catch (error) {
+    }, error => {
       console.error('Error generating image prompt:', error);
       // Return a fallback prompt
       return 'A vast, starry night sky above mountains.';
-    }
+    });
   }
 
   // Sanitize and translate user-defined image prompt
@@ -309,87 +195,21 @@ PROMPT TIẾNG ANH (chỉ trả về prompt, không giải thích):`;
       throw new Error('User prompt is empty');
     }
 
-    const prompt = `Bạn là một trợ lý AI chuyên xử lý mô tả hình ảnh.
-
-NHIỆM VỤ: Xử lý mô tả hình ảnh do người dùng nhập vào để tạo prompt phù hợp cho AI tạo ảnh.
-
-YÊU CẦU XỬ LÝ:
-1. Kiểm tra và loại bỏ nội dung không phù hợp (bạo lực, khiêu dâm, chính trị nhạy cảm)
-2. Dịch sang tiếng Anh
-3. Tối ưu hóa cho AI tạo ảnh (rõ ràng, cụ thể, mô tả thị giác)
-4. Loại bỏ yêu cầu về con người cụ thể hoặc nhân vật có thật
-5. Giới hạn trong 50 từ
-
-QUY TẮC:
-- Nếu nội dung không phù hợp: trả về "INAPPROPRIATE_CONTENT"
-- Nếu phù hợp: trả về prompt tiếng Anh đã tối ưu
-- Chỉ trả về kết quả, không giải thích
-
-INPUT = {focus}
-OUTPUT = {description} 
-{description} = {focusDetailed},%20{adjective1},%20{adjective2},%20{visualStyle1},%20{visualStyle2},%20{visualStyle3},%20{artistReference}
-
-INPUT = a photo of a cat
-OUTPUT = A photo of a cat on a couch, comfortable, cute, colourful, interior design, Ansel Adams
-
-INPUT = Fox with a cloak
-OUTPUT = A fox wearing a cloak, cinematic, heroic, professional photography, 4k, photo realistic, Tim Burton
-
-INPUT: "${sanitizeInput(userPrompt)}"
-OUTPUT:`;
-
-    try {
-      const requestBody = {
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.3, // Lower temperature for more consistent results
-          topK: 40,
-          topP: 0.8,
-          maxOutputTokens: 8000
-        }
-      };
+    const { text: prompt } = await promptRegistry.render('sanitizeImagePrompt', {
+      userPrompt: sanitizeInput(userPrompt)
+    });
 
-      console.log('Sending request to Gemini API for prompt sanitization...');
-      console.log('Request body:', JSON.stringify(requestBody, null, 2));
+    return withAIFallback(async () => {
+      console.log(`Sending request to AI provider (${this.provider.name}) for prompt sanitization...`);
 
-      const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody)
+      const responseText = await this._generate('sanitizeImagePrompt', prompt, {
+        input: userPrompt,
+        temperature: 0.3, // Lower temperature for more consistent results
+        topK: 40,
+        topP: 0.8,
+        maxOutputTokens: 8000
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`Gemini API error ${response.status}:`, errorText);
-        throw new Error(`AI API error: ${response.status} - ${errorText}`);
-      }
-
-      const data = await response.json();
-
-      console.log('Gemini API response:', JSON.stringify(data, null, 2));
-
-      // Handle different possible response formats
-      let responseText = '';
-
-      if (data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        responseText = data.candidates[0].content.parts[0].text;
-      } else if (data.candidates?.[0]?.output) {
-        responseText = data.candidates[0].output;
-      } else if (data.text) {
-        responseText = data.text;
-      } else if (data.response) {
-        responseText = data.response;
-      } else {
-        console.error('Unexpected Gemini API response format:', data);
-        throw new Error('Invalid AI response format - no text content found');
-      }
-
       const sanitizedPrompt = this.cleanupAIResponse(responseText);
 
       // Check if content was deemed inappropriate
@@ -399,7 +219,7 @@ OUTPUT:`;
 
       return sanitizedPrompt;
 
-    } catch (error) {
+    }, error => {
       console.error('Error sanitizing image prompt:', error);
 
       // Fallback: basic sanitization without AI
@@ -423,89 +243,219 @@ OUTPUT:`;
         .substring(0, 100);
 
       return cleanPrompt || 'A beautiful educational illustration';
-    }
+    });
   }
 
-  // Generate question explanations using AI
-  async generateQuestionExplanation(question, correctAnswer, studentAnswer) {
+  // Generate question explanations using AI, grounded in the materials library like explainAnswer
+  async generateQuestionExplanation(question, correctAnswer, studentAnswer, { grade = null } = {}) {
     // Create cache key from question parameters
-    const explanationData = { question, correctAnswer, studentAnswer };
-    const cachedResult = await aiCacheService.get('explanation', explanationData);
+    const explanationData = { question, correctAnswer, studentAnswer, grade };
+    const cachedResult = await aiCacheService.get('explanation', explanationData, { template: await promptRegistry.describe('explanation') });
     if (cachedResult) {
       console.log('Using cached question explanation');
+      await aiUsageService.record({ operation: 'explanation', cacheHit: true });
       return cachedResult.explanation || cachedResult;
     }
 
-    const prompt = `Giải thích tại sao đáp án đúng cho câu hỏi sau:
-
-Câu hỏi: ${question}
-Đáp án đúng: ${correctAnswer}
-Đáp án học sinh chọn: ${studentAnswer}
-
-Yêu cầu:
-- Giải thích ngắn gọn, dễ hiểu
-- Nêu rõ tại sao đáp án đúng là chính xác
-- Nếu học sinh chọn sai, giải thích tại sao đáp án đó không đúng
-- Tối đa 2-3 câu`;
+    const snippets = this._findReferences(`${question} ${correctAnswer}`, grade);
+    const { text: prompt, template } = await promptRegistry.render('explanation', {
+      question: String(question),
+      correctAnswer: String(correctAnswer),
+      studentAnswer: String(studentAnswer),
+      references: snippets.length > 0 ? materialsService.formatReferences(snippets) : null
+    });
 
-    try {
-      const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.3,
-            topK: 20,
-            topP: 0.8,
-            maxOutputTokens: 8000
-          }
-        })
+    return withAIFallback(async () => {
+      const responseText = await this._generate('explanation', prompt, {
+        input: explanationData,
+        temperature: 0.3,
+        topK: 20,
+        topP: 0.8,
+        maxOutputTokens: 8000
       });
 
-      if (!response.ok) {
-        throw new Error(`AI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        throw new Error('Invalid AI response format');
-      }
-
-      const explanation = this.cleanupAIResponse(data.candidates[0].content.parts[0].text);
+      const explanation = this.cleanupAIResponse(responseText);
       
       // Cache the result
-      await aiCacheService.set('explanation', explanationData, explanation, 1800); // Cache for 30 minutes
+      await aiCacheService.set('explanation', explanationData, { explanation }, 1800, { template }); // Cache for 30 minutes
       
       return explanation;
 
-    } catch (error) {
+    }, error => {
       console.error('Error generating question explanation:', error);
       throw new Error('Không thể tạo giải thích câu hỏi');
+    });
+  }
+
+  /**
+   * Generate a detailed step-by-step explanation of an answer for students
+   * Grounded in the best matching sections of the materials library.
+   * @param {string} question - Question text
+   * @param {string} answer - Answer to explain
+   * @param {string} explanation - Existing short explanation (optional)
+   * @param {Object} options - { grade } to search only that grade's materials
+   * @returns {Promise<Object>} { explanation, sources }
+   */
+  async explainAnswer(question, answer, explanation, { grade = null } = {}) {
+    // Near-identical requests (whitespace, option order) reuse a cached explanation
+    const explanationData = { question, answer, explanation: explanation || null, grade };
+    const cachedResult = await aiCacheService.get('explainAnswer', explanationData, { template: await promptRegistry.describe('explainAnswer') });
+    if (cachedResult && cachedResult.explanation) {
+      await aiUsageService.record({ operation: 'explainAnswer', cacheHit: true });
+      return { explanation: cachedResult.explanation, sources: cachedResult.sources || [] };
     }
+
+    const snippets = this._findReferences(`${question} ${answer}`, grade);
+    const { text: prompt, template } = await promptRegistry.render('explainAnswer', {
+      question: String(question),
+      answer: String(answer),
+      existingExplanation: explanation ? `Giải thích có sẵn: ${explanation}` : null,
+      references: snippets.length > 0 ? materialsService.formatReferences(snippets) : null
+    });
+
+    const text = await this._generate('explainAnswer', prompt, {
+      input: { question, answer, explanation }
+    });
+
+    const sources = materialsService.buildCitations(snippets, text);
+    await aiCacheService.set('explainAnswer', explanationData, { explanation: text, sources }, 1800, { template }); // Cache for 30 minutes
+    return { explanation: text, sources };
   }
 
-  // Validate AI service configuration
-  validateConfiguration() {
-    const errors = [];
+  /**
+   * Write a full step-by-step worked solution (LaTeX) for a lesson question
+   * Not cached: the result is stored on the question itself by solutionService.
+   * @param {Object} question - { question, options, correctAnswer, formulas }
+   * @returns {Promise<string>} Solution text
+   */
+  async generateWorkedSolution({ question, options = [], correctAnswer, formulas = [] }) {
+    const { text: prompt } = await promptRegistry.render('solution', {
+      question: String(question),
+      options: options.length > 0 ? options : null,
+      correctAnswer: String(correctAnswer),
+      formulas: formulas.length > 0 ? formulas : null
+    });
 
-    if (!this.apiKey) {
-      errors.push('GEMINI_API_KEY is not configured');
+    const responseText = await this._generate('solution', prompt, {
+      input: { question, options, correctAnswer },
+      temperature: 0.2,
+      topK: 20,
+      topP: 0.8,
+      maxOutputTokens: 8000
+    });
+
+    return this.cleanupAIResponse(responseText);
+  }
+
+  /**
+   * Write one tier of a practice hint without giving the answer away
+   * Cached per question and tier so every student asking for the same hint shares one call.
+   * @param {Object} request - { question, options, level, instruction, previousHints, grade }
+   * @returns {Promise<Object>} { hint, sources }
+   */
+  async generateHint({ question, options = [], level, instruction, previousHints = [], grade = null }) {
+    const hintData = { question, options, level, previousHints };
+    const cachedResult = await aiCacheService.get('hint', hintData, { template: await promptRegistry.describe('hint') });
+    if (cachedResult && cachedResult.hint) {
+      await aiUsageService.record({ operation: 'hint', cacheHit: true });
+      return { hint: cachedResult.hint, sources: cachedResult.sources || [] };
     }
 
-    if (!this.apiUrl) {
-      errors.push('Gemini API URL is not configured');
+    const snippets = this._findReferences(`${question} ${options.join(' ')}`, grade);
+    const { text: prompt, template } = await promptRegistry.render('hint', {
+      question: String(question),
+      options: options.length > 0 ? options : null,
+      level,
+      instruction,
+      previousHints: previousHints.length > 0 ? previousHints : null,
+      references: snippets.length > 0 ? materialsService.formatReferences(snippets) : null
+    });
+
+    const responseText = await this._generate('hint', prompt, {
+      input: { question, level },
+      temperature: 0.3,
+      topK: 20,
+      topP: 0.8,
+      maxOutputTokens: 2000
+    });
+
+    const hint = this.cleanupAIResponse(responseText);
+    const sources = materialsService.buildCitations(snippets, hint);
+    await aiCacheService.set('hint', hintData, { hint, sources }, HINT_CONFIG.AI_CACHE_TTL, { template });
+    return { hint, sources };
+  }
+
+  /**
+   * Draft practice questions for a materials topic
+   * Not cached: every request should produce a fresh set. The caller checks the questions.
+   * @param {Object} request - { grade, chapter, topic, subtopics, material, slots: [{ type, difficulty }], avoid }
+   * @returns {Promise<Array>} Raw question objects as returned by the model
+   */
+  async generateQuestions({ grade, chapter, topic, subtopics = [], material, slots, avoid = [] }) {
+    const { text: prompt } = await promptRegistry.render('generateQuestions', {
+      grade: Number(grade),
+      chapter: String(chapter),
+      topic: String(topic),
+      subtopics: subtopics.length > 0 ? subtopics : null,
+      material,
+      plan: slots.map((slot, index) => `Câu ${index + 1}: ${slot.type}, mức ${slot.difficulty}`),
+      avoid: avoid.length > 0 ? avoid : null
+    });
+
+    const responseText = await this._generate('generateQuestions', prompt, {
+      input: { grade, topic, slots },
+      temperature: 0.7,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 16000
+    });
+
+    // The model may wrap the array in a code block or add a sentence around it
+    const text = String(responseText).replace(/```[a-z]*\n?/gi, '').replace(/```/g, '');
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    try {
+      const questions = JSON.parse(text.substring(start, end + 1));
+      if (start < 0 || !Array.isArray(questions)) throw new Error('not an array');
+      return questions;
+    } catch (error) {
+      console.error('Could not parse generated questions:', error.message);
+      throw new AppError('AI returned questions in an unexpected format', 502, 'AI_INVALID_RESPONSE');
     }
+  }
+
+  // Helper method to find the materials sections that ground a prompt
+  _findReferences(query, grade = null) {
+    try {
+      return materialsService.search(query, { grade: parseInt(grade, 10) || null });
+    } catch (error) {
+      console.error('Error searching materials:', error);
+      return [];
+    }
+  }
+
+  // Helper method to add the materials sections to a chat system instruction
+  _formatReferenceBlock(snippets) {
+    if (snippets.length === 0) return '';
+    return `\nTÀI LIỆU THAM KHẢO (thư viện bài học; khi sử dụng, ghi số nguồn trong ngoặc vuông, ví dụ [1]):\n${materialsService.formatReferences(snippets).join('\n')}\n`;
+  }
+
+  // Helper method to list the tools a chat request may use, for the system instruction
+  _describeChatTools(useGoogleSearch, toolMode) {
+    const tools = [];
+    if (useGoogleSearch) tools.push('Google Search: Có thể tìm kiếm thông tin trên Google');
+    if (toolMode === 'url') tools.push('URL Context: Có thể đọc và phân tích nội dung từ URL');
+    if (toolMode === 'code') tools.push('Code Execution: Có thể thực thi Python code để tính toán và vẽ đồ thị');
+    return tools;
+  }
+
+  // Validate AI service configuration
+  validateConfiguration() {
+    const { isValid, errors } = this.provider.validateConfiguration();
 
     return {
-      isValid: errors.length === 0,
+      provider: this.provider.name,
+      isValid,
       errors
     };
   }
@@ -515,89 +465,40 @@ Yêu cầu:
     const cacheKey = `tag_suggestions_${JSON.stringify(lessonData)}_${existingTags.join(',')}`;
 
     // Check cache first
-    const cached = await aiCacheService.get('tag_suggestions', cacheKey);
+    const cached = await aiCacheService.get('tag_suggestions', cacheKey, { template: await promptRegistry.describe('tags') });
     if (cached) {
+      await aiUsageService.record({ operation: 'tags', cacheHit: true });
       return cached;
     }
 
     // Create a comprehensive lesson description for AI analysis
     const lessonDescription = this.createLessonDescription(lessonData);
 
-    const prompt = `Bạn là một chuyên gia giáo dục AI chuyên phân tích và gắn thẻ nội dung bài học.
-
-THÔNG TIN BÀI HỌC:
-${lessonDescription}
-
-DANH SÁCH TẤT CẢ CÁC TAG HIỆN CÓ TRONG HỆ THỐNG:
-${existingTags.map(tag => `- ${tag}`).join('\n')}
-
-NHIỆM VỤ:
-1. Phân tích nội dung bài học và chọn các tag phù hợp nhất từ danh sách có sẵn
-2. Đề xuất 3 tag mới có thể hữu ích cho bài học này
+    const { text: prompt, template } = await promptRegistry.render('tags', { lessonDescription, existingTags });
 
-YÊU CẦU ĐỊNH DẠNG XML:
-<existing_tags>
-[Liệt kê các tag từ danh sách có sẵn phù hợp với bài học, mỗi tag trên một dòng]
-</existing_tags>
-
-<suggested_tags>
-[Đề xuất 3 tag mới, mỗi tag trên một dòng, KHÔNG có dấu tiếng Việt, KHÔNG có khoảng trắng, chỉ dùng chữ cái Latin thường]
-</suggested_tags>
-
-LƯU Ý:
-- Chỉ chọn tag từ danh sách có sẵn nếu thực sự phù hợp
-- Tag mới PHẢI tuân thủ format: không dấu, không khoảng trắng, chỉ chữ cái Latin thường
-- Ví dụ tag mới hợp lệ: "vatly10", "chuyendong", "kinhhoc", "bailuyen"
-- Ưu tiên tag mô tả chủ đề, cấp độ, loại bài tập
-- Không lặp lại tag đã có trong danh sách`;
-
-    try {
-      const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.3,
-            topK: 40,
-            topP: 0.8,
-            maxOutputTokens: 8000
-          }
-        })
+    return withAIFallback(async () => {
+      const responseText = await this._generate('tags', prompt, {
+        input: { lessonData, existingTags },
+        temperature: 0.3,
+        topK: 40,
+        topP: 0.8,
+        maxOutputTokens: 8000
       });
-
-      if (!response.ok) {
-        throw new Error(`AI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        throw new Error('Invalid AI response format');
-      }
-
-      const responseText = data.candidates[0].content.parts[0].text;
       const suggestions = this.parseTagSuggestions(responseText);
 
       // Cache the result
-      await aiCacheService.set('tag_suggestions', cacheKey, suggestions, 1800); // Cache for 30 minutes
+      await aiCacheService.set('tag_suggestions', cacheKey, suggestions, 1800, { template }); // Cache for 30 minutes
 
       return suggestions;
 
-    } catch (error) {
+    }, error => {
       console.error('Error generating tag suggestions:', error);
       // Return fallback suggestions
       return {
         existingTags: [],
         suggestedTags: ['bài tập', 'ôn tập', 'kiểm tra']
       };
-    }
+    });
   }
 
   // Helper method to create lesson description for AI analysis
@@ -680,36 +581,14 @@ LƯU Ý:
     try {
       const testPrompt = "Trả lời: OK";
       
-      const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: testPrompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.1,
-            maxOutputTokens: 8000
-          }
-        })
+      await this._generate('test', testPrompt, {
+        temperature: 0.1,
+        maxOutputTokens: 8000
       });
 
-      if (!response.ok) {
-        throw new Error(`API responded with status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        throw new Error('Invalid response format');
-      }
-
       return {
         success: true,
+        provider: this.provider.name,
         message: 'AI service is working correctly'
       };
 
@@ -748,11 +627,12 @@ LƯU Ý:
       cacheKey = `chat_assist_${Buffer.from(message + JSON.stringify(lessonContent) + JSON.stringify(options)).toString('base64').slice(0, 32)}`;
       const cached = await aiCacheService.get('chat_assistance', cacheKey);
       if (cached) {
+        await aiUsageService.record({ operation: 'chat', cacheHit: true });
         return cached;
       }
     }
 
-    try {
+    return withAIFallback(async () => {
       // Prepare tools based on options
       const tools = [];
       if (useGoogleSearch) {
@@ -764,104 +644,35 @@ LƯU Ý:
         tools.push({ codeExecution: {} });
       }
 
-      const systemInstruction = `Bạn là AI trợ lý hữu ích.
-
-THÔNG TIN BÀI HỌC HIỆN TẠI:
-${lessonContent.rawText ? `Nội dung: ${lessonContent.rawText}` : 'Chưa có nội dung'}
-${lessonContent.questions ? `Số câu hỏi: ${lessonContent.questions.length}` : 'Chưa có câu hỏi'}
-
-CÔNG CỤ HIỆN TẠI:
-${useGoogleSearch ? '- Google Search: Có thể tìm kiếm thông tin trên Google' : ''}
-${toolMode === 'url' ? '- URL Context: Có thể đọc và phân tích nội dung từ URL' : ''}
-${toolMode === 'code' ? '- Code Execution: Có thể thực thi Python code để tính toán và vẽ đồ thị' : ''}
-
-
-HƯỚNG DẪN TRẢ LỜI:
-- Sử dụng định dạng Markdown cho tất cả phản hồi
-- Trả lời một cách chính thức nhưng trực tiếp và rõ ràng
-- Chia nội dung thành các phần rõ ràng với tiêu đề markdown
-- Sử dụng danh sách có dấu đầu dòng khi thích hợp
-- Đặt code, công thức, hoặc nội dung có thể sao chép trong khối code
-- Sử dụng LaTeX cho công thức toán học với cú pháp ký hiệu đô la
-- Sử dụng các công cụ có sẵn để cung cấp thông tin chính xác
-- Đưa ra gợi ý cụ thể và hữu ích cho việc tạo bài học
-- Thay đổi một cách tự nhiên theo nhu cầu của người dùng. Bạn hoàn toàn có thể trò chuyện và giao tiếp như một chatbot bình thường, không bị giới hạn lĩnh vực làm việc.
-Ví dụ, nếu người dùng hỏi về thời tiết, trả lời câu hỏi về  thời tiết mà không cần đề cập về bài học.
-Nếu người dùng hỏi về thông tin mới, trả lời câu hỏi về thông tin mới mà không cần đề cập về bài học.
-Nếu người dùng xin lời khuyên cá nhân, trả lời mà không cần đề cập về bài học.
-nếu người dùng hỏi về bài tập nào đó mà không liên quan đến bài học, không cần đề cập về bài học.
-Nếu người dùng hỏi liên quan đến bài học, thì mới cần đề cập đến bài học.
-
-Hãy trả lời một cách hữu ích và chi tiết theo định dạng Markdown:`;
+      const snippets = this._findReferences(message, lessonContent.grade);
 
+      const { text: systemInstruction } = await promptRegistry.render('chat', {
+        rawText: lessonContent.rawText || 'Chưa có',
+        questionCount: lessonContent.questions ? lessonContent.questions.length : 0,
+        references: this._formatReferenceBlock(snippets),
+        tools: this._describeChatTools(useGoogleSearch, toolMode)
+      });
 
-      const config = {
+      const settings = {
+        input: message,
         temperature: 1,
-        thinkingConfig: {
-          thinkingBudget: 2000,
-        },
+        thinkingBudget: 2000,
         topK: 40,
         topP: 0.95,
-        maxOutputTokens: 4000,
-        responseMimeType: 'text/plain'
+        maxOutputTokens: 4000
       };
 
-      let aiResponse;
-
-      // Use Google GenAI if tools are needed, otherwise use regular Gemini API
-      if (tools.length > 0) {
-        config.tools = tools;
-        config.systemInstruction = [{ text: systemInstruction }];
-
-        const response = await this.genAI.models.generateContent({
-          model: 'gemini-2.5-flash',
-          config,
-          contents: [
-            {
-              role: 'user',
-              parts: [{ text: message }]
-            }
-          ]
-        });
-
-        if (!response.candidates?.[0]?.content?.parts?.[0]?.text) {
-          throw new Error('Invalid AI response format');
-        }
-
-        aiResponse = this.cleanupAIResponse(response.candidates[0].content.parts[0].text);
-      } else {
-        // Use regular Gemini API for basic chat
-        const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            contents: [{
-              parts: [{
-                text: systemInstruction + '\n\nYÊU CẦU CỦA NGƯỜI DÙNG:\n' + message
-              }]
-            }],
-            generationConfig: config
-          })
-        });
-
-        if (!response.ok) {
-          throw new Error(`AI API error: ${response.status}`);
-        }
+      // Tool requests send the instruction separately; plain chat folds it into the prompt
+      const responseText = tools.length > 0
+        ? await this._generate('chat', message, { ...settings, tools, systemInstruction })
+        : await this._generate('chat', systemInstruction + '\n\nYÊU CẦU CỦA NGƯỜI DÙNG:\n' + message, settings);
 
-        const data = await response.json();
-
-        if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-          throw new Error('Invalid AI response format');
-        }
-
-        aiResponse = this.cleanupAIResponse(data.candidates[0].content.parts[0].text);
-      }
+      const aiResponse = this.cleanupAIResponse(responseText);
 
       const result = {
         message: aiResponse,
-        actions: []
+        actions: [],
+        sources: materialsService.buildCitations(snippets, aiResponse)
       };
 
       // Cache the result (only for non-streaming)
@@ -871,15 +682,16 @@ Hãy trả lời một cách hữu ích và chi tiết theo định dạng Markd
 
       return result;
 
-    } catch (error) {
+    }, error => {
       console.error('Error generating chat assistance:', error);
 
       // Return fallback response
       return {
         message: 'Xin lỗi, tôi đang gặp sự cố kỹ thuật. Vui lòng thử lại sau hoặc mô tả chi tiết hơn yêu cầu của bạn.',
-        actions: []
+        actions: [],
+        sources: []
       };
-    }
+    });
   }
 
   /**
@@ -888,11 +700,12 @@ Hãy trả lời một cách hữu ích và chi tiết theo định dạng Markd
    * @param {Object} lessonContent - Current lesson content
    * @param {Object} options - Options for tools, etc.
    * @param {Function} onChunk - Callback for each chunk of response
+   * @returns {Promise<Object>} { sources } materials sections given to the model
    */
   async streamChatResponse(message, lessonContent, options, onChunk) {
     const { useGoogleSearch = false, toolMode = 'url' } = options;
 
-    try {
+    return withAIFallback(async () => {
       // Prepare tools based on options
       const tools = [];
       if (useGoogleSearch) {
@@ -904,74 +717,55 @@ Hãy trả lời một cách hữu ích và chi tiết theo định dạng Markd
         tools.push({ codeExecution: {} });
       }
 
-      const systemInstruction = `Bạn là AI trợ lý hữu ích. Nhiệm vụ của bạn là hỗ trợ giáo viên tạo và cải thiện bài học.
-
-THÔNG TIN BÀI HỌC HIỆN TẠI:
-${lessonContent.rawText ? `Nội dung: ${lessonContent.rawText}` : 'Chưa có nội dung'}
-${lessonContent.questions ? `Số câu hỏi: ${lessonContent.questions.length}` : 'Chưa có câu hỏi'}
-
-CÔNG CỤ HIỆN TẠI:
-${useGoogleSearch ? '- Google Search: Có thể tìm kiếm thông tin trên Google' : ''}
-${toolMode === 'url' ? '- URL Context: Có thể đọc và phân tích nội dung từ URL' : ''}
-${toolMode === 'code' ? '- Code Execution: Có thể thực thi Python code để tính toán và vẽ đồ thị' : ''}
+      const snippets = this._findReferences(message, lessonContent.grade);
 
-HƯỚNG DẪN TRẢ LỜI:
-- Sử dụng định dạng Markdown cho tất cả phản hồi
-- Trả lời một cách chính thức nhưng trực tiếp và rõ ràng
-- Chia nội dung thành các phần rõ ràng với tiêu đề markdown
-- Sử dụng danh sách có dấu đầu dòng khi thích hợp
-- Đặt code, công thức, hoặc nội dung có thể sao chép trong khối code
-- Sử dụng LaTeX cho công thức toán học với cú pháp ký hiệu đô la
-- Sử dụng các công cụ có sẵn để cung cấp thông tin chính xác
-- Đưa ra gợi ý cụ thể và hữu ích cho việc tạo bài học
-- Thay đổi một cách tự nhiên theo nhu cầu của người dùng
-
-Hãy trả lời một cách hữu ích và chi tiết theo định dạng Markdown:`;
+      const { text: systemInstruction } = await promptRegistry.render('chatStream', {
+        rawText: lessonContent.rawText || 'Chưa có',
+        questionCount: lessonContent.questions ? lessonContent.questions.length : 0,
+        references: this._formatReferenceBlock(snippets),
+        tools: this._describeChatTools(useGoogleSearch, toolMode)
+      });
 
-      const config = {
+      const request = {
+        task: 'chat',
+        prompt: message,
+        input: message,
         temperature: 1,
-        thinkingConfig: {
-          thinkingBudget: 2000,
-        },
+        thinkingBudget: 2000,
         topK: 40,
         topP: 0.95,
-        maxOutputTokens: 4000,
-        responseMimeType: 'text/plain'
+        maxOutputTokens: 4000
       };
 
+      // The instruction only travels separately together with tools, as before
       if (tools.length > 0) {
-        config.tools = tools;
-        config.systemInstruction = [{ text: systemInstruction }];
+        request.tools = tools;
+        request.systemInstruction = systemInstruction;
+      } else if (snippets.length > 0) {
+        request.prompt = `${this._formatReferenceBlock(snippets)}\nYÊU CẦU CỦA NGƯỜI DÙNG:\n${message}`;
       }
 
-      // Use true streaming with Google GenAI
-      const stream = await this.genAI.models.generateContentStream({
-        model: 'gemini-2.5-flash',
-        config,
-        contents: [
-          {
-            role: 'user',
-            parts: [{ text: message }]
-          }
-        ]
-      });
-
-      // Process streaming chunks
-      for await (const chunk of stream) {
-        if (chunk.candidates?.[0]?.content?.parts?.[0]?.text) {
-          const chunkText = chunk.candidates[0].content.parts[0].text;
-          onChunk(chunkText);
-        }
+      // Stream chunks from the provider as they arrive
+      const reservationId = await aiUsageService.reserve('chat');
+      let response;
+      try {
+        response = await this.provider.streamText(request, onChunk);
+      } catch (error) {
+        await aiUsageService.release(reservationId);
+        throw error;
       }
+      const { text, usage } = response;
+      await aiUsageService.record({ operation: 'chat', provider: this.provider.name, usage, reservationId });
 
-    } catch (error) {
+      return { sources: materialsService.buildCitations(snippets, text) };
+
+    }, error => {
       console.error('Error in streaming chat response:', error);
       onChunk('Xin lỗi, tôi đang gặp sự cố kỹ thuật. Vui lòng thử lại sau.');
-    }
+      return { sources: [] };
+    });
   }
 
-
-
   /**
    * Analyze lesson content and provide insights
    * @param {Object} lessonContent - Lesson content to analyze
@@ -981,83 +775,34 @@ Hãy trả lời một cách hữu ích và chi tiết theo định dạng Markd
     const cacheKey = `lesson_analysis_${Buffer.from(JSON.stringify(lessonContent)).toString('base64').slice(0, 32)}`;
 
     // Check cache first
-    const cached = await aiCacheService.get('lesson_analysis', cacheKey);
+    const cached = await aiCacheService.get('lesson_analysis', cacheKey, { template: await promptRegistry.describe('analysis') });
     if (cached) {
+      await aiUsageService.record({ operation: 'analysis', cacheHit: true });
       return cached;
     }
 
-    const prompt = `Phân tích bài học vật lý sau đây và đưa ra đánh giá chi tiết:
-
-THÔNG TIN BÀI HỌC:
-${lessonContent.rawText || 'Không có nội dung'}
-
-SỐ LƯỢNG CÂU HỎI: ${lessonContent.questions ? lessonContent.questions.length : 0}
-
-HÃY PHÂN TÍCH THEO CÁC TIÊU CHÍ SAU:
-
-📊 **TỔNG QUAN BÀI HỌC**
-- Đánh giá chất lượng tổng thể
-- Mức độ phù hợp với học sinh
-
-🎯 **PHÂN TÍCH CÂU HỎI**
-- Phân bố độ khó (dễ/trung bình/khó)
-- Đa dạng dạng câu hỏi
-- Chất lượng đáp án
-
-📝 **ĐIỂM MẠNH**
-- Những ưu điểm nổi bật
-- Câu hỏi hay, sáng tạo
-
-⚠️ **ĐIỂM CẦN CẢI THIỆN**
-- Vấn đề cần khắc phục
-- Gợi ý cải thiện cụ thể
-
-💡 **ĐỀ XUẤT**
-- Thêm câu hỏi về chủ đề nào
-- Điều chỉnh độ khó
-- Cải thiện cấu trúc
-
-Trả lời bằng tiếng Việt, chi tiết và có cấu trúc rõ ràng.`;
+    const { text: prompt, template } = await promptRegistry.render('analysis', {
+      rawText: lessonContent.rawText || 'Không có nội dung',
+      questionCount: lessonContent.questions ? lessonContent.questions.length : 0
+    });
 
-    try {
-      const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.5,
-            topK: 30,
-            topP: 0.8,
-            maxOutputTokens: 8000
-          }
-        })
+    return withAIFallback(async () => {
+      const responseText = await this._generate('analysis', prompt, {
+        input: lessonContent,
+        temperature: 0.5,
+        topK: 30,
+        topP: 0.8,
+        maxOutputTokens: 8000
       });
 
-      if (!response.ok) {
-        throw new Error(`AI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
-        throw new Error('Invalid AI response format');
-      }
-
-      const analysis = this.cleanupAIResponse(data.candidates[0].content.parts[0].text);
+      const analysis = this.cleanupAIResponse(responseText);
 
       // Cache the result
-      await aiCacheService.set('lesson_analysis', cacheKey, analysis, 1800); // Cache for 30 minutes
+      await aiCacheService.set('lesson_analysis', cacheKey, analysis, 1800, { template }); // Cache for 30 minutes
 
       return analysis;
 
-    } catch (error) {
+    }, error => {
       console.error('Error analyzing lesson content:', error);
 
       // Return fallback analysis
@@ -1076,7 +821,7 @@ ${questionCount < 5 ? '- Nên có ít nhất 5-10 câu hỏi cho một bài họ
 ${!hasContent ? '- Thêm nội dung mô tả cho bài học' : ''}
 
 *Lưu ý: Đang gặp sự cố kỹ thuật trong việc phân tích chi tiết. Vui lòng thử lại sau.*`;
-    }
+    });
   }
 }
 
@@ -0,0 +1,523 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { supabase, pgPool } = require('../../config/database');
+const sessionService = require('../sessionService');
+const { AI_USAGE_CONFIG } = require('../../config/constants');
+const { AppError, QuotaExceededError, ValidationError } = require('../../middleware/errorHandler');
+
+const SYSTEM_CALLER = { role: 'system', userId: null, lessonId: null };
+
+/**
+ * Metering and quotas of AI calls
+ * Every call is a row of ai_interactions (id, user_type, user_id, lesson_id, interaction_type,
+ * provider, input_tokens, output_tokens, tokens_used, cache_hit, cost_usd, created_at).
+ * A model call of a caller with a quota is reserved before it is made: the quota check and
+ * the reserved row are written in one transaction under a per-caller advisory lock, so
+ * concurrent requests cannot all pass the check before any of them is counted. The row
+ * gets its token counts when the call finishes and is removed when the call fails.
+ * A route can reserve its first call up front (reserveForRequest) to fail before starting work;
+ * the reservation is kept with the caller of the request and used by its next model call.
+ */
+class AIUsageService {
+  constructor() {
+    // Caller of the request currently being handled, so every AI call can be attributed
+    // without threading it through each aiService method
+    this.callers = new AsyncLocalStorage();
+    this.quotaCache = null;
+  }
+
+  /**
+   * Express middleware that records who is making the request
+   * @returns {Function} Middleware
+   */
+  trackCaller() {
+    return (req, res, next) => {
+      let caller = { ...SYSTEM_CALLER };
+      if (sessionService.isAdminAuthenticated(req)) {
+        caller = { role: 'admin', userId: 'admin', lessonId: null };
+      } else if (sessionService.isStudentAuthenticated(req)) {
+        caller = { role: 'student', userId: String(req.session.studentId), lessonId: null };
+      }
+      this.callers.run(caller, next);
+    };
+  }
+
+  /**
+   * Get the caller of the current request
+   * @returns {Object} { role, userId, lessonId }
+   */
+  getCaller() {
+    return this.callers.getStore() || SYSTEM_CALLER;
+  }
+
+  /**
+   * Attribute the AI calls of the current request to a lesson
+   * @param {string|number} lessonId - Lesson ID
+   */
+  setLesson(lessonId) {
+    const caller = this.callers.getStore();
+    if (caller && lessonId) {
+      caller.lessonId = String(lessonId);
+    }
+  }
+
+  /**
+   * Reserve the first model call of the current request before any work starts
+   * Fails like reserve() when a quota is used up, so a route can answer with a plain error
+   * before it opens a stream or creates a job. The next model call of the request uses the
+   * reservation; one that is still unused when the response ends is released.
+   * @param {string} operation - AI task
+   * @param {Object} res - Express response of the request
+   */
+  async reserveForRequest(operation, res) {
+    const caller = this.callers.getStore();
+    if (!caller) return;
+
+    const reservationId = await this.reserve(operation, caller);
+    if (reservationId === null) return;
+
+    caller.reservationId = reservationId;
+    res.once('close', () => {
+      if (caller.reservationId !== reservationId) return;
+      caller.reservationId = null;
+      this.release(reservationId);
+    });
+  }
+
+  /**
+   * Reserve one model call for the current caller, failing when a quota is used up
+   * A reservation made by reserveForRequest is used instead of a new one.
+   * @param {string} operation - AI task
+   * @param {Object} caller - Defaults to the caller of the current request
+   * @returns {Promise<number|null>} Reservation ID for record() or release(), null when the caller is unlimited
+   */
+  async reserve(operation, caller = this.getCaller()) {
+    if (caller.reservationId) {
+      const reservationId = caller.reservationId;
+      caller.reservationId = null;
+      return reservationId;
+    }
+
+    const quotas = await this.getEffectiveQuotas(caller.role, caller.userId);
+    const limited = AI_USAGE_CONFIG.PERIODS.some(period => quotas[period].tokens !== null || quotas[period].requests !== null);
+    if (!limited) return null;
+
+    const { dayStart, monthStart, nextDay, nextMonth } = this._periodBounds();
+    let client = null;
+    try {
+      client = await pgPool.connect();
+      await client.query('BEGIN');
+      // Concurrent calls of the same caller wait here until the previous reservation is committed
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`ai_quota:${caller.role}:${caller.userId}`]);
+
+      const { rows } = await client.query(
+        `SELECT count(*)::int AS monthly_requests,
+                coalesce(sum(tokens_used), 0)::bigint AS monthly_tokens,
+                count(*) FILTER (WHERE created_at >= $4)::int AS daily_requests,
+                coalesce(sum(tokens_used) FILTER (WHERE created_at >= $4), 0)::bigint AS daily_tokens
+           FROM ai_interactions
+          WHERE user_type = $1 AND user_id IS NOT DISTINCT FROM $2 AND cache_hit = false AND created_at >= $3`,
+        [caller.role, caller.userId, monthStart.toISOString(), dayStart.toISOString()]
+      );
+      this._checkQuotas(quotas, {
+        daily: { requests: rows[0].daily_requests, tokens: Number(rows[0].daily_tokens), resetsAt: nextDay.toISOString() },
+        monthly: { requests: rows[0].monthly_requests, tokens: Number(rows[0].monthly_tokens), resetsAt: nextMonth.toISOString() }
+      });
+
+      const { rows: [reservation] } = await client.query(
+        `INSERT INTO ai_interactions
+           (user_type, user_id, lesson_id, interaction_type, input_tokens, output_tokens, tokens_used, cache_hit, cost_usd)
+         VALUES ($1, $2, $3, $4, 0, 0, 0, false, 0)
+         RETURNING id`,
+        [caller.role, caller.userId, caller.lessonId, operation]
+      );
+      await client.query('COMMIT');
+      return reservation.id;
+    } catch (error) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      if (error instanceof QuotaExceededError) throw error;
+      // Without the usage log the quota cannot be enforced, so the call is refused
+      console.error('Could not reserve AI usage, refusing the call:', error.message);
+      throw new AppError('AI usage could not be checked, please try again later', 503, 'AI_QUOTA_UNAVAILABLE');
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  /**
+   * Give back a reservation whose model call failed
+   * @param {number|null} reservationId - ID returned by reserve()
+   */
+  async release(reservationId) {
+    if (reservationId === null || reservationId === undefined) return;
+
+    const { error } = await supabase
+      .from('ai_interactions')
+      .delete()
+      .eq('id', reservationId);
+
+    if (error) console.warn('Could not release AI usage reservation:', error.message);
+  }
+
+  /**
+   * Record one AI call (model call or cache hit) for the current caller
+   * @param {Object} entry - { operation, provider, usage: { inputTokens, outputTokens }, cacheHit, reservationId }
+   */
+  async record({ operation, provider = null, usage = null, cacheHit = false, reservationId = null }) {
+    const caller = this.getCaller();
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+    const row = {
+      user_type: caller.role,
+      user_id: caller.userId,
+      lesson_id: caller.lessonId,
+      interaction_type: operation,
+      provider,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      tokens_used: inputTokens + outputTokens,
+      cache_hit: cacheHit,
+      cost_usd: this.calculateCost(provider, inputTokens, outputTokens)
+    };
+
+    try {
+      // A reserved call already has its row; it only needs the token counts
+      const { error } = reservationId !== null
+        ? await supabase.from('ai_interactions').update(row).eq('id', reservationId)
+        : await supabase.from('ai_interactions').insert(row);
+
+      if (error) throw error;
+    } catch (error) {
+      // Metering must never break the AI feature itself
+      console.warn('Could not record AI usage:', error.message);
+    }
+  }
+
+  /**
+   * Estimate the cost of a model call
+   * @param {string} provider - Provider name
+   * @param {number} inputTokens - Prompt tokens
+   * @param {number} outputTokens - Generated tokens
+   * @returns {number} Cost in USD
+   */
+  calculateCost(provider, inputTokens, outputTokens) {
+    const price = AI_USAGE_CONFIG.COST_PER_MILLION_TOKENS[provider];
+    if (!price) return 0;
+    return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+  }
+
+  /**
+   * Get model calls and tokens used by a caller in the current day and month
+   * Cache hits are free and do not count towards quotas.
+   * @param {Object} caller - { role, userId }
+   * @returns {Promise<Object>} { daily: { requests, tokens, resetsAt }, monthly: { ... } }
+   */
+  async getUsage(caller) {
+    const { dayStart, monthStart, nextDay, nextMonth } = this._periodBounds();
+
+    let query = supabase
+      .from('ai_interactions')
+      .select('tokens_used, created_at')
+      .eq('user_type', caller.role)
+      .eq('cache_hit', false)
+      .gte('created_at', monthStart.toISOString());
+    query = caller.userId === null ? query.is('user_id', null) : query.eq('user_id', caller.userId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const usage = {
+      daily: { requests: 0, tokens: 0, resetsAt: nextDay.toISOString() },
+      monthly: { requests: 0, tokens: 0, resetsAt: nextMonth.toISOString() }
+    };
+    (data || []).forEach(row => {
+      usage.monthly.requests++;
+      usage.monthly.tokens += row.tokens_used || 0;
+      if (new Date(row.created_at) >= dayStart) {
+        usage.daily.requests++;
+        usage.daily.tokens += row.tokens_used || 0;
+      }
+    });
+
+    return usage;
+  }
+
+  /**
+   * Resolve the quotas that apply to a caller: student override, then role setting, then default
+   * @param {string} role - student, admin or system
+   * @param {string|null} userId - Student ID for students
+   * @returns {Promise<Object>} { daily: { tokens, requests }, monthly: { tokens, requests } }
+   */
+  async getEffectiveQuotas(role, userId = null) {
+    const settings = await this._loadQuotaSettings();
+    const studentQuota = role === 'student' && userId ? settings.get(`student:${userId}`) : null;
+
+    return studentQuota || settings.get(`role:${role}`) || AI_USAGE_CONFIG.DEFAULT_QUOTAS[role] || AI_USAGE_CONFIG.DEFAULT_QUOTAS.system;
+  }
+
+  /**
+   * List all configured quotas with the defaults they override
+   * @returns {Promise<Object>} { defaults, roles, students }
+   */
+  async listQuotas() {
+    const settings = await this._loadQuotaSettings();
+    const roles = {};
+    const students = [];
+
+    for (const [key, quota] of settings) {
+      const [scope, subjectId] = key.split(':');
+      if (scope === 'role') {
+        roles[subjectId] = quota;
+      } else {
+        students.push({ studentId: subjectId, ...quota });
+      }
+    }
+
+    return { defaults: AI_USAGE_CONFIG.DEFAULT_QUOTAS, roles, students };
+  }
+
+  /**
+   * Set the quota of a role or a single student
+   * @param {string} scope - 'role' or 'student'
+   * @param {string} subjectId - Role name or student ID
+   * @param {Object} quota - { daily: { tokens, requests }, monthly: { tokens, requests } } (null = unlimited)
+   * @returns {Promise<Object>} Saved quota
+   */
+  async setQuota(scope, subjectId, quota) {
+    const normalized = this._validateQuota(scope, subjectId, quota);
+
+    const { error } = await supabase
+      .from('ai_quotas')
+      .upsert({
+        scope,
+        subject_id: String(subjectId),
+        daily_tokens: normalized.daily.tokens,
+        daily_requests: normalized.daily.requests,
+        monthly_tokens: normalized.monthly.tokens,
+        monthly_requests: normalized.monthly.requests,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'scope,subject_id' });
+
+    if (error) throw error;
+
+    this.quotaCache = null;
+    return normalized;
+  }
+
+  /**
+   * Remove a quota override (the role setting or default applies again)
+   * @param {string} scope - 'role' or 'student'
+   * @param {string} subjectId - Role name or student ID
+   */
+  async deleteQuota(scope, subjectId) {
+    if (!['role', 'student'].includes(scope)) {
+      throw new ValidationError('Invalid AI quota', ['scope must be role or student']);
+    }
+
+    const { error } = await supabase
+      .from('ai_quotas')
+      .delete()
+      .eq('scope', scope)
+      .eq('subject_id', String(subjectId));
+
+    if (error) throw error;
+    this.quotaCache = null;
+  }
+
+  /**
+   * Spend report grouped by operation and by lesson
+   * @param {Object} filters - { from, to } ISO dates (defaults to the current month)
+   * @returns {Promise<Object>} { from, to, totals, byOperation, byLesson }
+   */
+  async getSpendReport({ from = null, to = null } = {}) {
+    const start = from ? new Date(from) : this._periodBounds().monthStart;
+    const end = to ? new Date(to) : new Date();
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ValidationError('Invalid report date range');
+    }
+
+    const { data, error } = await supabase
+      .from('ai_interactions')
+      .select('interaction_type, lesson_id, input_tokens, output_tokens, tokens_used, cache_hit, cost_usd')
+      .gte('created_at', start.toISOString())
+      .lte('created_at', end.toISOString());
+
+    if (error) throw error;
+
+    const rows = data || [];
+    const byOperation = this._groupSpend(rows, row => row.interaction_type || 'unknown');
+    const byLesson = this._groupSpend(rows.filter(row => row.lesson_id), row => row.lesson_id);
+
+    // Attach lesson titles for the report
+    if (byLesson.length > 0) {
+      const { data: lessons, error: lessonsError } = await supabase
+        .from('lessons')
+        .select('id, title')
+        .in('id', byLesson.map(group => group.key));
+
+      if (lessonsError) throw lessonsError;
+      const titles = new Map((lessons || []).map(lesson => [String(lesson.id), lesson.title]));
+      byLesson.forEach(group => { group.title = titles.get(String(group.key)) || null; });
+    }
+
+    const { key, ...totals } = this._groupSpend(rows, () => 'all')[0] || this._emptySpend('all');
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      totals,
+      byOperation: byOperation.map(({ key, ...group }) => ({ operation: key, ...group })),
+      byLesson: byLesson.map(({ key, ...group }) => ({ lessonId: key, ...group }))
+    };
+  }
+
+  // Helper method to sum usage rows per group, most expensive first
+  _groupSpend(rows, keyOf) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = keyOf(row);
+      if (!groups.has(key)) groups.set(key, this._emptySpend(key));
+
+      const group = groups.get(key);
+      group.calls++;
+      if (row.cache_hit) group.cacheHits++;
+      group.inputTokens += row.input_tokens || 0;
+      group.outputTokens += row.output_tokens || 0;
+      group.tokens += row.tokens_used || 0;
+      group.costUsd += Number(row.cost_usd) || 0;
+    });
+
+    return Array.from(groups.values())
+      .map(group => ({
+        ...group,
+        costUsd: Math.round(group.costUsd * 10000) / 10000,
+        cacheHitRate: group.calls > 0 ? Math.round((group.cacheHits / group.calls) * 100) / 100 : 0
+      }))
+      .sort((a, b) => b.costUsd - a.costUsd || b.tokens - a.tokens);
+  }
+
+  // Helper method to create an empty spend group
+  _emptySpend(key) {
+    return { key, calls: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, tokens: 0, costUsd: 0 };
+  }
+
+  // Helper method to read quota overrides, cached for a short while
+  async _loadQuotaSettings() {
+    if (this.quotaCache && this.quotaCache.expiresAt > Date.now()) {
+      return this.quotaCache.settings;
+    }
+
+    const settings = new Map();
+    try {
+      const { data, error } = await supabase
+        .from('ai_quotas')
+        .select('scope, subject_id, daily_tokens, daily_requests, monthly_tokens, monthly_requests');
+
+      if (error) throw error;
+
+      (data || []).forEach(row => {
+        settings.set(`${row.scope}:${row.subject_id}`, {
+          daily: { tokens: row.daily_tokens, requests: row.daily_requests },
+          monthly: { tokens: row.monthly_tokens, requests: row.monthly_requests }
+        });
+      });
+    } catch (error) {
+      console.warn('Could not load AI quotas, using defaults:', error.message);
+    }
+
+    this.quotaCache = { settings, expiresAt: Date.now() + AI_USAGE_CONFIG.QUOTA_CACHE_MS };
+    return settings;
+  }
+
+  // Helper method to validate a quota update
+  _validateQuota(scope, subjectId, quota) {
+    const errors = [];
+
+    if (!['role', 'student'].includes(scope)) {
+      errors.push('scope must be role or student');
+    }
+    if (scope === 'role' && !AI_USAGE_CONFIG.ROLES.includes(subjectId)) {
+      errors.push(`role must be one of: ${AI_USAGE_CONFIG.ROLES.join(', ')}`);
+    }
+    if (!subjectId) {
+      errors.push('subject is required');
+    }
+
+    const normalized = {};
+    AI_USAGE_CONFIG.PERIODS.forEach(period => {
+      normalized[period] = {};
+      ['tokens', 'requests'].forEach(metric => {
+        const value = quota?.[period]?.[metric];
+        if (value === undefined || value === null) {
+          normalized[period][metric] = null;
+        } else if (!Number.isInteger(value) || value < 0) {
+          errors.push(`${period}.${metric} must be a non-negative integer or null`);
+        } else {
+          normalized[period][metric] = value;
+        }
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid AI quota', errors);
+    }
+    return normalized;
+  }
+
+  // Helper method to throw when usage has reached any quota
+  _checkQuotas(quotas, usage) {
+    for (const period of AI_USAGE_CONFIG.PERIODS) {
+      for (const metric of ['requests', 'tokens']) {
+        const limit = quotas[period][metric];
+        const used = usage[period][metric];
+        if (limit !== null && used >= limit) {
+          throw new QuotaExceededError(
+            period === 'daily'
+              ? 'Bạn đã dùng hết hạn mức AI của hôm nay. Vui lòng thử lại vào ngày mai.'
+              : 'Bạn đã dùng hết hạn mức AI của tháng này.',
+            { period, metric, limit, used, resetsAt: usage[period].resetsAt }
+          );
+        }
+      }
+    }
+  }
+
+  // Helper method to get the start of the current day and month and when they reset
+  // Periods follow the calendar of AI_USAGE_CONFIG.TIME_ZONE, not the server's clock
+  _periodBounds() {
+    const { year, month, day } = this._zonedDate(new Date());
+
+    return {
+      dayStart: this._zonedMidnight(year, month, day),
+      monthStart: this._zonedMidnight(year, month, 1),
+      nextDay: this._zonedMidnight(year, month, day + 1),
+      nextMonth: this._zonedMidnight(year, month + 1, 1)
+    };
+  }
+
+  // Helper method to read the calendar date and time of an instant in the app time zone (month is 0-based)
+  _zonedDate(date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: AI_USAGE_CONFIG.TIME_ZONE,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).forEach(({ type, value }) => { parts[type] = parseInt(value, 10); });
+
+    return { year: parts.year, month: parts.month - 1, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+  }
+
+  // Helper method to find the instant of midnight in the app time zone (day and month may overflow)
+  _zonedMidnight(year, month, day) {
+    const guess = Date.UTC(year, month, day);
+    const local = this._zonedDate(new Date(guess));
+    const offset = Date.UTC(local.year, local.month, local.day, local.hour, local.minute, local.second) - guess;
+    return new Date(guess - offset);
+  }
+}
+
+module.exports = new AIUsageService();
@@ -1,5 +1,6 @@
 const fetch = require('node-fetch');
 const aiService = require('./aiService');
+const { withAIFallback } = require('../../middleware/errorHandler');
 
 class ImageGenerationService {
   constructor() {
@@ -21,7 +22,7 @@ class ImageGenerationService {
       for (let modelIndex = 0; modelIndex < models.length; modelIndex++) {
         const currentModel = models[modelIndex];
 
-        try {
+        const image = await withAIFallback(async () => {
           console.log(`Image generation attempt ${attempt}/${maxRetries} with model: ${currentModel}`);
 
           let imagePrompt;
@@ -50,15 +51,16 @@ class ImageGenerationService {
             model: currentModel,
             isCustomPrompt: !!customPrompt
           };
-        } catch (error) {
+        }, error => {
           console.error(`Attempt ${attempt} with model ${currentModel} failed:`, error.message);
           lastError = error;
+          return null;
+        });
+        if (image) return image;
 
-          // If turbo fails, try flux immediately
-          if (currentModel === 'turbo' && modelIndex === 0) {
-            console.log(`Turbo model failed, trying flux model...`);
-            continue;
-          }
+        // If turbo fails, try flux immediately
+        if (currentModel === 'turbo' && modelIndex === 0) {
+          console.log(`Turbo model failed, trying flux model...`);
         }
       }
 
@@ -181,7 +183,7 @@ class ImageGenerationService {
   async generateImageVariations(lessonData, count = 3) {
     const results = [];
     
-    try {
+    return withAIFallback(async () => {
       // Generate the base prompt once
       const basePrompt = await aiService.generateImagePrompt(lessonData);
       
@@ -205,14 +207,14 @@ class ImageGenerationService {
         success: true,
         variations: results
       };
-    } catch (error) {
+    }, error => {
       console.error('Error generating image variations:', error);
       return {
         success: false,
         error: error.message,
         variations: results
       };
-    }
+    });
   }
 
   /**
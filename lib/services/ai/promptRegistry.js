@@ -0,0 +1,399 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { supabase } = require('../../config/database');
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+const { AI_CONFIG } = require('../../config/constants');
+
+const PROMPTS_DIR = path.join(__dirname, '..', '..', 'prompts');
+const PROMPT_EXTENSION = '.prompt';
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'list'];
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Registry of named, versioned prompt templates
+ * Each template is a file in lib/prompts:
+ *
+ *   ---
+ *   name: summary
+ *   version: 1
+ *   description: ...
+ *   variables:
+ *     lessonContext: string
+ *     tags: list?
+ *   ---
+ *   Prompt text with {{lessonContext}} placeholders
+ *
+ * Variable types are string, number, boolean and list (rendered as "- item" lines);
+ * a trailing "?" marks a variable as optional (rendered as an empty string when missing).
+ *
+ * The bundled files are read-only at runtime (serverless filesystems are), so admin edits
+ * are stored in the prompt_overrides table (name, version, description, body, updated_at)
+ * and shared by every instance. An override replaces the body and description of its
+ * bundled template; a deploy that ships a file with a higher version takes precedence.
+ * Instances re-read the overrides every PROMPT_OVERRIDES_REFRESH_MS and fall back to the
+ * bundled files when the table cannot be read.
+ */
+class PromptRegistry {
+  constructor() {
+    this.bundled = new Map(); // Templates read from lib/prompts
+    this.overrides = new Map(); // Rows of prompt_overrides
+    this.templates = new Map(); // Effective templates
+    this.overridesLoadedAt = 0;
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this._loadAll();
+    this._merge();
+  }
+
+  /**
+   * List all templates without their bodies
+   * @returns {Promise<Array>} Template summaries sorted by name
+   */
+  async list() {
+    await this.syncOverrides();
+    return Array.from(this.templates.values())
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(({ body, ...summary }) => summary);
+  }
+
+  /**
+   * Get a template including its body
+   * @param {string} name - Template name
+   * @returns {Promise<Object>} Template
+   */
+  async get(name) {
+    await this.syncOverrides();
+    return this._get(name);
+  }
+
+  /**
+   * Get the version stamp of a template (recorded in cache entries)
+   * @param {string} name - Template name
+   * @returns {Promise<Object>} { name, version, checksum }
+   */
+  async describe(name) {
+    await this.syncOverrides();
+    return this._stamp(this._get(name));
+  }
+
+  /**
+   * Render a template with typed variables
+   * @param {string} name - Template name
+   * @param {Object} variables - Values for the template variables
+   * @returns {Promise<Object>} { text, template: { name, version, checksum } }
+   */
+  async render(name, variables = {}) {
+    await this.syncOverrides();
+    const template = this._get(name);
+    const errors = this._checkVariables(template, variables);
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid variables for prompt template "${name}"`, errors);
+    }
+
+    return {
+      text: this._fill(template, variables),
+      template: this._stamp(template)
+    };
+  }
+
+  /**
+   * Render a template for admins, filling missing required variables with placeholders
+   * @param {string} name - Template name
+   * @param {Object} variables - Sample values (may be partial)
+   * @returns {Promise<Object>} { text, template, missingVariables }
+   */
+  async preview(name, variables = {}) {
+    await this.syncOverrides();
+    const template = this._get(name);
+    const missingVariables = template.variables
+      .filter(variable => variable.required && (variables[variable.name] === undefined || variables[variable.name] === null))
+      .map(variable => variable.name);
+
+    // Values that were given must still have the right type
+    const errors = this._checkVariables(template, variables)
+      .filter(error => !missingVariables.includes(error.field));
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid variables for prompt template "${name}"`, errors);
+    }
+
+    const sample = { ...variables };
+    missingVariables.forEach(variableName => {
+      const { type } = template.variables.find(variable => variable.name === variableName);
+      sample[variableName] = type === 'list' ? [`<${variableName}>`] : `<${variableName}>`;
+    });
+
+    return {
+      text: this._fill(template, sample),
+      template: this._stamp(template),
+      missingVariables
+    };
+  }
+
+  /**
+   * Edit a template: stores an override with the next version number
+   * @param {string} name - Template name
+   * @param {Object} changes - { body, description }
+   * @returns {Promise<Object>} Updated template summary
+   */
+  async update(name, { body, description } = {}) {
+    await this.syncOverrides({ force: true });
+    const current = this._get(name);
+
+    if (body !== undefined && (typeof body !== 'string' || body.trim() === '')) {
+      throw new ValidationError('Template body must be a non-empty string');
+    }
+    if (description !== undefined && typeof description !== 'string') {
+      throw new ValidationError('Template description must be a string');
+    }
+
+    const next = {
+      ...current,
+      version: current.version + 1,
+      description: description !== undefined ? description.trim() : current.description,
+      body: body !== undefined ? body.replace(/\r\n/g, '\n') : current.body
+    };
+
+    const unknown = this._placeholders(next.body).filter(placeholder => !next.variables.some(variable => variable.name === placeholder));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Template uses undeclared variables: ${unknown.join(', ')}`, unknown.map(placeholder => ({ field: placeholder, message: 'Undeclared variable' })));
+    }
+
+    const { error } = await supabase
+      .from(AI_CONFIG.PROMPT_OVERRIDES_TABLE)
+      .upsert({
+        name,
+        version: next.version,
+        description: next.description,
+        body: next.body,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'name' });
+
+    if (error) throw error;
+
+    await this.syncOverrides({ force: true });
+    const updated = this._get(name);
+    console.log(`📝 Prompt template ${name} updated to v${updated.version}`);
+
+    const { body: _body, ...summary } = updated;
+    return summary;
+  }
+
+  /**
+   * Re-read all template files and stored edits (e.g. after a deploy)
+   * @returns {Promise<Object>} { changed: [names] }
+   */
+  async reload() {
+    this.bundled.clear();
+    this._loadAll();
+    return this.syncOverrides({ force: true, reread: true });
+  }
+
+  /**
+   * Refresh the stored edits when the local copy is older than PROMPT_OVERRIDES_REFRESH_MS
+   * Templates whose text changed are announced to onChange listeners.
+   * @param {Object} options - { force } to read the table regardless of age
+   * @returns {Promise<Object>} { changed: [names] }
+   */
+  async syncOverrides({ force = false, reread = false } = {}) {
+    const fresh = Date.now() - this.overridesLoadedAt < AI_CONFIG.PROMPT_OVERRIDES_REFRESH_MS;
+    if (!force && fresh) {
+      return { changed: [] };
+    }
+
+    const { data, error } = await supabase
+      .from(AI_CONFIG.PROMPT_OVERRIDES_TABLE)
+      .select('name, version, description, body, updated_at');
+
+    if (error) {
+      // Keep serving the last known templates; the bundled files are the floor
+      console.error('Could not load prompt overrides:', error.message);
+      if (!reread) return { changed: [] };
+    } else {
+      this.overrides = new Map((data || []).map(row => [row.name, row]));
+      this.overridesLoadedAt = Date.now();
+    }
+
+    return { changed: this._merge() };
+  }
+
+  /**
+   * Listen for template changes
+   * @param {Function} listener - Called with { name, previous, current }
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.events.on('change', listener);
+    return () => this.events.off('change', listener);
+  }
+
+  // Helper method to read an effective template
+  _get(name) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new NotFoundError(`Prompt template "${name}" not found`);
+    }
+    return { ...template };
+  }
+
+  // Helper method to apply the overrides to the bundled templates and announce changed ones
+  _merge() {
+    const previous = this.templates;
+    this.templates = new Map();
+
+    for (const [name, bundled] of this.bundled) {
+      const override = this.overrides.get(name);
+      const overridden = override && override.version >= bundled.version;
+      const body = overridden ? String(override.body).replace(/\r\n/g, '\n') : bundled.body;
+
+      this.templates.set(name, {
+        ...bundled,
+        version: overridden ? override.version : bundled.version,
+        description: overridden && override.description !== null ? override.description : bundled.description,
+        body,
+        checksum: this._checksum(bundled.variables, body),
+        overridden: Boolean(overridden),
+        updatedAt: overridden ? override.updated_at : null
+      });
+    }
+
+    const changed = [];
+    for (const [name, template] of previous) {
+      const current = this.templates.get(name);
+      if (!current || current.checksum !== template.checksum) {
+        changed.push(name);
+        this.events.emit('change', { name, previous: this._stamp(template), current: current ? this._stamp(current) : null });
+      }
+    }
+    return changed;
+  }
+
+  // Helper method to load every template file in the prompts directory
+  _loadAll() {
+    const files = fs.existsSync(PROMPTS_DIR)
+      ? fs.readdirSync(PROMPTS_DIR).filter(file => file.endsWith(PROMPT_EXTENSION))
+      : [];
+
+    files.forEach(file => {
+      try {
+        this._loadFile(path.join(PROMPTS_DIR, file));
+      } catch (error) {
+        console.error(`Could not load prompt template ${file}:`, error.message);
+      }
+    });
+  }
+
+  // Helper method to parse one template file into the registry
+  _loadFile(file) {
+    const content = fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+    const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+    if (!match) {
+      throw new Error('missing "---" header');
+    }
+
+    const header = { variables: [] };
+    let inVariables = false;
+    match[1].split('\n').forEach(line => {
+      if (!line.trim()) return;
+
+      const variableLine = line.match(/^\s+([A-Za-z_][A-Za-z0-9_]*)\s*:\s*([a-z]+)(\?)?\s*$/);
+      if (inVariables && variableLine) {
+        if (!VARIABLE_TYPES.includes(variableLine[2])) {
+          throw new Error(`unknown type "${variableLine[2]}" for variable ${variableLine[1]}`);
+        }
+        header.variables.push({ name: variableLine[1], type: variableLine[2], required: !variableLine[3] });
+        return;
+      }
+
+      const field = line.match(/^([a-z]+)\s*:\s*(.*)$/);
+      if (!field) {
+        throw new Error(`cannot read header line "${line}"`);
+      }
+      inVariables = field[1] === 'variables';
+      if (!inVariables) {
+        header[field[1]] = field[2].trim();
+      }
+    });
+
+    const name = header.name || path.basename(file, PROMPT_EXTENSION);
+    const version = parseInt(header.version, 10);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('version must be a positive integer');
+    }
+
+    // Strip the single newline that ends the file
+    const body = match[2].replace(/\n$/, '');
+
+    this.bundled.set(name, {
+      name,
+      version,
+      checksum: this._checksum(header.variables, body),
+      description: header.description || '',
+      variables: header.variables,
+      file: path.basename(file),
+      body
+    });
+  }
+
+  // Helper method to validate variable values against the declared types
+  _checkVariables(template, variables) {
+    const errors = [];
+
+    template.variables.forEach(({ name, type, required }) => {
+      const value = variables[name];
+      if (value === undefined || value === null) {
+        if (required) errors.push({ field: name, message: 'Required variable is missing' });
+        return;
+      }
+
+      const valid = type === 'list' ? Array.isArray(value)
+        : type === 'number' ? typeof value === 'number' && Number.isFinite(value)
+        : typeof value === type;
+      if (!valid) {
+        errors.push({ field: name, message: `Expected ${type}` });
+      }
+    });
+
+    Object.keys(variables).forEach(name => {
+      if (!template.variables.some(variable => variable.name === name)) {
+        errors.push({ field: name, message: 'Unknown variable' });
+      }
+    });
+
+    return errors;
+  }
+
+  // Helper method to substitute the placeholders of a template
+  _fill(template, variables) {
+    return template.body.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      const variable = template.variables.find(entry => entry.name === name);
+      if (!variable) return placeholder;
+
+      const value = variables[name];
+      if (value === undefined || value === null) return '';
+      if (variable.type === 'list') return value.map(item => `- ${item}`).join('\n');
+      return String(value);
+    });
+  }
+
+  // Helper method to collect the placeholder names used in a body
+  _placeholders(body) {
+    return Array.from(new Set(Array.from(body.matchAll(PLACEHOLDER_PATTERN), match => match[1])));
+  }
+
+  // Helper method to fingerprint a template's variables and body
+  _checksum(variables, body) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ variables, body }))
+      .digest('hex')
+      .substring(0, 12);
+  }
+
+  // Helper method to build the version stamp of a template
+  _stamp(template) {
+    return { name: template.name, version: template.version, checksum: template.checksum };
+  }
+}
+
+module.exports = new PromptRegistry();
@@ -0,0 +1,156 @@
+const fetch = require('node-fetch');
+const { GoogleGenAI } = require('@google/genai');
+const { API_ENDPOINTS, AI_CONFIG } = require('../../../config/constants');
+
+/**
+ * Google Gemini provider
+ * Plain requests use the REST endpoint; tool use (search, URL context, code) and streaming
+ * go through the GenAI SDK.
+ */
+class GeminiProvider {
+  constructor({ apiKey, apiUrl = API_ENDPOINTS.GEMINI_URL, model = AI_CONFIG.GEMINI_MODEL } = {}) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.apiUrl = apiUrl;
+    this.model = model;
+    this.genAI = new GoogleGenAI({ apiKey });
+  }
+
+  validateConfiguration() {
+    const errors = [];
+    if (!this.apiKey) {
+      errors.push('GEMINI_API_KEY is not configured');
+    }
+    if (!this.apiUrl) {
+      errors.push('Gemini API URL is not configured');
+    }
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Generate text for a prompt
+   * @param {Object} request - { prompt, systemInstruction, temperature, topK, topP, maxOutputTokens, thinkingBudget, tools }
+   * @returns {Promise<Object>} { text, usage: { inputTokens, outputTokens } }
+   */
+  async generateText(request) {
+    if (request.tools && request.tools.length > 0) {
+      return this._generateWithTools(request);
+    }
+
+    const body = {
+      contents: [{
+        parts: [{
+          text: request.prompt
+        }]
+      }],
+      generationConfig: this._generationConfig(request)
+    };
+    if (request.systemInstruction) {
+      body.systemInstruction = { parts: [{ text: request.systemInstruction }] };
+    }
+
+    const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Gemini API error ${response.status}:`, errorText);
+      throw new Error(`AI API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      console.error('Invalid AI response format:', data);
+      throw new Error('Invalid AI response format');
+    }
+
+    return { text, usage: this._readUsage(data.usageMetadata) };
+  }
+
+  /**
+   * Generate text and pass each piece to onChunk as it arrives
+   * @param {Object} request - Same as generateText
+   * @param {Function} onChunk - Called with each text chunk
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async streamText(request, onChunk) {
+    const stream = await this.genAI.models.generateContentStream({
+      model: this.model,
+      config: this._sdkConfig(request),
+      contents: [
+        {
+          role: 'user',
+          parts: [{ text: request.prompt }]
+        }
+      ]
+    });
+
+    let text = '';
+    let usageMetadata = null;
+    for await (const chunk of stream) {
+      const chunkText = chunk.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (chunkText) {
+        text += chunkText;
+        onChunk(chunkText);
+      }
+      if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+    }
+
+    return { text, usage: this._readUsage(usageMetadata) };
+  }
+
+  // Helper method for requests that need Gemini tools
+  async _generateWithTools(request) {
+    const response = await this.genAI.models.generateContent({
+      model: this.model,
+      config: this._sdkConfig(request),
+      contents: [
+        {
+          role: 'user',
+          parts: [{ text: request.prompt }]
+        }
+      ]
+    });
+
+    const text = response.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      throw new Error('Invalid AI response format');
+    }
+    return { text, usage: this._readUsage(response.usageMetadata) };
+  }
+
+  // Helper method to build the REST generationConfig
+  _generationConfig(request) {
+    const config = {};
+    if (request.temperature !== undefined) config.temperature = request.temperature;
+    if (request.topK !== undefined) config.topK = request.topK;
+    if (request.topP !== undefined) config.topP = request.topP;
+    if (request.thinkingBudget !== undefined) config.thinkingConfig = { thinkingBudget: request.thinkingBudget };
+    if (request.maxOutputTokens !== undefined) config.maxOutputTokens = request.maxOutputTokens;
+    return config;
+  }
+
+  // Helper method to build the SDK config (generation settings, tools and system instruction)
+  _sdkConfig(request) {
+    const config = { ...this._generationConfig(request), responseMimeType: 'text/plain' };
+    if (request.tools && request.tools.length > 0) config.tools = request.tools;
+    if (request.systemInstruction) config.systemInstruction = [{ text: request.systemInstruction }];
+    return config;
+  }
+
+  // Helper method to read token counts from Gemini usage metadata
+  _readUsage(usageMetadata) {
+    return {
+      inputTokens: usageMetadata?.promptTokenCount || 0,
+      outputTokens: (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0)
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,43 @@
+/**
+ * AI provider factory
+ * Every provider implements:
+ *   generateText(request) -> Promise<{ text, usage: { inputTokens, outputTokens } }>
+ *   streamText(request, onChunk) -> Promise<{ text, usage }>
+ *   validateConfiguration() -> { isValid, errors }
+ * where request is { task, prompt, input, systemInstruction, temperature, topK, topP,
+ * maxOutputTokens, thinkingBudget, tools }.
+ */
+
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const MockProvider = require('./mockProvider');
+const { APP_CONFIG, AI_CONFIG } = require('../../../config/constants');
+
+/**
+ * Create the configured AI provider
+ * @param {string} name - 'gemini', 'openai' or 'mock' (defaults to AI_PROVIDER)
+ * @returns {Object} Provider instance
+ */
+function createProvider(name = AI_CONFIG.PROVIDER) {
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider({ apiKey: APP_CONFIG.GEMINI_API_KEY });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl: AI_CONFIG.OPENAI_BASE_URL,
+        apiKey: AI_CONFIG.OPENAI_API_KEY,
+        model: AI_CONFIG.OPENAI_MODEL
+      });
+    case 'mock':
+      return new MockProvider({ fixturesPath: AI_CONFIG.MOCK_FIXTURES });
+    default:
+      throw new Error(`Unknown AI provider "${name}" (gemini, openai, mock)`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  MockProvider
+};
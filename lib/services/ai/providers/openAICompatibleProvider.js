@@ -0,0 +1,125 @@
+const fetch = require('node-fetch');
+
+/**
+ * Provider for any server speaking the OpenAI chat completions API
+ * (llama.cpp, Ollama, vLLM, LM Studio ...). Gemini tools are not available and are ignored.
+ */
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey = '', model } = {}) {
+    this.name = 'openai';
+    this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  validateConfiguration() {
+    const errors = [];
+    if (!this.baseUrl) {
+      errors.push('AI_BASE_URL is not configured');
+    }
+    if (!this.model) {
+      errors.push('AI_MODEL is not configured');
+    }
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Generate text for a prompt
+   * @param {Object} request - { prompt, systemInstruction, temperature, topP, maxOutputTokens, tools }
+   * @returns {Promise<Object>} { text, usage: { inputTokens, outputTokens } }
+   */
+  async generateText(request) {
+    const response = await this._post(request, false);
+    const data = await response.json();
+
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+      console.error('Invalid AI response format:', data);
+      throw new Error('Invalid AI response format');
+    }
+
+    return {
+      text,
+      usage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Generate text and pass each piece to onChunk as it arrives
+   * @param {Object} request - Same as generateText
+   * @param {Function} onChunk - Called with each text chunk
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async streamText(request, onChunk) {
+    const response = await this._post(request, true);
+
+    let text = '';
+    let usage = { inputTokens: 0, outputTokens: 0 };
+    let buffer = '';
+
+    for await (const piece of response.body) {
+      buffer += piece.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || payload === '' || payload === '[DONE]') continue;
+
+        const event = JSON.parse(payload);
+        const chunkText = event.choices?.[0]?.delta?.content;
+        if (chunkText) {
+          text += chunkText;
+          onChunk(chunkText);
+        }
+        if (event.usage) {
+          usage = { inputTokens: event.usage.prompt_tokens || 0, outputTokens: event.usage.completion_tokens || 0 };
+        }
+      }
+    }
+
+    return { text, usage };
+  }
+
+  // Helper method to send a chat completion request
+  async _post(request, stream) {
+    if (request.tools && request.tools.length > 0) {
+      console.warn(`AI provider "${this.name}" does not support tools, ignoring ${request.tools.length} tool(s)`);
+    }
+
+    const messages = [];
+    if (request.systemInstruction) {
+      messages.push({ role: 'system', content: request.systemInstruction });
+    }
+    messages.push({ role: 'user', content: request.prompt });
+
+    const body = { model: this.model, messages, stream };
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+    if (request.topP !== undefined) body.top_p = request.topP;
+    if (request.maxOutputTokens !== undefined) body.max_tokens = request.maxOutputTokens;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`AI API error ${response.status}:`, errorText);
+      throw new Error(`AI API error: ${response.status}`);
+    }
+
+    return response;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
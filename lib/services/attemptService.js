@@ -0,0 +1,507 @@
+const crypto = require('crypto');
+const { supabase, pgPool } = require('../config/database');
+const databaseService = require('./databaseService');
+const gradingService = require('./gradingService');
+const submissionService = require('./submissionService');
+const { createSeededRandom, hashStringToSeed, generateUUID } = require('../utils/helpers');
+const { normalizeQuestionType } = require('../utils/pointsDistributor');
+const { isLessonVisible } = require('../utils/publication');
+const { AppError, NotFoundError, AuthorizationError, ValidationError } = require('../middleware/errorHandler');
+const { ATTEMPT_CONFIG } = require('../config/constants');
+
+const { STATUS: ATTEMPT_STATUS, MODES: ATTEMPT_MODES, ANSWER_FIELDS, LATE_GRACE_SECONDS, ABANDONED_AFTER_SECONDS } = ATTEMPT_CONFIG;
+
+class AttemptService {
+  /**
+   * Start a lesson attempt, or resume the student's attempt that is still in progress
+   * The served questions, their order and the option order are fixed here so a page
+   * refresh shows the same paper and grading can be audited later.
+   * @param {string} lessonId - Lesson ID
+   * @param {string} studentId - Student ID
+   * @param {Object} studentInfo - Student info stored with the eventual result
+   * @param {Object} options - { mode } 'test' (default) or 'practice' (hints available)
+   * @returns {Promise<Object>} { attempt, lesson, resumed }
+   */
+  async startAttempt(lessonId, studentId, studentInfo = null, { mode = ATTEMPT_MODES.TEST } = {}) {
+    if (!Object.values(ATTEMPT_MODES).includes(mode)) {
+      throw new ValidationError(`Mode must be one of: ${Object.values(ATTEMPT_MODES).join(', ')}`, ['mode']);
+    }
+
+    const lesson = await databaseService.getLessonById(lessonId, { applyQuestionPool: false });
+
+    const existing = await this.getActiveAttempt(lessonId, studentId);
+    if (existing) {
+      if (!this.isExpired(existing)) {
+        return { attempt: existing, lesson, resumed: true };
+      }
+      // The previous attempt ran out of time - close it before starting a new one
+      await this.finalizeAttempt(existing, lesson, { autoSubmitted: true });
+    }
+
+    // Attempts already in progress may finish, but unpublished lessons cannot be started
+    if (!isLessonVisible(lesson)) {
+      throw new NotFoundError('Lesson not found');
+    }
+
+    const seed = this._createSeed(lesson, studentId);
+    const snapshot = this.buildSnapshot(lesson, seed);
+    const startedAt = new Date();
+    const limitSeconds = this.getTimeLimitSeconds(lesson);
+
+    const { data: attempt, error } = await supabase
+      .from('lesson_attempts')
+      .insert({
+        id: generateUUID(),
+        lesson_id: lessonId,
+        student_id: studentId,
+        seed,
+        question_ids: snapshot.questionIds,
+        option_orders: snapshot.optionOrders,
+        status: ATTEMPT_STATUS.IN_PROGRESS,
+        started_at: startedAt.toISOString(),
+        deadline_at: limitSeconds ? new Date(startedAt.getTime() + limitSeconds * 1000).toISOString() : null,
+        last_heartbeat_at: startedAt.toISOString(),
+        student_info: studentInfo,
+        draft_answers: [],
+        mode,
+        hint_usage: {}
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { attempt, lesson, resumed: false };
+  }
+
+  /**
+   * Build the served-question snapshot for a seed
+   * @param {Object} lesson - Lesson with its full question list
+   * @param {number} seed - 32-bit seed
+   * @returns {Object} { questionIds, optionOrders }
+   */
+  buildSnapshot(lesson, seed) {
+    const random = createSeededRandom(seed);
+    const allQuestions = Array.isArray(lesson.questions) ? lesson.questions : [];
+    const indexByQuestion = new Map(allQuestions.map((question, index) => [question, index]));
+
+    let selected = databaseService.selectQuestionPool(lesson, random) || [];
+    if (lesson.shuffle_questions) {
+      selected = this._shuffle(selected, random);
+    }
+
+    const questionIds = selected.map(question =>
+      gradingService.getQuestionKey(question, indexByQuestion.get(question))
+    );
+
+    // Option order per question: optionOrders[key][displayedPosition] = original option index
+    const optionOrders = {};
+    if (lesson.shuffle_answers) {
+      selected.forEach((question, position) => {
+        const type = normalizeQuestionType(question.type);
+        if ((type === 'abcd' || type === 'truefalse') && Array.isArray(question.options) && question.options.length > 1) {
+          optionOrders[questionIds[position]] = this._shuffle(question.options.map((_, index) => index), random);
+        }
+      });
+    }
+
+    return { questionIds, optionOrders };
+  }
+
+  /**
+   * Questions of an attempt in served order, with shuffled options and without answers
+   * @param {Object} lesson - Lesson with its full question list
+   * @param {Object} attempt - Attempt record
+   * @returns {Array} Questions to send to the student
+   */
+  getServedQuestions(lesson, attempt) {
+    const questionsByKey = new Map(
+      (lesson.questions || []).map((question, index) => [gradingService.getQuestionKey(question, index), question])
+    );
+    const optionOrders = attempt.option_orders || {};
+
+    return (attempt.question_ids || [])
+      .filter(key => questionsByKey.has(key))
+      .map(key => {
+        const served = { ...questionsByKey.get(key), questionId: key };
+        ANSWER_FIELDS.forEach(field => delete served[field]);
+
+        const order = optionOrders[key];
+        if (Array.isArray(order) && Array.isArray(served.options)) {
+          served.options = order.map(index => served.options[index]);
+        }
+        return served;
+      });
+  }
+
+  /**
+   * Number of hints revealed per question key in an attempt
+   * @param {Object} attempt - Attempt record
+   * @returns {Object} { [questionKey]: count }
+   */
+  countHints(attempt) {
+    const counts = {};
+    Object.entries(attempt.hint_usage || {}).forEach(([key, hints]) => {
+      if (Array.isArray(hints) && hints.length > 0) counts[key] = hints.length;
+    });
+    return counts;
+  }
+
+  /**
+   * Add a revealed hint to a question of an attempt that is still in progress
+   * The hint is appended in one statement and only while the question still has
+   * `expectedCount` hints, so concurrent requests never overwrite each other's hints.
+   * @param {string} attemptId - Attempt ID
+   * @param {string} questionKey - Served question key
+   * @param {number} expectedCount - Hints of the question the caller read before revealing this one
+   * @param {Object} hint - { level, source, text, sources, requestedAt }
+   * @returns {Promise<Object|null>} Updated attempt record, or null when another request revealed a hint first
+   */
+  async appendHint(attemptId, questionKey, expectedCount, hint) {
+    const { rows } = await pgPool.query(
+      `UPDATE lesson_attempts
+          SET hint_usage = jsonb_set(
+                coalesce(hint_usage, '{}'::jsonb),
+                ARRAY[$2::text],
+                coalesce(hint_usage -> $2::text, '[]'::jsonb) || jsonb_build_array($4::jsonb))
+        WHERE id = $1
+          AND status = $5
+          AND jsonb_array_length(coalesce(hint_usage -> $2::text, '[]'::jsonb)) = $3
+        RETURNING *`,
+      [attemptId, String(questionKey), expectedCount, JSON.stringify(hint), ATTEMPT_STATUS.IN_PROGRESS]
+    );
+    if (rows.length > 0) return rows[0];
+
+    const attempt = await this.getAttemptById(attemptId);
+    if (attempt.status !== ATTEMPT_STATUS.IN_PROGRESS) {
+      throw new AppError('Attempt has already been submitted', 409, 'ATTEMPT_ALREADY_SUBMITTED');
+    }
+    return null;
+  }
+
+  // Get the in-progress attempt of a student for a lesson, if any
+  async getActiveAttempt(lessonId, studentId) {
+    const { data, error } = await supabase
+      .from('lesson_attempts')
+      .select('*')
+      .eq('lesson_id', lessonId)
+      .eq('student_id', studentId)
+      .eq('status', ATTEMPT_STATUS.IN_PROGRESS)
+      .order('started_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  // Get an attempt by ID
+  async getAttemptById(attemptId) {
+    const { data, error } = await supabase
+      .from('lesson_attempts')
+      .select('*')
+      .eq('id', attemptId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new NotFoundError('Attempt not found');
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Load an attempt for submission and check it belongs to the student and lesson
+   * @param {string} attemptId - Attempt ID
+   * @param {string} studentId - Student ID from the session
+   * @param {string} lessonId - Lesson ID from the request
+   * @returns {Promise<Object>} Attempt record
+   */
+  async getAttemptForSubmission(attemptId, studentId, lessonId) {
+    const attempt = await this.getAttemptById(attemptId);
+
+    if (String(attempt.student_id) !== String(studentId)) {
+      throw new AuthorizationError('Attempt belongs to another student');
+    }
+    if (lessonId && String(attempt.lesson_id) !== String(lessonId)) {
+      throw new ValidationError('Attempt does not match lesson', ['lessonId']);
+    }
+    if (attempt.status !== ATTEMPT_STATUS.IN_PROGRESS) {
+      throw new AppError('Attempt has already been submitted', 409, 'ATTEMPT_ALREADY_SUBMITTED');
+    }
+
+    return attempt;
+  }
+
+  /**
+   * Time limit of a lesson in seconds, or null when the lesson is not timed
+   * @param {Object} lesson - Lesson record
+   * @returns {number|null} Limit in seconds
+   */
+  getTimeLimitSeconds(lesson) {
+    if (!lesson.time_limit_enabled) return null;
+
+    const seconds = (parseInt(lesson.time_limit_hours) || 0) * 3600 +
+      (parseInt(lesson.time_limit_minutes) || 0) * 60 +
+      (parseInt(lesson.time_limit_seconds) || 0);
+    return seconds > 0 ? seconds : null;
+  }
+
+  /**
+   * Whether an attempt is past its deadline plus the grace period
+   * @param {Object} attempt - Attempt record
+   * @param {Date} now - Reference time
+   * @returns {boolean} True when expired
+   */
+  isExpired(attempt, now = new Date()) {
+    if (!attempt.deadline_at) return false;
+    return now.getTime() > new Date(attempt.deadline_at).getTime() + LATE_GRACE_SECONDS * 1000;
+  }
+
+  /**
+   * Timing state of an attempt as seen by the server
+   * @param {Object} attempt - Attempt record
+   * @returns {Object} { serverTime, startedAt, deadlineAt, remainingSeconds, expired }
+   */
+  getTimingState(attempt) {
+    const now = new Date();
+    const remainingSeconds = attempt.deadline_at
+      ? Math.max(0, Math.floor((new Date(attempt.deadline_at).getTime() - now.getTime()) / 1000))
+      : null;
+
+    return {
+      serverTime: now.toISOString(),
+      startedAt: attempt.started_at,
+      deadlineAt: attempt.deadline_at || null,
+      remainingSeconds,
+      expired: this.isExpired(attempt, now)
+    };
+  }
+
+  /**
+   * Record a heartbeat with the answers given so far
+   * Expired attempts of auto-submit lessons are finalized with the saved answers.
+   * @param {string} attemptId - Attempt ID
+   * @param {string} studentId - Student ID from the session
+   * @param {string} lessonId - Lesson ID from the route
+   * @param {Array} draftAnswers - Answers given so far (optional)
+   * @returns {Promise<Object>} { attempt, timing, finalized }
+   */
+  async heartbeat(attemptId, studentId, lessonId, draftAnswers) {
+    const attempt = await this.getAttemptForSubmission(attemptId, studentId, lessonId);
+
+    if (this.isExpired(attempt)) {
+      const lesson = await databaseService.getLessonById(attempt.lesson_id, { applyQuestionPool: false });
+      if (lesson.auto_submit) {
+        const finalized = await this.finalizeAttempt(attempt, lesson, { autoSubmitted: true });
+        return { attempt: finalized.attempt, timing: this.getTimingState(attempt), finalized };
+      }
+      // Without auto-submit the student may still hand in; the result will be flagged late
+      return { attempt, timing: this.getTimingState(attempt), finalized: null };
+    }
+
+    const update = { last_heartbeat_at: new Date().toISOString() };
+    if (Array.isArray(draftAnswers)) {
+      update.draft_answers = draftAnswers;
+    }
+
+    const { data, error } = await supabase
+      .from('lesson_attempts')
+      .update(update)
+      .eq('id', attemptId)
+      .eq('status', ATTEMPT_STATUS.IN_PROGRESS)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { attempt: data, timing: this.getTimingState(data), finalized: null };
+  }
+
+  /**
+   * Submit an attempt
+   * Late submissions are flagged; for auto-submit lessons they are rejected and the attempt
+   * is finalized with the answers saved by the last heartbeat instead.
+   * @param {string} attemptId - Attempt ID
+   * @param {string} studentId - Student ID from the session
+   * @param {string} lessonId - Lesson ID from the route
+   * @param {Object} submission - { answers, studentInfo, mode, ipAddress }
+   * @returns {Promise<Object>} Finalized attempt, result and grading summary
+   */
+  async submitAttempt(attemptId, studentId, lessonId, submission = {}) {
+    const attempt = await this.getAttemptForSubmission(attemptId, studentId, lessonId);
+    const lesson = await databaseService.getLessonById(attempt.lesson_id, { applyQuestionPool: false });
+
+    if (this.isExpired(attempt) && lesson.auto_submit) {
+      const finalized = await this.finalizeAttempt(attempt, lesson, { autoSubmitted: true });
+      const error = new AppError('Time limit exceeded - the answers saved before the deadline were submitted', 409, 'ATTEMPT_TIME_EXPIRED');
+      error.details = { resultId: finalized.savedResult.id, score: finalized.score, totalPoints: finalized.totalPoints };
+      throw error;
+    }
+
+    return this.finalizeAttempt(attempt, lesson, {
+      answers: submission.answers,
+      studentInfo: submission.studentInfo,
+      mode: submission.mode,
+      ipAddress: submission.ipAddress
+    });
+  }
+
+  /**
+   * Grade and close an attempt, measuring time taken from server timestamps
+   * The attempt is claimed first so a submission and the expiry sweep cannot both record a result.
+   * @param {Object} attempt - Attempt record (in progress)
+   * @param {Object} lesson - Lesson with its full question list
+   * @param {Object} options - { answers, studentInfo, mode, ipAddress, autoSubmitted }
+   * @returns {Promise<Object>} { attempt, savedResult, score, totalPoints, rating, streak, isLate, timeTaken }
+   */
+  async finalizeAttempt(attempt, lesson, options = {}) {
+    const { autoSubmitted = false, ipAddress = 'unknown' } = options;
+    // A practice attempt stays practice so its hint penalties cannot be dropped at submission
+    const mode = attempt.mode === ATTEMPT_MODES.PRACTICE ? ATTEMPT_MODES.PRACTICE : (options.mode || ATTEMPT_MODES.TEST);
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('lesson_attempts')
+      .update({ status: ATTEMPT_STATUS.FINALIZING })
+      .eq('id', attempt.id)
+      .eq('status', ATTEMPT_STATUS.IN_PROGRESS)
+      .select();
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) {
+      throw new AppError('Attempt has already been submitted', 409, 'ATTEMPT_ALREADY_SUBMITTED');
+    }
+
+    const now = new Date();
+    const startedAt = new Date(attempt.started_at);
+    const deadline = attempt.deadline_at ? new Date(attempt.deadline_at) : null;
+    const isLate = !autoSubmitted && this.isExpired(attempt, now);
+
+    // Auto-submitted attempts are charged the full time limit, not the time the sweep ran
+    const endedAt = autoSubmitted && deadline && now > deadline ? deadline : now;
+    const timeTaken = Math.max(0, Math.round((endedAt.getTime() - startedAt.getTime()) / 1000));
+
+    const answers = autoSubmitted ? (attempt.draft_answers || []) : (options.answers || []);
+
+    try {
+      const recorded = await submissionService.recordResult({
+        lesson,
+        studentId: attempt.student_id,
+        answers,
+        snapshot: { questionIds: attempt.question_ids, optionOrders: attempt.option_orders },
+        studentInfo: options.studentInfo || attempt.student_info || null,
+        timeTaken,
+        mode,
+        ipAddress,
+        hintUsage: this.countHints(attempt),
+        extra: {
+          attempt_id: attempt.id,
+          is_late: isLate,
+          auto_submitted: autoSubmitted
+        }
+      });
+
+      const finalizedAttempt = await this.markSubmitted(attempt.id, recorded.savedResult.id, {
+        time_taken: timeTaken,
+        is_late: isLate,
+        auto_submitted: autoSubmitted
+      });
+
+      return { ...recorded, attempt: finalizedAttempt, isLate, timeTaken };
+    } catch (error) {
+      // Release the claim so the attempt can be submitted again
+      await supabase
+        .from('lesson_attempts')
+        .update({ status: ATTEMPT_STATUS.IN_PROGRESS })
+        .eq('id', attempt.id)
+        .eq('status', ATTEMPT_STATUS.FINALIZING);
+      throw error;
+    }
+  }
+
+  /**
+   * Finalize attempts whose time limit has passed and that were abandoned
+   * (auto-submit lessons are always finalized once expired)
+   * @returns {Promise<number>} Number of attempts finalized
+   */
+  async finalizeExpiredAttempts() {
+    const cutoff = new Date(Date.now() - LATE_GRACE_SECONDS * 1000).toISOString();
+
+    const { data: expired, error } = await supabase
+      .from('lesson_attempts')
+      .select('*')
+      .eq('status', ATTEMPT_STATUS.IN_PROGRESS)
+      .not('deadline_at', 'is', null)
+      .lt('deadline_at', cutoff)
+      .limit(50);
+
+    if (error) throw error;
+
+    const lessons = new Map();
+    const abandonedBefore = Date.now() - ABANDONED_AFTER_SECONDS * 1000;
+    let finalizedCount = 0;
+
+    for (const attempt of expired || []) {
+      try {
+        if (!lessons.has(attempt.lesson_id)) {
+          lessons.set(attempt.lesson_id, await databaseService.getLessonById(attempt.lesson_id, { applyQuestionPool: false }));
+        }
+        const lesson = lessons.get(attempt.lesson_id);
+
+        const lastSeen = new Date(attempt.last_heartbeat_at || attempt.started_at).getTime();
+        if (!lesson.auto_submit && lastSeen > abandonedBefore) {
+          continue; // Student is still active and may hand in late
+        }
+
+        await this.finalizeAttempt(attempt, lesson, { autoSubmitted: true });
+        finalizedCount++;
+      } catch (finalizeError) {
+        if (finalizeError.code !== 'ATTEMPT_ALREADY_SUBMITTED') {
+          console.error(`Error finalizing expired attempt ${attempt.id}:`, finalizeError);
+        }
+      }
+    }
+
+    if (finalizedCount > 0) {
+      console.log(`⏱️ Auto-finalized ${finalizedCount} expired lesson attempt(s)`);
+    }
+    return finalizedCount;
+  }
+
+  // Mark an attempt as submitted and link it to its result
+  async markSubmitted(attemptId, resultId, extra = {}) {
+    const { data, error } = await supabase
+      .from('lesson_attempts')
+      .update({
+        status: ATTEMPT_STATUS.SUBMITTED,
+        submitted_at: new Date().toISOString(),
+        result_id: resultId,
+        ...extra
+      })
+      .eq('id', attemptId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Helper method to pick the attempt seed; a lesson seed gives each student a stable paper
+  _createSeed(lesson, studentId) {
+    if (lesson.randomization_seed !== undefined && lesson.randomization_seed !== null && lesson.randomization_seed !== '') {
+      return hashStringToSeed(`${lesson.randomization_seed}:${studentId}`);
+    }
+    return crypto.randomBytes(4).readUInt32BE(0);
+  }
+
+  // Helper method to shuffle with a seeded random function (Fisher-Yates)
+  _shuffle(array, random) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+module.exports = new AttemptService();
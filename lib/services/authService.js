@@ -1,7 +1,8 @@
 const bcrypt = require('bcrypt');
-const { ADMIN_CREDENTIALS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../config/constants');
+const { ADMIN_CREDENTIALS, ERROR_MESSAGES, SUCCESS_MESSAGES, DOMAIN_EVENTS } = require('../config/constants');
 const databaseService = require('./databaseService');
 const sessionService = require('./sessionService');
+const eventBus = require('./events/eventBus');
 
 class AuthService {
   // Admin authentication
@@ -112,6 +113,12 @@ class AuthService {
       password_hash: hashedPassword
     });
 
+    eventBus.publishAfterResponse(DOMAIN_EVENTS.STUDENT_REGISTERED, {
+      studentId: newStudent.id,
+      fullName: full_name,
+      registeredAt: new Date().toISOString()
+    });
+
     return {
       success: true,
       message: SUCCESS_MESSAGES.REGISTRATION_SUCCESS,
@@ -1,12 +1,25 @@
 const crypto = require('crypto');
 const cacheService = require('../cacheService');
+const promptRegistry = require('../ai/promptRegistry');
+const { minHash, estimateSimilarity } = require('../../utils/textSimilarity');
+
+// Operations whose near-identical requests may share a response
+const SEMANTIC_TYPES = ['summary', 'explanation', 'explainAnswer'];
 
 class AICacheService {
   constructor() {
     this.memoryCache = new Map();
     this.maxMemoryCacheSize = 1000; // Max items in memory
     this.defaultTTL = 3600; // 1 hour in seconds
+    this.sharedStoreLocalTTL = 60; // Max seconds an instance keeps its own copy when the store is shared
     this.semanticThreshold = 0.85; // Similarity threshold for semantic caching
+    this.minHashSize = 64; // Hash functions per MinHash signature (estimate error about 1/sqrt(64))
+    this.maxSemanticEntries = 200; // Per bucket of requests sharing a guard
+    this.templateKeys = new Map(); // Template name -> cache keys of the responses it produced
+    this.stats = this.createEmptyStats();
+
+    // Responses produced by an edited template are stale
+    promptRegistry.onChange(({ name }) => this.invalidateTemplate(name));
   }
 
   /**
@@ -70,15 +83,19 @@ class AICacheService {
    * Get cached AI response
    * @param {string} type - Type of AI operation
    * @param {Object} params - Parameters for the AI request
+   * @param {Object} options - { template } current prompt template stamp; entries from another version are ignored
    * @returns {Object|null} - Cached response or null
    */
-  async get(type, params) {
+  async get(type, params, options = {}) {
     const cacheKey = this.generateCacheKey(type, params);
     
     // Try memory cache first
     if (this.memoryCache.has(cacheKey)) {
       const cached = this.memoryCache.get(cacheKey);
-      if (cached.expiresAt > Date.now()) {
+      if (this.isStaleTemplate(cached.data, options.template)) {
+        await this.deleteEntry(cacheKey);
+      } else if (cached.expiresAt > Date.now()) {
+        this.recordLookup(type, 'memory');
         return {
           ...cached.data,
           fromCache: true,
@@ -92,9 +109,12 @@ class AICacheService {
     // Try persistent cache
     try {
       const cachedData = await cacheService.get(cacheKey);
-      if (cachedData) {
+      if (cachedData && this.isStaleTemplate(cachedData, options.template)) {
+        await this.deleteEntry(cacheKey);
+      } else if (cachedData) {
         // Store in memory cache for faster access
-        this.setMemoryCache(cacheKey, cachedData, this.defaultTTL);
+        this.setMemoryCache(cacheKey, cachedData, this.getLocalTTL(this.defaultTTL));
+        this.recordLookup(type, 'persistent');
         return {
           ...cachedData,
           fromCache: true,
@@ -106,9 +126,10 @@ class AICacheService {
     }
     
     // Try semantic similarity cache for text-based operations
-    if (type === 'summary' || type === 'explanation') {
-      const similarResult = await this.findSimilarCached(type, params);
+    if (SEMANTIC_TYPES.includes(type)) {
+      const similarResult = await this.findSimilarCached(type, params, options.template);
       if (similarResult) {
+        this.recordLookup(type, 'semantic');
         return {
           ...similarResult,
           fromCache: true,
@@ -117,6 +138,7 @@ class AICacheService {
       }
     }
     
+    this.recordLookup(type, null);
     return null;
   }
 
@@ -126,8 +148,9 @@ class AICacheService {
    * @param {Object} params - Parameters for the AI request
    * @param {Object} response - AI response to cache
    * @param {number} ttl - Time to live in seconds
+   * @param {Object} options - { template } stamp of the prompt template that produced the response
    */
-  async set(type, params, response, ttl = null) {
+  async set(type, params, response, ttl = null, options = {}) {
     const cacheKey = this.generateCacheKey(type, params);
     const cacheTTL = ttl || this.defaultTTL;
     
@@ -135,11 +158,19 @@ class AICacheService {
       ...response,
       timestamp: Date.now(),
       type: type,
-      params: this.normalizeParams(params)
+      params: this.normalizeParams(params),
+      template: options.template || null
     };
+
+    if (options.template) {
+      if (!this.templateKeys.has(options.template.name)) {
+        this.templateKeys.set(options.template.name, new Set());
+      }
+      this.templateKeys.get(options.template.name).add(cacheKey);
+    }
     
     // Store in memory cache
-    this.setMemoryCache(cacheKey, cacheData, cacheTTL);
+    this.setMemoryCache(cacheKey, cacheData, this.getLocalTTL(cacheTTL));
     
     // Store in persistent cache
     try {
@@ -149,8 +180,52 @@ class AICacheService {
     }
     
     // Store metadata for semantic search
-    if (type === 'summary' || type === 'explanation') {
-      await this.storeSemanticMetadata(cacheKey, type, params, response);
+    if (SEMANTIC_TYPES.includes(type)) {
+      await this.storeSemanticMetadata(cacheKey, type, params, response, cacheTTL, options.template);
+    }
+  }
+
+  /**
+   * Check whether a cached entry was produced by a different version of its template
+   * @param {Object} cachedData - Cached entry
+   * @param {Object} template - Current template stamp { name, version, checksum }
+   * @returns {boolean} - True if the entry must not be used
+   */
+  isStaleTemplate(cachedData, template) {
+    if (!template || !cachedData?.template) {
+      return false;
+    }
+    return cachedData.template.name === template.name && cachedData.template.checksum !== template.checksum;
+  }
+
+  /**
+   * Remove every cached response produced by a prompt template
+   * @param {string} name - Template name
+   * @returns {number} - Number of entries removed
+   */
+  async invalidateTemplate(name) {
+    const keys = this.templateKeys.get(name) || new Set();
+
+    for (const key of keys) {
+      await this.deleteEntry(key);
+    }
+    this.templateKeys.delete(name);
+
+    console.log(`🧹 Invalidated ${keys.size} AI cache entries for prompt template ${name}`);
+    return keys.size;
+  }
+
+  /**
+   * Delete one entry from the memory and persistent caches
+   * @param {string} cacheKey - Cache key
+   */
+  async deleteEntry(cacheKey) {
+    this.memoryCache.delete(cacheKey);
+    // Semantic bucket entries of a deleted response are dropped when a lookup finds it gone
+    try {
+      await cacheService.delete(cacheKey);
+    } catch (error) {
+      console.error('Error deleting from cache:', error);
     }
   }
 
@@ -204,38 +279,37 @@ class AICacheService {
 
   /**
    * Store semantic metadata for similarity search
+   * Requests are reduced to a guard (fields that must match exactly) and a text whose
+   * MinHash signature is compared with later requests of the same type. Signatures are
+   * kept in the cache store in one bucket per type and guard, so with a shared store
+   * every instance finds the near-identical requests answered by the others.
    * @param {string} cacheKey - Cache key
    * @param {string} type - Operation type
    * @param {Object} params - Request parameters
    * @param {Object} response - AI response
+   * @param {number} ttl - Time to live in seconds (the entry expires with the response)
+   * @param {Object} template - Stamp of the prompt template that produced the response
    */
-  async storeSemanticMetadata(cacheKey, type, params, response) {
+  async storeSemanticMetadata(cacheKey, type, params, response, ttl = this.defaultTTL, template = null) {
     try {
-      // Create a searchable text representation
-      let searchableText = '';
-      
-      if (params.title) searchableText += params.title + ' ';
-      if (params.subject) searchableText += params.subject + ' ';
-      if (params.grade) searchableText += `khối ${params.grade} `;
-      if (params.tags) searchableText += params.tags.join(' ') + ' ';
-      
-      if (params.questions && Array.isArray(params.questions)) {
-        const questionTexts = params.questions
-          .slice(0, 3) // Only first 3 questions for similarity
-          .map(q => q.question || '')
-          .join(' ');
-        searchableText += questionTexts;
-      }
-      
-      const metadata = {
-        cacheKey: cacheKey,
-        type: type,
-        searchableText: searchableText.trim().toLowerCase(),
-        responseLength: JSON.stringify(response).length,
-        timestamp: Date.now()
-      };
-      
-      await cacheService.set(`semantic:${cacheKey}`, metadata, this.defaultTTL * 2);
+      const { guard, text } = this.getSemanticText(type, params);
+      if (!text) return;
+
+      const bucketKey = this.getSemanticBucketKey(type, guard);
+      const now = Date.now();
+      const entries = ((await cacheService.get(bucketKey)) || [])
+        .filter(entry => entry.cacheKey !== cacheKey && entry.expiresAt > now);
+
+      // Drop the oldest entries when the bucket is full
+      entries.splice(0, Math.max(0, entries.length - this.maxSemanticEntries + 1));
+      entries.push({
+        cacheKey,
+        signature: minHash(text, this.minHashSize),
+        template: template || null,
+        expiresAt: now + (ttl * 1000)
+      });
+
+      await this.saveSemanticBucket(bucketKey, entries);
     } catch (error) {
       console.error('Error storing semantic metadata:', error);
     }
@@ -245,31 +319,167 @@ class AICacheService {
    * Find similar cached responses using text similarity
    * @param {string} type - Operation type
    * @param {Object} params - Request parameters
-   * @returns {Object|null} - Similar cached response or null
+   * @param {Object} template - Current prompt template stamp; entries from another version are skipped
+   * @returns {Object|null} - Similar cached response (with its similarity) or null
    */
-  async findSimilarCached(type, params) {
+  async findSimilarCached(type, params, template = null) {
     try {
-      // This is a simplified similarity check
-      // In production, you might want to use more sophisticated NLP techniques
-      
-      let currentText = '';
-      if (params.title) currentText += params.title + ' ';
-      if (params.subject) currentText += params.subject + ' ';
-      if (params.grade) currentText += `khối ${params.grade} `;
-      if (params.tags) currentText += params.tags.join(' ') + ' ';
-      
-      currentText = currentText.trim().toLowerCase();
-      
-      // Search through semantic metadata (simplified approach)
-      // In a real implementation, you'd use a vector database or elasticsearch
-      
-      return null; // Placeholder - implement actual similarity search
+      const { guard, text } = this.getSemanticText(type, params);
+      if (!text) return null;
+
+      const bucketKey = this.getSemanticBucketKey(type, guard);
+      const stored = (await cacheService.get(bucketKey)) || [];
+      if (stored.length === 0) return null;
+
+      const signature = minHash(text, this.minHashSize);
+      const now = Date.now();
+      const entries = stored.filter(entry => entry.expiresAt > now);
+      const candidates = [];
+
+      for (const entry of entries) {
+        if (this.isStaleTemplate(entry, template)) continue;
+
+        const score = estimateSimilarity(signature, entry.signature);
+        if (score >= this.semanticThreshold) {
+          candidates.push({ cacheKey: entry.cacheKey, score });
+        }
+      }
+
+      // Best match first; skip entries whose response has already been evicted
+      candidates.sort((a, b) => b.score - a.score);
+      const evicted = new Set();
+      let match = null;
+      for (const { cacheKey, score } of candidates) {
+        const data = await this.readEntry(cacheKey);
+        if (data) {
+          match = { ...data, similarity: Math.round(score * 100) / 100 };
+          break;
+        }
+        evicted.add(cacheKey);
+      }
+
+      if (evicted.size > 0 || entries.length !== stored.length) {
+        await this.saveSemanticBucket(bucketKey, entries.filter(entry => !evicted.has(entry.cacheKey)));
+      }
+      return match;
     } catch (error) {
       console.error('Error in semantic similarity search:', error);
       return null;
     }
   }
 
+  /**
+   * Reduce a request to the text compared for semantic caching
+   * Whitespace, case and the order of answer options do not change the text.
+   * @param {string} type - Operation type
+   * @param {Object} params - Request parameters
+   * @returns {Object} { guard, text } - guard must match exactly, text is compared by similarity
+   */
+  getSemanticText(type, params) {
+    if (typeof params === 'string') {
+      return { guard: '', text: this.normalizeSemanticText(params) };
+    }
+    if (!params || typeof params !== 'object') {
+      return { guard: '', text: '' };
+    }
+
+    if (params.question !== undefined) {
+      // The answer and the numbers in the question decide what the explanation says,
+      // so they are never matched approximately ("20 m" vs "45 m" is a different exercise).
+      // Answers given as a letter are replaced by that option's text: the options are
+      // compared in a fixed order, so "B" of a reordered question is another answer.
+      const { options } = this.splitQuestionOptions(params.question);
+      const text = this.normalizeQuestionText(params.question);
+      const numbers = (text.match(/\d+(?:[.,]\d+)?/g) || []).sort().join(',');
+      const answers = [params.answer, params.correctAnswer, params.studentAnswer]
+        .map(value => this.resolveOptionAnswer(value, options));
+      const guard = answers
+        .concat([params.explanation, params.grade].map(value => this.normalizeSemanticText(this.stripOptionLabel(value))))
+        .concat(numbers)
+        .join('|');
+      return { guard, text };
+    }
+
+    const guard = [params.subject, params.grade].map(value => this.normalizeSemanticText(value)).join('|');
+    const tags = Array.isArray(params.tags) ? [...params.tags].map(tag => String(tag).toLowerCase()).sort().join(' ') : '';
+    const questions = Array.isArray(params.questions)
+      ? params.questions.map(q => this.normalizeQuestionText(q && q.question)).join(' ')
+      : '';
+    return { guard, text: this.normalizeSemanticText(`${params.title || ''} ${tags} ${questions}`) };
+  }
+
+  // Helper method to lowercase and collapse whitespace
+  normalizeSemanticText(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // Helper method to drop an "A." / "B)" label in front of an answer
+  stripOptionLabel(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim().replace(/^[A-Ha-h]\s*[.)]\s+/, '');
+  }
+
+  // Helper method to put the "A. ... B. ..." options of a question in a fixed order
+  normalizeQuestionText(question) {
+    const { stem, options } = this.splitQuestionOptions(question);
+    const texts = Object.values(options);
+    if (texts.length < 2) return this.normalizeSemanticText(question);
+    return [stem, ...texts.sort()].join(' ');
+  }
+
+  // Helper method to split a question into its stem and its "A. ..." options keyed by lowercase letter
+  splitQuestionOptions(question) {
+    const text = this.normalizeSemanticText(question);
+    // The captured letters alternate with the option texts: [stem, 'a', text, 'b', text, ...]
+    const parts = text.split(/(?:^|\s)([a-h])\s*[.)]\s+/);
+    const options = {};
+    for (let i = 1; i + 1 < parts.length; i += 2) {
+      options[parts[i]] = parts[i + 1].trim();
+    }
+    return { stem: parts[0].trim(), options };
+  }
+
+  // Helper method to normalize an answer, replacing a bare option letter ("B", "b)") with the option's text
+  resolveOptionAnswer(value, options) {
+    const text = this.normalizeSemanticText(value);
+    const letter = text.match(/^([a-h])\s*[.)]?$/);
+    if (letter && options[letter[1]] !== undefined) {
+      return options[letter[1]];
+    }
+    return this.normalizeSemanticText(this.stripOptionLabel(text));
+  }
+
+  // Helper method to get the store key of the semantic bucket shared by requests with the same guard
+  getSemanticBucketKey(type, guard) {
+    const hash = crypto.createHash('sha256').update(guard).digest('hex').substring(0, 16);
+    return `ai:${type}:semantic:${hash}`;
+  }
+
+  // Helper method to write a semantic bucket that lives as long as its newest entry
+  async saveSemanticBucket(bucketKey, entries) {
+    if (entries.length === 0) {
+      await cacheService.delete(bucketKey);
+      return;
+    }
+    const ttl = Math.ceil((Math.max(...entries.map(entry => entry.expiresAt)) - Date.now()) / 1000);
+    await cacheService.set(bucketKey, entries, Math.max(ttl, 1));
+  }
+
+  // Helper method to read a cached response from memory or the persistent cache
+  async readEntry(cacheKey) {
+    const cached = this.memoryCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.data;
+    }
+    try {
+      return await cacheService.get(cacheKey);
+    } catch (error) {
+      console.error('Error reading from cache:', error);
+      return null;
+    }
+  }
+
   /**
    * Clear cache for specific type or all AI cache
    * @param {string} type - Optional type to clear (summary, image, explanation)
@@ -283,15 +493,42 @@ class AICacheService {
         }
       }
       
-      // Clear from persistent cache (implementation depends on cache service)
+      // Clear from persistent cache (semantic buckets share the type prefix)
+      await this.clearPersistent(`ai:${type}:`);
       console.log(`Cleared AI cache for type: ${type}`);
     } else {
       // Clear all AI cache
       this.memoryCache.clear();
+      await this.clearPersistent('ai:');
       console.log('Cleared all AI cache');
     }
   }
 
+  /**
+   * Remove AI entries from the configured cache store
+   * @param {string} prefix - Key prefix to remove
+   * @returns {number} Number of entries removed
+   */
+  async clearPersistent(prefix) {
+    try {
+      return await cacheService.deleteByPrefix(prefix);
+    } catch (error) {
+      console.error('Error clearing persistent cache:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Lifetime of the per-instance copy of an entry
+   * With a shared store another instance may clear or replace the entry, so local
+   * copies are kept briefly and the store stays the source of truth.
+   * @param {number} ttl - Lifetime of the entry in seconds
+   * @returns {number} Lifetime in seconds
+   */
+  getLocalTTL(ttl) {
+    return cacheService.isSharedStore() ? Math.min(ttl, this.sharedStoreLocalTTL) : ttl;
+  }
+
   /**
    * Get cache statistics
    * @returns {Object} - Cache statistics
@@ -312,14 +549,78 @@ class AICacheService {
         typeStats[type] = (typeStats[type] || 0) + 1;
       }
     }
+
+    const byType = {};
+    Object.entries(this.stats.byType).forEach(([type, counts]) => {
+      byType[type] = { ...counts, hitRate: this.getHitRate(counts.hits, counts.misses) };
+    });
     
     return {
       memory: memoryStats,
       types: typeStats,
+      lookups: {
+        hits: this.stats.hits,
+        misses: this.stats.misses,
+        memoryHits: this.stats.memoryHits,
+        persistentHits: this.stats.persistentHits,
+        semanticHits: this.stats.semanticHits,
+        hitRate: this.getHitRate(this.stats.hits, this.stats.misses),
+        semanticHitRate: this.getHitRate(this.stats.semanticHits, this.stats.hits + this.stats.misses - this.stats.semanticHits),
+        since: this.stats.since
+      },
+      byType,
+      semantic: {
+        threshold: this.semanticThreshold,
+        signatureSize: this.minHashSize,
+        // Signatures live in the cache store; a shared store shares them between instances
+        shared: cacheService.isSharedStore()
+      },
       lastCleanup: this.lastCleanup || 'Never'
     };
   }
 
+  /**
+   * Count a cache lookup for the hit-rate statistics
+   * @param {string} type - Operation type
+   * @param {string|null} source - memory, persistent or semantic; null for a miss
+   */
+  recordLookup(type, source) {
+    if (!this.stats.byType[type]) {
+      this.stats.byType[type] = { hits: 0, misses: 0, semanticHits: 0 };
+    }
+    const typeStats = this.stats.byType[type];
+
+    if (!source) {
+      this.stats.misses++;
+      typeStats.misses++;
+      return;
+    }
+
+    this.stats.hits++;
+    this.stats[`${source}Hits`]++;
+    typeStats.hits++;
+    if (source === 'semantic') typeStats.semanticHits++;
+  }
+
+  // Helper method to build zeroed lookup counters
+  createEmptyStats() {
+    return {
+      hits: 0,
+      misses: 0,
+      memoryHits: 0,
+      persistentHits: 0,
+      semanticHits: 0,
+      byType: {},
+      since: new Date().toISOString()
+    };
+  }
+
+  // Helper method to turn hit/miss counts into a rounded rate
+  getHitRate(hits, misses) {
+    const total = hits + misses;
+    return total > 0 ? Math.round((hits / total) * 1000) / 1000 : 0;
+  }
+
   /**
    * Calculate cost savings from cache hits
    * @param {string} type - Operation type
@@ -357,11 +658,10 @@ class AICacheService {
     }
     keysToDelete.forEach(key => this.memoryCache.delete(key));
 
-    // Clear from persistent cache (if implemented)
-    // For now, just reset stats for the type
-    this.stats.hits = Math.max(0, this.stats.hits - keysToDelete.length);
+    // Clear from persistent cache (may hold entries written by other instances)
+    const persistentRemoved = await this.clearPersistent(`ai:${type}:`);
     
-    console.log(`Cleared ${keysToDelete.length} ${type} cache entries`);
+    console.log(`Cleared ${keysToDelete.length} ${type} cache entries (${persistentRemoved} persistent)`);
   }
 
   /**
@@ -371,18 +671,14 @@ class AICacheService {
     // Clear memory cache
     const previousSize = this.memoryCache.size;
     this.memoryCache.clear();
+    const persistentRemoved = await this.clearPersistent('ai:');
     
     // Reset stats
-    this.stats = {
-      hits: 0,
-      misses: 0,
-      memoryHits: 0,
-      persistentHits: 0
-    };
+    this.stats = this.createEmptyStats();
     
     this.lastCleanup = new Date();
     
-    console.log(`Cleared all cache (${previousSize} entries)`);
+    console.log(`Cleared all cache (${previousSize} entries, ${persistentRemoved} persistent)`);
   }
 }
 
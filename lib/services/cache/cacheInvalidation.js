@@ -0,0 +1,70 @@
+const cacheService = require('../cacheService');
+const sessionService = require('../sessionService');
+const eventBus = require('../events/eventBus');
+const { DOMAIN_EVENTS } = require('../../config/constants');
+
+/**
+ * Drops cached data when a domain event says it changed
+ * Keys are grouped by prefix in the cache store:
+ *   lesson:list:<url>         remembered ETags of lesson lists
+ *   lesson:next-publication-change  next scheduled visibility change (caps remembered ETags)
+ *   statistics:/<id>/...      remembered ETags of lesson statistics
+ *   tags:<query>              tag queries
+ *   stats:platform            platform statistics
+ * Invalidation is idempotent, so the same change arriving from the app and from
+ * its Supabase webhook costs only a second delete.
+ */
+class CacheInvalidation {
+  constructor() {
+    [DOMAIN_EVENTS.LESSON_CREATED, DOMAIN_EVENTS.LESSON_UPDATED, DOMAIN_EVENTS.LESSON_DELETED].forEach(type => {
+      eventBus.subscribe(type, event => this.onLessonChanged(event), 'cache:lessons');
+    });
+    eventBus.subscribe(DOMAIN_EVENTS.RESULT_CREATED, event => this.onResultCreated(event), 'cache:results');
+    eventBus.subscribe(DOMAIN_EVENTS.STUDENT_APPROVED, event => this.onStudentApproved(event), 'cache:students');
+  }
+
+  /**
+   * Lesson created, updated, reordered or deleted: lists, tags, its statistics and the platform totals
+   * @param {Object} event - { payload: { lessonIds, lesson, reason } }
+   */
+  async onLessonChanged({ type, payload }) {
+    const lessonIds = payload.lessonIds || [];
+    const prefixes = payload.reason === 'reorder'
+      ? ['lesson:']
+      : ['lesson:', 'tags:', 'stats:platform', ...lessonIds.map(id => `statistics:/${id}/`)];
+
+    await this.invalidate(type, prefixes);
+  }
+
+  /**
+   * New result: the lesson's statistics and the platform activity and average score
+   * @param {Object} event - { payload: { resultId, lessonId, studentId, score } }
+   */
+  async onResultCreated({ type, payload }) {
+    const prefixes = ['stats:platform'];
+    if (payload.lessonId) {
+      prefixes.push(`statistics:/${payload.lessonId}/`);
+    }
+    await this.invalidate(type, prefixes);
+  }
+
+  /**
+   * Student approved: the platform student count and the session cache of that student
+   * @param {Object} event - { payload: { studentId } }
+   */
+  async onStudentApproved({ type, payload }) {
+    if (payload.studentId) {
+      sessionService.clearStudentCache(payload.studentId);
+    }
+    await this.invalidate(type, ['stats:platform']);
+  }
+
+  // Helper method to drop the given key prefixes and log what an event cleared
+  async invalidate(type, prefixes) {
+    const removed = await cacheService.invalidate(...prefixes);
+    console.log(`🧹 ${type}: invalidated ${prefixes.join(', ')} (${removed} entries)`);
+    return removed;
+  }
+}
+
+module.exports = new CacheInvalidation();
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Cache store in a directory, one JSON file per key
+ * Survives restarts of a single machine and can be shared by processes that mount
+ * the same directory. Files are written to a temporary name and renamed, so readers
+ * never see half-written entries. Expired files and the files beyond maxEntries
+ * (oldest writes first) are removed every cleanupEvery writes.
+ */
+class FileStore {
+  constructor({ directory, maxEntries, maxValueBytes, cleanupEvery }) {
+    this.name = 'file';
+    this.directory = directory;
+    this.maxEntries = maxEntries;
+    this.maxValueBytes = maxValueBytes;
+    this.cleanupEvery = cleanupEvery;
+    this.writes = 0;
+    this.ready = null;
+  }
+
+  async get(key) {
+    const entry = await this._readEntry(this._fileFor(key));
+    if (!entry || entry.key !== key) return null;
+
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      await this.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, value, ttl) {
+    const serialized = JSON.stringify(value);
+    if (serialized === undefined || Buffer.byteLength(serialized) > this.maxValueBytes) return false;
+
+    await this._ensureDirectory();
+    const file = this._fileFor(key);
+    const temporaryFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const entry = { key, value: serialized, expiresAt: ttl ? Date.now() + (ttl * 1000) : null };
+
+    await fs.writeFile(temporaryFile, JSON.stringify(entry), 'utf8');
+    await fs.rename(temporaryFile, file);
+
+    this.writes++;
+    if (this.writes % this.cleanupEvery === 0) {
+      this.cleanup().catch(error => console.error('Error cleaning up cache directory:', error.message));
+    }
+    return true;
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this._fileFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async deleteByPrefix(prefix) {
+    let removed = 0;
+    for (const file of await this._listFiles()) {
+      const entry = await this._readEntry(file);
+      if (entry && entry.key.startsWith(prefix) && await this._unlink(file)) removed++;
+    }
+    return removed;
+  }
+
+  async clear() {
+    let removed = 0;
+    for (const file of await this._listFiles()) {
+      if (await this._unlink(file)) removed++;
+    }
+    return removed;
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    const live = [];
+    let removed = 0;
+
+    for (const file of await this._listFiles()) {
+      const entry = await this._readEntry(file);
+      if (!entry || (entry.expiresAt && entry.expiresAt <= now)) {
+        if (await this._unlink(file)) removed++;
+        continue;
+      }
+      const stat = await fs.stat(file).catch(() => null);
+      if (stat) live.push({ file, writtenAt: stat.mtimeMs });
+    }
+
+    if (live.length > this.maxEntries) {
+      live.sort((a, b) => a.writtenAt - b.writtenAt);
+      for (const { file } of live.slice(0, live.length - this.maxEntries)) {
+        if (await this._unlink(file)) removed++;
+      }
+    }
+    return removed;
+  }
+
+  async getStats() {
+    const files = await this._listFiles();
+    let bytes = 0;
+    for (const file of files) {
+      const stat = await fs.stat(file).catch(() => null);
+      if (stat) bytes += stat.size;
+    }
+
+    return {
+      backend: this.name,
+      shared: true,
+      directory: this.directory,
+      entries: files.length,
+      bytes,
+      maxEntries: this.maxEntries,
+      maxValueBytes: this.maxValueBytes
+    };
+  }
+
+  // Helper method to map a key to a file name that is safe on every file system
+  _fileFor(key) {
+    return path.join(this.directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  // Helper method to read and parse an entry file (null when missing or unreadable)
+  async _readEntry(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Helper method to list the entry files of the directory
+  async _listFiles() {
+    try {
+      return (await fs.readdir(this.directory))
+        .filter(name => name.endsWith('.json'))
+        .map(name => path.join(this.directory, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Helper method to remove a file another process may already have removed
+  async _unlink(file) {
+    try {
+      await fs.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Helper method to create the cache directory once per process
+  _ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true }).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,52 @@
+/**
+ * Cache store factory
+ * Every store implements (all async, values must be JSON-serializable):
+ *   get(key) -> value or null when missing/expired
+ *   set(key, value, ttlSeconds) -> true, or false when the value exceeds maxValueBytes
+ *   delete(key) -> boolean
+ *   deleteByPrefix(prefix) -> number of entries removed
+ *   clear() -> number of entries removed
+ *   cleanup() -> number of expired/overflow entries removed
+ *   getStats() -> { backend, shared, entries, maxEntries, maxValueBytes, ... }
+ */
+
+const os = require('os');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const PostgresStore = require('./postgresStore');
+const FileStore = require('./fileStore');
+const { CACHE_CONFIG } = require('../../../config/constants');
+
+/**
+ * Create the configured cache store
+ * @param {string} name - 'memory', 'postgres' or 'file' (defaults to CACHE_STORE)
+ * @returns {Object} Store instance
+ */
+function createCacheStore(name = CACHE_CONFIG.STORE) {
+  const limits = {
+    maxEntries: CACHE_CONFIG.MAX_ENTRIES,
+    maxValueBytes: CACHE_CONFIG.MAX_VALUE_BYTES,
+    cleanupEvery: CACHE_CONFIG.CLEANUP_EVERY_WRITES
+  };
+
+  switch (name) {
+    case 'memory':
+      return new MemoryStore(limits);
+    case 'postgres': {
+      // Required lazily so the memory and file stores work without a database
+      const { pgPool } = require('../../../config/database');
+      return new PostgresStore({ ...limits, pool: pgPool, table: CACHE_CONFIG.STORE_TABLE });
+    }
+    case 'file':
+      return new FileStore({ ...limits, directory: CACHE_CONFIG.STORE_DIR || path.join(os.tmpdir(), 'onluyen-cache') });
+    default:
+      throw new Error(`Unknown cache store "${name}" (memory, postgres, file)`);
+  }
+}
+
+module.exports = {
+  createCacheStore,
+  MemoryStore,
+  PostgresStore,
+  FileStore
+};
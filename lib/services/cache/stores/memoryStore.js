@@ -0,0 +1,89 @@
+/**
+ * Per-process cache store backed by a Map
+ * Values are kept as JSON text, exactly like the shared stores, so a cached value
+ * reads back the same (and hashes to the same ETag) whichever backend is configured.
+ */
+class MemoryStore {
+  constructor({ maxEntries, maxValueBytes } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.maxValueBytes = maxValueBytes;
+    this.entries = new Map(); // key -> { value, expiresAt }; Map order is write order
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, value, ttl) {
+    const serialized = JSON.stringify(value);
+    if (serialized === undefined || Buffer.byteLength(serialized) > this.maxValueBytes) return false;
+
+    // Re-inserting moves the key to the end, so the first key is always the oldest write
+    this.entries.delete(key);
+    this.entries.set(key, { value: serialized, expiresAt: ttl ? Date.now() + (ttl * 1000) : null });
+
+    if (this.entries.size > this.maxEntries) {
+      await this.cleanup();
+    }
+    return true;
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async deleteByPrefix(prefix) {
+    let removed = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    return removed;
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of Array.from(this.entries.entries())) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      removed++;
+    }
+    return removed;
+  }
+
+  async getStats() {
+    return {
+      backend: this.name,
+      shared: false,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      maxValueBytes: this.maxValueBytes
+    };
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,117 @@
+/**
+ * Cache store in a PostgreSQL table, shared by every instance through the pg pool
+ * The table is created on first use:
+ *   key text primary key, value text (JSON), expires_at timestamptz, updated_at timestamptz
+ * Expired rows are ignored on read and purged, together with the rows beyond
+ * maxEntries (oldest writes first), every cleanupEvery writes.
+ */
+class PostgresStore {
+  constructor({ pool, table, maxEntries, maxValueBytes, cleanupEvery }) {
+    if (!/^[a-z_][a-z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid cache table name "${table}"`);
+    }
+    this.name = 'postgres';
+    this.pool = pool;
+    this.table = table;
+    this.maxEntries = maxEntries;
+    this.maxValueBytes = maxValueBytes;
+    this.cleanupEvery = cleanupEvery;
+    this.writes = 0;
+    this.ready = null;
+  }
+
+  async get(key) {
+    await this._ensureTable();
+    const { rows } = await this.pool.query(
+      `SELECT value FROM ${this.table} WHERE key = $1 AND (expires_at IS NULL OR expires_at > now())`,
+      [key]
+    );
+    return rows.length > 0 ? JSON.parse(rows[0].value) : null;
+  }
+
+  async set(key, value, ttl) {
+    const serialized = JSON.stringify(value);
+    if (serialized === undefined || Buffer.byteLength(serialized) > this.maxValueBytes) return false;
+
+    await this._ensureTable();
+    await this.pool.query(
+      `INSERT INTO ${this.table} (key, value, expires_at, updated_at)
+       VALUES ($1, $2, CASE WHEN $3::int IS NULL THEN NULL ELSE now() + make_interval(secs => $3::int) END, now())
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at, updated_at = EXCLUDED.updated_at`,
+      [key, serialized, ttl ? Math.ceil(ttl) : null]
+    );
+
+    this.writes++;
+    if (this.writes % this.cleanupEvery === 0) {
+      this.cleanup().catch(error => console.error('Error cleaning up cache table:', error.message));
+    }
+    return true;
+  }
+
+  async delete(key) {
+    await this._ensureTable();
+    const { rowCount } = await this.pool.query(`DELETE FROM ${this.table} WHERE key = $1`, [key]);
+    return rowCount > 0;
+  }
+
+  async deleteByPrefix(prefix) {
+    await this._ensureTable();
+    const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+    const { rowCount } = await this.pool.query(`DELETE FROM ${this.table} WHERE key LIKE $1`, [pattern]);
+    return rowCount;
+  }
+
+  async clear() {
+    await this._ensureTable();
+    const { rowCount } = await this.pool.query(`DELETE FROM ${this.table}`);
+    return rowCount;
+  }
+
+  async cleanup() {
+    await this._ensureTable();
+    const expired = await this.pool.query(`DELETE FROM ${this.table} WHERE expires_at IS NOT NULL AND expires_at <= now()`);
+    const overflow = await this.pool.query(
+      `DELETE FROM ${this.table} WHERE key IN (SELECT key FROM ${this.table} ORDER BY updated_at DESC OFFSET $1)`,
+      [this.maxEntries]
+    );
+    return expired.rowCount + overflow.rowCount;
+  }
+
+  async getStats() {
+    await this._ensureTable();
+    const { rows } = await this.pool.query(
+      `SELECT count(*)::int AS entries, coalesce(sum(octet_length(value)), 0)::bigint AS bytes FROM ${this.table}
+       WHERE expires_at IS NULL OR expires_at > now()`
+    );
+    return {
+      backend: this.name,
+      shared: true,
+      table: this.table,
+      entries: rows[0].entries,
+      bytes: Number(rows[0].bytes),
+      maxEntries: this.maxEntries,
+      maxValueBytes: this.maxValueBytes
+    };
+  }
+
+  // Helper method to create the cache table once per process
+  _ensureTable() {
+    if (!this.ready) {
+      this.ready = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS ${this.table} (
+          key text PRIMARY KEY,
+          value text NOT NULL,
+          expires_at timestamptz,
+          updated_at timestamptz NOT NULL DEFAULT now()
+        );
+        CREATE INDEX IF NOT EXISTS ${this.table}_expires_at_idx ON ${this.table} (expires_at);
+      `).catch(error => {
+        this.ready = null; // Try again on the next call
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+}
+
+module.exports = PostgresStore;
@@ -1,9 +1,27 @@
 const crypto = require('crypto');
 const { CACHE_CONFIG } = require('../config/constants');
+const { createCacheStore } = require('./cache/stores');
 
 class CacheService {
   constructor() {
-    this.aiCache = new Map();
+    // Server-side entries (AI responses) live in the configured store: memory, postgres or file
+    this.store = createCacheStore();
+  }
+
+  /**
+   * Replace the cache store (e.g. with a MemoryStore in tests)
+   * @param {Object} store - Store instance
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Whether other instances read and write the same store
+   * @returns {boolean}
+   */
+  isSharedStore() {
+    return this.store.name !== 'memory';
   }
 
   // Generate ETag for data
@@ -87,7 +105,10 @@ class CacheService {
   }
 
   // Handle cache response
-  handleCacheResponse(req, res, data, cacheKey = null, maxAge = null) {
+  // With a cacheKey and a shared store, the ETag is remembered so later conditional requests
+  // can be answered by answerFromValidator() until a domain event drops it. validatorTTL
+  // (async, seconds or null) shortens how long it is remembered.
+  handleCacheResponse(req, res, data, cacheKey = null, maxAge = null, validatorTTL = null) {
     if (!this.shouldCache(req)) {
       return { fromCache: false, data };
     }
@@ -95,6 +116,10 @@ class CacheService {
     const etag = this.generateETag(data);
     const cacheMaxAge = maxAge || this.getCacheMaxAge(req.path);
 
+    if (cacheKey && res.statusCode === 200 && this.isSharedResponse(req) && this.isSharedStore()) {
+      this._rememberValidator(cacheKey, etag, validatorTTL);
+    }
+
     if (this.checkClientCache(req, etag)) {
       console.log(`Cache hit for ${req.path}`);
       res.status(304).send();
@@ -106,6 +131,92 @@ class CacheService {
     return { fromCache: false, data };
   }
 
+  /**
+   * Answer a conditional request from the remembered ETag, without running the handler
+   * Only for responses that are the same for every visitor (no student session), and
+   * only until a domain event invalidates the key. Events invalidate the store of the
+   * instance that handles them, so validators are only trusted in a shared store.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} cacheKey - Key the ETag was remembered under
+   * @param {number} maxAge - Cache-Control max-age in seconds
+   * @returns {Promise<boolean>} True when a 304 was sent
+   */
+  async answerFromValidator(req, res, cacheKey, maxAge) {
+    if (!req.headers['if-none-match'] || !this.isSharedStore() || !this.shouldCache(req) || !this.isSharedResponse(req)) {
+      return false;
+    }
+
+    const etag = await this.get(`etag:${cacheKey}`);
+    if (!etag || !this.checkClientCache(req, etag)) {
+      return false;
+    }
+
+    console.log(`Cache hit (validator) for ${req.path}`);
+    this.setCacheHeaders(res, etag, maxAge);
+    res.status(304).send();
+    return true;
+  }
+
+  // Helper method to remember an issued ETag for at most VALIDATOR_TTL seconds
+  async _rememberValidator(cacheKey, etag, validatorTTL) {
+    try {
+      const limit = validatorTTL ? await validatorTTL() : null;
+      const ttl = limit === null ? CACHE_CONFIG.VALIDATOR_TTL : Math.min(limit, CACHE_CONFIG.VALIDATOR_TTL);
+      if (ttl > 0) {
+        await this.set(`etag:${cacheKey}`, etag, ttl);
+      }
+    } catch (error) {
+      console.error(`Could not remember the ETag of ${cacheKey}:`, error.message);
+    }
+  }
+
+  // Check whether a response is the same for every visitor
+  // Students get their own progress fields; admins also see drafts and the status filter
+  isSharedResponse(req) {
+    const session = req.session || {};
+    return !session.studentId && !session.adminId && session.isAuthenticated !== true;
+  }
+
+  /**
+   * Read a server-side data cache entry, loading and storing it on a miss
+   * @param {string} key - Cache key (e.g. "tags:all")
+   * @param {number} ttl - Time to live in seconds
+   * @param {Function} loader - Async function producing the value
+   * @returns {Promise<*>} Cached or freshly loaded value
+   */
+  async remember(key, ttl, loader) {
+    const cached = await this.get(key);
+    if (cached !== null) {
+      return cached;
+    }
+
+    const value = await loader();
+    if (value !== undefined && value !== null) {
+      await this.set(key, value, ttl);
+    }
+    return value;
+  }
+
+  /**
+   * Drop server-side entries and remembered ETags by key prefix
+   * A failing store is logged; its entries expire on their TTL instead.
+   * @param {...string} prefixes - Key prefixes (e.g. "tags:", "stats:platform")
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async invalidate(...prefixes) {
+    let removed = 0;
+    for (const prefix of prefixes) {
+      try {
+        removed += await this.store.deleteByPrefix(prefix);
+        removed += await this.store.deleteByPrefix(`etag:${prefix}`);
+      } catch (error) {
+        console.error(`Cache store (${this.store.name}) invalidation of "${prefix}" failed:`, error.message);
+      }
+    }
+    return removed;
+  }
+
   // Get appropriate cache max age based on route
   getCacheMaxAge(path) {
     if (path.includes('/api/lessons/') && path.includes('/statistics')) {
@@ -162,6 +273,7 @@ class CacheService {
     // For now, return basic info
     return {
       enabled: true,
+      store: this.store.name,
       defaultMaxAge: CACHE_CONFIG.DEFAULT_MAX_AGE,
       lessonMaxAge: CACHE_CONFIG.LESSON_CACHE_MAX_AGE,
       statisticsMaxAge: CACHE_CONFIG.STATISTICS_CACHE_MAX_AGE,
@@ -211,23 +323,64 @@ class CacheService {
     };
   }
 
-  // Simple in-memory cache for AI features (replace with Redis in production)
+  // Server-side cache for AI features, backed by the configured store
+  // A failing store behaves like an empty cache instead of failing the request
 
   async get(key) {
-    const item = this.aiCache.get(key);
-    if (!item) return null;
-    
-    if (item.expiresAt && Date.now() > item.expiresAt) {
-      this.aiCache.delete(key);
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      console.error(`Cache store (${this.store.name}) read failed:`, error.message);
       return null;
     }
-    
-    return item.data;
   }
 
   async set(key, value, ttl = 3600) {
-    const expiresAt = ttl ? Date.now() + (ttl * 1000) : null;
-    this.aiCache.set(key, { data: value, expiresAt });
+    try {
+      return await this.store.set(key, value, ttl);
+    } catch (error) {
+      console.error(`Cache store (${this.store.name}) write failed:`, error.message);
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      return await this.store.delete(key);
+    } catch (error) {
+      console.error(`Cache store (${this.store.name}) delete failed:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remove every entry whose key starts with a prefix (e.g. "ai:summary:")
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async deleteByPrefix(prefix) {
+    return this.store.deleteByPrefix(prefix);
+  }
+
+  /**
+   * Remove every entry of the store
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    return this.store.clear();
+  }
+
+  /**
+   * Describe the store: backend, entry count and limits
+   * @returns {Promise<Object>} Store statistics
+   */
+  async getStoreStats() {
+    try {
+      return await this.store.getStats();
+    } catch (error) {
+      console.error(`Cache store (${this.store.name}) stats failed:`, error.message);
+      return { backend: this.store.name, error: error.message };
+    }
   }
 }
 
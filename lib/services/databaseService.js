@@ -1,9 +1,18 @@
-const { supabase, supabaseAdmin } = require('../config/database');
+const crypto = require('crypto');
+const { supabase, supabaseAdmin, pgPool } = require('../config/database');
+const gradingService = require('./gradingService');
+const eventBus = require('./events/eventBus');
+const { PUBLICATION_CONFIG, DOMAIN_EVENTS } = require('../config/constants');
+const { getPublicationState, parseTimestamp } = require('../utils/publication');
+
+// Attempts to take the next revision number when concurrent saves race for it
+const REVISION_INSERT_ATTEMPTS = 5;
 
 class DatabaseService {
   // Lesson operations
+  // options.publication: 'visible' (students), 'all' (admins) or a single publication state
   async getLessons(options = {}) {
-    const { page = 1, limit = 10, search = '', sort = 'newest', tags = [] } = options;
+    const { page = 1, limit = 10, search = '', sort = 'newest', tags = [], publication = 'visible' } = options;
     const startIndex = (page - 1) * limit;
 
     // Determine sorting parameters
@@ -35,10 +44,12 @@ class DatabaseService {
     // Tag filters applied for lesson query
 
     if (search) {
-      // Use RPC for search
+      // Use RPC for search; it returns lesson rows, so the publication filter applies before paging
       let rpcQuery = supabase
         .rpc('search_lessons', { search_term: search })
-        .order(orderColumn, { ascending: orderAscending })
+        .order(orderColumn, { ascending: orderAscending });
+
+      rpcQuery = this._applyPublicationFilter(rpcQuery, publication)
         .range(startIndex, startIndex + limit - 1);
 
       const { data: rpcData, error: rpcError } = await rpcQuery;
@@ -59,9 +70,11 @@ class DatabaseService {
         });
       }
 
-      // Get total count for search results
-      const { count, error: countError } = await supabase
-        .rpc('search_lessons', { search_term: search }, { count: 'exact', head: true });
+      // Get total count for search results, counting only lessons in the requested publication state
+      const { count, error: countError } = await this._applyPublicationFilter(
+        supabase.rpc('search_lessons', { search_term: search }, { count: 'exact', head: true }),
+        publication
+      );
 
       if (countError) {
         console.warn('Could not get total count for search results:', countError);
@@ -73,9 +86,11 @@ class DatabaseService {
       // Regular query without search
       let query = supabase
         .from('lessons')
-        .select('id, title, color, created, last_updated, views, order, subject, grade, tags, description, purpose, pricing, lesson_image, enable_question_pool, question_pool_size, question_type_distribution', { count: 'exact' })
+        .select('id, title, color, created, last_updated, views, order, subject, grade, tags, description, purpose, pricing, lesson_image, enable_question_pool, question_pool_size, question_type_distribution, publication_status, publish_at, unpublish_at', { count: 'exact' })
         .order(orderColumn, { ascending: orderAscending });
 
+      query = this._applyPublicationFilter(query, publication);
+
       // Apply tag filtering at database level for better performance
       if (tagFilters.length > 0) {
         // Applying tag filters to lesson query
@@ -103,13 +118,64 @@ class DatabaseService {
       lessonImage: lesson.lesson_image, // Map lesson_image to lessonImage for frontend compatibility
       enableQuestionPool: lesson.enable_question_pool,
       questionPoolSize: lesson.question_pool_size,
-      questionTypeDistribution: lesson.question_type_distribution
+      questionTypeDistribution: lesson.question_type_distribution,
+      publicationStatus: getPublicationState(lesson),
+      publishAt: lesson.publish_at || null,
+      unpublishAt: lesson.unpublish_at || null
     }));
 
-    return { lessons: mappedLessons, total, page, limit, search, sort, tags: tagFilters };
+    return { lessons: mappedLessons, total, page, limit, search, sort, tags: tagFilters, publication };
+  }
+
+  // Helper method to restrict a lessons query to one publication state
+  // Rows without a status predate the workflow and count as published
+  _applyPublicationFilter(query, publication, now = new Date().toISOString()) {
+    const { STATUS } = PUBLICATION_CONFIG;
+    const live = `publication_status.is.null,publication_status.in.(${STATUS.PUBLISHED},${STATUS.SCHEDULED})`;
+
+    switch (publication) {
+      case 'all':
+        return query;
+      case STATUS.DRAFT:
+        return query.eq('publication_status', STATUS.DRAFT);
+      case STATUS.SCHEDULED:
+        return query
+          .or(live)
+          .gt('publish_at', now)
+          .or(`unpublish_at.is.null,unpublish_at.gt."${now}"`);
+      case STATUS.ARCHIVED:
+        return query.or(`publication_status.eq.${STATUS.ARCHIVED},and(unpublish_at.lte."${now}",or(${live}))`);
+      default: // 'visible' and 'published'
+        return query
+          .or(live)
+          .or(`publish_at.is.null,publish_at.lte."${now}"`)
+          .or(`unpublish_at.is.null,unpublish_at.gt."${now}"`);
+    }
+  }
+
+  // Get the next time a scheduled or published lesson appears or disappears (no event marks it)
+  async getNextPublicationChange(now = new Date().toISOString()) {
+    const { STATUS } = PUBLICATION_CONFIG;
+    const live = `publication_status.is.null,publication_status.in.(${STATUS.PUBLISHED},${STATUS.SCHEDULED})`;
+
+    const [publishes, unpublishes] = await Promise.all(['publish_at', 'unpublish_at'].map(column => supabase
+      .from('lessons')
+      .select(column)
+      .or(live)
+      .gt(column, now)
+      .order(column, { ascending: true })
+      .limit(1)));
+
+    if (publishes.error) throw publishes.error;
+    if (unpublishes.error) throw unpublishes.error;
+
+    const times = [publishes.data?.[0]?.publish_at, unpublishes.data?.[0]?.unpublish_at]
+      .map(parseTimestamp)
+      .filter(Boolean);
+    return times.length > 0 ? new Date(Math.min(...times.map(time => time.getTime()))) : null;
   }
 
-  async getLessonById(id) {
+  async getLessonById(id, { applyQuestionPool = true } = {}) {
     const { data: lesson, error } = await supabase
       .from('lessons')
       .select('*')
@@ -123,29 +189,17 @@ class DatabaseService {
       throw error;
     }
 
-    // Apply question pool filtering if enabled
-    let filteredQuestions = lesson.questions;
-    if (lesson.enable_question_pool && lesson.question_pool_size > 0 && Array.isArray(lesson.questions)) {
-      const poolSize = lesson.question_pool_size;
-      const totalQuestions = lesson.questions.length;
-
-      if (poolSize < totalQuestions) {
-        // Apply question pool filtering
-        if (lesson.question_type_distribution) {
-          // Use question type distribution if available
-          filteredQuestions = this._applyQuestionTypeDistribution(lesson.questions, lesson.question_type_distribution);
-        } else {
-          // Fallback: use proportional distribution based on question types
-          filteredQuestions = this._applyProportionalDistribution(lesson.questions, poolSize);
-        }
-      }
-    }
+    // Apply question pool filtering if enabled (grading needs the full question list)
+    const filteredQuestions = applyQuestionPool ? this.selectQuestionPool(lesson) : lesson.questions;
 
     // Map database field names to frontend expected names
     const mappedLesson = {
       ...lesson,
       questions: filteredQuestions, // Use filtered questions
       lessonImage: lesson.lesson_image, // Map lesson_image to lessonImage for frontend compatibility
+      publicationStatus: getPublicationState(lesson),
+      publishAt: lesson.publish_at || null,
+      unpublishAt: lesson.unpublish_at || null,
       // Map new fields from snake_case to camelCase
       timeLimitEnabled: lesson.time_limit_enabled,
       timeLimitHours: lesson.time_limit_hours,
@@ -160,14 +214,35 @@ class DatabaseService {
       questionPoolSize: lesson.question_pool_size,
       questionTypeDistribution: lesson.question_type_distribution,
       pointsDistribution: lesson.points_distribution,
+      scoringPolicy: gradingService.resolveScoringPolicy(lesson),
       randomizationSeed: lesson.randomization_seed
     };
 
     return mappedLesson;
   }
 
+  // Select the questions served from a lesson's question pool (all questions when the pool is off)
+  selectQuestionPool(lesson, random = Math.random) {
+    if (!lesson.enable_question_pool || !(lesson.question_pool_size > 0) || !Array.isArray(lesson.questions)) {
+      return lesson.questions;
+    }
+
+    const poolSize = lesson.question_pool_size;
+    if (poolSize >= lesson.questions.length) {
+      return lesson.questions;
+    }
+
+    if (lesson.question_type_distribution) {
+      // Use question type distribution if available
+      return this._applyQuestionTypeDistribution(lesson.questions, lesson.question_type_distribution, random);
+    }
+
+    // Fallback: use proportional distribution based on question types
+    return this._applyProportionalDistribution(lesson.questions, poolSize, random);
+  }
+
   // Helper method to apply question type distribution
-  _applyQuestionTypeDistribution(questions, distribution) {
+  _applyQuestionTypeDistribution(questions, distribution, random = Math.random) {
     const sections = {
       'abcd': { questions: [], count: 0 },
       'truefalse': { questions: [], count: 0 },
@@ -197,7 +272,7 @@ class DatabaseService {
     Object.keys(sections).forEach(type => {
       const section = sections[type];
       if (section.count > 0 && section.questions.length > 0) {
-        const shuffled = this._shuffleArray([...section.questions]);
+        const shuffled = this._shuffleArray([...section.questions], random);
         const selected = shuffled.slice(0, Math.min(section.count, section.questions.length));
         selectedQuestions = selectedQuestions.concat(selected);
       }
@@ -207,7 +282,7 @@ class DatabaseService {
   }
 
   // Helper method to apply proportional distribution
-  _applyProportionalDistribution(questions, poolSize) {
+  _applyProportionalDistribution(questions, poolSize, random = Math.random) {
     const sections = {
       'abcd': { questions: [] },
       'truefalse': { questions: [] },
@@ -236,7 +311,7 @@ class DatabaseService {
         const selectCount = Math.round(poolSize * proportion);
 
         if (selectCount > 0) {
-          const shuffled = this._shuffleArray([...sections[type].questions]);
+          const shuffled = this._shuffleArray([...sections[type].questions], random);
           const selected = shuffled.slice(0, Math.min(selectCount, typeQuestions));
           selectedQuestions = selectedQuestions.concat(selected);
         }
@@ -246,7 +321,7 @@ class DatabaseService {
     // If we don't have enough questions due to rounding, add more randomly
     if (selectedQuestions.length < poolSize) {
       const remaining = questions.filter(q => !selectedQuestions.find(sq => sq.id === q.id));
-      const shuffled = this._shuffleArray(remaining);
+      const shuffled = this._shuffleArray(remaining, random);
       const needed = poolSize - selectedQuestions.length;
       selectedQuestions = selectedQuestions.concat(shuffled.slice(0, needed));
     }
@@ -255,16 +330,16 @@ class DatabaseService {
   }
 
   // Helper method to shuffle array (Fisher-Yates algorithm)
-  _shuffleArray(array) {
+  _shuffleArray(array, random = Math.random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
   }
 
-  async createLesson(lessonData) {
+  async createLesson(lessonData, { revisionNote = 'create' } = {}) {
     // Get next order number
     const { data: maxOrderLesson, error: maxOrderError } = await supabase
       .from('lessons')
@@ -298,6 +373,17 @@ class DatabaseService {
       newLessonData.lesson_image = lessonData.lessonImage;
       delete newLessonData.lessonImage;
     }
+    if (lessonData.scoringPolicy !== undefined) {
+      newLessonData.scoring_policy = lessonData.scoringPolicy;
+      delete newLessonData.scoringPolicy;
+    }
+    this._mapPublicationFields(lessonData, newLessonData);
+    if (!newLessonData.publication_status) {
+      const publishAt = parseTimestamp(newLessonData.publish_at);
+      newLessonData.publication_status = publishAt && publishAt > new Date()
+        ? PUBLICATION_CONFIG.STATUS.SCHEDULED
+        : PUBLICATION_CONFIG.DEFAULT_STATUS;
+    }
 
     const { data, error } = await supabase
       .from('lessons')
@@ -306,10 +392,13 @@ class DatabaseService {
       .single();
 
     if (error) throw error;
+
+    await this._recordLessonRevision(data, revisionNote);
+    this._publishLessonEvent(DOMAIN_EVENTS.LESSON_CREATED, [data.id], data, revisionNote);
     return data;
   }
 
-  async updateLesson(id, updateData) {
+  async updateLesson(id, updateData, { revisionNote = 'update' } = {}) {
     const updatedData = {
       ...updateData,
       last_updated: new Date().toISOString()
@@ -320,6 +409,11 @@ class DatabaseService {
       updatedData.lesson_image = updateData.lessonImage;
       delete updatedData.lessonImage;
     }
+    if (updateData.scoringPolicy !== undefined) {
+      updatedData.scoring_policy = updateData.scoringPolicy;
+      delete updatedData.scoringPolicy;
+    }
+    this._mapPublicationFields(updateData, updatedData);
     
     // Remove fields that shouldn't be updated
     delete updatedData.id;
@@ -338,9 +432,134 @@ class DatabaseService {
       throw error;
     }
 
+    if (data && data[0]) {
+      await this._recordLessonRevision(data[0], revisionNote);
+      this._publishLessonEvent(DOMAIN_EVENTS.LESSON_UPDATED, [id], data[0], revisionNote);
+    }
+    return data;
+  }
+
+  // Helper method to store the revision of a saved lesson
+  // The lesson is already written, so a failed revision is logged instead of failing the save
+  async _recordLessonRevision(lesson, note) {
+    try {
+      return await this.createLessonRevision(lesson, note);
+    } catch (error) {
+      console.error(`Could not store revision for lesson ${lesson.id} (${note}):`, error);
+      return null;
+    }
+  }
+
+  // Helper method to announce a lesson change to cache and statistics subscribers
+  _publishLessonEvent(type, lessonIds, lesson, reason) {
+    eventBus.publishAfterResponse(type, {
+      lessonIds: lessonIds.map(String),
+      lesson: lesson || null,
+      reason
+    });
+  }
+
+  // Helper method to convert the camelCase publication fields to their columns
+  _mapPublicationFields(source, target) {
+    const fields = { publicationStatus: 'publication_status', publishAt: 'publish_at', unpublishAt: 'unpublish_at' };
+    Object.entries(fields).forEach(([camel, column]) => {
+      if (source[camel] !== undefined) {
+        target[column] = source[camel] === '' ? null : source[camel];
+        delete target[camel];
+      }
+    });
+  }
+
+  // Lesson revision operations - every save stores an immutable copy of the lesson
+  // lesson_revisions has a unique index on (lesson_id, revision_number): two concurrent saves
+  // cannot take the same number, the loser re-reads the latest revision and takes the next one.
+  // Pass { retryOnConflict: false } to get the unique violation (code 23505) instead.
+  async createLessonRevision(lesson, note = 'update', { retryOnConflict = true } = {}) {
+    // Views and ordering change constantly and are not part of the lesson content
+    const { views, order, ...snapshot } = lesson;
+    const attempts = retryOnConflict ? REVISION_INSERT_ATTEMPTS : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await this.getLatestLessonRevision(lesson.id);
+
+      const { data, error } = await supabase
+        .from('lesson_revisions')
+        .insert({
+          id: crypto.randomUUID(),
+          lesson_id: lesson.id,
+          revision_number: latest ? latest.revision_number + 1 : 1,
+          snapshot,
+          note,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (!error) return data;
+      if (error.code !== '23505' || attempt >= attempts) throw error;
+      console.warn(`Revision number taken for lesson ${lesson.id}, retrying (${attempt}/${attempts})`);
+    }
+  }
+
+  async getLessonRevisions(lessonId) {
+    const { data, error } = await supabase
+      .from('lesson_revisions')
+      .select('id, lesson_id, revision_number, note, created_at, snapshot->title, snapshot->questions')
+      .eq('lesson_id', lessonId)
+      .order('revision_number', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(({ questions, ...revision }) => ({
+      ...revision,
+      question_count: Array.isArray(questions) ? questions.length : 0
+    }));
+  }
+
+  async getLessonRevision(lessonId, revisionNumber) {
+    const { data, error } = await supabase
+      .from('lesson_revisions')
+      .select('*')
+      .eq('lesson_id', lessonId)
+      .eq('revision_number', revisionNumber)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Revision not found');
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  async getLessonRevisionById(revisionId) {
+    const { data, error } = await supabase
+      .from('lesson_revisions')
+      .select('*')
+      .eq('id', revisionId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Revision not found');
+      }
+      throw error;
+    }
     return data;
   }
 
+  async getLatestLessonRevision(lessonId) {
+    const { data, error } = await supabase
+      .from('lesson_revisions')
+      .select('id, lesson_id, revision_number, note, created_at')
+      .eq('lesson_id', lessonId)
+      .order('revision_number', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  }
+
   async deleteLesson(id) {
     const { error } = await supabase
       .from('lessons')
@@ -348,6 +567,8 @@ class DatabaseService {
       .eq('id', id);
 
     if (error) throw error;
+
+    this._publishLessonEvent(DOMAIN_EVENTS.LESSON_DELETED, [id], null, 'delete');
     return true;
   }
 
@@ -367,6 +588,7 @@ class DatabaseService {
       throw new Error('One or more lessons failed to update order.');
     }
 
+    this._publishLessonEvent(DOMAIN_EVENTS.LESSON_UPDATED, orderedLessons.map(lesson => lesson.id), null, 'reorder');
     return true;
   }
 
@@ -507,6 +729,16 @@ class DatabaseService {
       // Database error during result creation
       throw error;
     }
+
+    eventBus.publishAfterResponse(DOMAIN_EVENTS.RESULT_CREATED, {
+      resultId: savedResult.id,
+      lessonId: resultData.lesson_id != null ? String(resultData.lesson_id) : null,
+      studentId: resultData.student_id || null,
+      score: resultData.score ?? null,
+      totalPoints: resultData.total_points ?? null,
+      mode: resultData.mode || null,
+      submittedAt: resultData.timestamp || null
+    });
     return savedResult;
   }
 
@@ -717,6 +949,121 @@ class DatabaseService {
     return history || [];
   }
 
+  // Full rating history of a student, oldest first (used to replay ratings)
+  async getStudentRatingTimeline(studentId) {
+    const { data: history, error } = await supabase
+      .from('rating_history')
+      .select('*')
+      .eq('student_id', studentId)
+      .order('timestamp', { ascending: true });
+
+    if (error) throw error;
+    return history || [];
+  }
+
+  // Record a rating change under the student's rating lock
+  // computeHistory(currentRating) receives the locked rating (null when the student has none)
+  // and returns the rating_history row to add; the rating becomes its new_rating.
+  async recordRatingChange(studentId, computeHistory) {
+    return this._transaction(async client => {
+      await this._lockStudentRating(client, studentId);
+      const { rows } = await client.query('SELECT rating FROM ratings WHERE student_id = $1', [studentId]);
+
+      const history = computeHistory(rows.length > 0 ? Number(rows[0].rating) : null);
+      await this._insertRatingHistory(client, studentId, [history]);
+      await this._writeStudentRating(client, studentId, history.new_rating);
+      return history;
+    });
+  }
+
+  // Save the re-graded results of one student and replay their rating in one transaction
+  // The rating and history are read under the student's rating lock and passed to
+  // planReplay(history, currentRating), which returns { newRating, replaceFrom, historyRows }:
+  // history from replaceFrom on is replaced by historyRows and earlier history is kept.
+  // Results without a student (studentId null) are only saved.
+  async saveRegrade(studentId, resultUpdates, planReplay = null) {
+    return this._transaction(async client => {
+      if (studentId) {
+        await this._lockStudentRating(client, studentId);
+      }
+
+      for (const update of resultUpdates) {
+        await client.query(
+          `UPDATE results
+              SET questions = $2, served_questions = $3, score = $4, total_points = $5, revision_id = $6, regraded_at = $7
+            WHERE id = $1`,
+          [update.id, JSON.stringify(update.questions), update.served_questions ? JSON.stringify(update.served_questions) : null,
+            update.score, update.total_points, update.revision_id, update.regraded_at]
+        );
+      }
+
+      if (!studentId || !planReplay) return null;
+
+      const { rows: history } = await client.query(
+        'SELECT * FROM rating_history WHERE student_id = $1 ORDER BY "timestamp" ASC',
+        [studentId]
+      );
+      const { rows: ratings } = await client.query('SELECT rating FROM ratings WHERE student_id = $1', [studentId]);
+
+      const replay = await planReplay(history, ratings.length > 0 ? Number(ratings[0].rating) : null);
+      if (replay.replaceFrom !== null) {
+        await client.query('DELETE FROM rating_history WHERE student_id = $1 AND "timestamp" >= $2', [studentId, replay.replaceFrom]);
+        await this._insertRatingHistory(client, studentId, replay.historyRows);
+        await this._writeStudentRating(client, studentId, replay.newRating);
+      }
+      return replay;
+    });
+  }
+
+  // Helper method to run work(client) in one transaction on a pooled connection
+  async _transaction(work) {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Helper method to hold a student's rating lock until the transaction ends
+  // Submissions and re-grade replays both take it, so neither overwrites the other's rating
+  async _lockStudentRating(client, studentId) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`rating:${studentId}`]);
+  }
+
+  // Helper method to set a student's rating inside a transaction (null removes it)
+  async _writeStudentRating(client, studentId, rating) {
+    if (rating === null) {
+      await client.query('DELETE FROM ratings WHERE student_id = $1', [studentId]);
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO ratings (student_id, rating, last_updated) VALUES ($1, $2, $3)
+       ON CONFLICT (student_id) DO UPDATE SET rating = EXCLUDED.rating, last_updated = EXCLUDED.last_updated`,
+      [studentId, rating, new Date().toISOString()]
+    );
+  }
+
+  // Helper method to add rating_history rows inside a transaction
+  async _insertRatingHistory(client, studentId, rows) {
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO rating_history
+           (student_id, lesson_id, previous_rating, rating_change, new_rating, performance, time_taken, streak, "timestamp")
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [studentId, row.lesson_id, row.previous_rating, row.rating_change, row.new_rating,
+          row.performance, row.time_taken, row.streak, row.timestamp]
+      );
+    }
+  }
+
   async getStudentProfile(studentId) {
     // Get student info
     const { data: student, error: studentError } = await supabase
@@ -1173,7 +1520,7 @@ class DatabaseService {
       // Get all lessons with error handling
       const { data: allLessons, error: lessonsError } = await supabase
         .from('lessons')
-        .select('id, title, subject, grade')
+        .select('id, title, subject, grade, publication_status, publish_at, unpublish_at')
         .order('order', { ascending: true });
 
       if (lessonsError) {
@@ -1192,7 +1539,9 @@ class DatabaseService {
       const completedIds = (completedLessons || []).map(lesson => lesson.lesson_id);
 
       // Find first incomplete lesson
-      const incompleteLesson = allLessons.find(lesson => !completedIds.includes(lesson.id));
+      const incompleteLesson = allLessons.find(lesson =>
+        !completedIds.includes(lesson.id) && getPublicationState(lesson) === PUBLICATION_CONFIG.STATUS.PUBLISHED
+      );
       return incompleteLesson || null;
     } catch (error) {
       console.error('Error in getLastIncompleteLesson:', error);
@@ -1283,7 +1632,7 @@ class DatabaseService {
         
         const { data, error } = await supabase
           .from('results')
-          .select('lesson_id, questions, lessons(title, subject)')
+          .select('lesson_id, questions, lessons(title, subject, scoring_policy)')
           .eq('id', resultId)
           .eq('student_id', studentId)
           .single();
@@ -1300,6 +1649,7 @@ class DatabaseService {
             correctAnswer: question.correctAnswer,
             type: question.type || 'multiple_choice',
             explanation: question.explanation || '',
+            scoringPolicy: data.lessons?.scoring_policy || null,
             source: 'mistake'
           });
         }
@@ -1324,6 +1674,42 @@ class DatabaseService {
     }
   }
 
+  // Get the stored questions behind practice question ids ("<resultId>_<questionIndex>")
+  async getPracticeQuestionSources(studentId, practiceIds = []) {
+    const resultIds = [...new Set(practiceIds
+      .filter(id => typeof id === 'string' && id.includes('_'))
+      .map(id => id.split('_')[0]))];
+
+    const sources = new Map();
+    if (resultIds.length === 0) return sources;
+
+    const { data, error } = await supabase
+      .from('results')
+      .select('id, questions, lessons(scoring_policy)')
+      .in('id', resultIds)
+      .eq('student_id', studentId);
+
+    if (error) throw error;
+
+    const resultsById = new Map((data || []).map(result => [String(result.id), result]));
+    practiceIds.forEach(practiceId => {
+      if (typeof practiceId !== 'string') return;
+      const [resultId, questionIndex] = practiceId.split('_');
+      const result = resultsById.get(resultId);
+      const storedAnswer = result?.questions?.[parseInt(questionIndex)];
+      if (storedAnswer) {
+        // Older results may carry a client-sent "correct" flag, which would shadow the graded correctAnswer
+        const { correct: _clientCorrect, ...question } = storedAnswer;
+        sources.set(practiceId, {
+          question,
+          scoringPolicy: result.lessons?.scoring_policy || null
+        });
+      }
+    });
+
+    return sources;
+  }
+
   // Save practice session results
   async savePracticeResults(studentId, practiceData) {
     // For now, we'll store practice results in the same results table
@@ -2418,8 +2804,9 @@ class DatabaseService {
   // Get detailed lesson statistics for admin dashboard
   async getLessonDetailedStatistics(lessonId) {
     try {
-      // Get lesson basic info
-      const lesson = await this.getLessonById(lessonId);
+      // Get lesson basic info with the full question list
+      const lesson = await this.getLessonById(lessonId, { applyQuestionPool: false });
+      const scoringPolicy = gradingService.resolveScoringPolicy(lesson);
       
       // Get all results for this lesson
       const { data: results, error } = await supabase
@@ -2438,6 +2825,11 @@ class DatabaseService {
 
       const totalAttempts = results?.length || 0;
       const uniqueStudents = new Set(results?.map(r => r.students?.full_name) || []).size;
+
+      // Score every result under the lesson's current scoring policy
+      results?.forEach(r => {
+        r.percentage = this._getResultPercentage(r);
+      });
       
       // Calculate basic statistics
       let averageScore = 0;
@@ -2445,12 +2837,7 @@ class DatabaseService {
       let highScores = 0;
       
       if (results && results.length > 0) {
-        const scores = results.map(r => {
-          if (r.totalPoints > 0) {
-            return (r.score / r.totalPoints) * 100;
-          }
-          return 0;
-        });
+        const scores = results.map(r => r.percentage ?? 0);
         
         averageScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
         lowScores = scores.filter(score => score < 50).length;
@@ -2465,8 +2852,8 @@ class DatabaseService {
       };
 
       results?.forEach(result => {
-        if (result.totalPoints > 0) {
-          const percentage = (result.score / result.totalPoints) * 100;
+        if (result.percentage !== null) {
+          const percentage = result.percentage;
           if (percentage <= 20) scoreDistribution.data[0]++;
           else if (percentage <= 40) scoreDistribution.data[1]++;
           else if (percentage <= 60) scoreDistribution.data[2]++;
@@ -2477,10 +2864,10 @@ class DatabaseService {
 
       // Create top scorers list
       const topScorers = results
-        ?.filter(r => r.totalPoints > 0)
+        ?.filter(r => r.percentage !== null)
         .map(r => ({
           name: r.students?.full_name || 'Unknown',
-          score: Math.round((r.score / r.totalPoints) * 100),
+          score: Math.round(r.percentage),
           dob: '', // Not available in current schema
           timestamp: r.timestamp
         }))
@@ -2489,17 +2876,26 @@ class DatabaseService {
 
       // Analyze questions if available
       let questionStats = [];
-      if (lesson.quiz_data && lesson.quiz_data.questions) {
-        questionStats = lesson.quiz_data.questions.map((question, index) => {
+      const lessonQuestions = lesson.questions || lesson.quiz_data?.questions;
+      if (Array.isArray(lessonQuestions)) {
+        questionStats = lessonQuestions.map((question, index) => {
+          const questionKey = gradingService.getQuestionKey(question, index);
           let correct = 0;
+          let partial = 0;
           let incorrect = 0;
           let completed = 0;
+          let totalCredit = 0;
 
           results?.forEach(result => {
-            if (result.questions && result.questions[index]) {
+            const storedAnswer = this._findStoredAnswer(result.questions, questionKey, index);
+            if (storedAnswer) {
               completed++;
-              if (result.questions[index].correct) {
+              const credit = gradingService.getStoredAnswerCredit(storedAnswer);
+              totalCredit += credit;
+              if (credit >= 1) {
                 correct++;
+              } else if (credit > 0) {
+                partial++;
               } else {
                 incorrect++;
               }
@@ -2512,7 +2908,9 @@ class DatabaseService {
             completed,
             notCompleted: uniqueStudents - completed,
             correct,
-            incorrect
+            partial,
+            incorrect,
+            averageCredit: completed > 0 ? Math.round((totalCredit / completed) * 100) / 100 : 0
           };
         });
       }
@@ -2533,7 +2931,8 @@ class DatabaseService {
         highScores,
         scoreDistribution,
         topScorers,
-        questionStats
+        questionStats,
+        scoringPolicy
       };
     } catch (error) {
       console.error('Error getting detailed lesson statistics:', error);
@@ -2555,6 +2954,42 @@ class DatabaseService {
       };
     }
   }
+
+  // Helper method to compute a result's percentage from the credit of its graded answers
+  _getResultPercentage(result) {
+    const answers = Array.isArray(result.questions) ? result.questions : [];
+    const gradedAnswers = answers.filter(answer => typeof answer?.points === 'number' && answer.points > 0);
+
+    if (gradedAnswers.length > 0) {
+      const totalPoints = gradedAnswers.reduce((sum, answer) => sum + answer.points, 0);
+      const earned = gradedAnswers.reduce(
+        (sum, answer) => sum + answer.points * gradingService.getStoredAnswerCredit(answer),
+        0
+      );
+      return (earned / totalPoints) * 100;
+    }
+
+    if (result.total_points > 0) {
+      return (result.score / result.total_points) * 100;
+    }
+    return null;
+  }
+
+  // Helper method to find the stored answer for a lesson question (by id, then by position)
+  _findStoredAnswer(storedAnswers, questionKey, index) {
+    if (!Array.isArray(storedAnswers)) return null;
+
+    const byId = storedAnswers.find(answer => answer && answer.questionId !== undefined &&
+      String(answer.questionId) === questionKey);
+    if (byId) return byId;
+
+    const byIndex = storedAnswers.find(answer => answer && answer.questionIndex === index);
+    if (byIndex) return byIndex;
+
+    // Legacy results were stored in question order without identifiers
+    const legacy = storedAnswers[index];
+    return legacy && legacy.questionId === undefined && legacy.questionIndex === undefined ? legacy : null;
+  }
 }
 
 module.exports = new DatabaseService();
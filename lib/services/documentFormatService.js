@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const aiService = require('./ai/aiService');
+const lessonTextService = require('./lessonTextService');
+const { splitAtQuestionBoundaries } = require('../utils/documentChunker');
+const { DOCUMENT_FORMAT_CONFIG } = require('../config/constants');
+const { QuotaExceededError } = require('../middleware/errorHandler');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED];
+
+/**
+ * Chunked AI formatting of uploaded documents
+ * Jobs are stored in the document_format_jobs table so any instance can report and continue them:
+ *   id, status, filename, user_id, chunks (jsonb: text, status, attempts, retryAt, output...),
+ *   result (jsonb), error, lease_until, created_at, updated_at, finished_at
+ * Work only happens inside requests (serverless instances are frozen after responding):
+ * every poll of an unfinished job runs its next step, formatting up to CONCURRENCY chunks
+ * with one attempt each. A step leases the job so two polls never format it at once; a
+ * lease left by a frozen or crashed request expires and the next poll takes over.
+ */
+class DocumentFormatService {
+  /**
+   * Create a formatting job without running it
+   * @param {string} text - Extracted document text
+   * @param {Object} meta - { filename, userId }
+   * @returns {Promise<Object>} Job snapshot (poll advanceJob or runJob to format it)
+   */
+  async createJob(text, meta = {}) {
+    await this._removeExpiredJobs();
+
+    const chunks = splitAtQuestionBoundaries(text, {
+      maxChars: DOCUMENT_FORMAT_CONFIG.MAX_CHUNK_CHARS,
+      maxQuestions: DOCUMENT_FORMAT_CONFIG.MAX_QUESTIONS_PER_CHUNK
+    });
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('document_format_jobs')
+      .insert({
+        id: crypto.randomUUID(),
+        status: JOB_STATUS.QUEUED,
+        filename: meta.filename || null,
+        user_id: meta.userId || null,
+        chunks: chunks.map(chunk => ({
+          index: chunk.index,
+          text: chunk.text,
+          sourceQuestions: chunk.sourceQuestions,
+          status: JOB_STATUS.QUEUED,
+          attempts: 0,
+          retryAt: null,
+          outputQuestions: null,
+          output: null,
+          error: null
+        })),
+        result: null,
+        error: null,
+        lease_until: null,
+        created_at: now,
+        updated_at: now,
+        finished_at: null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🧩 Document format job ${data.id}: ${chunks.length} chunk(s)`);
+    return this._toSnapshot(data);
+  }
+
+  /**
+   * Format a document within the current request
+   * @param {string} text - Extracted document text
+   * @param {Object} meta - { filename, userId }
+   * @param {Object} options - { budgetMs } after which the unfinished job is returned for polling
+   * @returns {Promise<Object>} Job snapshot, with its result when finished
+   */
+  async formatDocument(text, meta = {}, { budgetMs = Infinity } = {}) {
+    const { id } = await this.createJob(text, meta);
+    return this.runJob(id, { budgetMs });
+  }
+
+  /**
+   * Get the current state of a job without advancing it
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job snapshot without chunk texts
+   */
+  async getJob(jobId) {
+    const row = await this._getRow(jobId);
+    return row ? this._toSnapshot(row) : null;
+  }
+
+  /**
+   * Run the next step of an unfinished job (unless another request is running it)
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job snapshot after the step
+   */
+  async advanceJob(jobId) {
+    const { snapshot } = await this._advance(jobId);
+    return snapshot;
+  }
+
+  /**
+   * Run steps of a job until it finishes or the time budget runs out
+   * @param {string} jobId - Job ID
+   * @param {Object} options - { budgetMs, onProgress(snapshot) called after every step }
+   * @returns {Promise<Object|null>} Latest job snapshot
+   */
+  async runJob(jobId, { budgetMs = Infinity, onProgress = null } = {}) {
+    const stopAt = Date.now() + budgetMs;
+    let snapshot = await this.getJob(jobId);
+
+    while (snapshot && !this.isFinished(snapshot) && Date.now() < stopAt) {
+      const step = await this._advance(jobId);
+      snapshot = step.snapshot;
+      if (onProgress && snapshot) onProgress(snapshot);
+
+      // Nothing to do yet: chunks are waiting to retry or another request holds the lease
+      if (step.attempted === 0 && snapshot && !this.isFinished(snapshot)) {
+        await this._sleep(Math.min(DOCUMENT_FORMAT_CONFIG.IDLE_WAIT_MS, Math.max(0, stopAt - Date.now())));
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * Whether a job snapshot has reached a final status
+   * @param {Object} snapshot - Job snapshot
+   * @returns {boolean} True when completed or failed
+   */
+  isFinished(snapshot) {
+    return FINISHED_STATUSES.includes(snapshot.status);
+  }
+
+  // Helper method to lease a job, format its due chunks and save the outcome
+  async _advance(jobId) {
+    const job = await this._claim(jobId);
+    if (!job) {
+      const row = await this._getRow(jobId);
+      return { snapshot: row ? this._toSnapshot(row) : null, attempted: 0 };
+    }
+
+    const now = Date.now();
+    const due = job.chunks
+      .filter(chunk => chunk.status === JOB_STATUS.QUEUED && (!chunk.retryAt || new Date(chunk.retryAt).getTime() <= now))
+      .slice(0, DOCUMENT_FORMAT_CONFIG.CONCURRENCY);
+
+    try {
+      await Promise.all(due.map(chunk => this._attemptChunk(chunk)));
+      if (job.chunks.every(chunk => FINISHED_STATUSES.includes(chunk.status))) {
+        this._finish(job);
+      }
+    } catch (error) {
+      console.error(`Document format job ${job.id} failed:`, error);
+      job.status = JOB_STATUS.FAILED;
+      job.error = error.message;
+      job.finished_at = new Date().toISOString();
+    }
+
+    const saved = await this._save(job);
+    return { snapshot: this._toSnapshot(saved), attempted: due.length };
+  }
+
+  // Helper method to make one formatting attempt of a chunk
+  // Output with fewer questions than the chunk's source counts as a failed attempt and is retried with backoff
+  async _attemptChunk(chunk) {
+    chunk.attempts++;
+    let giveUp = chunk.attempts >= DOCUMENT_FORMAT_CONFIG.CHUNK_ATTEMPTS;
+
+    try {
+      const output = await aiService.formatDocumentWithAI(chunk.text);
+      const count = lessonTextService.renumber(output).count;
+
+      if (chunk.output === null || count > chunk.outputQuestions) {
+        chunk.output = output;
+        chunk.outputQuestions = count;
+      }
+      if (chunk.sourceQuestions === 0 || count >= chunk.sourceQuestions) {
+        chunk.status = JOB_STATUS.COMPLETED;
+        chunk.error = null;
+        chunk.retryAt = null;
+        return;
+      }
+      chunk.error = `Expected ${chunk.sourceQuestions} question(s), got ${count}`;
+    } catch (error) {
+      chunk.error = error.message;
+      // Retrying cannot help once the AI quota is used up
+      if (error instanceof QuotaExceededError) giveUp = true;
+    }
+
+    if (giveUp) {
+      // The best output so far is kept; the count check reports the shortfall
+      chunk.status = chunk.output !== null ? JOB_STATUS.COMPLETED : JOB_STATUS.FAILED;
+      chunk.retryAt = null;
+    } else {
+      const delay = DOCUMENT_FORMAT_CONFIG.RETRY_DELAY_MS * 2 ** (chunk.attempts - 1);
+      chunk.retryAt = new Date(Date.now() + delay).toISOString();
+    }
+  }
+
+  // Helper method to merge the chunk outputs in source order with continuous numbering
+  _finish(job) {
+    const failed = job.chunks.filter(chunk => chunk.status === JOB_STATUS.FAILED);
+    if (failed.length === job.chunks.length) {
+      throw new Error(failed[0].error || 'AI formatting failed');
+    }
+
+    let nextNumber = 1;
+    const parts = [];
+    job.chunks.forEach(chunk => {
+      if (chunk.output === null) return;
+      const renumbered = lessonTextService.renumber(chunk.output, nextNumber);
+      nextNumber += renumbered.count;
+      parts.push(renumbered.text.trim());
+    });
+
+    const formattedContent = parts.join('\n\n');
+    const parsed = lessonTextService.parse(formattedContent);
+    const sourceQuestions = job.chunks.reduce((sum, chunk) => sum + chunk.sourceQuestions, 0);
+    const outputQuestions = nextNumber - 1;
+
+    job.result = {
+      formattedContent,
+      questions: parsed.questions,
+      parseErrors: parsed.errors,
+      parseWarnings: parsed.warnings,
+      countCheck: {
+        sourceQuestions,
+        outputQuestions,
+        // Lecture notes have no questions in the source; the AI writes new ones
+        matches: sourceQuestions === 0 || sourceQuestions === outputQuestions
+      },
+      failedChunks: failed.map(chunk => chunk.index)
+    };
+    job.status = JOB_STATUS.COMPLETED;
+    job.finished_at = new Date().toISOString();
+
+    if (!job.result.countCheck.matches) {
+      console.warn(`⚠️ Document format job ${job.id}: source has ${sourceQuestions} question(s), output has ${outputQuestions}`);
+    }
+  }
+
+  // Helper method to take an unfinished job for one step, so two requests never format it at once
+  async _claim(jobId) {
+    const now = new Date();
+    const { data, error } = await supabase
+      .from('document_format_jobs')
+      .update({
+        status: JOB_STATUS.RUNNING,
+        lease_until: new Date(now.getTime() + DOCUMENT_FORMAT_CONFIG.LEASE_MS).toISOString()
+      })
+      .eq('id', jobId)
+      .in('status', [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING])
+      .or(`lease_until.is.null,lease_until.lt."${now.toISOString()}"`)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Helper method to store the outcome of a step and release the lease
+  async _save(job) {
+    const { data, error } = await supabase
+      .from('document_format_jobs')
+      .update({
+        status: job.status,
+        chunks: job.chunks,
+        result: job.result,
+        error: job.error,
+        finished_at: job.finished_at,
+        lease_until: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Helper method to load a job row
+  async _getRow(jobId) {
+    const { data, error } = await supabase
+      .from('document_format_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Helper method to describe a job row without chunk texts and outputs
+  _toSnapshot(row) {
+    const chunks = Array.isArray(row.chunks) ? row.chunks : [];
+    const completedChunks = chunks.filter(chunk => chunk.status === JOB_STATUS.COMPLETED).length;
+    const failedChunks = chunks.filter(chunk => chunk.status === JOB_STATUS.FAILED).length;
+
+    return {
+      id: row.id,
+      status: row.status,
+      filename: row.filename,
+      userId: row.user_id,
+      createdAt: row.created_at,
+      finishedAt: row.finished_at,
+      progress: {
+        totalChunks: chunks.length,
+        completedChunks,
+        failedChunks,
+        percent: chunks.length > 0 ? Math.round(((completedChunks + failedChunks) / chunks.length) * 100) : 100
+      },
+      chunks: chunks.map(chunk => ({
+        index: chunk.index,
+        status: chunk.status,
+        attempts: chunk.attempts,
+        sourceQuestions: chunk.sourceQuestions,
+        outputQuestions: chunk.outputQuestions,
+        error: chunk.error
+      })),
+      result: row.result,
+      error: row.error
+    };
+  }
+
+  // Helper method to forget finished jobs after the retention period
+  async _removeExpiredJobs() {
+    const cutoff = new Date(Date.now() - DOCUMENT_FORMAT_CONFIG.JOB_TTL_MS).toISOString();
+    const { error } = await supabase
+      .from('document_format_jobs')
+      .delete()
+      .lt('finished_at', cutoff);
+
+    if (error) console.warn('Could not remove expired document format jobs:', error.message);
+  }
+
+  // Helper method to wait between steps
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new DocumentFormatService();
@@ -0,0 +1,418 @@
+const JSZip = require('jszip');
+const sharp = require('sharp');
+const { supabaseAdmin } = require('../config/database');
+const lessonTextService = require('./lessonTextService');
+const { parseXml } = require('../utils/moodleXml');
+const { ommlToLatex } = require('../utils/omml');
+const { ValidationError } = require('../middleware/errorHandler');
+const { UPLOAD_CONFIG } = require('../config/constants');
+
+// Line patterns teachers use in Word question sheets
+const QUESTION_PATTERN = /^Câu\s*(\d+)\s*[:.]/i;
+const OPTION_LABEL_PATTERN = /(^|\s)([A-H])\s*[.)]\s*/g;
+const STATEMENT_PATTERN = /^([a-h])\s*\)\s*/;
+const ANSWER_PATTERN = /^(?:Đáp án|Đáp số|ĐS|Answer)\s*[:.]\s*(.*)$/i;
+const SOLUTION_PATTERN = /^(?:Lời giải|Hướng dẫn(?: giải)?|Giải)\s*(?:[:.]\s*(.*))?$/i;
+
+// Run formatting that can mark a correct answer
+const MARK_STYLES = ['underline', 'bold', 'red'];
+
+class DocxImportService {
+  /**
+   * Read a Word question sheet into structured questions without the AI step
+   * Equations become $LaTeX$, embedded images are stored in lesson image storage and
+   * correct answers are taken from underline, bold or red formatting (or a "Đáp án:" line).
+   * @param {Buffer} buffer - DOCX file contents
+   * @param {Object} options - { storeImages } - false skips uploading images (preview)
+   * @returns {Promise<Object>} { text, questions, errors, warnings, images }
+   */
+  async importDocx(buffer, { storeImages = true } = {}) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new ValidationError('Could not open DOCX file: not a valid Word document');
+    }
+
+    const documentFile = zip.file('word/document.xml');
+    if (!documentFile) {
+      throw new ValidationError('Could not open DOCX file: word/document.xml is missing');
+    }
+
+    let document;
+    try {
+      document = parseXml(await documentFile.async('string'));
+    } catch (error) {
+      throw new ValidationError(`Could not read DOCX file: ${error.message}`);
+    }
+
+    const relationships = await this._readRelationships(zip);
+    const warnings = [];
+    const lines = [];
+    let numberedParagraphs = 0;
+
+    const paragraphs = [];
+    this._collectParagraphs(document, paragraphs);
+    paragraphs.forEach(paragraph => {
+      if (paragraph.children.some(item => item.name === 'w:pPr' && item.children.some(prop => prop.name === 'w:numPr'))) {
+        numberedParagraphs++;
+      }
+      lines.push(...this._readParagraph(paragraph));
+    });
+
+    if (numberedParagraphs > 0) {
+      warnings.push(`${numberedParagraphs} paragraph(s) use Word auto-numbering; their "Câu"/option labels are not in the text and must be typed out`);
+    }
+
+    const sections = this._groupQuestions(lines, warnings);
+    const text = sections.map(section => this._writeSection(section)).join('\n\n') + '\n';
+    const parsed = lessonTextService.parse(text);
+
+    // Attach explanations and images, which the "Câu X:" text format does not carry
+    const images = [];
+    for (const question of parsed.questions) {
+      const section = sections.find(item => item.number === question.id);
+      if (!section) continue;
+
+      if (section.explanation.length > 0) {
+        question.explanation = section.explanation.join('\n');
+      }
+
+      for (const [position, relationshipId] of section.images.entries()) {
+        const target = relationships[relationshipId];
+        const image = await this._readImage(zip, target, question.id, position, storeImages, warnings);
+        if (!image) continue;
+
+        images.push(image);
+        if (position === 0) {
+          if (image.url) question.image = image.url;
+        } else {
+          warnings.push(`Câu ${question.id}: only the first image is attached to the question, ${image.name} was stored but not attached`);
+        }
+      }
+    }
+
+    console.log(`📄 DOCX import: ${parsed.questions.length} question(s), ${parsed.errors.length} error(s), ${images.length} image(s)`);
+    return {
+      text,
+      questions: parsed.questions,
+      errors: parsed.errors,
+      warnings: [...warnings, ...parsed.warnings.map(warning => warning.message)],
+      images
+    };
+  }
+
+  // Helper method to map relationship ids to files inside the package
+  async _readRelationships(zip) {
+    const file = zip.file('word/_rels/document.xml.rels');
+    if (!file) return {};
+
+    const relationships = {};
+    const root = parseXml(await file.async('string'));
+    const container = root.children.find(item => item.name === 'Relationships');
+    (container ? container.children : []).forEach(item => {
+      if (item.attrs.TargetMode === 'External') return;
+      const target = item.attrs.Target || '';
+      relationships[item.attrs.Id] = target.startsWith('/') ? target.slice(1) : `word/${target}`;
+    });
+    return relationships;
+  }
+
+  // Helper method to find every paragraph in document order, including table cells
+  _collectParagraphs(node, paragraphs) {
+    node.children.forEach(item => {
+      if (item.name === 'w:p') {
+        paragraphs.push(item);
+      } else if (item.name !== 'w:del' && item.name !== 'w:sectPr') {
+        this._collectParagraphs(item, paragraphs);
+      }
+    });
+  }
+
+  // Helper method to read a paragraph into lines of characters with their formatting
+  // Each line is { chars: [{ c, underline, bold, red, math }], images: [relationshipId] }
+  _readParagraph(paragraph) {
+    const lines = [{ chars: [], images: [] }];
+    const current = () => lines[lines.length - 1];
+    const push = (text, style) => {
+      for (const c of text) current().chars.push({ c, ...style });
+    };
+
+    const walk = (node, style) => {
+      node.children.forEach(item => {
+        switch (item.name) {
+          case 'w:pPr':
+          case 'w:rPr':
+          case 'w:del':
+          case 'w:instrText':
+          case 'mc:Fallback':
+            return;
+          case 'w:r':
+            walk(item, this._readRunStyle(item));
+            return;
+          case 'w:t':
+            push(item.text, style);
+            return;
+          case 'w:tab':
+            push(' ', style);
+            return;
+          case 'w:br':
+          case 'w:cr':
+            lines.push({ chars: [], images: [] });
+            return;
+          case 'm:oMathPara':
+            push(`$$${ommlToLatex(item).trim()}$$`, { math: true });
+            return;
+          case 'm:oMath':
+            push(`$${ommlToLatex(item).trim()}$`, { math: true });
+            return;
+          case 'a:blip':
+            if (item.attrs['r:embed']) current().images.push(item.attrs['r:embed']);
+            return;
+          case 'v:imagedata':
+            if (item.attrs['r:id']) current().images.push(item.attrs['r:id']);
+            return;
+          default:
+            walk(item, style);
+        }
+      });
+    };
+
+    walk(paragraph, {});
+    return lines;
+  }
+
+  // Helper method to read the answer-marking formatting of a run
+  _readRunStyle(run) {
+    const properties = run.children.find(item => item.name === 'w:rPr');
+    const style = {};
+    if (!properties) return style;
+
+    const value = (name) => {
+      const property = properties.children.find(item => item.name === name);
+      return property ? (property.attrs['w:val'] ?? 'true') : undefined;
+    };
+    const enabled = (name) => {
+      const setting = value(name);
+      return setting !== undefined && !['0', 'false', 'off', 'none'].includes(setting);
+    };
+
+    style.bold = enabled('w:b');
+    style.underline = enabled('w:u');
+
+    const color = value('w:color');
+    if (color && /^[0-9a-f]{6}$/i.test(color)) {
+      const [red, green, blue] = [0, 2, 4].map(offset => parseInt(color.slice(offset, offset + 2), 16));
+      style.red = red >= 0xb0 && green <= 0x50 && blue <= 0x50;
+    }
+    return style;
+  }
+
+  // Helper method to group document lines into question sections
+  _groupQuestions(lines, warnings) {
+    const sections = [];
+    let section = null;
+    let mode = 'stem';
+
+    lines.forEach(line => {
+      const text = line.chars.map(item => item.c).join('').replace(/\s+/g, ' ').trim();
+
+      if (QUESTION_PATTERN.test(text)) {
+        section = { number: parseInt(text.match(QUESTION_PATTERN)[1], 10), stem: [], options: [], statements: [], answer: null, explanation: [], images: [] };
+        sections.push(section);
+        mode = 'stem';
+        section.stem.push(text.replace(QUESTION_PATTERN, '').trim());
+        section.images.push(...line.images);
+        return;
+      }
+
+      if (!section) {
+        if (line.images.length > 0) warnings.push('Images before the first question were skipped');
+        return;
+      }
+      section.images.push(...line.images);
+      if (text === '') return;
+
+      const answer = text.match(ANSWER_PATTERN);
+      if (answer) {
+        section.answer = answer[1].trim();
+        return;
+      }
+
+      const solution = text.match(SOLUTION_PATTERN);
+      if (mode === 'solution' || solution) {
+        mode = 'solution';
+        if (!solution || solution[1]) section.explanation.push(solution ? solution[1] : text);
+        return;
+      }
+
+      const options = this._splitOptions(line, section.options);
+      if (options) {
+        section.options.push(...options);
+        mode = 'options';
+        return;
+      }
+
+      const statement = text.match(STATEMENT_PATTERN);
+      if (statement) {
+        const labelStart = line.chars.findIndex(item => item.c.trim() !== '');
+        section.statements.push({
+          letter: statement[1],
+          text: text.replace(STATEMENT_PATTERN, ''),
+          styles: new Set([
+            ...this._styles(line.chars, labelStart, labelStart + 1),
+            ...this._styles(line.chars, 0, line.chars.length)
+          ])
+        });
+        mode = 'statements';
+        return;
+      }
+
+      if (mode === 'options') {
+        section.options[section.options.length - 1].text += `\n${text}`;
+      } else if (mode === 'statements') {
+        section.statements[section.statements.length - 1].text += `\n${text}`;
+      } else {
+        section.stem.push(text);
+      }
+    });
+
+    return sections;
+  }
+
+  // Helper method to split a line holding one or more "A." options ("A. 1  B. 2  C. 3  D. 4")
+  // Returns null when the line does not continue the question's option sequence
+  _splitOptions(line, existing) {
+    const raw = line.chars.map(item => item.c).join('');
+    const labels = [];
+    let match;
+    OPTION_LABEL_PATTERN.lastIndex = 0;
+    while ((match = OPTION_LABEL_PATTERN.exec(raw)) !== null) {
+      const start = match.index + match[1].length;
+      if (line.chars[start].math) continue;
+      labels.push({ letter: match[2], start, contentStart: match.index + match[0].length });
+    }
+
+    const firstCharacter = raw.search(/\S/);
+    const expected = String.fromCharCode(65 + existing.length);
+    if (labels.length === 0 || labels[0].start !== firstCharacter || labels[0].letter !== expected) {
+      return null;
+    }
+
+    // Keep only labels that continue the A, B, C ... sequence
+    const sequence = [];
+    labels.forEach(label => {
+      if (label.letter === String.fromCharCode(expected.charCodeAt(0) + sequence.length)) sequence.push(label);
+    });
+
+    return sequence.map((label, index) => {
+      const end = index + 1 < sequence.length ? sequence[index + 1].start : raw.length;
+      return {
+        letter: label.letter,
+        text: raw.slice(label.contentStart, end).replace(/\s+/g, ' ').trim(),
+        styles: new Set([
+          ...this._styles(line.chars, label.start, label.start + 1),
+          ...this._styles(line.chars, label.contentStart, end)
+        ])
+      };
+    });
+  }
+
+  // Helper method to list the marking styles shared by every text character in a range
+  _styles(chars, start, end) {
+    const text = chars.slice(start, end).filter(item => !item.math && item.c.trim() !== '');
+    if (text.length === 0) return new Set();
+    return new Set(MARK_STYLES.filter(style => text.every(item => item[style])));
+  }
+
+  // Helper method to decide which options are marked correct
+  // A style on every option is ordinary formatting, not an answer mark
+  _markedLetters(items) {
+    if (items.length === 0) return [];
+    const ignored = MARK_STYLES.filter(style => items.length > 1 && items.every(item => item.styles.has(style)));
+    return items
+      .filter(item => [...item.styles].some(style => !ignored.includes(style)))
+      .map(item => item.letter);
+  }
+
+  // Helper method to write a section in the "Câu X:" text format
+  _writeSection(section) {
+    const lines = [`Câu ${section.number}: ${section.stem.filter(Boolean).join('\n')}`];
+    const answer = section.answer || '';
+
+    if (section.options.length > 0) {
+      const keyed = answer.match(/^([A-H])\b/i);
+      const marked = keyed ? [keyed[1].toUpperCase()] : this._markedLetters(section.options);
+      section.options.forEach(option => {
+        lines.push(`${marked.includes(option.letter) ? '*' : ''}${option.letter}. ${option.text}`);
+      });
+    } else if (section.statements.length > 0) {
+      // "Đáp án: a, c" lists the true statements; "Đáp án: Đ S Đ S" gives each in order
+      const verdictText = answer.replace(/Đúng/giu, 'Đ').replace(/Sai/giu, 'S');
+      const verdicts = /^[\sĐS,;.-]+$/iu.test(verdictText) ? verdictText.match(/[ĐS]/giu) : null;
+      const keyed = verdicts ? null : answer.match(/\b[a-h]\b/gi);
+      const marked = verdicts
+        ? section.statements.filter((_, index) => verdicts[index] && verdicts[index].toUpperCase() === 'Đ').map(item => item.letter)
+        : (keyed ? keyed.map(letter => letter.toLowerCase()) : this._markedLetters(section.statements));
+      section.statements.forEach(statement => {
+        lines.push(`${marked.includes(statement.letter) ? '*' : ''}${statement.letter}) ${statement.text}`);
+      });
+    } else if (answer) {
+      lines.push(`Answer: ${answer}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  // Helper method to convert an embedded image and put it in lesson image storage
+  async _readImage(zip, target, questionNumber, position, storeImages, warnings) {
+    const file = target ? zip.file(target) : null;
+    const name = target ? target.split('/').pop() : 'unknown';
+    if (!file) {
+      warnings.push(`Câu ${questionNumber}: image ${name} is missing from the document`);
+      return null;
+    }
+
+    let buffer;
+    try {
+      buffer = await sharp(await file.async('nodebuffer'))
+        .flatten({ background: '#ffffff' })
+        .resize(UPLOAD_CONFIG.MAX_IMAGE_DIMENSION, UPLOAD_CONFIG.MAX_IMAGE_DIMENSION, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+    } catch (error) {
+      // EMF/WMF previews (MathType equations, old clip art) cannot be converted
+      warnings.push(`Câu ${questionNumber}: image ${name} could not be converted (${name.split('.').pop().toUpperCase()} is not supported)`);
+      return null;
+    }
+
+    if (!storeImages) {
+      return { question: questionNumber, name, url: null, size: buffer.length };
+    }
+
+    const path = `docx-${Date.now()}-${questionNumber}-${position + 1}.jpg`;
+    const { data, error } = await supabaseAdmin.storage
+      .from(UPLOAD_CONFIG.IMAGE_BUCKET)
+      .upload(path, buffer, {
+        contentType: 'image/jpeg',
+        cacheControl: '31536000' // 1 year cache
+      });
+
+    if (error) {
+      console.error('Supabase upload error:', error);
+      warnings.push(`Câu ${questionNumber}: image ${name} could not be stored`);
+      return null;
+    }
+
+    const { data: urlData } = supabaseAdmin.storage
+      .from(UPLOAD_CONFIG.IMAGE_BUCKET)
+      .getPublicUrl(data.path);
+
+    return { question: questionNumber, name, url: urlData.publicUrl, size: buffer.length };
+  }
+}
+
+module.exports = new DocxImportService();
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { waitUntil } = require('@vercel/functions');
+const { DOMAIN_EVENTS } = require('../../config/constants');
+
+const EVENT_TYPES = Object.values(DOMAIN_EVENTS);
+const ALL_EVENTS = '*';
+
+/**
+ * In-process bus for domain events (lesson.created, result.created, ...)
+ * Writes publish after they succeed, and Supabase webhooks publish the same events
+ * for changes made outside the app, so subscribers (caches, statistics) react to
+ * every change the same way. Subscribers must be idempotent: one change can arrive
+ * twice, from the app and from its database webhook.
+ *
+ * Every event is delivered as { id, type, payload, source, occurredAt }.
+ * Handlers run concurrently and are awaited; a failing handler is logged and never
+ * fails the write that published the event. Request handlers use publishAfterResponse
+ * so subscribers never delay the response.
+ */
+class EventBus {
+  constructor() {
+    this.subscribers = new Map(); // Event type or '*' -> Set of { name, handler }
+    this.stats = { published: 0, delivered: 0, failed: 0, byType: {} };
+  }
+
+  /**
+   * Subscribe to an event type
+   * @param {string} type - One of DOMAIN_EVENTS, or '*' for every event
+   * @param {Function} handler - Called with the event, may be async
+   * @param {string} name - Subscriber name used in logs
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(type, handler, name = handler.name || 'anonymous') {
+    this._assertType(type, true);
+
+    if (!this.subscribers.has(type)) {
+      this.subscribers.set(type, new Set());
+    }
+    const subscriber = { name, handler };
+    this.subscribers.get(type).add(subscriber);
+    return () => this.subscribers.get(type).delete(subscriber);
+  }
+
+  /**
+   * Publish an event to its subscribers
+   * @param {string} type - One of DOMAIN_EVENTS
+   * @param {Object} payload - Event data (ids, changed record)
+   * @param {Object} options - { source } where the change came from: 'app' or 'supabase'
+   * @returns {Promise<Object>} { id, type, delivered, failed, errors: [{ subscriber, message }] }
+   */
+  async publish(type, payload = {}, { source = 'app' } = {}) {
+    this._assertType(type, false);
+
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      source,
+      occurredAt: new Date().toISOString()
+    };
+    const subscribers = [
+      ...(this.subscribers.get(type) || []),
+      ...(this.subscribers.get(ALL_EVENTS) || [])
+    ];
+
+    const outcomes = await Promise.allSettled(subscribers.map(async ({ handler }) => handler(event)));
+    const errors = [];
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        const message = outcome.reason?.message || String(outcome.reason);
+        errors.push({ subscriber: subscribers[index].name, message });
+        console.error(`❌ Event ${type} subscriber "${subscribers[index].name}" failed:`, message);
+      }
+    });
+    const failed = errors.length;
+
+    this.stats.published++;
+    this.stats.delivered += subscribers.length - failed;
+    this.stats.failed += failed;
+    this.stats.byType[type] = (this.stats.byType[type] || 0) + 1;
+
+    console.log(`📣 Event ${type} (${source}) delivered to ${subscribers.length - failed}/${subscribers.length} subscribers`);
+    return { id: event.id, type, delivered: subscribers.length - failed, failed, errors };
+  }
+
+  /**
+   * Publish an event without holding up the request that caused it
+   * Delivery starts once the current handler has moved on; on Vercel the function is
+   * kept alive until the subscribers finish (waitUntil), elsewhere it simply runs on.
+   * @param {string} type - One of DOMAIN_EVENTS
+   * @param {Object} payload - Event data (ids, changed record)
+   * @param {Object} options - { source } where the change came from: 'app' or 'supabase'
+   * @returns {Promise<Object|null>} Publish outcome, null when delivery failed (callers need not await it)
+   */
+  publishAfterResponse(type, payload = {}, options = {}) {
+    this._assertType(type, false);
+
+    const delivery = new Promise(resolve => setImmediate(resolve))
+      .then(() => this.publish(type, payload, options))
+      .catch(error => {
+        console.error(`❌ Event ${type} could not be delivered:`, error.message);
+        return null;
+      });
+    waitUntil(delivery);
+    return delivery;
+  }
+
+  /**
+   * Describe subscriptions and delivery counts
+   * @returns {Object} { subscribers: { type: [names] }, published, delivered, failed, byType }
+   */
+  getStats() {
+    const subscribers = {};
+    this.subscribers.forEach((set, type) => {
+      subscribers[type] = Array.from(set).map(subscriber => subscriber.name);
+    });
+    return { subscribers, ...this.stats, byType: { ...this.stats.byType } };
+  }
+
+  // Helper method to reject misspelled event types early
+  _assertType(type, allowWildcard) {
+    if (EVENT_TYPES.includes(type) || (allowWildcard && type === ALL_EVENTS)) return;
+    throw new Error(`Unknown domain event "${type}" (${EVENT_TYPES.join(', ')})`);
+  }
+}
+
+module.exports = new EventBus();
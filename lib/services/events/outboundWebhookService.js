@@ -0,0 +1,576 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+const { supabase } = require('../../config/database');
+const eventBus = require('./eventBus');
+const { signPayload } = require('../../utils/webhookSignature');
+const { assertPublicHost, publicLookup } = require('../../utils/publicAddress');
+const { WEBHOOK_CONFIG } = require('../../config/constants');
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+
+const STATUS = WEBHOOK_CONFIG.DELIVERY_STATUS;
+
+// Connections resolve hostnames through publicLookup, so a delivery never reaches an internal host
+const agents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Outbound webhooks to external systems (school LMS, chat bots)
+ * Admins register endpoints in webhook_endpoints:
+ *   id, name, url, secret, events (text[]), active, created_at, updated_at
+ * Every matching domain event becomes a row in webhook_deliveries:
+ *   id, endpoint_id, event_id, event_type, body (jsonb), status, attempts,
+ *   next_attempt_at, last_status_code, last_error, claimed_at, created_at, delivered_at
+ * and every HTTP attempt is logged in webhook_delivery_attempts (with the start of the response):
+ *   id, delivery_id, endpoint_id, attempt, status_code, error, duration_ms, response_body, attempted_at
+ *
+ * Requests are signed like the webhooks we receive (lib/utils/webhookSignature.js) and carry
+ * the delivery id in x-webhook-id, which stays the same across retries so receivers can
+ * deduplicate. The first attempt is made with a short timeout while the publishing request
+ * finishes (events are published with publishAfterResponse); failed deliveries are retried
+ * with exponential backoff by processQueue, which /api/cron/outbound-webhooks runs. A delivery
+ * left in delivering by a crashed or frozen request is picked up again by the queue.
+ * Endpoints must resolve to public addresses (lib/utils/publicAddress.js) and redirects are
+ * not followed.
+ *
+ * Only events published by the app are forwarded: the Supabase webhook of the same row
+ * change would otherwise send it a second time.
+ */
+class OutboundWebhookService {
+  constructor() {
+    WEBHOOK_CONFIG.OUTBOUND_EVENTS.forEach(type => {
+      eventBus.subscribe(type, event => this.enqueue(event), 'webhooks:outbound');
+    });
+  }
+
+  /**
+   * List endpoints (secrets masked)
+   * @returns {Promise<Array>} Endpoints
+   */
+  async listEndpoints() {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(endpoint => this._publicEndpoint(endpoint));
+  }
+
+  /**
+   * Register an endpoint
+   * @param {Object} input - { name, url, events, secret, active } (a secret is generated when omitted)
+   * @returns {Promise<Object>} Endpoint, with the full secret this one time
+   */
+  async createEndpoint(input) {
+    const fields = this._validateEndpoint(input, { partial: false });
+    await this._assertPublicUrl(fields.url);
+    const secret = fields.secret || this._generateSecret();
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .insert({ ...fields, secret, created_at: now, updated_at: now })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔗 Webhook endpoint registered: ${data.name} (${data.events.join(', ')})`);
+    return { ...this._publicEndpoint(data), secret };
+  }
+
+  /**
+   * Update an endpoint
+   * @param {string} id - Endpoint ID
+   * @param {Object} changes - Any of { name, url, events, secret, active }
+   * @returns {Promise<Object>} Endpoint (secret masked)
+   */
+  async updateEndpoint(id, changes) {
+    const fields = this._validateEndpoint(changes, { partial: true });
+    if (fields.url) await this._assertPublicUrl(fields.url);
+
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new NotFoundError('Webhook endpoint not found');
+    return this._publicEndpoint(data);
+  }
+
+  /**
+   * Remove an endpoint; its pending deliveries are abandoned
+   * @param {string} id - Endpoint ID
+   */
+  async deleteEndpoint(id) {
+    await this._getEndpoint(id);
+
+    const { error } = await supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Queue an event for every active endpoint that subscribed to it and make the first attempts
+   * Attempts use the short inline timeout; whatever fails is left to the queue.
+   * @param {Object} event - Domain event { id, type, payload, source, occurredAt }
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async enqueue(event) {
+    if (event.source !== 'app') return 0;
+
+    const { data: endpoints, error } = await supabase
+      .from('webhook_endpoints')
+      .select('id')
+      .eq('active', true)
+      .contains('events', [event.type]);
+
+    if (error) throw error;
+    if (!endpoints || endpoints.length === 0) return 0;
+
+    const deliveries = await this._createDeliveries(endpoints.map(endpoint => endpoint.id), event);
+
+    // The deliveries are stored: a failed attempt here is retried from the queue
+    await Promise.all(deliveries.map(delivery =>
+      this.deliver(delivery.id, { timeoutMs: WEBHOOK_CONFIG.OUTBOUND_INLINE_TIMEOUT_MS }).catch(deliveryError => {
+        console.error(`Error delivering webhook ${delivery.id}:`, deliveryError.message);
+      })
+    ));
+    return deliveries.length;
+  }
+
+  /**
+   * Send a test event to one endpoint now, whatever its event filter
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Promise<Object>} Delivery after the first attempt
+   */
+  async sendTestEvent(endpointId) {
+    const endpoint = await this._getEndpoint(endpointId);
+    const [delivery] = await this._createDeliveries([endpoint.id], {
+      id: crypto.randomUUID(),
+      type: WEBHOOK_CONFIG.TEST_EVENT,
+      payload: { message: 'Test event', endpoint: endpoint.name },
+      occurredAt: new Date().toISOString()
+    });
+
+    return this.deliver(delivery.id);
+  }
+
+  /**
+   * Attempt one delivery and record the outcome
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} options - { timeoutMs, dueOnly } (dueOnly skips deliveries still backing off)
+   * @returns {Promise<Object|null>} Updated delivery (null when another worker has it)
+   */
+  async deliver(deliveryId, { timeoutMs = WEBHOOK_CONFIG.OUTBOUND_TIMEOUT_MS, dueOnly = false } = {}) {
+    const delivery = await this._claim(deliveryId, { dueOnly });
+    if (!delivery) return null;
+
+    const attempt = (delivery.attempts || 0) + 1;
+    const endpoint = await this._findEndpoint(delivery.endpoint_id);
+    if (!endpoint || !endpoint.active) {
+      return this._updateDelivery(delivery.id, {
+        status: STATUS.DEAD,
+        next_attempt_at: null,
+        last_error: endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted'
+      });
+    }
+
+    const outcome = await this._post(endpoint, delivery, timeoutMs);
+    await this._logAttempt(delivery, attempt, outcome);
+
+    if (outcome.ok) {
+      return this._updateDelivery(delivery.id, {
+        status: STATUS.DELIVERED,
+        attempts: attempt,
+        last_status_code: outcome.statusCode,
+        last_error: null,
+        next_attempt_at: null,
+        delivered_at: new Date().toISOString()
+      });
+    }
+
+    const gaveUp = attempt >= WEBHOOK_CONFIG.OUTBOUND_MAX_ATTEMPTS;
+    const delaySeconds = WEBHOOK_CONFIG.OUTBOUND_RETRY_BASE_SECONDS * Math.pow(2, attempt - 1);
+    console.warn(`⚠️ Webhook ${delivery.event_type} to ${endpoint.name} attempt ${attempt} failed: ${outcome.error}`);
+
+    return this._updateDelivery(delivery.id, {
+      status: gaveUp ? STATUS.DEAD : STATUS.FAILED,
+      attempts: attempt,
+      last_status_code: outcome.statusCode,
+      last_error: outcome.error,
+      next_attempt_at: gaveUp ? null : new Date(Date.now() + delaySeconds * 1000).toISOString()
+    });
+  }
+
+  /**
+   * Deliver queued and failed deliveries whose time has come, and deliveries abandoned in delivering
+   * @param {number} limit - Maximum deliveries to attempt
+   * @returns {Promise<Object>} { attempted, delivered, failed }
+   */
+  async processQueue(limit = WEBHOOK_CONFIG.OUTBOUND_BATCH_SIZE) {
+    const { data: due, error } = await supabase
+      .from('webhook_deliveries')
+      .select('id')
+      .or(this._claimableFilter(true))
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const summary = { attempted: 0, delivered: 0, failed: 0 };
+    for (const { id } of due || []) {
+      const delivery = await this.deliver(id, { dueOnly: true });
+      if (!delivery) continue; // Another instance took it
+
+      summary.attempted++;
+      if (delivery.status === STATUS.DELIVERED) {
+        summary.delivered++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    if (summary.attempted > 0) {
+      console.log(`📤 Webhook queue: ${summary.delivered}/${summary.attempted} delivered`);
+    }
+    return summary;
+  }
+
+  /**
+   * Deliver a failed or dead delivery again now (admin), with a fresh set of attempts
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object>} Delivery after the attempt
+   */
+  async redeliver(deliveryId) {
+    const delivery = await this.getDelivery(deliveryId);
+    if (![STATUS.FAILED, STATUS.DEAD].includes(delivery.status)) {
+      throw new ValidationError('Only failed deliveries can be retried', [`status is ${delivery.status}`]);
+    }
+
+    await this._updateDelivery(delivery.id, { status: STATUS.PENDING, attempts: 0, next_attempt_at: new Date().toISOString() });
+    return this.deliver(delivery.id);
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} filters - { endpointId, status, eventType, limit, offset }
+   * @returns {Promise<Object>} { deliveries, total, limit, offset }
+   */
+  async listDeliveries({ endpointId = null, status = null, eventType = null, limit = 50, offset = 0 } = {}) {
+    if (status && !Object.values(STATUS).includes(status)) {
+      throw new ValidationError('Invalid delivery status', [`status must be one of ${Object.values(STATUS).join(', ')}`]);
+    }
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('id, endpoint_id, event_id, event_type, status, attempts, last_status_code, last_error, created_at, delivered_at, next_attempt_at', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(start, start + pageSize - 1);
+
+    if (endpointId) query = query.eq('endpoint_id', endpointId);
+    if (status) query = query.eq('status', status);
+    if (eventType) query = query.eq('event_type', eventType);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return { deliveries: data || [], total: count || 0, limit: pageSize, offset: start };
+  }
+
+  /**
+   * Get one delivery with its body and attempt log
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object>} Delivery with attempts (oldest first)
+   */
+  async getDelivery(id) {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new NotFoundError('Webhook delivery not found');
+
+    const { data: attempts, error: attemptsError } = await supabase
+      .from('webhook_delivery_attempts')
+      .select('attempt, status_code, error, duration_ms, response_body, attempted_at')
+      .eq('delivery_id', id)
+      .order('attempted_at', { ascending: true });
+
+    if (attemptsError) throw attemptsError;
+    return { ...data, attemptLog: attempts || [] };
+  }
+
+  // Helper method to insert one pending delivery per endpoint for an event
+  async _createDeliveries(endpointIds, event) {
+    const now = new Date().toISOString();
+    const body = { id: event.id, type: event.type, occurredAt: event.occurredAt, data: event.payload };
+
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .insert(endpointIds.map(endpointId => ({
+        endpoint_id: endpointId,
+        event_id: event.id,
+        event_type: event.type,
+        body,
+        status: STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: now,
+        created_at: now
+      })))
+      .select('id');
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Helper method to POST a signed delivery; never throws
+  async _post(endpoint, delivery, timeoutMs) {
+    const rawBody = JSON.stringify(delivery.body);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const startedAt = Date.now();
+
+    try {
+      // IP literals never reach the agent's lookup
+      const url = new URL(endpoint.url);
+      await assertPublicHost(url.hostname);
+
+      const response = await fetch(url.toString(), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'onluyen-webhooks/1',
+          [WEBHOOK_CONFIG.ID_HEADER]: delivery.id,
+          [WEBHOOK_CONFIG.EVENT_HEADER]: delivery.event_type,
+          [WEBHOOK_CONFIG.TIMESTAMP_HEADER]: String(timestamp),
+          [WEBHOOK_CONFIG.SIGNATURE_HEADER]: signPayload(endpoint.secret, timestamp, rawBody)
+        },
+        body: rawBody,
+        agent: agents[url.protocol],
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      const responseBody = await this._readResponseStart(response);
+
+      return {
+        ok: response.ok,
+        statusCode: response.status,
+        error: response.ok ? null : `HTTP ${response.status}`,
+        responseBody,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        statusCode: null,
+        error: error.name === 'AbortError'
+          ? `Timed out after ${timeoutMs} ms`
+          : error.message,
+        responseBody: null,
+        durationMs: Date.now() - startedAt
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Helper method to read the first RESPONSE_LOG_BYTES of a response and drop the rest
+  async _readResponseStart(response) {
+    const chunks = [];
+    let length = 0;
+
+    try {
+      for await (const chunk of response.body) {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= WEBHOOK_CONFIG.RESPONSE_LOG_BYTES) break;
+      }
+    } catch (error) {
+      // The status code is what counts; a broken body is logged as far as it was read
+    } finally {
+      response.body.destroy();
+    }
+
+    // Cut at a byte limit, so a multi-byte character at the end may be replaced by U+FFFD
+    return Buffer.concat(chunks).subarray(0, WEBHOOK_CONFIG.RESPONSE_LOG_BYTES).toString('utf8');
+  }
+
+  // Helper method to log an HTTP attempt (a logging failure must not lose the delivery outcome)
+  async _logAttempt(delivery, attempt, outcome) {
+    const { error } = await supabase
+      .from('webhook_delivery_attempts')
+      .insert({
+        delivery_id: delivery.id,
+        endpoint_id: delivery.endpoint_id,
+        attempt,
+        status_code: outcome.statusCode,
+        error: outcome.error,
+        duration_ms: outcome.durationMs,
+        response_body: outcome.responseBody,
+        attempted_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.warn('Could not log webhook attempt:', error.message);
+    }
+  }
+
+  // Helper method to take a delivery, so two instances never send it at once
+  // Deliveries in delivering can be taken too once their claim has timed out
+  async _claim(id, { dueOnly = false } = {}) {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update({ status: STATUS.DELIVERING, claimed_at: new Date().toISOString() })
+      .eq('id', id)
+      .or(this._claimableFilter(dueOnly))
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Helper method to build the filter of claimable deliveries: pending or failed (and due), or abandoned in delivering
+  _claimableFilter(dueOnly) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - WEBHOOK_CONFIG.OUTBOUND_DELIVERING_TIMEOUT_SECONDS * 1000).toISOString();
+    const inStatus = `status.in.(${STATUS.PENDING},${STATUS.FAILED})`;
+    const waiting = dueOnly ? `and(${inStatus},next_attempt_at.lte."${now.toISOString()}")` : inStatus;
+    return `${waiting},and(status.eq.${STATUS.DELIVERING},or(claimed_at.is.null,claimed_at.lt."${staleBefore}"))`;
+  }
+
+  // Helper method to reject URLs whose host resolves to an internal address
+  async _assertPublicUrl(url) {
+    try {
+      await assertPublicHost(new URL(url).hostname);
+    } catch (error) {
+      const reason = error.code === 'ENOTPUBLIC' ? error.message : `host cannot be resolved (${error.code || error.message})`;
+      throw new ValidationError('Invalid webhook endpoint', [`url must point to a public host: ${reason}`]);
+    }
+  }
+
+  // Helper method to update a delivery and return the row
+  async _updateDelivery(id, update) {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update(update)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Helper method to get an endpoint or throw NotFoundError
+  async _getEndpoint(id) {
+    const endpoint = await this._findEndpoint(id);
+    if (!endpoint) throw new NotFoundError('Webhook endpoint not found');
+    return endpoint;
+  }
+
+  // Helper method to get an endpoint with its secret (null when missing)
+  async _findEndpoint(id) {
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Helper method to validate endpoint fields (partial for updates)
+  _validateEndpoint(input = {}, { partial }) {
+    const errors = [];
+    const fields = {};
+
+    if (!partial || input.name !== undefined) {
+      if (typeof input.name !== 'string' || !input.name.trim()) {
+        errors.push('name is required');
+      } else {
+        fields.name = input.name.trim();
+      }
+    }
+
+    if (!partial || input.url !== undefined) {
+      let url = null;
+      try {
+        url = new URL(input.url);
+      } catch (error) {
+        url = null;
+      }
+      if (!url || !['https:', 'http:'].includes(url.protocol)) {
+        errors.push('url must be an http(s) URL');
+      } else if (url.protocol === 'http:' && process.env.NODE_ENV === 'production') {
+        errors.push('url must use https');
+      } else {
+        fields.url = url.toString();
+      }
+    }
+
+    if (!partial || input.events !== undefined) {
+      const events = Array.isArray(input.events) ? [...new Set(input.events)] : [];
+      const unknown = events.filter(type => !WEBHOOK_CONFIG.OUTBOUND_EVENTS.includes(type));
+      if (events.length === 0) {
+        errors.push(`events must list at least one of ${WEBHOOK_CONFIG.OUTBOUND_EVENTS.join(', ')}`);
+      } else if (unknown.length > 0) {
+        errors.push(`unknown events: ${unknown.join(', ')}`);
+      } else {
+        fields.events = events;
+      }
+    }
+
+    if (input.secret !== undefined && input.secret !== null && input.secret !== '') {
+      if (typeof input.secret !== 'string' || input.secret.length < 16) {
+        errors.push('secret must be at least 16 characters');
+      } else {
+        fields.secret = input.secret;
+      }
+    }
+
+    if (input.active !== undefined) {
+      fields.active = Boolean(input.active);
+    } else if (!partial) {
+      fields.active = true;
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid webhook endpoint', errors);
+    }
+    if (partial && Object.keys(fields).length === 0) {
+      throw new ValidationError('Nothing to update', ['send name, url, events, secret or active']);
+    }
+    return fields;
+  }
+
+  // Helper method to hide all but the end of the secret
+  _publicEndpoint(endpoint) {
+    const { secret, ...rest } = endpoint;
+    return { ...rest, secretHint: secret ? `…${secret.slice(-4)}` : null };
+  }
+
+  // Helper method to create a random signing secret
+  _generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+}
+
+module.exports = new OutboundWebhookService();
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { DOMAIN_EVENTS } = require('../../config/constants');
+
+/**
+ * Translate Supabase database webhook payloads into domain events
+ * Supabase sends { type: 'INSERT' | 'UPDATE' | 'DELETE', table, schema, record, old_record }.
+ * Payloads match the ones published by databaseService, so subscribers cannot tell
+ * whether a change was made by the app or directly in the database.
+ */
+
+/**
+ * Map a database webhook payload to domain events
+ * @param {Object} payload - Supabase webhook body
+ * @returns {Array} [{ type, payload }] (empty when the change has no domain meaning)
+ */
+function toDomainEvents(payload = {}) {
+  const operation = String(payload.type || '').toUpperCase();
+  const record = payload.record || null;
+  const oldRecord = payload.old_record || null;
+
+  switch (payload.table) {
+    case 'lessons':
+      return lessonEvents(operation, record, oldRecord);
+    case 'results':
+      return operation === 'INSERT' && record ? [resultCreated(record)] : [];
+    case 'students': {
+      const events = operation === 'INSERT' && record ? [studentRegistered(record)] : [];
+      return isNewlyApproved(operation, record, oldRecord) ? [...events, studentApproved(record.id)] : events;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Map a table-specific webhook (/webhooks/lessons/:action, /webhooks/students/:action)
+ * @param {string} table - 'lessons' or 'students'
+ * @param {string} action - created, updated, deleted (lessons) or created, approved (students)
+ * @param {Object} payload - Webhook body with record / old_record
+ * @returns {Array} [{ type, payload }]
+ */
+function toDomainEventsForAction(table, action, payload = {}) {
+  const record = payload.record || null;
+  const oldRecord = payload.old_record || null;
+
+  if (table === 'lessons') {
+    const operations = { created: 'INSERT', updated: 'UPDATE', deleted: 'DELETE' };
+    return operations[action] ? lessonEvents(operations[action], record, oldRecord) : [];
+  }
+  if (table === 'students' && action === 'created' && record) {
+    return [studentRegistered(record)];
+  }
+  if (table === 'students' && action === 'approved') {
+    const studentId = record?.id || oldRecord?.id;
+    return studentId ? [studentApproved(studentId)] : [];
+  }
+  return [];
+}
+
+/**
+ * Identify the row change a webhook reports, so every delivery of it shares one inbox entry
+ * Supabase signs each retry with a new timestamp, so the key comes from the payload: operation,
+ * table, primary key and commit timestamp. Payloads without a commit timestamp use a hash of
+ * the row images instead, which still tells two updates of the same row apart.
+ * @param {string} topic - Inbox topic ('database/update', 'lessons/created', ...)
+ * @param {Object} payload - Webhook body
+ * @returns {string} Deduplication key
+ */
+function getChangeKey(topic, payload = {}) {
+  const record = payload.record || null;
+  const oldRecord = payload.old_record || null;
+  const primaryKey = record?.id ?? oldRecord?.id ?? '';
+  const version = payload.commit_timestamp ||
+    crypto.createHash('sha256').update(JSON.stringify([record, oldRecord])).digest('hex');
+
+  return [topic, String(payload.type || '').toUpperCase(), payload.table || '', primaryKey, version].join(':');
+}
+
+// Helper to build the lesson event of a row change
+function lessonEvents(operation, record, oldRecord) {
+  const types = {
+    INSERT: DOMAIN_EVENTS.LESSON_CREATED,
+    UPDATE: DOMAIN_EVENTS.LESSON_UPDATED,
+    DELETE: DOMAIN_EVENTS.LESSON_DELETED
+  };
+  const lessonId = record?.id || oldRecord?.id;
+  if (!types[operation] || !lessonId) return [];
+
+  return [{
+    type: types[operation],
+    payload: {
+      lessonIds: [String(lessonId)],
+      lesson: operation === 'DELETE' ? null : record,
+      reason: 'database'
+    }
+  }];
+}
+
+// Helper to build result.created from a results row
+function resultCreated(record) {
+  return {
+    type: DOMAIN_EVENTS.RESULT_CREATED,
+    payload: {
+      resultId: record.id,
+      lessonId: record.lesson_id != null ? String(record.lesson_id) : null,
+      studentId: record.student_id || null,
+      score: record.score ?? null,
+      totalPoints: record.total_points ?? null,
+      mode: record.mode || null,
+      submittedAt: record.timestamp || null
+    }
+  };
+}
+
+// Helper to build student.registered from a students row
+function studentRegistered(record) {
+  return {
+    type: DOMAIN_EVENTS.STUDENT_REGISTERED,
+    payload: {
+      studentId: record.id,
+      fullName: record.full_name || null,
+      registeredAt: record.created_at || null
+    }
+  };
+}
+
+// Helper to build student.approved
+function studentApproved(studentId) {
+  return { type: DOMAIN_EVENTS.STUDENT_APPROVED, payload: { studentId } };
+}
+
+// Helper to detect the row change that approves a student (not every later update of an approved one)
+function isNewlyApproved(operation, record, oldRecord) {
+  if (!record || record.is_approved !== true) return false;
+  if (operation === 'INSERT') return true;
+  return operation === 'UPDATE' && (!oldRecord || oldRecord.is_approved !== true);
+}
+
+module.exports = {
+  toDomainEvents,
+  toDomainEventsForAction,
+  getChangeKey
+};
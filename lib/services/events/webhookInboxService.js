@@ -0,0 +1,258 @@
+const { supabase } = require('../../config/database');
+const eventBus = require('./eventBus');
+const { toDomainEvents, toDomainEventsForAction } = require('./supabaseEvents');
+const { WEBHOOK_CONFIG } = require('../../config/constants');
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+
+const STATUS = WEBHOOK_CONFIG.INBOX_STATUS;
+const DATABASE_OPERATIONS = ['insert', 'update', 'delete'];
+
+/**
+ * Inbox of received Supabase webhooks
+ * Every verified webhook is stored in the webhook_inbox table before it is processed:
+ *   id, dedup_key (unique), source, topic ('database/update', 'lessons/created', ...),
+ *   payload (jsonb), status, attempts, events (published event types), last_error,
+ *   received_at, claimed_at, processed_at, next_attempt_at
+ * The unique dedup_key makes delivery idempotent: a webhook sent twice is recorded and
+ * processed once. Processing publishes the mapped domain events; when a subscriber
+ * fails the entry is retried with exponential backoff until MAX_ATTEMPTS. An entry left
+ * in processing for PROCESSING_TIMEOUT_SECONDS (its request crashed or was frozen) is
+ * claimed again by the retry sweep.
+ */
+class WebhookInboxService {
+  /**
+   * Store a webhook and process it
+   * @param {Object} webhook - { dedupKey, source, topic, payload }
+   * @returns {Promise<Object>} { duplicate, entry }
+   */
+  async receive({ dedupKey, source = 'supabase', topic, payload }) {
+    const { data: entry, error } = await supabase
+      .from('webhook_inbox')
+      .insert({
+        dedup_key: dedupKey,
+        source,
+        topic,
+        payload,
+        status: STATUS.PROCESSING,
+        attempts: 0,
+        received_at: new Date().toISOString(),
+        claimed_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique violation: this delivery was already received
+      if (error.code === '23505') {
+        console.log(`[Webhook] Duplicate ${topic} delivery ignored (${dedupKey})`);
+        return { duplicate: true, entry: await this._getByDedupKey(dedupKey) };
+      }
+      throw error;
+    }
+
+    return { duplicate: false, entry: await this.process(entry) };
+  }
+
+  /**
+   * Publish the domain events of an entry and record the outcome
+   * @param {Object} entry - Inbox row (claimed by the caller)
+   * @returns {Promise<Object>} Updated row
+   */
+  async process(entry) {
+    const attempts = (entry.attempts || 0) + 1;
+    const published = [];
+    const errors = [];
+
+    try {
+      for (const { type, payload } of this.toDomainEvents(entry.topic, entry.payload)) {
+        const outcome = await eventBus.publish(type, payload, { source: entry.source });
+        published.push(type);
+        outcome.errors.forEach(({ subscriber, message }) => errors.push(`${type} → ${subscriber}: ${message}`));
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    let update;
+    if (errors.length === 0) {
+      update = {
+        status: published.length > 0 ? STATUS.PROCESSED : STATUS.IGNORED,
+        processed_at: new Date().toISOString(),
+        next_attempt_at: null,
+        last_error: null
+      };
+    } else if (attempts >= WEBHOOK_CONFIG.MAX_ATTEMPTS) {
+      update = { status: STATUS.DEAD, next_attempt_at: null, last_error: errors.join('; ') };
+    } else {
+      const delaySeconds = WEBHOOK_CONFIG.RETRY_BASE_SECONDS * Math.pow(2, attempts - 1);
+      update = {
+        status: STATUS.FAILED,
+        next_attempt_at: new Date(Date.now() + delaySeconds * 1000).toISOString(),
+        last_error: errors.join('; ')
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_inbox')
+      .update({ ...update, attempts, events: published })
+      .eq('id', entry.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (errors.length > 0) {
+      console.warn(`⚠️ Webhook ${entry.topic} (${entry.id}) attempt ${attempts} failed: ${update.last_error}`);
+    }
+    return data;
+  }
+
+  /**
+   * Retry failed entries whose backoff has elapsed and entries abandoned in processing
+   * @param {number} limit - Maximum entries to process
+   * @returns {Promise<Object>} { retried, processed, failed }
+   */
+  async retryDue(limit = WEBHOOK_CONFIG.RETRY_BATCH_SIZE) {
+    const { data: due, error } = await supabase
+      .from('webhook_inbox')
+      .select('id')
+      .or(this._claimableFilter([STATUS.FAILED], true))
+      .order('received_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const summary = { retried: 0, processed: 0, failed: 0 };
+    for (const { id } of due || []) {
+      const entry = await this._claim(id, [STATUS.FAILED], { dueOnly: true });
+      if (!entry) continue; // Another instance took it
+
+      const result = await this.process(entry);
+      summary.retried++;
+      if (result.status === STATUS.PROCESSED || result.status === STATUS.IGNORED) {
+        summary.processed++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    if (summary.retried > 0) {
+      console.log(`🔁 Retried ${summary.retried} webhooks: ${summary.processed} processed, ${summary.failed} failed`);
+    }
+    return summary;
+  }
+
+  /**
+   * Retry one entry now (admin), including entries that gave up
+   * @param {string} id - Inbox entry ID
+   * @returns {Promise<Object>} Updated row
+   */
+  async retry(id) {
+    const entry = await this._claim(id, [STATUS.FAILED, STATUS.DEAD]);
+    if (!entry) {
+      const existing = await this.getEntry(id);
+      throw new ValidationError('Only failed webhooks can be retried', [`status is ${existing.status}`]);
+    }
+    // A manual retry gets a fresh set of attempts
+    return this.process({ ...entry, attempts: 0 });
+  }
+
+  /**
+   * List received webhooks, newest first
+   * @param {Object} filters - { status, topic, limit, offset }
+   * @returns {Promise<Object>} { entries, total, limit, offset }
+   */
+  async list({ status = null, topic = null, limit = 50, offset = 0 } = {}) {
+    if (status && !Object.values(STATUS).includes(status)) {
+      throw new ValidationError('Invalid webhook status', [`status must be one of ${Object.values(STATUS).join(', ')}`]);
+    }
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+      .from('webhook_inbox')
+      .select('id, dedup_key, source, topic, status, attempts, events, last_error, received_at, processed_at, next_attempt_at', { count: 'exact' })
+      .order('received_at', { ascending: false })
+      .range(start, start + pageSize - 1);
+
+    if (status) query = query.eq('status', status);
+    if (topic) query = query.eq('topic', topic);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return { entries: data || [], total: count || 0, limit: pageSize, offset: start };
+  }
+
+  /**
+   * Get one entry with its payload
+   * @param {string} id - Inbox entry ID
+   * @returns {Promise<Object>} Inbox row
+   */
+  async getEntry(id) {
+    const { data, error } = await supabase
+      .from('webhook_inbox')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new NotFoundError('Webhook not found');
+    return data;
+  }
+
+  /**
+   * Map a stored webhook to domain events
+   * @param {string} topic - 'database/<operation>', 'lessons/<action>' or 'students/<action>'
+   * @param {Object} payload - Webhook body
+   * @returns {Array} [{ type, payload }]
+   */
+  toDomainEvents(topic, payload = {}) {
+    const [group, action] = String(topic).split('/');
+    if (group === 'database') {
+      // The operation comes from the payload; the URL names it for older triggers that omit it
+      return DATABASE_OPERATIONS.includes(action)
+        ? toDomainEvents({ ...payload, type: payload.type || action })
+        : [];
+    }
+    return toDomainEventsForAction(group, action, payload);
+  }
+
+  // Helper method to take an entry for processing, so two instances never process it at once
+  // Entries in processing can be taken too once their claim has timed out
+  async _claim(id, fromStatuses, { dueOnly = false } = {}) {
+    const { data, error } = await supabase
+      .from('webhook_inbox')
+      .update({ status: STATUS.PROCESSING, claimed_at: new Date().toISOString() })
+      .eq('id', id)
+      .or(this._claimableFilter(fromStatuses, dueOnly))
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Helper method to build the filter of claimable entries: in one of the statuses (and due), or abandoned in processing
+  _claimableFilter(fromStatuses, dueOnly) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - WEBHOOK_CONFIG.PROCESSING_TIMEOUT_SECONDS * 1000).toISOString();
+    const inStatus = `status.in.(${fromStatuses.join(',')})`;
+    const waiting = dueOnly ? `and(${inStatus},next_attempt_at.lte."${now.toISOString()}")` : inStatus;
+    return `${waiting},and(status.eq.${STATUS.PROCESSING},or(claimed_at.is.null,claimed_at.lt."${staleBefore}"))`;
+  }
+
+  // Helper method to find the entry of an already received delivery
+  async _getByDedupKey(dedupKey) {
+    const { data, error } = await supabase
+      .from('webhook_inbox')
+      .select('id, topic, status, attempts, events, received_at, processed_at')
+      .eq('dedup_key', dedupKey)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+module.exports = new WebhookInboxService();
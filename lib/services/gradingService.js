@@ -0,0 +1,542 @@
+const { normalizeQuestionType, distributePoints } = require('../utils/pointsDistributor');
+const { gradeNumericAnswer } = require('../utils/numericAnswer');
+const { SCORING_CONFIG, HINT_CONFIG } = require('../config/constants');
+
+const OPTION_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+class GradingService {
+  /**
+   * Build a stable key for a question so submitted answers can be matched to it
+   * @param {Object} question - Question object from the lesson
+   * @param {number} index - Position of the question in the lesson's full question list
+   * @returns {string} Question key
+   */
+  getQuestionKey(question, index) {
+    if (question && question.id !== undefined && question.id !== null && question.id !== '') {
+      return String(question.id);
+    }
+    return `index:${index}`;
+  }
+
+  /**
+   * Read the stored correct answer regardless of which property the editor used
+   * @param {Object} question - Question object
+   * @returns {*} Raw correct answer
+   */
+  getRawCorrectAnswer(question) {
+    if (question.correct !== undefined && question.correct !== null) {
+      return question.correct;
+    }
+    return question.correctAnswer;
+  }
+
+  /**
+   * Read the value a student submitted for a question
+   * @param {Object} answer - Submitted answer object
+   * @returns {*} Raw submitted value
+   */
+  getRawSubmittedAnswer(answer) {
+    if (!answer) return undefined;
+    if (answer.userAnswer !== undefined) return answer.userAnswer;
+    if (answer.answer !== undefined) return answer.answer;
+    return answer.selectedAnswer;
+  }
+
+  // Helper method to turn an ABCD answer (letter, index or option text) into a letter
+  _toOptionLetter(value, options = []) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (Array.isArray(value)) {
+      return value.length > 0 ? this._toOptionLetter(value[0], options) : null;
+    }
+
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      return OPTION_LETTERS[value] || null;
+    }
+
+    const text = String(value).trim();
+
+    // "A", "b", "C." or "D)" style answers
+    const letterMatch = text.match(/^([A-Za-z])[.)]?$/);
+    if (letterMatch) {
+      return letterMatch[1].toUpperCase();
+    }
+
+    if (/^\d+$/.test(text)) {
+      return OPTION_LETTERS[parseInt(text, 10)] || null;
+    }
+
+    // Fall back to matching against the option text
+    const optionIndex = options.findIndex(option => this._optionText(option) === text);
+    return optionIndex >= 0 ? OPTION_LETTERS[optionIndex] : null;
+  }
+
+  // Helper method to read the text of an option stored as a string or object
+  _optionText(option) {
+    if (option && typeof option === 'object') {
+      return String(option.text ?? option.content ?? option.value ?? '').trim();
+    }
+    return String(option ?? '').trim();
+  }
+
+  // Helper method to turn "true"/"Đúng"/1 style values into booleans
+  _toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (value === 1 || value === 0) return value === 1;
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim().toLowerCase();
+    if (['true', 'đúng', 'dung', 'đ', 't', '1'].includes(text)) return true;
+    if (['false', 'sai', 's', 'f', '0'].includes(text)) return false;
+    return null;
+  }
+
+  // Helper method to resolve a statement position from a letter ("a"), index or numeric string
+  _statementIndex(value) {
+    if (typeof value === 'number' && Number.isInteger(value)) return value;
+    const text = String(value).trim().toLowerCase().replace(/[.)]$/, '');
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+    if (/^[a-z]$/.test(text)) return text.charCodeAt(0) - 97;
+    return -1;
+  }
+
+  /**
+   * Normalize a multi-statement true/false value into one boolean per statement
+   * Accepts boolean arrays, lists of true statement letters/indices, keyed objects or a single boolean
+   * @param {*} value - Raw value
+   * @param {number} statementCount - Number of statements in the question
+   * @param {boolean} listsTrueStatements - Whether a letter/index array lists the true statements
+   * @returns {Array<boolean|null>} One entry per statement (null when unanswered)
+   */
+  _toStatementValues(value, statementCount, listsTrueStatements = false) {
+    const values = Array(statementCount).fill(listsTrueStatements ? false : null);
+    if (value === undefined || value === null) return values;
+
+    if (Array.isArray(value)) {
+      const booleans = value.map(item => this._toBoolean(item));
+      if (booleans.every(item => item !== null) && !(listsTrueStatements && value.some(item => typeof item === 'number'))) {
+        booleans.slice(0, statementCount).forEach((item, index) => { values[index] = item; });
+        return values;
+      }
+
+      // Array of true statement letters/indices, e.g. ['a', 'c']
+      values.fill(false);
+      value.forEach(item => {
+        const index = this._statementIndex(item);
+        if (index >= 0 && index < statementCount) values[index] = true;
+      });
+      return values;
+    }
+
+    if (typeof value === 'object') {
+      Object.entries(value).forEach(([key, item]) => {
+        const index = this._statementIndex(key);
+        if (index >= 0 && index < statementCount) values[index] = this._toBoolean(item);
+      });
+      return values;
+    }
+
+    const single = this._toBoolean(value);
+    if (single !== null) {
+      values[0] = single;
+    }
+    return values;
+  }
+
+  /**
+   * Resolve the scoring policy configured on a lesson, falling back to the default
+   * @param {Object} lesson - Lesson (snake_case or camelCase fields)
+   * @returns {string} One of SCORING_CONFIG.POLICIES
+   */
+  resolveScoringPolicy(lesson) {
+    const policy = lesson && (lesson.scoring_policy || lesson.scoringPolicy);
+    return this.isValidScoringPolicy(policy) ? policy : SCORING_CONFIG.DEFAULT_POLICY;
+  }
+
+  /**
+   * Check whether a value names a known scoring policy
+   * @param {string} policy - Policy name
+   * @returns {boolean} True when valid
+   */
+  isValidScoringPolicy(policy) {
+    return Object.values(SCORING_CONFIG.POLICIES).includes(policy);
+  }
+
+  /**
+   * Share of a true/false question's points earned for a number of correct statements
+   * The MOET ladder only applies to four-statement questions; others are scored proportionally.
+   * @param {number} correctCount - Statements answered correctly
+   * @param {number} statementCount - Statements in the question
+   * @param {string} policy - Scoring policy name
+   * @returns {number} Credit between 0 and 1
+   */
+  getStatementCredit(correctCount, statementCount, policy = SCORING_CONFIG.DEFAULT_POLICY) {
+    if (!statementCount) return 0;
+
+    const { POLICIES, MOET_LADDER, MOET_STATEMENT_COUNT } = SCORING_CONFIG;
+
+    if (policy === POLICIES.ALL_OR_NOTHING) {
+      return correctCount === statementCount ? 1 : 0;
+    }
+
+    if (policy === POLICIES.MOET && statementCount === MOET_STATEMENT_COUNT) {
+      return MOET_LADDER[correctCount] || 0;
+    }
+
+    return correctCount / statementCount;
+  }
+
+  /**
+   * Credit of an answer already stored on a result, as it was graded
+   * earnedPoints already reflects the scoring policy and any hint penalty.
+   * @param {Object} storedAnswer - Entry from results.questions
+   * @returns {number} Credit between 0 and 1
+   */
+  getStoredAnswerCredit(storedAnswer) {
+    if (!storedAnswer) return 0;
+
+    // Only the fields written by the grader are trusted; anything else may have come from the client
+    if (storedAnswer.points > 0 && typeof storedAnswer.earnedPoints === 'number') {
+      return Math.max(0, Math.min(1, storedAnswer.earnedPoints / storedAnswer.points));
+    }
+    // Answers stored without points only record whether they were right
+    return storedAnswer.isCorrect === true ? 1 : 0;
+  }
+
+  /**
+   * Grade a single answer against the stored question
+   * @param {Object} question - Question object from the lesson
+   * @param {*} submittedValue - Raw value submitted by the student
+   * @param {number} points - Points the question is worth
+   * @param {Object} options - { scoringPolicy } used for multi-statement true/false credit
+   * @returns {Object} { type, isCorrect, earnedPoints, correctAnswer, userAnswer, correctStatements, reason, unit }
+   */
+  gradeQuestion(question, submittedValue, points, { scoringPolicy } = {}) {
+    const type = normalizeQuestionType(question.type);
+    const rawCorrect = this.getRawCorrectAnswer(question);
+    const options = Array.isArray(question.options) ? question.options : [];
+    let fraction = 0;
+    let correctAnswer = rawCorrect;
+    let userAnswer = submittedValue;
+    let correctStatements;
+    let reason;
+    let unit;
+
+    if (type === 'truefalse') {
+      const statementCount = Math.max(options.length, Array.isArray(rawCorrect) ? rawCorrect.length : 1, 1);
+      const expected = this._toStatementValues(rawCorrect, statementCount, true);
+      const submitted = this._toStatementValues(submittedValue, statementCount);
+      const matches = expected.filter((item, index) => submitted[index] === item).length;
+
+      fraction = this.getStatementCredit(matches, statementCount, scoringPolicy);
+      correctStatements = matches;
+      correctAnswer = expected;
+      userAnswer = submitted;
+    } else if (type === 'number') {
+      // Tolerance, units and decimal commas are handled by the numeric grader
+      const numeric = gradeNumericAnswer(question, rawCorrect, submittedValue);
+
+      fraction = numeric.isCorrect ? 1 : 0;
+      correctAnswer = numeric.expected !== null ? numeric.expected : rawCorrect;
+      userAnswer = submittedValue ?? null;
+      reason = numeric.reason;
+      unit = numeric.unit || undefined;
+    } else {
+      const expected = this._toOptionLetter(rawCorrect, options);
+      const submitted = this._toOptionLetter(submittedValue, options);
+
+      fraction = expected !== null && submitted === expected ? 1 : 0;
+      correctAnswer = expected;
+      userAnswer = submitted;
+    }
+
+    return {
+      type,
+      isCorrect: fraction === 1,
+      earnedPoints: Math.round(points * fraction * 100) / 100,
+      correctAnswer,
+      userAnswer,
+      correctStatements,
+      reason,
+      unit
+    };
+  }
+
+  /**
+   * Resolve the points each served question is worth
+   * Uses points stored on the question, then the lesson's per-type distribution, then 1 point each
+   * @param {Array} questions - Served questions
+   * @param {Object} pointsDistribution - Lesson points_distribution ({ abcd, truefalse, number })
+   * @returns {number[]} Points for each question, in order
+   */
+  resolveQuestionPoints(questions, pointsDistribution = null) {
+    const byType = {};
+    questions.forEach((question, index) => {
+      const type = normalizeQuestionType(question.type);
+      (byType[type] = byType[type] || []).push(index);
+    });
+
+    const distributed = {};
+    if (pointsDistribution && typeof pointsDistribution === 'object') {
+      Object.entries(byType).forEach(([type, indexes]) => {
+        const total = Number(pointsDistribution[type]);
+        if (Number.isFinite(total) && total > 0) {
+          distributePoints(total, indexes.length).forEach((value, position) => {
+            distributed[indexes[position]] = value;
+          });
+        }
+      });
+    }
+
+    return questions.map((question, index) => {
+      const stored = Number(question.points);
+      if (question.points !== undefined && question.points !== null && Number.isFinite(stored) && stored >= 0) {
+        return stored;
+      }
+      return distributed[index] !== undefined ? distributed[index] : 1;
+    });
+  }
+
+  /**
+   * Grade a full submission against the lesson's stored questions
+   * Client-sent points, earnedPoints and isCorrect are ignored.
+   * @param {Object} lesson - Lesson with its full (unfiltered) question list
+   * @param {Array} answers - Answers submitted by the student
+   * @param {Object} snapshot - Optional attempt snapshot { questionIds, optionOrders } of what was served
+   * @param {Object} options - { hintUsage } number of hints taken per question key (practice attempts)
+   * @returns {Object} { gradedAnswers, score, totalPoints, servedQuestionIds, scoringPolicy, unmatchedAnswers }
+   */
+  gradeSubmission(lesson, answers = [], snapshot = null, { hintUsage = null } = {}) {
+    const allQuestions = Array.isArray(lesson.questions) ? lesson.questions : [];
+    const questionIndexByKey = new Map();
+    allQuestions.forEach((question, index) => {
+      questionIndexByKey.set(this.getQuestionKey(question, index), index);
+    });
+
+    // An attempt snapshot fixes exactly which questions were served and in which order
+    const snapshotIndexes = snapshot && Array.isArray(snapshot.questionIds)
+      ? snapshot.questionIds.filter(key => questionIndexByKey.has(key)).map(key => questionIndexByKey.get(key))
+      : null;
+    const optionOrders = (snapshot && snapshot.optionOrders) || {};
+
+    // Match every submitted answer to a stored question
+    const answerByIndex = new Map();
+    let unmatchedAnswers = 0;
+    (Array.isArray(answers) ? answers : []).forEach((answer, position) => {
+      const index = this._matchQuestionIndex(answer, position, snapshotIndexes || allQuestions.map((_, i) => i), questionIndexByKey);
+      if (index === null || answerByIndex.has(index) || (snapshotIndexes && !snapshotIndexes.includes(index))) {
+        unmatchedAnswers++;
+        return;
+      }
+      answerByIndex.set(index, answer);
+    });
+
+    // Without a snapshot or question pool every question was served
+    let servedIndexes = allQuestions.map((_, index) => index);
+    if (snapshotIndexes) {
+      servedIndexes = snapshotIndexes;
+    } else if (this.usesQuestionPool(lesson)) {
+      servedIndexes = this._poolIndexesWithoutSnapshot(answerByIndex, allQuestions.length, lesson.question_pool_size);
+    }
+
+    const servedQuestions = servedIndexes.map(index => allQuestions[index]);
+    const pointsPerQuestion = this.resolveQuestionPoints(
+      servedQuestions,
+      lesson.points_distribution || lesson.pointsDistribution
+    );
+
+    const scoringPolicy = this.resolveScoringPolicy(lesson);
+    let score = 0;
+    let totalPoints = 0;
+
+    const gradedAnswers = servedIndexes.map((index, position) => {
+      const question = allQuestions[index];
+      const answer = answerByIndex.get(index) || {};
+      const points = Math.round(pointsPerQuestion[position] * 100) / 100;
+      const questionKey = this.getQuestionKey(question, index);
+      const submittedValue = this.unshuffleAnswer(question, this.getRawSubmittedAnswer(answer), optionOrders[questionKey]);
+      const graded = this.gradeQuestion(question, submittedValue, points, { scoringPolicy });
+
+      // Hint counts come from the server-side attempt record, never from the submitted answer
+      const hintsUsed = hintUsage ? Math.max(0, parseInt(hintUsage[questionKey], 10) || 0) : 0;
+      const hintPenalty = Math.min(graded.earnedPoints, this.getHintPenalty(points, hintsUsed));
+      const earnedPoints = Math.round((graded.earnedPoints - hintPenalty) * 100) / 100;
+
+      score += earnedPoints;
+      totalPoints += points;
+
+      // Only grader-computed fields are stored; client fields (correct, isCorrect, points...) are dropped
+      return {
+        questionId: questionKey,
+        questionIndex: index,
+        type: graded.type,
+        question: question.question,
+        options: question.options || [],
+        userAnswer: graded.userAnswer,
+        correctAnswer: graded.correctAnswer,
+        points,
+        earnedPoints,
+        isCorrect: graded.isCorrect,
+        answered: answerByIndex.has(index),
+        ...(hintsUsed > 0 && { hintsUsed, hintPenalty }),
+        ...(graded.correctStatements !== undefined && { correctStatements: graded.correctStatements }),
+        ...(graded.reason && { gradingReason: graded.reason }),
+        ...(graded.unit && { unit: graded.unit }),
+        ...(question.tolerance !== undefined && { tolerance: question.tolerance })
+      };
+    });
+
+    return {
+      gradedAnswers,
+      score: Math.round(score * 100) / 100,
+      totalPoints: Math.round(totalPoints * 100) / 100,
+      servedQuestionIds: servedIndexes.map(index => this.getQuestionKey(allQuestions[index], index)),
+      scoringPolicy,
+      unmatchedAnswers
+    };
+  }
+
+  /**
+   * Whether a lesson serves each student a random subset of its questions
+   * @param {Object} lesson - Lesson with its full question list
+   * @returns {boolean} True when a question pool smaller than the lesson is enabled
+   */
+  usesQuestionPool(lesson) {
+    const questionCount = Array.isArray(lesson.questions) ? lesson.questions.length : 0;
+    return Boolean(lesson.enable_question_pool) && lesson.question_pool_size > 0 &&
+      lesson.question_pool_size < questionCount;
+  }
+
+  /**
+   * Points deducted from a question for the hints taken on it
+   * @param {number} points - Points the question is worth
+   * @param {number} hintsUsed - Number of hint tiers revealed
+   * @returns {number} Penalty in points
+   */
+  getHintPenalty(points, hintsUsed) {
+    const share = HINT_CONFIG.POINT_COST
+      .slice(0, Math.max(0, hintsUsed))
+      .reduce((sum, cost) => sum + cost, 0);
+    return Math.round(points * Math.min(1, share) * 100) / 100;
+  }
+
+  /**
+   * Grade practice answers against the stored questions they were drawn from
+   * Each practice question is worth one point, scored with its lesson's policy.
+   * @param {Map} sources - Practice id -> { question, scoringPolicy }
+   * @param {Array} submittedQuestions - Practice questions with the student's answers
+   * @returns {Object} { gradedQuestions, score, totalQuestions }
+   */
+  gradePracticeQuestions(sources, submittedQuestions = []) {
+    let score = 0;
+
+    const gradedQuestions = (Array.isArray(submittedQuestions) ? submittedQuestions : []).map(submitted => {
+      const source = sources.get(submitted && submitted.id);
+      if (!source) {
+        return { ...this._practiceFields(submitted), earnedPoints: 0, isCorrect: false, graded: false };
+      }
+
+      const scoringPolicy = this.isValidScoringPolicy(source.scoringPolicy)
+        ? source.scoringPolicy
+        : SCORING_CONFIG.DEFAULT_POLICY;
+      const graded = this.gradeQuestion(source.question, this.getRawSubmittedAnswer(submitted), 1, { scoringPolicy });
+      score += graded.earnedPoints;
+
+      return {
+        ...this._practiceFields(submitted),
+        question: source.question.question ?? submitted.question,
+        options: source.question.options || [],
+        type: graded.type,
+        userAnswer: graded.userAnswer,
+        correctAnswer: graded.correctAnswer,
+        points: 1,
+        earnedPoints: graded.earnedPoints,
+        isCorrect: graded.isCorrect,
+        scoringPolicy,
+        graded: true,
+        ...(graded.correctStatements !== undefined && { correctStatements: graded.correctStatements }),
+        ...(graded.reason && { gradingReason: graded.reason })
+      };
+    });
+
+    return {
+      gradedQuestions,
+      score: Math.round(score * 100) / 100,
+      totalQuestions: gradedQuestions.length
+    };
+  }
+
+  /**
+   * Map an answer given against shuffled options back to the stored option order
+   * @param {Object} question - Stored question
+   * @param {*} value - Submitted value (letters/statements refer to the displayed order)
+   * @param {number[]} order - order[displayedPosition] = original option index
+   * @returns {*} Value expressed in the stored option order
+   */
+  unshuffleAnswer(question, value, order) {
+    if (!Array.isArray(order) || order.length === 0 || value === undefined || value === null) {
+      return value;
+    }
+
+    const options = Array.isArray(question.options) ? question.options : [];
+    const type = normalizeQuestionType(question.type);
+
+    if (type === 'truefalse') {
+      const displayed = this._toStatementValues(value, order.length);
+      const original = Array(order.length).fill(null);
+      displayed.forEach((item, position) => { original[order[position]] = item; });
+      return original;
+    }
+
+    if (type === 'abcd') {
+      const displayedOptions = order.map(index => options[index]);
+      const letter = this._toOptionLetter(value, displayedOptions);
+      const position = letter ? OPTION_LETTERS.indexOf(letter) : -1;
+      return position >= 0 && position < order.length ? OPTION_LETTERS[order[position]] : value;
+    }
+
+    return value;
+  }
+
+  // Helper method to pick the served pool questions of a submission without a snapshot (legacy results)
+  // The answered questions count, then unanswered ones fill the pool size so skipped questions score zero
+  _poolIndexesWithoutSnapshot(answerByIndex, questionCount, poolSize) {
+    const served = Array.from(answerByIndex.keys()).slice(0, poolSize);
+    for (let index = 0; index < questionCount && served.length < poolSize; index++) {
+      if (!answerByIndex.has(index)) served.push(index);
+    }
+    return served.sort((a, b) => a - b);
+  }
+
+  // Helper method to keep the descriptive fields of a practice question and drop client-sent grading fields
+  _practiceFields(submitted) {
+    if (!submitted || typeof submitted !== 'object') return {};
+    const { id, lessonId, lessonTitle, subject, question, options, explanation, source } = submitted;
+    return { id, lessonId, lessonTitle, subject, question, options, explanation, source };
+  }
+
+  // Helper method to find which stored question a submitted answer refers to
+  _matchQuestionIndex(answer, position, servedIndexes, questionIndexByKey) {
+    if (!answer || typeof answer !== 'object') return null;
+
+    if (answer.questionId !== undefined && answer.questionId !== null) {
+      const key = String(answer.questionId);
+      if (questionIndexByKey.has(key)) return questionIndexByKey.get(key);
+      if (questionIndexByKey.has(`index:${key}`)) return questionIndexByKey.get(`index:${key}`);
+    }
+
+    const explicitIndex = answer.questionIndex ?? answer.index;
+    if (Number.isInteger(explicitIndex) && servedIndexes.includes(explicitIndex)) {
+      return explicitIndex;
+    }
+
+    // Legacy clients send answers in served order without identifiers
+    if (answer.questionId === undefined && position < servedIndexes.length) {
+      return servedIndexes[position];
+    }
+
+    return null;
+  }
+}
+
+module.exports = new GradingService();
@@ -0,0 +1,209 @@
+const databaseService = require('./databaseService');
+const attemptService = require('./attemptService');
+const gradingService = require('./gradingService');
+const aiService = require('./ai/aiService');
+const aiUsageService = require('./ai/aiUsageService');
+const { AppError, ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { ATTEMPT_CONFIG, HINT_CONFIG } = require('../config/constants');
+
+// What the AI is asked to write for each tier when the question has no authored hint
+const LEVEL_INSTRUCTIONS = {
+  concept: 'Nhắc lại khái niệm hoặc hiện tượng vật lý mà câu hỏi đề cập, chưa đưa ra công thức.',
+  formula: 'Chỉ ra công thức hoặc định luật cần dùng và ý nghĩa các đại lượng trong công thức.',
+  firstStep: 'Hướng dẫn bước giải đầu tiên (đổi đơn vị, xác định đại lượng đã biết hoặc lập phương trình), không giải tiếp.'
+};
+
+/**
+ * Progressive hints for practice attempts
+ * Each question offers the tiers in HINT_CONFIG.LEVELS in order. A tier comes from the
+ * question's authored hints ({ concept, formula, firstStep }) or is generated by the AI.
+ * Revealed hints are kept on the attempt (hint_usage) and cost part of the question's
+ * points when the attempt is graded.
+ */
+class HintService {
+  /**
+   * Reveal the next hint tier of a question in a practice attempt
+   * @param {string} attemptId - Attempt ID
+   * @param {string} studentId - Student ID from the session
+   * @param {string} lessonId - Lesson ID from the route
+   * @param {string} questionKey - Served question key
+   * @returns {Promise<Object>} { questionId, level, levelName, hint, source, sources, hintsUsed, remaining, pointCost, totalPointCost }
+   */
+  async requestHint(attemptId, studentId, lessonId, questionKey) {
+    // A request that loses the race to a concurrent one starts over from the tier that one revealed
+    for (let round = 1; ; round++) {
+      const revealed = await this._revealNextHint(attemptId, studentId, lessonId, questionKey);
+      if (revealed) return revealed;
+      if (round >= HINT_CONFIG.SAVE_ATTEMPTS) {
+        throw new AppError('Hints for this question were requested concurrently, please try again', 409, 'HINT_CONFLICT');
+      }
+    }
+  }
+
+  // Helper method to reveal and store the next tier, or return null when another request stored one first
+  async _revealNextHint(attemptId, studentId, lessonId, questionKey) {
+    const attempt = await attemptService.getAttemptForSubmission(attemptId, studentId, lessonId);
+
+    if (attempt.mode !== ATTEMPT_CONFIG.MODES.PRACTICE) {
+      throw new AppError('Hints are only available in practice mode', 409, 'HINTS_NOT_AVAILABLE');
+    }
+    if (!questionKey || !(attempt.question_ids || []).includes(String(questionKey))) {
+      throw new ValidationError('Question is not part of this attempt', ['questionId']);
+    }
+
+    const key = String(questionKey);
+    const hintUsage = attempt.hint_usage || {};
+    const used = Array.isArray(hintUsage[key]) ? hintUsage[key] : [];
+    if (used.length >= HINT_CONFIG.LEVELS.length) {
+      throw new AppError('All hints for this question have been used', 409, 'NO_MORE_HINTS');
+    }
+
+    const lesson = await databaseService.getLessonById(attempt.lesson_id, { applyQuestionPool: false });
+    const question = (lesson.questions || []).find((entry, index) => gradingService.getQuestionKey(entry, index) === key);
+    if (!question) {
+      throw new ValidationError('Question no longer exists in this lesson', ['questionId']);
+    }
+
+    const levelName = HINT_CONFIG.LEVELS[used.length];
+    const authored = question.hints && typeof question.hints[levelName] === 'string' ? question.hints[levelName].trim() : '';
+    let generated = null;
+    if (!authored) {
+      aiUsageService.setLesson(lesson.id);
+      generated = await aiService.generateHint(this._buildPromptInput(question, levelName, used, lesson.grade));
+    }
+
+    const hint = {
+      level: levelName,
+      source: authored ? 'teacher' : 'ai',
+      text: authored || generated.hint,
+      sources: generated ? generated.sources : [],
+      requestedAt: new Date().toISOString()
+    };
+    const saved = await attemptService.appendHint(attempt.id, key, used.length, hint);
+    if (!saved) return null;
+
+    const hintsUsed = used.length + 1;
+    return {
+      questionId: key,
+      level: hintsUsed,
+      levelName,
+      hint: hint.text,
+      source: hint.source,
+      sources: hint.sources,
+      hintsUsed,
+      remaining: HINT_CONFIG.LEVELS.length - hintsUsed,
+      pointCost: HINT_CONFIG.POINT_COST[hintsUsed - 1],
+      totalPointCost: this._totalCost(hintsUsed)
+    };
+  }
+
+  /**
+   * Hints already revealed in an attempt (so a reload shows them without charging again)
+   * @param {string} attemptId - Attempt ID
+   * @param {string} studentId - Student ID from the session
+   * @param {string} lessonId - Lesson ID from the route
+   * @returns {Promise<Object>} { attemptId, mode, levels, pointCost, questions: { [key]: hints } }
+   */
+  async getAttemptHints(attemptId, studentId, lessonId) {
+    const attempt = await attemptService.getAttemptById(attemptId);
+
+    if (String(attempt.student_id) !== String(studentId)) {
+      throw new AuthorizationError('Attempt belongs to another student');
+    }
+    if (lessonId && String(attempt.lesson_id) !== String(lessonId)) {
+      throw new ValidationError('Attempt does not match lesson', ['lessonId']);
+    }
+
+    return {
+      attemptId: attempt.id,
+      mode: attempt.mode || ATTEMPT_CONFIG.MODES.TEST,
+      levels: HINT_CONFIG.LEVELS,
+      pointCost: HINT_CONFIG.POINT_COST,
+      questions: attempt.hint_usage || {}
+    };
+  }
+
+  /**
+   * Hint usage per question across a lesson's practice results (for teachers)
+   * @param {string} lessonId - Lesson ID
+   * @returns {Promise<Object>} { lessonId, summary, questions } with the most scaffolded questions first
+   */
+  async getLessonHintStats(lessonId) {
+    const lesson = await databaseService.getLessonById(lessonId, { applyQuestionPool: false });
+    const results = (await databaseService.getLessonResults(lessonId))
+      .filter(result => result.mode === ATTEMPT_CONFIG.MODES.PRACTICE);
+
+    const stats = new Map();
+    (lesson.questions || []).forEach((question, index) => {
+      stats.set(gradingService.getQuestionKey(question, index), {
+        questionId: gradingService.getQuestionKey(question, index),
+        question: question.question || '',
+        served: 0,
+        hinted: 0,
+        totalHints: 0,
+        deepestLevel: HINT_CONFIG.LEVELS.reduce((levels, level) => ({ ...levels, [level]: 0 }), {}),
+        correctWithHints: 0,
+        pointsDeducted: 0
+      });
+    });
+
+    results.forEach(result => {
+      (Array.isArray(result.questions) ? result.questions : []).forEach(answer => {
+        const entry = answer && stats.get(String(answer.questionId));
+        if (!entry) return;
+
+        entry.served++;
+        const hintsUsed = Math.min(parseInt(answer.hintsUsed, 10) || 0, HINT_CONFIG.LEVELS.length);
+        if (hintsUsed === 0) return;
+
+        entry.hinted++;
+        entry.totalHints += hintsUsed;
+        entry.deepestLevel[HINT_CONFIG.LEVELS[hintsUsed - 1]]++;
+        if (answer.isCorrect) entry.correctWithHints++;
+        entry.pointsDeducted += Number(answer.hintPenalty) || 0;
+      });
+    });
+
+    const questions = Array.from(stats.values())
+      .map(entry => ({
+        ...entry,
+        hintRate: entry.served > 0 ? Math.round((entry.hinted / entry.served) * 100) / 100 : 0,
+        averageHints: entry.served > 0 ? Math.round((entry.totalHints / entry.served) * 100) / 100 : 0,
+        pointsDeducted: Math.round(entry.pointsDeducted * 100) / 100
+      }))
+      .sort((a, b) => b.hintRate - a.hintRate || b.totalHints - a.totalHints);
+
+    return {
+      lessonId: lesson.id,
+      summary: {
+        practiceResults: results.length,
+        resultsWithHints: results.filter(result => (result.questions || []).some(answer => answer && answer.hintsUsed > 0)).length,
+        totalHints: questions.reduce((sum, entry) => sum + entry.totalHints, 0)
+      },
+      questions
+    };
+  }
+
+  // Helper method to describe a question for the hint prompt
+  _buildPromptInput(question, levelName, used, grade) {
+    const optionText = (option) => (option && typeof option === 'object' ? String(option.text ?? option.content ?? '') : String(option ?? ''));
+    // Options are listed without letters because the student may see them shuffled
+    const options = (Array.isArray(question.options) ? question.options : []).map(optionText).filter(Boolean);
+
+    return {
+      question: String(question.question || ''),
+      options,
+      level: levelName,
+      instruction: LEVEL_INSTRUCTIONS[levelName],
+      previousHints: used.map(hint => hint.text),
+      grade
+    };
+  }
+
+  // Helper method to add up the point share of the first `count` tiers
+  _totalCost(count) {
+    return Math.round(HINT_CONFIG.POINT_COST.slice(0, count).reduce((sum, cost) => sum + cost, 0) * 100) / 100;
+  }
+}
+
+module.exports = new HintService();
@@ -0,0 +1,300 @@
+const gradingService = require('./gradingService');
+const { normalizeQuestionType } = require('../utils/pointsDistributor');
+const { parseQuantity } = require('../utils/numericAnswer');
+
+// Line patterns of the "Câu X:" format produced by formatDocumentWithAI
+const QUESTION_PATTERN = /^Câu\s+(\d+)\s*[:.]\s*(.*)$/i;
+const OPTION_PATTERN = /^(\*?)\s*([A-Z])\.\s*(.*)$/;
+const STATEMENT_PATTERN = /^(\*?)\s*([a-z])\)\s*(.*)$/;
+const ANSWER_PATTERN = /^Answer\s*:\s*(.*)$/i;
+const POINTS_PATTERN = /\s*\[\s*([\d.]+)\s*pts?\s*\]\s*$/i;
+
+const OPTION_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const STATEMENT_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+class LessonTextService {
+  /**
+   * Parse lesson text in the "Câu X:" format into structured questions
+   * Options are "A." lines (correct one starred "*A."), true/false statements are
+   * "a)" lines (true ones starred "*a)") and number questions have an "Answer:" line.
+   * @param {string} text - Lesson text
+   * @returns {Object} { questions, errors, warnings } - errors/warnings are { line, questionNumber, message }
+   */
+  parse(text) {
+    const errors = [];
+    const warnings = [];
+    const blocks = [];
+    let current = null;
+
+    String(text ?? '').replace(/\r\n?/g, '\n').split('\n').forEach((rawLine, index) => {
+      const lineNumber = index + 1;
+      const line = rawLine.trim();
+      if (line === '') return;
+
+      const header = line.match(QUESTION_PATTERN);
+      if (header) {
+        current = { number: parseInt(header[1], 10), line: lineNumber, text: [header[2]], options: [], statements: [], answers: [] };
+        blocks.push(current);
+        return;
+      }
+
+      if (!current) {
+        warnings.push({ line: lineNumber, questionNumber: null, message: 'Nội dung nằm ngoài câu hỏi nào, đã bỏ qua' });
+        return;
+      }
+
+      const option = line.match(OPTION_PATTERN);
+      const statement = line.match(STATEMENT_PATTERN);
+      const answer = line.match(ANSWER_PATTERN);
+
+      if (answer) {
+        current.answers.push({ value: answer[1].trim(), line: lineNumber });
+      } else if (option) {
+        current.options.push({ marked: option[1] === '*', letter: option[2], text: option[3].trim(), line: lineNumber });
+      } else if (statement) {
+        current.statements.push({ marked: statement[1] === '*', letter: statement[2], text: statement[3].trim(), line: lineNumber });
+      } else {
+        // Continuation line of the stem, or of the last option/statement
+        const last = current.options[current.options.length - 1] || current.statements[current.statements.length - 1];
+        if (last && (last.line >= Math.max(...current.answers.map(item => item.line), 0))) {
+          last.text = `${last.text}\n${line}`;
+        } else {
+          current.text.push(line);
+        }
+      }
+    });
+
+    if (blocks.length === 0) {
+      errors.push({ line: 1, questionNumber: null, message: 'Không tìm thấy câu hỏi nào (mỗi câu phải bắt đầu bằng "Câu X:")' });
+    }
+
+    const seenNumbers = new Map();
+    const questions = [];
+
+    blocks.forEach((block, position) => {
+      const issue = (list, line, message) => list.push({ line, questionNumber: block.number, message: `Câu ${block.number}: ${message}` });
+
+      if (seenNumbers.has(block.number)) {
+        issue(errors, block.line, `trùng số thứ tự với câu ở dòng ${seenNumbers.get(block.number)}`);
+      } else {
+        if (position > 0 && block.number !== blocks[position - 1].number + 1) {
+          issue(warnings, block.line, 'số thứ tự không liên tiếp');
+        }
+        seenNumbers.set(block.number, block.line);
+      }
+
+      let stem = block.text.join('\n').trim();
+      let points;
+      const pointsMatch = stem.match(POINTS_PATTERN);
+      if (pointsMatch) {
+        points = parseFloat(pointsMatch[1]);
+        stem = stem.replace(POINTS_PATTERN, '').trim();
+      }
+      if (!stem) {
+        issue(errors, block.line, 'thiếu nội dung câu hỏi');
+      }
+
+      this._checkLatex(stem, block.line, message => issue(errors, block.line, message));
+      [...block.options, ...block.statements].forEach(item => {
+        this._checkLatex(item.text, item.line, message => issue(errors, item.line, message));
+      });
+
+      const kinds = [block.options.length > 0, block.statements.length > 0, block.answers.length > 0].filter(Boolean).length;
+      if (kinds > 1) {
+        issue(errors, block.line, 'trộn lẫn lựa chọn A/B/C/D, ý a)/b) và dòng "Answer:"');
+        return;
+      }
+
+      let question = null;
+      if (block.options.length > 0) {
+        question = this._buildChoiceQuestion(block, stem, issue, errors, warnings);
+      } else if (block.statements.length > 0) {
+        question = this._buildStatementQuestion(block, stem, issue, errors, warnings);
+      } else if (block.answers.length > 0) {
+        question = this._buildNumberQuestion(block, stem, issue, errors, warnings);
+      } else {
+        issue(errors, block.line, 'không có lựa chọn, ý đúng/sai hoặc dòng "Answer:"');
+      }
+
+      if (question) {
+        if (points !== undefined) question.points = points;
+        questions.push(question);
+      }
+    });
+
+    return { questions, errors, warnings };
+  }
+
+  /**
+   * Write structured questions back to the "Câu X:" text format
+   * @param {Array} questions - Lesson questions
+   * @returns {string} Lesson text
+   */
+  serialize(questions) {
+    return (Array.isArray(questions) ? questions : []).map((question, index) => {
+      const type = normalizeQuestionType(question.type);
+      const { correctAnswer } = gradingService.gradeQuestion(question, null, 1);
+      const points = question.points !== undefined ? ` [${question.points} pts]` : '';
+      const lines = [`Câu ${index + 1}: ${question.question || ''}${points}`];
+      const optionText = (option) => (option && typeof option === 'object' ? String(option.text ?? option.content ?? '') : String(option ?? ''));
+
+      if (type === 'abcd') {
+        (question.options || []).forEach((option, position) => {
+          const letter = OPTION_LETTERS[position];
+          lines.push(`${letter === correctAnswer ? '*' : ''}${letter}. ${optionText(option)}`);
+        });
+      } else if (type === 'truefalse') {
+        const statements = Array.isArray(question.options) ? question.options : [];
+        statements.forEach((statement, position) => {
+          const isTrue = Array.isArray(correctAnswer) && correctAnswer[position] === true;
+          lines.push(`${isTrue ? '*' : ''}${STATEMENT_LETTERS[position]}) ${optionText(statement)}`);
+        });
+      } else {
+        lines.push(`Answer: ${gradingService.getRawCorrectAnswer(question) ?? ''}`);
+      }
+
+      return lines.join('\n');
+    }).join('\n\n') + '\n';
+  }
+
+  /**
+   * Renumber the "Câu X:" headers of a piece of lesson text consecutively
+   * Used to merge separately formatted chunks of one document.
+   * @param {string} text - Lesson text
+   * @param {number} startAt - Number given to the first question
+   * @returns {Object} { text, count } - count is the number of questions found
+   */
+  renumber(text, startAt = 1) {
+    let count = 0;
+    const renumbered = String(text ?? '').replace(/^([ \t]*)Câu\s+\d+\s*[:.]/gim, (match, indent) => `${indent}Câu ${startAt + count++}:`);
+    return { text: renumbered, count };
+  }
+
+  // Helper method to build an ABCD question from a parsed block
+  _buildChoiceQuestion(block, stem, issue, errors, warnings) {
+    let valid = true;
+    block.options.forEach((option, position) => {
+      if (option.letter !== OPTION_LETTERS[position]) {
+        issue(errors, option.line, `lựa chọn ${option.letter} sai thứ tự (mong đợi ${OPTION_LETTERS[position]})`);
+        valid = false;
+      }
+      if (!option.text) {
+        issue(errors, option.line, `lựa chọn ${option.letter} để trống`);
+        valid = false;
+      }
+    });
+
+    if (block.options.length < 2) {
+      issue(errors, block.line, 'câu trắc nghiệm phải có ít nhất 2 lựa chọn');
+      valid = false;
+    } else if (block.options.length < 4) {
+      issue(warnings, block.line, `chỉ có ${block.options.length} lựa chọn`);
+    }
+
+    const marked = block.options.filter(option => option.marked);
+    if (marked.length === 0) {
+      issue(errors, block.line, 'chưa đánh dấu đáp án đúng (thêm * trước lựa chọn, ví dụ *A.)');
+      valid = false;
+    } else if (marked.length > 1) {
+      issue(errors, marked[1].line, 'có nhiều hơn một đáp án được đánh dấu');
+      valid = false;
+    }
+
+    if (!valid) return null;
+    return {
+      id: block.number,
+      type: 'abcd',
+      question: stem,
+      options: block.options.map(option => option.text),
+      correct: marked[0].letter
+    };
+  }
+
+  // Helper method to build a multi-statement true/false question from a parsed block
+  _buildStatementQuestion(block, stem, issue, errors, warnings) {
+    let valid = true;
+    block.statements.forEach((statement, position) => {
+      if (statement.letter !== STATEMENT_LETTERS[position]) {
+        issue(errors, statement.line, `ý ${statement.letter}) sai thứ tự (mong đợi ${STATEMENT_LETTERS[position]}))`);
+        valid = false;
+      }
+      if (!statement.text) {
+        issue(errors, statement.line, `ý ${statement.letter}) để trống`);
+        valid = false;
+      }
+    });
+
+    if (!block.statements.some(statement => statement.marked)) {
+      issue(warnings, block.line, 'không có ý nào được đánh dấu đúng (*a)), mọi ý sẽ được chấm là sai');
+    }
+
+    if (!valid) return null;
+    return {
+      id: block.number,
+      type: 'truefalse',
+      question: stem,
+      options: block.statements.map(statement => statement.text),
+      correct: block.statements.map(statement => statement.marked)
+    };
+  }
+
+  // Helper method to build a number question from a parsed block
+  _buildNumberQuestion(block, stem, issue, errors) {
+    if (block.answers.length > 1) {
+      issue(errors, block.answers[1].line, 'có nhiều hơn một dòng "Answer:"');
+      return null;
+    }
+
+    const answer = block.answers[0];
+    if (!answer.value) {
+      issue(errors, answer.line, 'dòng "Answer:" để trống');
+      return null;
+    }
+    if (parseQuantity(answer.value).value === null) {
+      issue(errors, answer.line, `đáp án "${answer.value}" không phải là số`);
+      return null;
+    }
+
+    return {
+      id: block.number,
+      type: 'number',
+      question: stem,
+      correct: answer.value
+    };
+  }
+
+  // Helper method to report unbalanced $...$ delimiters and braces inside LaTeX
+  _checkLatex(text, line, report) {
+    const source = String(text || '').replace(/\\\$/g, '');
+    const segments = source.split('$$');
+    if (segments.length % 2 === 0) {
+      report(`dòng ${line}: thiếu dấu $$ đóng công thức`);
+      return;
+    }
+
+    const inline = segments.filter((_, index) => index % 2 === 0).join('');
+    const pieces = inline.split('$');
+    if (pieces.length % 2 === 0) {
+      report(`dòng ${line}: thiếu dấu $ đóng công thức`);
+      return;
+    }
+
+    const formulas = [
+      ...segments.filter((_, index) => index % 2 === 1),
+      ...pieces.filter((_, index) => index % 2 === 1)
+    ];
+    formulas.forEach(formula => {
+      let depth = 0;
+      for (const character of formula.replace(/\\[{}]/g, '')) {
+        if (character === '{') depth++;
+        if (character === '}') depth--;
+        if (depth < 0) break;
+      }
+      if (depth !== 0) {
+        report(`dòng ${line}: dấu ngoặc {} trong công thức $${formula}$ không cân bằng`);
+      }
+    });
+  }
+}
+
+module.exports = new LessonTextService();
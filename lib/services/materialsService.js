@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { RETRIEVAL_CONFIG } = require('../config/constants');
+
+const MATERIALS_DIR = path.join(__dirname, '..', '..', 'materials');
+const FORMULA_KEY_PATTERN = /formula|công_thức/i;
+const TITLE_KEYS = ['name', 'title', 'tiêu_đề', 'tên'];
+const TOPIC_KEYS = ['topic', 'chương', 'title'];
+const SKIPPED_KEYS = new Set(['url', 'id', 'grade', 'lớp', 'môn', 'subject', 'topic', 'chương', 'category', 'related_topics', 'resources']);
+
+// Frequent Vietnamese words that say nothing about the physics topic
+const STOP_WORDS = new Set([
+  'của', 'và', 'là', 'có', 'các', 'một', 'những', 'được', 'cho', 'với', 'khi', 'trong', 'thì', 'này',
+  'đó', 'nào', 'bao', 'nhiêu', 'bằng', 'theo', 'từ', 'đến', 'vật', 'câu', 'hỏi', 'sau', 'đây', 'giá', 'trị'
+]);
+
+/**
+ * Read-only access to the physics reference materials in materials/gradeN
+ * The topic files do not share one layout, so formulas are collected from any
+ * "formula"/"công_thức" field and labelled with the nearest named section.
+ * For retrieval every file is cut into sections of at most MAX_SECTION_CHARS and
+ * indexed in memory with BM25; no network or embedding model is involved.
+ */
+class MaterialsService {
+  constructor() {
+    this.formulasByGrade = new Map();
+    this.index = null;
+  }
+
+  /**
+   * Find the material sections that best match a query (BM25 over title, topic and text)
+   * @param {string} query - Question, message or other text to match
+   * @param {Object} options - { grade, limit, minScore } (all grades when grade is missing)
+   * @returns {Array} [{ id, file, section, title, topic, grade, text, score }] best first
+   */
+  search(query, { grade = null, limit = RETRIEVAL_CONFIG.TOP_K, minScore = RETRIEVAL_CONFIG.MIN_SCORE } = {}) {
+    const index = this._getIndex();
+    const terms = Array.from(new Set(this._tokenize(query)));
+    if (terms.length === 0 || index.documents.length === 0) return [];
+
+    const { BM25_K1: k1, BM25_B: b } = RETRIEVAL_CONFIG;
+    return index.documents
+      .filter(document => !grade || document.section.grade === Number(grade))
+      .map(document => {
+        const score = terms.reduce((sum, term) => {
+          const frequency = document.termFrequencies.get(term);
+          if (!frequency) return sum;
+          const idf = index.idf.get(term);
+          return sum + idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * document.length / index.averageLength));
+        }, 0);
+        return { ...document.section, score: Math.round(score * 100) / 100 };
+      })
+      .filter(entry => entry.score > 0 && entry.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Number the snippets for a prompt so the model can cite them as [1], [2], ...
+   * @param {Array} snippets - Results of search()
+   * @returns {Array} Reference lines
+   */
+  formatReferences(snippets) {
+    return snippets.map((snippet, index) => `[${index + 1}] ${snippet.title} (${snippet.file} › ${snippet.section}): ${snippet.text}`);
+  }
+
+  /**
+   * Describe the snippets given to the model, marking the ones its answer cites
+   * @param {Array} snippets - Results of search() in prompt order
+   * @param {string} answer - Model response
+   * @returns {Array} [{ ref, file, section, title, cited }]
+   */
+  buildCitations(snippets, answer = '') {
+    const cited = new Set(Array.from(String(answer).matchAll(/\[(\d+)\]/g), match => Number(match[1])));
+    return snippets.map((snippet, index) => ({
+      ref: index + 1,
+      file: snippet.file,
+      section: snippet.section,
+      title: snippet.title,
+      cited: cited.has(index + 1)
+    }));
+  }
+
+  /**
+   * Look up a topic in a grade's index.json
+   * @param {number|string} grade - Grade (10, 11 or 12)
+   * @param {string} chapterId - Chapter id from index.json
+   * @param {string} file - Topic file name from the chapter (e.g. "roi_tu_do.json")
+   * @returns {Object} { grade, subject, chapter: { id, title }, file, title, subtopics }
+   */
+  getTopic(grade, chapterId, file) {
+    const indexPath = path.join(MATERIALS_DIR, `grade${parseInt(grade, 10)}`, 'index.json');
+    if (!fs.existsSync(indexPath)) {
+      throw new NotFoundError(`Materials for grade ${grade} not found`);
+    }
+
+    const catalog = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    const chapter = (catalog.chapters || []).find(entry => entry.id === chapterId);
+    const topic = chapter && (chapter.topics || []).find(entry => entry.file === file || entry.file === `${file}.json`);
+    if (!topic) {
+      throw new NotFoundError(`Topic ${chapterId}/${file} not found in grade ${grade} materials`);
+    }
+
+    return {
+      grade: Number(catalog.grade || grade),
+      subject: catalog.subject || null,
+      chapter: { id: chapter.id, title: chapter.title },
+      file: topic.file,
+      title: topic.title,
+      subtopics: Array.isArray(topic.subtopics) ? topic.subtopics : []
+    };
+  }
+
+  /**
+   * Get the indexed sections of one topic file, in file order
+   * @param {Object} topic - Result of getTopic()
+   * @returns {Array} [{ id, file, section, title, topic, grade, text }]
+   */
+  getTopicSections(topic) {
+    const file = `grade${topic.grade}/${topic.chapter.id}/${topic.file}`;
+    return this._getIndex().documents
+      .map(document => document.section)
+      .filter(section => section.file === file);
+  }
+
+  /**
+   * Get every formula listed in the materials of a grade
+   * @param {number|string} grade - Grade (10, 11 or 12)
+   * @returns {Array} [{ formula, label, topic, grade }]
+   */
+  getFormulas(grade) {
+    const key = String(grade);
+    if (!this.formulasByGrade.has(key)) {
+      this.formulasByGrade.set(key, this._loadGradeFormulas(key));
+    }
+    return this.formulasByGrade.get(key);
+  }
+
+  /**
+   * Find the formulas most related to a piece of text (e.g. a question)
+   * @param {string} text - Text to match
+   * @param {Object} options - { grade, limit } (all grades when grade is missing)
+   * @returns {Array} Matching formulas, best first
+   */
+  findFormulas(text, { grade = null, limit = 5 } = {}) {
+    const grades = grade ? [grade] : this._listGrades();
+    const words = new Set(this._tokenize(text));
+    if (words.size === 0) return [];
+
+    return grades
+      .flatMap(entry => this.getFormulas(entry))
+      .map(formula => ({
+        formula,
+        score: this._tokenize(`${formula.label} ${formula.topic}`).filter(word => words.has(word)).length
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(entry => entry.formula);
+  }
+
+  // Helper method to build the BM25 index over every materials file (once)
+  _getIndex() {
+    if (this.index) return this.index;
+
+    const documents = this._listGrades()
+      .flatMap(grade => this._loadGradeSections(grade))
+      .map(section => {
+        // The title counts twice so a matching heading outweighs a passing mention
+        const terms = this._tokenize(`${section.title} ${section.title} ${section.topic} ${section.text}`);
+        const termFrequencies = new Map();
+        terms.forEach(term => termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1));
+        return { section, termFrequencies, length: terms.length };
+      });
+
+    const documentFrequencies = new Map();
+    documents.forEach(document => {
+      document.termFrequencies.forEach((_, term) => documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1));
+    });
+
+    const idf = new Map();
+    documentFrequencies.forEach((frequency, term) => {
+      idf.set(term, Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5)));
+    });
+
+    this.index = {
+      documents,
+      idf,
+      averageLength: documents.reduce((sum, document) => sum + document.length, 0) / (documents.length || 1)
+    };
+    console.log(`📚 Materials index built: ${documents.length} sections`);
+    return this.index;
+  }
+
+  // Helper method to cut the topic files of a grade into searchable sections
+  _loadGradeSections(grade) {
+    const sections = [];
+    this._readGradeFiles(grade, (data, file, chapter) => {
+      const topic = TOPIC_KEYS.map(key => data[key]).find(value => typeof value === 'string') || chapter;
+      this._collectSections(data, [], topic, (section) => sections.push({
+        id: `grade${grade}/${file}#${section.section}`,
+        file: `grade${grade}/${file}`,
+        grade: Number(grade),
+        topic,
+        ...section
+      }));
+    });
+    return sections;
+  }
+
+  // Helper method to split a node into sections small enough to quote in a prompt
+  _collectSections(node, pathParts, label, onSection) {
+    const text = this._flatten(node);
+    if (!text) return;
+
+    const title = this._nodeTitle(node, pathParts, label);
+    const isContainer = node && typeof node === 'object';
+    if (!isContainer || text.length <= RETRIEVAL_CONFIG.MAX_SECTION_CHARS || pathParts.length >= 6) {
+      onSection({
+        section: pathParts.join('.') || 'root',
+        title,
+        text: text.length > RETRIEVAL_CONFIG.MAX_SECTION_CHARS ? `${text.substring(0, RETRIEVAL_CONFIG.MAX_SECTION_CHARS)}…` : text
+      });
+      return;
+    }
+
+    const entries = Array.isArray(node) ? node.map((child, index) => [String(index), child]) : Object.entries(node);
+    entries
+      .filter(([key]) => !SKIPPED_KEYS.has(key))
+      .forEach(([key, child]) => this._collectSections(child, [...pathParts, key], title, onSection));
+  }
+
+  // Helper method to turn a node into "label: value" lines
+  _flatten(node, key = '') {
+    if (node === null || node === undefined) return '';
+    if (typeof node !== 'object') {
+      const value = String(node).trim();
+      return key && !/^\d+$/.test(key) ? `${key.replace(/_/g, ' ')}: ${value}` : value;
+    }
+    const entries = Array.isArray(node) ? node.map((child, index) => [String(index), child]) : Object.entries(node);
+    return entries
+      .filter(([childKey]) => !SKIPPED_KEYS.has(childKey))
+      .map(([childKey, child]) => this._flatten(child, childKey))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // Helper method to name a section after its own title or its key
+  _nodeTitle(node, pathParts, label) {
+    const title = node && typeof node === 'object' && !Array.isArray(node)
+      ? TITLE_KEYS.map(key => node[key]).find(value => typeof value === 'string')
+      : null;
+    if (title) return title;
+
+    const key = [...pathParts].reverse().find(part => !/^\d+$/.test(part));
+    return key && key !== 'content' && key !== 'sections' ? `${label} - ${key.replace(/_/g, ' ')}` : label;
+  }
+
+  // Helper method to read all topic files of a grade
+  _loadGradeFormulas(grade) {
+    const formulas = [];
+    this._readGradeFiles(grade, (data, file, chapter) => {
+      const topic = TOPIC_KEYS.map(key => data[key]).find(value => typeof value === 'string') || chapter;
+      this._collectFormulas(data, topic, topic, '', (formula) => formulas.push({ ...formula, grade: Number(grade) }));
+    });
+    return formulas;
+  }
+
+  // Helper method to parse every topic file of a grade ("<chapter>/<file>.json")
+  _readGradeFiles(grade, onFile) {
+    const gradeDir = path.join(MATERIALS_DIR, `grade${grade}`);
+    if (!fs.existsSync(gradeDir)) {
+      console.warn(`⚠️ Materials for grade ${grade} not found in ${gradeDir}`);
+      return;
+    }
+
+    fs.readdirSync(gradeDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const chapterDir = path.join(gradeDir, entry.name);
+        fs.readdirSync(chapterDir).filter(file => file.endsWith('.json')).forEach(file => {
+          try {
+            const data = JSON.parse(fs.readFileSync(path.join(chapterDir, file), 'utf8'));
+            onFile(data, `${entry.name}/${file}`, entry.name);
+          } catch (error) {
+            console.error(`Could not read materials file ${entry.name}/${file}:`, error.message);
+          }
+        });
+      });
+  }
+
+  // Helper method to walk a materials file and report each formula string
+  _collectFormulas(node, topic, label, key, onFormula) {
+    if (Array.isArray(node)) {
+      node.forEach(item => this._collectFormulas(item, topic, label, key, onFormula));
+    } else if (node && typeof node === 'object') {
+      const title = TITLE_KEYS.map(titleKey => node[titleKey]).find(value => typeof value === 'string');
+      const nodeLabel = title || (FORMULA_KEY_PATTERN.test(key) ? label : key.replace(/_/g, ' ')) || label;
+      Object.entries(node).forEach(([childKey, child]) => this._collectFormulas(child, topic, nodeLabel, childKey, onFormula));
+    } else if (typeof node === 'string' && FORMULA_KEY_PATTERN.test(key) && node.trim()) {
+      onFormula({ formula: node.trim(), label, topic });
+    }
+  }
+
+  // Helper method to list the grades that have materials
+  _listGrades() {
+    if (!fs.existsSync(MATERIALS_DIR)) {
+      // Retrieval and formula lookups quietly return nothing without it; deployments must bundle materials/
+      console.error(`❌ Materials directory not found: ${MATERIALS_DIR}`);
+      return [];
+    }
+    return fs.readdirSync(MATERIALS_DIR)
+      .map(name => name.match(/^grade(\d+)$/))
+      .filter(Boolean)
+      .map(match => match[1]);
+  }
+
+  // Helper method to split text into lowercase words for matching
+  _tokenize(text) {
+    return String(text || '')
+      .normalize('NFC')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  }
+}
+
+module.exports = new MaterialsService();
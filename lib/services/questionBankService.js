@@ -0,0 +1,348 @@
+const { supabase } = require('../config/database');
+const databaseService = require('./databaseService');
+const { generateUUID } = require('../utils/helpers');
+const { AppError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { QUESTION_BANK_CONFIG } = require('../config/constants');
+
+const { CONTENT_FIELDS, MAX_PAGE_SIZE } = QUESTION_BANK_CONFIG;
+
+class QuestionBankService {
+  /**
+   * List bank questions with optional filters
+   * @param {Object} options - { page, limit, search, tags, grade, subject, difficulty, type }
+   * @returns {Promise<Object>} { questions, total, page, limit }
+   */
+  async listQuestions(options = {}) {
+    const { search = '', tags = [], grade, subject, difficulty, type } = options;
+    const page = Math.max(1, parseInt(options.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(options.limit, 10) || 20));
+    const startIndex = (page - 1) * limit;
+
+    let query = supabase
+      .from('question_bank')
+      .select('*', { count: 'exact' })
+      .order('updated_at', { ascending: false });
+
+    if (search) query = query.ilike('question', `%${search}%`);
+    if (grade !== undefined && grade !== '') query = query.eq('grade', String(grade));
+    if (subject) query = query.eq('subject', subject);
+    if (difficulty) query = query.eq('difficulty', difficulty);
+    if (type) query = query.eq('type', type);
+
+    const tagFilters = typeof tags === 'string'
+      ? tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      : (Array.isArray(tags) ? tags : []);
+    tagFilters.forEach(tag => {
+      query = query.contains('tags', JSON.stringify([tag]));
+    });
+
+    const { data, error, count } = await query.range(startIndex, startIndex + limit - 1);
+    if (error) throw error;
+
+    return {
+      questions: (data || []).map(row => this._formatQuestion(row)),
+      total: count || 0,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * List the stems of bank questions (for duplicate checks)
+   * @param {Object} options - { grade } to limit to one grade plus questions without a grade
+   * @returns {Promise<Array>} [{ id, type, question }]
+   */
+  async listQuestionStems({ grade } = {}) {
+    let query = supabase
+      .from('question_bank')
+      .select('id, type, question');
+
+    if (grade !== undefined && grade !== null && grade !== '') {
+      // The grade is interpolated into a filter string, so only plain integers are accepted
+      if (!/^\d{1,2}$/.test(String(grade))) {
+        throw new ValidationError('Invalid grade', ['grade must be an integer']);
+      }
+      query = query.or(`grade.eq.${parseInt(grade, 10)},grade.is.null`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Get one bank question
+   * @param {string} id - Bank question ID
+   * @returns {Promise<Object>} Bank question
+   */
+  async getQuestionById(id) {
+    const rows = await this._getRows([id]);
+    if (rows.length === 0) {
+      throw new NotFoundError('Question not found');
+    }
+    return this._formatQuestion(rows[0]);
+  }
+
+  /**
+   * Add a question to the bank
+   * @param {Object} data - Question content plus tags, grade, subject and difficulty
+   * @returns {Promise<Object>} Created bank question
+   */
+  async createQuestion(data) {
+    const now = new Date().toISOString();
+    const row = {
+      ...this._toRow(data),
+      id: generateUUID(),
+      version: 1,
+      created_at: now,
+      updated_at: now
+    };
+
+    const { data: created, error } = await supabase
+      .from('question_bank')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return this._formatQuestion(created);
+  }
+
+  /**
+   * Update a bank question; every update creates a new version
+   * Lessons keep the version they were built with unless propagate is set.
+   * The update only applies to the version it was based on, so a concurrent update
+   * makes it fail with 409 instead of being overwritten.
+   * @param {string} id - Bank question ID
+   * @param {Object} data - Fields to change
+   * @param {Object} options - { propagate }
+   * @returns {Promise<Object>} { question, propagation: { updated, failed } }
+   */
+  async updateQuestion(id, data, { propagate = false } = {}) {
+    const existing = await this.getQuestionById(id);
+    const merged = { ...existing, ...data };
+
+    const { data: updated, error } = await supabase
+      .from('question_bank')
+      .update({
+        ...this._toRow(merged),
+        version: existing.version + 1,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('version', existing.version)
+      .select();
+
+    if (error) throw error;
+    if (!updated || updated.length === 0) {
+      const conflict = new AppError('Question was changed by someone else, reload it and try again', 409, 'QUESTION_VERSION_CONFLICT');
+      conflict.details = { version: existing.version };
+      throw conflict;
+    }
+
+    const question = this._formatQuestion(updated[0]);
+    const propagation = propagate ? await this.propagateToLessons(question) : { updated: [], failed: [] };
+
+    return { question, propagation };
+  }
+
+  /**
+   * Delete a bank question that no lesson uses any more
+   * @param {string} id - Bank question ID
+   * @returns {Promise<boolean>} True when deleted
+   */
+  async deleteQuestion(id) {
+    await this.getQuestionById(id);
+
+    const usage = await this.getUsage(id);
+    if (usage.length > 0) {
+      const error = new AppError('Question is used by one or more lessons', 409, 'QUESTION_IN_USE');
+      error.details = { lessons: usage.map(entry => entry.lessonId) };
+      throw error;
+    }
+
+    const { error } = await supabase
+      .from('question_bank')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Find the lessons that include a bank question
+   * @param {string} id - Bank question ID
+   * @param {number} currentVersion - Current bank version, to flag lessons that are behind
+   * @returns {Promise<Array>} [{ lessonId, title, positions, bankVersion, outdated }]
+   */
+  async getUsage(id, currentVersion = null) {
+    const lessons = await this._getLessonsUsing(id);
+
+    return lessons.map(lesson => {
+      const entries = (lesson.questions || [])
+        .map((question, index) => ({ question, index }))
+        .filter(({ question }) => question && question.bankId === id);
+      const bankVersion = Math.min(...entries.map(({ question }) => question.bankVersion || 0));
+
+      return {
+        lessonId: lesson.id,
+        title: lesson.title,
+        positions: entries.map(({ index }) => index + 1),
+        bankVersion,
+        outdated: currentVersion !== null && bankVersion < currentVersion
+      };
+    });
+  }
+
+  /**
+   * Copy the current version of a bank question into every lesson that uses it
+   * Each changed lesson is saved through updateLesson, so it gets a revision.
+   * A lesson that cannot be saved is reported and does not stop the others.
+   * @param {Object} question - Formatted bank question
+   * @returns {Promise<Object>} { updated: lesson IDs, failed: [{ lessonId, error }] }
+   */
+  async propagateToLessons(question) {
+    const lessons = await this._getLessonsUsing(question.id);
+    const updated = [];
+    const failed = [];
+
+    for (const lesson of lessons) {
+      let changed = false;
+      const questions = (lesson.questions || []).map(entry => {
+        if (!entry || entry.bankId !== question.id || entry.bankVersion === question.version) {
+          return entry;
+        }
+        changed = true;
+        return this._materialize(entry, question);
+      });
+
+      if (!changed) continue;
+
+      try {
+        await databaseService.updateLesson(lesson.id, { questions }, {
+          revisionNote: `bank:${question.id}@${question.version}`
+        });
+        updated.push(lesson.id);
+      } catch (error) {
+        console.error(`Could not propagate bank question ${question.id} to lesson ${lesson.id}:`, error);
+        failed.push({ lessonId: lesson.id, error: error.message });
+      }
+    }
+
+    console.log(`✅ Propagated bank question ${question.id} (v${question.version}) to ${updated.length} lesson(s), ${failed.length} failed`);
+    return { updated, failed };
+  }
+
+  /**
+   * Fill in lesson questions that reference the bank
+   * Entries with a bankId but no question text are replaced by the current bank
+   * content; entries that already carry content keep the version they were saved with.
+   * @param {Array} questions - Lesson questions as sent by the admin UI
+   * @returns {Promise<Array>} Questions ready to be stored on the lesson
+   */
+  async resolveLessonQuestions(questions) {
+    if (!Array.isArray(questions)) return questions;
+
+    const referenceIds = [...new Set(questions
+      .filter(entry => this.isReference(entry))
+      .map(entry => String(entry.bankId)))];
+    if (referenceIds.length === 0) return questions;
+
+    const rows = await this._getRows(referenceIds);
+    const bankQuestions = new Map(rows.map(row => [row.id, this._formatQuestion(row)]));
+
+    const missing = referenceIds.filter(id => !bankQuestions.has(id));
+    if (missing.length > 0) {
+      throw new ValidationError('Question bank items not found', missing);
+    }
+
+    return questions.map(entry => (
+      this.isReference(entry) ? this._materialize(entry, bankQuestions.get(String(entry.bankId))) : entry
+    ));
+  }
+
+  /**
+   * Check whether a lesson question is a bare reference to a bank item
+   * @param {Object} entry - Lesson question
+   * @returns {boolean} True when the content must come from the bank
+   */
+  isReference(entry) {
+    return !!entry && entry.bankId !== undefined && entry.bankId !== null &&
+      (typeof entry.question !== 'string' || entry.question.trim() === '');
+  }
+
+  // Helper method to build a lesson question from a bank question
+  _materialize(entry, question) {
+    const lessonQuestion = {
+      id: entry.id ?? `bank-${question.id}`,
+      bankId: question.id,
+      bankVersion: question.version
+    };
+    if (entry.points !== undefined) lessonQuestion.points = entry.points;
+
+    CONTENT_FIELDS.forEach(field => {
+      if (question[field] !== undefined) lessonQuestion[field] = question[field];
+    });
+    return lessonQuestion;
+  }
+
+  // Helper method to load bank rows by ID
+  async _getRows(ids) {
+    const { data, error } = await supabase
+      .from('question_bank')
+      .select('*')
+      .in('id', ids);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Helper method to find lessons whose questions reference a bank item
+  async _getLessonsUsing(id) {
+    const { data, error } = await supabase
+      .from('lessons')
+      .select('id, title, questions')
+      .contains('questions', JSON.stringify([{ bankId: id }]));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Helper method to split API data into bank columns; content fields live in a JSON column
+  _toRow(data) {
+    const content = {};
+    CONTENT_FIELDS.forEach(field => {
+      if (data[field] !== undefined) content[field] = data[field];
+    });
+
+    return {
+      type: data.type,
+      question: data.question,
+      content,
+      tags: Array.isArray(data.tags) ? data.tags : [],
+      grade: data.grade !== undefined && data.grade !== null ? String(data.grade) : null,
+      subject: data.subject || null,
+      difficulty: data.difficulty || null
+    };
+  }
+
+  // Helper method to map a bank row to the shape used by the admin UI
+  _formatQuestion(row) {
+    return {
+      ...(row.content || {}),
+      id: row.id,
+      type: row.type,
+      question: row.question,
+      tags: row.tags || [],
+      grade: row.grade,
+      subject: row.subject,
+      difficulty: row.difficulty,
+      version: row.version,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new QuestionBankService();
@@ -0,0 +1,382 @@
+const aiService = require('./ai/aiService');
+const materialsService = require('./materialsService');
+const questionBankService = require('./questionBankService');
+const { getQuestionErrors } = require('../middleware/validation');
+const { evaluateExpression } = require('../utils/arithmetic');
+const { shingles, similarity } = require('../utils/textSimilarity');
+const { parseQuantity, getTolerance, compareWithTolerance, roundToSignificantFigures } = require('../utils/numericAnswer');
+const { ValidationError } = require('../middleware/errorHandler');
+const { QUESTION_GENERATION_CONFIG, QUESTION_BANK_CONFIG, PUBLICATION_CONFIG } = require('../config/constants');
+
+const { TYPES, ABCD_OPTIONS, TRUEFALSE_STATEMENTS, NUMBER_TOLERANCE } = QUESTION_GENERATION_CONFIG;
+const { DIFFICULTIES } = QUESTION_BANK_CONFIG;
+const OPTION_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * AI generation of practice questions from a topic of the materials library
+ * The model drafts the questions; every question is then checked here before it
+ * reaches the draft lesson: schema, exactly one correct ABCD option, numeric answers
+ * recomputed from the model's arithmetic, and no near-duplicates of bank questions
+ * or of each other. Slots left empty by rejected questions are asked for again.
+ */
+class QuestionGenerationService {
+  /**
+   * Generate a draft lesson (not saved) for a materials topic
+   * @param {Object} request - { grade, chapter, topic, counts: { abcd, truefalse, number }, difficultyMix: { easy, medium, hard } }
+   * @returns {Promise<Object>} { lesson, report }
+   */
+  async generateDraftLesson({ grade, chapter, topic: topicFile, counts, difficultyMix } = {}) {
+    const requested = this._readCounts(counts);
+    const mix = this._readDifficultyMix(difficultyMix);
+    const topic = materialsService.getTopic(grade, chapter, topicFile);
+    const material = this._buildMaterial(topic);
+
+    const bank = (await questionBankService.listQuestionStems({ grade: topic.grade }))
+      .filter(entry => typeof entry.question === 'string' && entry.question.trim())
+      .map(entry => ({ source: 'bank', id: entry.id, text: entry.question, shingles: shingles(entry.question) }));
+
+    const slots = this.planSlots(requested, mix);
+    const accepted = [];
+    const rejected = [];
+    const numberChecks = [];
+    let missing = slots;
+    let rounds = 0;
+
+    while (missing.length > 0 && rounds < QUESTION_GENERATION_CONFIG.MAX_ROUNDS) {
+      rounds++;
+      const candidates = await aiService.generateQuestions({
+        grade: topic.grade,
+        chapter: topic.chapter.title,
+        topic: topic.title,
+        subtopics: topic.subtopics,
+        material,
+        slots: missing,
+        avoid: accepted.map(entry => entry.question.question)
+      });
+
+      const open = [...missing];
+      candidates.forEach(candidate => {
+        const { question, reasons, details, numberCheck } = this.checkQuestion(candidate);
+
+        if (question && reasons.length === 0) {
+          const duplicate = this._findDuplicate(question.question, [...bank, ...accepted]);
+          if (duplicate) {
+            reasons.push('near_duplicate');
+            details.push(duplicate);
+          }
+        }
+
+        const slotIndex = reasons.length === 0
+          ? open.findIndex(slot => slot.type === question.type && slot.difficulty === question.difficulty)
+          : -1;
+        if (reasons.length === 0 && slotIndex < 0) {
+          reasons.push('not_requested');
+        }
+
+        if (reasons.length > 0) {
+          rejected.push({
+            round: rounds,
+            type: candidate && candidate.type,
+            difficulty: candidate && candidate.difficulty,
+            question: candidate && typeof candidate.question === 'string' ? candidate.question : null,
+            reasons,
+            details
+          });
+          return;
+        }
+
+        open.splice(slotIndex, 1);
+        accepted.push({ source: 'generated', id: null, text: question.question, question, shingles: shingles(question.question) });
+        if (numberCheck) numberChecks.push({ question: question.question, ...numberCheck });
+      });
+      missing = open;
+    }
+
+    const questions = this._orderQuestions(accepted.map(entry => entry.question))
+      .map((question, index) => ({ id: index + 1, ...question }));
+
+    console.log(`🧪 Generated ${questions.length}/${slots.length} question(s) for ${topic.file} in ${rounds} round(s), ${rejected.length} rejected`);
+
+    return {
+      lesson: {
+        title: `${topic.title} - Luyện tập`,
+        subject: topic.subject || 'Vật lý',
+        grade: topic.grade,
+        description: `Câu hỏi luyện tập chủ đề ${topic.title} (${topic.chapter.title}), do AI soạn từ tài liệu lớp ${topic.grade}.`,
+        tags: [],
+        questions,
+        publicationStatus: PUBLICATION_CONFIG.STATUS.DRAFT
+      },
+      report: {
+        topic: { grade: topic.grade, chapter: topic.chapter.id, file: topic.file, title: topic.title },
+        requested,
+        difficultyMix: mix,
+        planned: this._countSlots(slots),
+        generated: this._countSlots(questions),
+        missing: this._countSlots(missing),
+        rounds,
+        numberChecks,
+        rejected
+      }
+    };
+  }
+
+  /**
+   * Spread the requested counts of each type over the difficulty mix (largest remainder)
+   * @param {Object} counts - { abcd, truefalse, number }
+   * @param {Object} mix - Difficulty shares that add up to 1
+   * @returns {Array} [{ type, difficulty }] grouped by type, easiest first
+   */
+  planSlots(counts, mix) {
+    return TYPES.flatMap(type => {
+      const count = counts[type] || 0;
+      const shares = DIFFICULTIES.map(difficulty => ({ difficulty, exact: count * (mix[difficulty] || 0) }));
+      shares.forEach(share => { share.count = Math.floor(share.exact); });
+
+      let remaining = count - shares.reduce((sum, share) => sum + share.count, 0);
+      [...shares]
+        .sort((a, b) => (b.exact - b.count) - (a.exact - a.count))
+        .forEach(share => {
+          if (remaining > 0) {
+            share.count++;
+            remaining--;
+          }
+        });
+
+      return shares.flatMap(share => Array.from({ length: share.count }, () => ({ type, difficulty: share.difficulty })));
+    });
+  }
+
+  /**
+   * Check one generated question and convert it to the lesson question schema
+   * @param {Object} candidate - Question as returned by the model
+   * @returns {Object} { question, reasons, details, numberCheck } - question is usable when reasons is empty
+   */
+  checkQuestion(candidate) {
+    const reasons = [];
+    const details = [];
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+      return { question: null, reasons: ['invalid_question'], details, numberCheck: null };
+    }
+
+    const type = String(candidate.type || '').trim().toLowerCase();
+    const difficulty = String(candidate.difficulty || '').trim().toLowerCase();
+    const question = {
+      type,
+      question: typeof candidate.question === 'string' ? candidate.question.trim() : '',
+      difficulty
+    };
+    let numberCheck = null;
+
+    if (!TYPES.includes(type)) reasons.push('invalid_type');
+    if (!DIFFICULTIES.includes(difficulty)) reasons.push('invalid_difficulty');
+
+    if (type === 'abcd') {
+      this._checkChoiceQuestion(candidate, question, reasons);
+    } else if (type === 'truefalse') {
+      this._checkStatementQuestion(candidate, question, reasons);
+    } else if (type === 'number') {
+      numberCheck = this._checkNumberQuestion(candidate, question, reasons, details);
+    }
+
+    if (typeof candidate.explanation === 'string' && candidate.explanation.trim()) {
+      question.explanation = candidate.explanation.trim();
+    }
+
+    if (reasons.length === 0) {
+      const schemaErrors = getQuestionErrors(question);
+      if (schemaErrors.length > 0) {
+        reasons.push('invalid_question');
+        details.push(...schemaErrors);
+      }
+    }
+
+    return { question, reasons, details, numberCheck };
+  }
+
+  // Helper method to check an ABCD question: distinct options and exactly one correct letter
+  _checkChoiceQuestion(candidate, question, reasons) {
+    const options = this._readTexts(candidate.options).map(option => option.replace(/^[A-Z]\s*[.)]\s+/, ''));
+    if (options.length !== ABCD_OPTIONS || options.some(option => !option)) {
+      reasons.push('option_count');
+    } else if (new Set(options.map(option => option.toLowerCase().replace(/\s+/g, ' '))).size !== options.length) {
+      // Two identical options would both be correct (or both wrong)
+      reasons.push('duplicate_options');
+    }
+
+    const letters = (Array.isArray(candidate.correct) ? candidate.correct : String(candidate.correct ?? '').split(/[\s,;]+/))
+      .map(value => String(value).trim().toUpperCase().replace(/[.)]$/, ''))
+      .filter(Boolean);
+    if (letters.length === 0) {
+      reasons.push('missing_correct');
+    } else if (letters.length > 1) {
+      reasons.push('multiple_correct');
+    } else if (letters[0].length !== 1 || !OPTION_LETTERS.slice(0, ABCD_OPTIONS).includes(letters[0])) {
+      reasons.push('invalid_correct_option');
+    }
+
+    question.options = options;
+    question.correct = letters[0];
+  }
+
+  // Helper method to check a true/false question: one boolean per statement
+  _checkStatementQuestion(candidate, question, reasons) {
+    const options = this._readTexts(candidate.options).map(option => option.replace(/^[a-z]\s*\)\s+/, ''));
+    if (options.length !== TRUEFALSE_STATEMENTS || options.some(option => !option)) {
+      reasons.push('statement_count');
+    }
+
+    const correct = Array.isArray(candidate.correct)
+      ? candidate.correct.map(value => (value === true || value === 'true' ? true : value === false || value === 'false' ? false : null))
+      : [];
+    if (correct.length !== options.length || correct.some(value => value === null)) {
+      reasons.push('invalid_statements');
+    }
+
+    question.options = options;
+    question.correct = correct;
+  }
+
+  // Helper method to check a number question and recompute its answer from the model's expression
+  _checkNumberQuestion(candidate, question, reasons, details) {
+    const answer = parseQuantity(candidate.correct);
+    if (answer.value === null) {
+      reasons.push('not_a_number');
+      return null;
+    }
+
+    const unit = typeof candidate.unit === 'string' && candidate.unit.trim() ? candidate.unit.trim() : answer.unit;
+    const expression = typeof candidate.computation === 'string' ? candidate.computation.trim() : '';
+    const computed = evaluateExpression(expression);
+    let value = answer.value;
+    let status = 'unchecked';
+
+    if (computed !== null) {
+      const tolerance = getTolerance({ tolerance: NUMBER_TOLERANCE });
+      if (!compareWithTolerance(answer.value, computed, tolerance)) {
+        reasons.push('answer_mismatch');
+        details.push({ modelAnswer: answer.value, computed, computation: expression });
+        return null;
+      }
+      // Keep the recomputed value; rounding hides floating point noise such as 0.30000000000000004
+      value = roundToSignificantFigures(computed, 6);
+      status = value === answer.value ? 'verified' : 'corrected';
+    }
+
+    question.correct = String(value);
+    if (unit) question.units = [unit];
+    question.tolerance = { ...NUMBER_TOLERANCE };
+
+    return { modelAnswer: answer.value, computed: computed === null ? null : value, computation: expression || null, status };
+  }
+
+  // Helper method to find the most similar earlier question above the duplicate threshold
+  _findDuplicate(text, pool) {
+    const target = shingles(text);
+    let best = null;
+    pool.forEach(entry => {
+      const score = similarity(target, entry.shingles);
+      if (score >= QUESTION_GENERATION_CONFIG.DUPLICATE_THRESHOLD && (!best || score > best.similarity)) {
+        best = { duplicateOf: { source: entry.source, id: entry.id, question: entry.text }, similarity: Math.round(score * 100) / 100 };
+      }
+    });
+    return best;
+  }
+
+  // Helper method to give the model the topic's material, cut to MAX_MATERIAL_CHARS
+  _buildMaterial(topic) {
+    const lines = [];
+    let length = 0;
+    for (const section of materialsService.getTopicSections(topic)) {
+      const line = `${section.title}: ${section.text.replace(/\s*\n\s*/g, '; ')}`;
+      if (length + line.length > QUESTION_GENERATION_CONFIG.MAX_MATERIAL_CHARS) break;
+      lines.push(line);
+      length += line.length;
+    }
+
+    if (lines.length === 0) {
+      throw new ValidationError(`Topic ${topic.file} has no material to generate questions from`, ['topic']);
+    }
+    return lines;
+  }
+
+  // Helper method to validate the requested number of questions per type
+  _readCounts(counts) {
+    if (!counts || typeof counts !== 'object' || Array.isArray(counts)) {
+      throw new ValidationError(`Question counts are required (${TYPES.join(', ')})`, ['counts']);
+    }
+
+    const unknown = Object.keys(counts).filter(type => !TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown question types: ${unknown.join(', ')}`, unknown);
+    }
+
+    const requested = {};
+    TYPES.forEach(type => {
+      const value = counts[type] === undefined ? 0 : Number(counts[type]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new ValidationError(`Count of ${type} questions must be a non-negative integer`, [type]);
+      }
+      requested[type] = value;
+    });
+
+    const total = Object.values(requested).reduce((sum, value) => sum + value, 0);
+    if (total === 0 || total > QUESTION_GENERATION_CONFIG.MAX_QUESTIONS) {
+      throw new ValidationError(`Between 1 and ${QUESTION_GENERATION_CONFIG.MAX_QUESTIONS} questions can be generated at once`, ['counts']);
+    }
+    return requested;
+  }
+
+  // Helper method to validate a difficulty mix and scale it to shares that add up to 1
+  _readDifficultyMix(mix) {
+    if (mix === undefined || mix === null) return { ...QUESTION_GENERATION_CONFIG.DEFAULT_DIFFICULTY_MIX };
+    if (typeof mix !== 'object' || Array.isArray(mix)) {
+      throw new ValidationError(`Difficulty mix must be an object (${DIFFICULTIES.join(', ')})`, ['difficultyMix']);
+    }
+
+    const unknown = Object.keys(mix).filter(difficulty => !DIFFICULTIES.includes(difficulty));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown difficulties: ${unknown.join(', ')}`, unknown);
+    }
+
+    const weights = DIFFICULTIES.map(difficulty => (mix[difficulty] === undefined ? 0 : Number(mix[difficulty])));
+    if (weights.some(weight => !Number.isFinite(weight) || weight < 0)) {
+      throw new ValidationError('Difficulty shares must be non-negative numbers', ['difficultyMix']);
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+      throw new ValidationError('Difficulty mix must include at least one difficulty', ['difficultyMix']);
+    }
+
+    // Shares may be given as fractions, percentages or question counts
+    return DIFFICULTIES.reduce((shares, difficulty, index) => ({
+      ...shares,
+      [difficulty]: Math.round((weights[index] / total) * 1000) / 1000
+    }), {});
+  }
+
+  // Helper method to count questions or slots by type and difficulty
+  _countSlots(entries) {
+    const counts = {};
+    entries.forEach(({ type, difficulty }) => {
+      counts[type] = counts[type] || {};
+      counts[type][difficulty] = (counts[type][difficulty] || 0) + 1;
+    });
+    return counts;
+  }
+
+  // Helper method to sort questions by type (as in TYPES) and then from easy to hard
+  _orderQuestions(questions) {
+    return [...questions].sort((a, b) => (
+      TYPES.indexOf(a.type) - TYPES.indexOf(b.type) ||
+      DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty)
+    ));
+  }
+
+  // Helper method to read a list of option texts
+  _readTexts(values) {
+    return Array.isArray(values) ? values.map(value => (typeof value === 'string' ? value.trim() : '')) : [];
+  }
+}
+
+module.exports = new QuestionGenerationService();
@@ -0,0 +1,159 @@
+const gradingService = require('./gradingService');
+const { normalizeQuestionType } = require('../utils/pointsDistributor');
+const { parseMoodleXml, buildMoodleXml } = require('../utils/moodleXml');
+const { parseGift, buildGift } = require('../utils/gift');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const FORMATS = {
+  moodle: { extension: 'xml', contentType: 'application/xml; charset=utf-8', parse: parseMoodleXml, build: buildMoodleXml },
+  gift: { extension: 'gift', contentType: 'text/plain; charset=utf-8', parse: parseGift, build: buildGift }
+};
+
+class QuizExchangeService {
+  /**
+   * Work out the format of an uploaded quiz file
+   * @param {string} content - File contents
+   * @param {string} filename - Original file name, if any
+   * @returns {string} 'moodle' or 'gift'
+   */
+  detectFormat(content, filename = '') {
+    const extension = String(filename).toLowerCase().split('.').pop();
+    if (extension === 'xml') return 'moodle';
+    if (extension === 'gift') return 'gift';
+    return /^\s*(<\?xml|<quiz[\s>])/i.test(content) ? 'moodle' : 'gift';
+  }
+
+  /**
+   * Read questions from a Moodle XML or GIFT file - deterministic, no AI involved
+   * @param {string} content - File contents
+   * @param {Object} options - { format, filename }
+   * @returns {Object} { format, questions, unmapped, warnings }
+   */
+  importQuestions(content, { format = null, filename = '' } = {}) {
+    if (typeof content !== 'string' || content.trim() === '') {
+      throw new ValidationError('Quiz file is empty');
+    }
+
+    const resolvedFormat = format || this.detectFormat(content, filename);
+    if (!FORMATS[resolvedFormat]) {
+      throw new ValidationError(`Unsupported quiz format (${Object.keys(FORMATS).join(', ')})`, ['format']);
+    }
+
+    let parsed;
+    try {
+      parsed = FORMATS[resolvedFormat].parse(content);
+    } catch (error) {
+      throw new ValidationError(`Could not read ${resolvedFormat === 'moodle' ? 'Moodle XML' : 'GIFT'} file: ${error.message}`);
+    }
+
+    console.log(`📥 Quiz import (${resolvedFormat}): ${parsed.questions.length} imported, ${parsed.unmapped.length} not mapped`);
+    return { format: resolvedFormat, ...parsed };
+  }
+
+  /**
+   * Write a lesson's questions as Moodle XML or GIFT
+   * Multi-statement true/false questions become one true/false question per statement.
+   * @param {Object} lesson - Lesson with its full question list
+   * @param {string} format - 'moodle' or 'gift'
+   * @returns {Object} { content, filename, contentType, exported, skipped, warnings }
+   */
+  exportLesson(lesson, format = 'moodle') {
+    if (!FORMATS[format]) {
+      throw new ValidationError(`Unsupported quiz format (${Object.keys(FORMATS).join(', ')})`, ['format']);
+    }
+
+    const items = [];
+    const skipped = [];
+    const warnings = [];
+
+    (lesson.questions || []).forEach((question, index) => {
+      const name = `Câu ${index + 1}`;
+      const type = normalizeQuestionType(question.type);
+      const { correctAnswer, unit } = gradingService.gradeQuestion(question, null, 1);
+      const base = { name, text: question.question || '', explanation: question.explanation || '', points: question.points };
+
+      if (type === 'abcd') {
+        const options = (question.options || []).map(option => (
+          option && typeof option === 'object' ? String(option.text ?? option.content ?? '') : String(option ?? '')
+        ));
+        const correctIndex = typeof correctAnswer === 'string' ? correctAnswer.charCodeAt(0) - 65 : -1;
+        if (correctIndex < 0 || correctIndex >= options.length) {
+          skipped.push({ index: index + 1, name, reason: 'No valid correct option' });
+          return;
+        }
+        items.push({ ...base, kind: 'multichoice', options, correctIndex });
+      } else if (type === 'truefalse') {
+        const statements = Array.isArray(correctAnswer) ? correctAnswer : [];
+        if (statements.length === 1) {
+          items.push({ ...base, kind: 'truefalse', answer: statements[0] === true });
+          return;
+        }
+        statements.forEach((value, position) => {
+          const statement = question.options && question.options[position];
+          const statementText = statement && typeof statement === 'object' ? statement.text : statement;
+          items.push({
+            ...base,
+            kind: 'truefalse',
+            name: `${name}${String.fromCharCode(97 + position)}`,
+            text: `${base.text}\n${String.fromCharCode(97 + position)}) ${statementText ?? ''}`,
+            points: undefined,
+            answer: value === true
+          });
+        });
+        warnings.push(`${name}: split into ${statements.length} true/false questions`);
+      } else if (type === 'number') {
+        if (typeof correctAnswer !== 'number' || !Number.isFinite(correctAnswer)) {
+          skipped.push({ index: index + 1, name, reason: 'No valid numeric answer' });
+          return;
+        }
+        items.push({
+          ...base,
+          kind: 'numerical',
+          value: correctAnswer,
+          tolerance: this._toAbsoluteTolerance(question, correctAnswer, name, warnings),
+          units: unit ? [unit] : []
+        });
+        if (unit && format === 'gift') {
+          warnings.push(`${name}: GIFT has no units, "${unit}" was dropped`);
+        }
+      } else {
+        skipped.push({ index: index + 1, name, reason: `Question type "${question.type}" is not supported` });
+      }
+    });
+
+    const { extension, contentType, build } = FORMATS[format];
+    const safeTitle = String(lesson.title || `lesson-${lesson.id}`).replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, '');
+
+    return {
+      content: build(items, lesson.title || ''),
+      filename: `${safeTitle || 'lesson'}.${extension}`,
+      contentType,
+      exported: items.length,
+      skipped,
+      warnings
+    };
+  }
+
+  // Helper method to express a question's tolerance as the absolute margin Moodle uses
+  _toAbsoluteTolerance(question, value, name, warnings) {
+    let tolerance = question.tolerance;
+    if (typeof tolerance === 'number' || typeof tolerance === 'string') {
+      tolerance = { type: question.toleranceType || 'absolute', value: tolerance };
+    }
+    if (!tolerance || typeof tolerance !== 'object') return 0;
+
+    const amount = parseFloat(String(tolerance.value).replace(',', '.'));
+    if (!Number.isFinite(amount) || amount < 0) return 0;
+
+    switch (String(tolerance.type || 'absolute').toLowerCase()) {
+      case 'absolute': return amount;
+      case 'relative': return Math.abs(value) * amount;
+      case 'percent': return Math.abs(value) * amount / 100;
+      default:
+        warnings.push(`${name}: significant-figure tolerance cannot be exported and was dropped`);
+        return 0;
+    }
+  }
+}
+
+module.exports = new QuizExchangeService();
@@ -7,8 +7,10 @@ class RatingService {
     // Base K-factor (sensitivity of rating changes)
     const baseK = RATING_CONFIG.BASE_K_FACTOR;
     
-    // Time bonus (faster completion = higher bonus)
-    const timeBonus = Math.max(0, 1 - (timeTaken / RATING_CONFIG.MAX_TIME_BONUS));
+    // Time bonus (faster completion = higher bonus); neutral when time was not measured
+    const timeBonus = typeof timeTaken === 'number'
+      ? Math.max(0, 1 - (timeTaken / RATING_CONFIG.MAX_TIME_BONUS))
+      : 1;
     
     // Streak multiplier
     const streakMultiplier = 1 + (Math.min(streak, RATING_CONFIG.MAX_STREAK_MULTIPLIER) * RATING_CONFIG.STREAK_BONUS_RATE);
@@ -26,44 +28,68 @@ class RatingService {
   }
 
   // Update student rating after lesson completion
+  // The rating is read and written under the student's rating lock, so a concurrent
+  // submission or re-grade replay cannot overwrite it
   async updateStudentRating(studentId, lessonId, score, totalPoints, timeTaken, streak) {
     try {
-      // Get current rating
-      const currentRating = await databaseService.getStudentRating(studentId);
-      const previousRating = currentRating?.rating || RATING_CONFIG.DEFAULT_RATING;
       const performance = score / totalPoints;
-      
-      // Calculate new rating
-      const ratingChange = this.calculateRatingChange(previousRating, performance, timeTaken, streak);
-      const newRating = previousRating + ratingChange;
-
-      // Update or insert rating
-      await databaseService.upsertRating({
-        student_id: studentId,
-        rating: newRating,
-        last_updated: new Date().toISOString()
-      });
 
-      // Record rating history
-      await databaseService.createRatingHistory({
-        student_id: studentId,
-        lesson_id: lessonId,
-        previous_rating: previousRating,
-        rating_change: ratingChange,
-        new_rating: newRating,
-        performance: performance,
-        time_taken: timeTaken,
-        streak: streak,
-        timestamp: new Date().toISOString()
+      const history = await databaseService.recordRatingChange(studentId, currentRating => {
+        const previousRating = currentRating || RATING_CONFIG.DEFAULT_RATING;
+
+        // Calculate new rating
+        const ratingChange = this.calculateRatingChange(previousRating, performance, timeTaken, streak);
+        return {
+          lesson_id: lessonId,
+          previous_rating: previousRating,
+          rating_change: ratingChange,
+          new_rating: previousRating + ratingChange,
+          performance: performance,
+          time_taken: timeTaken,
+          streak: streak,
+          timestamp: new Date().toISOString()
+        };
       });
 
-      return { newRating, ratingChange, previousRating };
+      return { newRating: history.new_rating, ratingChange: history.rating_change, previousRating: history.previous_rating };
     } catch (error) {
       console.error('Error updating student rating:', error);
       throw error;
     }
   }
 
+  // Compute a rating history from chronological events without writing it (re-grade replay)
+  // events: [{ lessonId, score, totalPoints, timeTaken, streak, timestamp }], or { adjustment }
+  // for a rating change made outside the history (an admin reset), which is carried over without a row
+  // Returns { rating, rows } where rows match the rating_history columns
+  replayRatingHistory(events, startRating = RATING_CONFIG.DEFAULT_RATING) {
+    let rating = startRating;
+    const rows = [];
+    events.forEach(event => {
+      if (event.adjustment !== undefined) {
+        rating += event.adjustment;
+        return;
+      }
+
+      const performance = event.score / event.totalPoints;
+      const ratingChange = this.calculateRatingChange(rating, performance, event.timeTaken, event.streak);
+      const row = {
+        lesson_id: event.lessonId,
+        previous_rating: rating,
+        rating_change: ratingChange,
+        new_rating: rating + ratingChange,
+        performance,
+        time_taken: event.timeTaken,
+        streak: event.streak,
+        timestamp: event.timestamp
+      };
+      rating += ratingChange;
+      rows.push(row);
+    });
+
+    return { rating: rows.length > 0 ? rating : null, rows };
+  }
+
   // Get leaderboard data
   async getLeaderboard(limit = 100, offset = 0, filter = 'all') {
     try {
@@ -0,0 +1,338 @@
+const databaseService = require('./databaseService');
+const gradingService = require('./gradingService');
+const ratingService = require('./ratingService');
+const revisionService = require('./revisionService');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { RATING_CONFIG } = require('../config/constants');
+
+class RegradeService {
+  /**
+   * Re-grade every stored result of a lesson against its current questions
+   * With dryRun the changes are only previewed; otherwise each student's changed results
+   * are saved together with their rating, rebuilt by replaying their history.
+   * @param {string} lessonId - Lesson ID
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} { lessonId, dryRun, scoringPolicy, summary, results, students }
+   */
+  async regradeLesson(lessonId, { dryRun = true } = {}) {
+    let lesson;
+    try {
+      lesson = await databaseService.getLessonById(lessonId, { applyQuestionPool: false });
+    } catch (error) {
+      if (error.message === 'Lesson not found') {
+        throw new NotFoundError('Lesson not found');
+      }
+      throw error;
+    }
+
+    const results = (await databaseService.getLessonResults(lessonId))
+      .sort((a, b) => this._time(a.timestamp) - this._time(b.timestamp));
+
+    const regraded = results.map(result => this.regradeResult(lesson, result));
+    const changed = regraded.filter(entry => entry.changed);
+
+    // Only students with a changed result need their rating rebuilt
+    const affectedStudentIds = [...new Set(changed.filter(entry => entry.studentId).map(entry => entry.studentId))];
+    const replays = [];
+
+    if (dryRun) {
+      for (const studentId of affectedStudentIds) {
+        replays.push(await this.planRatingReplay(studentId, lessonId, regraded.filter(entry => entry.studentId === studentId)));
+      }
+    } else if (changed.length > 0) {
+      let revisionId = null;
+      try {
+        const revision = await revisionService.ensureCurrentRevision(lesson);
+        revisionId = revision ? revision.id : null;
+      } catch (error) {
+        console.error('Error resolving lesson revision for re-grade:', error);
+      }
+
+      // The replay is planned inside the transaction, from the history read under the rating lock,
+      // so a submission made since the preview is part of it
+      const regradedAt = new Date().toISOString();
+      for (const studentId of [...new Set(changed.map(entry => entry.studentId))]) {
+        const studentResults = regraded.filter(entry => entry.studentId === studentId);
+        const updates = changed
+          .filter(entry => entry.studentId === studentId)
+          .map(entry => ({
+            id: entry.resultId,
+            questions: entry.gradedAnswers,
+            served_questions: entry.servedQuestionIds,
+            score: entry.newScore,
+            total_points: entry.newTotalPoints,
+            revision_id: revisionId,
+            regraded_at: regradedAt
+          }));
+
+        const replay = await databaseService.saveRegrade(studentId, updates, studentId
+          ? (history, currentRating) => this.planRatingReplay(studentId, lessonId, studentResults, { history, currentRating })
+          : null);
+        if (replay) replays.push(replay);
+      }
+
+      console.log(`✅ Re-graded lesson ${lessonId}: ${changed.length} result(s) changed, ${replays.length} rating(s) replayed`);
+    }
+
+    return {
+      lessonId,
+      dryRun,
+      scoringPolicy: gradingService.resolveScoringPolicy(lesson),
+      summary: {
+        totalResults: regraded.length,
+        changedResults: changed.length,
+        affectedStudents: affectedStudentIds.length
+      },
+      results: regraded.map(({ gradedAnswers, servedQuestionIds, ...preview }) => preview),
+      students: this._summarizeStudents(regraded, replays)
+    };
+  }
+
+  /**
+   * Grade one stored result again
+   * Stored answers are already in the original option order, so only the served
+   * question list (not the option order) of the snapshot is reused.
+   * @param {Object} lesson - Lesson with its full question list
+   * @param {Object} result - Stored results row
+   * @returns {Object} Old and new score plus the re-graded answers
+   */
+  regradeResult(lesson, result) {
+    const storedAnswers = Array.isArray(result.questions) ? result.questions : [];
+    const answers = storedAnswers
+      .filter(answer => answer && answer.answered !== false)
+      .map(answer => {
+        const clean = { userAnswer: gradingService.getRawSubmittedAnswer(answer) };
+        if (answer.questionId !== undefined) clean.questionId = answer.questionId;
+        if (answer.questionIndex !== undefined) clean.questionIndex = answer.questionIndex;
+        return clean;
+      });
+
+    const snapshot = Array.isArray(result.served_questions)
+      ? { questionIds: result.served_questions }
+      : null;
+
+    // Hint penalties taken during a practice attempt still apply
+    const hintUsage = {};
+    storedAnswers.forEach(answer => {
+      if (answer && answer.hintsUsed > 0 && answer.questionId !== undefined) {
+        hintUsage[answer.questionId] = answer.hintsUsed;
+      }
+    });
+
+    const { gradedAnswers, score, totalPoints, servedQuestionIds } = gradingService.gradeSubmission(lesson, answers, snapshot, { hintUsage });
+
+    const oldByKey = new Map(storedAnswers.map((answer, index) => [
+      String(answer?.questionId ?? `index:${index}`),
+      answer
+    ]));
+    const changedQuestions = gradedAnswers
+      .filter(answer => {
+        const old = oldByKey.get(answer.questionId);
+        return !old || old.earnedPoints !== answer.earnedPoints || old.points !== answer.points;
+      })
+      .map(answer => answer.questionId);
+
+    const oldScore = Number(result.score) || 0;
+    const oldTotalPoints = Number(result.total_points) || 0;
+
+    return {
+      resultId: result.id,
+      studentId: result.student_id || null,
+      studentName: result.students?.full_name || result.student_info?.name || null,
+      timestamp: result.timestamp,
+      oldScore,
+      newScore: score,
+      scoreDelta: Math.round((score - oldScore) * 100) / 100,
+      oldTotalPoints,
+      newTotalPoints: totalPoints,
+      changedQuestions,
+      missingQuestions: snapshot ? snapshot.questionIds.length - servedQuestionIds.length : 0,
+      changed: score !== oldScore || totalPoints !== oldTotalPoints || changedQuestions.length > 0,
+      timeTaken: result.time_taken,
+      gradedAnswers,
+      servedQuestionIds
+    };
+  }
+
+  /**
+   * Work out a student's rating history with the re-graded scores of one lesson
+   * The replay starts at the first entry or result of this lesson, from the rating recorded
+   * there; earlier history is kept. Later entries of other lessons are replayed with their
+   * recorded performance, entries of this lesson use the new score of the result they were
+   * created for, and rating changes made outside the history (an admin reset) are carried over.
+   * @param {string} studentId - Student ID
+   * @param {string} lessonId - Re-graded lesson ID
+   * @param {Array} regradedResults - The student's re-graded results of this lesson, oldest first
+   * @param {Object} state - { history, currentRating } read under the rating lock; loaded when omitted (preview)
+   * @returns {Promise<Object>} { studentId, currentRating, newRating, replaceFrom, events, historyRows }
+   */
+  async planRatingReplay(studentId, lessonId, regradedResults, state = null) {
+    const { history, currentRating } = state || await this._loadRatingState(studentId);
+    const isLessonEntry = entry => String(entry.lesson_id) === String(lessonId);
+
+    // Each rating entry of this lesson belongs to the latest earlier result not matched yet
+    const entryByResultId = new Map();
+    const unmatchedEntries = [];
+    history.filter(isLessonEntry).forEach(entry => {
+      const candidates = regradedResults.filter(result =>
+        !entryByResultId.has(result.resultId) && this._time(result.timestamp) <= this._time(entry.timestamp)
+      );
+      const match = candidates[candidates.length - 1];
+      if (match) {
+        entryByResultId.set(match.resultId, entry);
+      } else {
+        unmatchedEntries.push(entry);
+      }
+    });
+
+    // Ratings are only updated for results that scored, as on submission
+    const ratedResults = regradedResults
+      .filter(result => result.newScore > 0 && result.newTotalPoints > 0)
+      .map(result => {
+        const entry = entryByResultId.get(result.resultId) || null;
+        return { result, entry, timestamp: entry ? entry.timestamp : result.timestamp };
+      });
+
+    const startTime = Math.min(
+      ...history.filter(isLessonEntry).map(entry => this._time(entry.timestamp)),
+      ...ratedResults.map(({ timestamp }) => this._time(timestamp))
+    );
+    if (startTime === Infinity) {
+      // The lesson never counted towards this student's rating and still does not
+      return { studentId, currentRating, newRating: currentRating, replaceFrom: null, events: [], historyRows: [] };
+    }
+
+    const firstReplaced = history.findIndex(entry => this._time(entry.timestamp) >= startTime);
+    const kept = firstReplaced === -1 ? history : history.slice(0, firstReplaced);
+    const replaced = firstReplaced === -1 ? [] : history.slice(firstReplaced);
+
+    // Start from the rating recorded before the first replaced entry; results newer than the
+    // whole history start from the current rating, which already includes any admin reset
+    let startRating = RATING_CONFIG.DEFAULT_RATING;
+    if (replaced.length > 0) {
+      startRating = Number(replaced[0].previous_rating);
+    } else if (currentRating !== null) {
+      startRating = currentRating;
+    } else if (kept.length > 0) {
+      startRating = Number(kept[kept.length - 1].new_rating);
+    }
+
+    const events = [];
+    replaced.forEach((entry, index) => {
+      // A rating written without a history entry shows as a gap between consecutive entries
+      const gap = index > 0 ? Number(entry.previous_rating) - Number(replaced[index - 1].new_rating) : 0;
+      if (gap !== 0) {
+        events.push({ timestamp: entry.timestamp, adjustment: gap });
+      }
+      if (!isLessonEntry(entry) || unmatchedEntries.includes(entry)) {
+        events.push({
+          lessonId: entry.lesson_id,
+          timestamp: entry.timestamp,
+          score: Number(entry.performance),
+          totalPoints: 1,
+          timeTaken: entry.time_taken,
+          streak: entry.streak || 0
+        });
+      }
+    });
+
+    ratedResults.forEach(({ result, entry, timestamp }) => {
+      events.push({
+        lessonId,
+        timestamp,
+        score: result.newScore,
+        totalPoints: result.newTotalPoints,
+        timeTaken: result.timeTaken,
+        streak: entry ? entry.streak || 0 : this._streakBefore(history, result.timestamp)
+      });
+    });
+
+    // The sort is stable, so a gap stays before the entry it was found at
+    events.sort((a, b) => this._time(a.timestamp) - this._time(b.timestamp));
+
+    if (replaced.length > 0 && currentRating !== null) {
+      const gap = currentRating - Number(replaced[replaced.length - 1].new_rating);
+      if (gap !== 0) {
+        events.push({ timestamp: null, adjustment: gap });
+      }
+    }
+
+    // The replayed history is computed in memory; a dry run only shows the resulting rating
+    const { rating, rows } = ratingService.replayRatingHistory(events, startRating);
+    const adjustments = events.reduce((sum, event) => sum + (event.adjustment || 0), 0);
+
+    let newRating = rating;
+    if (rows.length === 0) {
+      // No rated result is left from the start on: the rating returns to where it was, or is
+      // removed when nothing (not even an admin reset) ever set it
+      newRating = kept.length > 0 || adjustments !== 0 ? startRating + adjustments : null;
+    }
+
+    return {
+      studentId,
+      currentRating,
+      newRating,
+      replaceFrom: replaced.length > 0 ? replaced[0].timestamp : new Date(startTime).toISOString(),
+      events,
+      historyRows: rows
+    };
+  }
+
+  // Helper method to read a student's rating history (oldest first) and current rating
+  async _loadRatingState(studentId) {
+    const [history, rating] = await Promise.all([
+      databaseService.getStudentRatingTimeline(studentId),
+      databaseService.getStudentRating(studentId)
+    ]);
+    return { history, currentRating: rating ? Number(rating.rating) : null };
+  }
+
+  // Helper method to group the re-graded results per student
+  _summarizeStudents(regraded, replays) {
+    const students = new Map();
+    regraded.forEach(entry => {
+      const key = entry.studentId || `anonymous:${entry.resultId}`;
+      if (!students.has(key)) {
+        students.set(key, {
+          studentId: entry.studentId,
+          studentName: entry.studentName,
+          results: 0,
+          changedResults: 0,
+          oldBestScore: null,
+          newBestScore: null,
+          scoreDelta: 0
+        });
+      }
+      const student = students.get(key);
+      student.results++;
+      if (entry.changed) student.changedResults++;
+      student.oldBestScore = Math.max(student.oldBestScore ?? entry.oldScore, entry.oldScore);
+      student.newBestScore = Math.max(student.newBestScore ?? entry.newScore, entry.newScore);
+      student.scoreDelta = Math.round((student.scoreDelta + entry.scoreDelta) * 100) / 100;
+    });
+
+    replays.forEach(replay => {
+      const student = students.get(replay.studentId);
+      if (student) {
+        student.currentRating = replay.currentRating;
+        student.newRating = replay.newRating;
+      }
+    });
+
+    return Array.from(students.values());
+  }
+
+  // Helper method to find the streak recorded closest before a point in time
+  _streakBefore(history, timestamp) {
+    const earlier = history.filter(entry => this._time(entry.timestamp) <= this._time(timestamp));
+    return earlier.length > 0 ? earlier[earlier.length - 1].streak || 0 : 0;
+  }
+
+  // Helper method to compare ISO timestamps
+  _time(value) {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? 0 : time;
+  }
+}
+
+module.exports = new RegradeService();
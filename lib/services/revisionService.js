@@ -0,0 +1,173 @@
+const databaseService = require('./databaseService');
+const gradingService = require('./gradingService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Lesson fields compared when diffing two revisions (questions are diffed one by one)
+const DIFF_LESSON_FIELDS = [
+  'title', 'description', 'subject', 'grade', 'tags', 'color', 'purpose', 'pricing',
+  'lesson_image', 'scoring_policy', 'points_distribution', 'question_type_distribution',
+  'enable_question_pool', 'question_pool_size', 'shuffle_questions', 'shuffle_answers',
+  'time_limit_enabled', 'time_limit_hours', 'time_limit_minutes', 'time_limit_seconds', 'auto_submit',
+  'publication_status', 'publish_at', 'unpublish_at'
+];
+
+// Fields that are never written back when restoring a revision (restoring content must not change who can see it)
+const RESTORE_EXCLUDED_FIELDS = [
+  'id', 'created', 'last_updated', 'views', 'order',
+  'publication_status', 'publish_at', 'unpublish_at'
+];
+
+class RevisionService {
+  /**
+   * Get the revision a lesson is currently at, creating a baseline revision for
+   * lessons saved before revisions existed
+   * @param {Object} lesson - Lesson as returned by getLessonById (full question list)
+   * @returns {Promise<Object>} Latest revision (without snapshot)
+   */
+  async ensureCurrentRevision(lesson) {
+    const latest = await databaseService.getLatestLessonRevision(lesson.id);
+    if (latest) return latest;
+
+    // getLessonById adds camelCase aliases for the frontend; only the snake_case columns are stored
+    const row = Object.fromEntries(Object.entries(lesson).filter(([key]) => !/[A-Z]/.test(key)));
+    try {
+      return await databaseService.createLessonRevision(row, 'baseline', { retryOnConflict: false });
+    } catch (error) {
+      // A concurrent submission or save created the first revision; use it instead of a second baseline
+      if (error.code !== '23505') throw error;
+      return databaseService.getLatestLessonRevision(lesson.id);
+    }
+  }
+
+  /**
+   * Load a revision, throwing NotFoundError when it does not exist
+   * @param {string} lessonId - Lesson ID
+   * @param {number} revisionNumber - Revision number
+   * @returns {Promise<Object>} Revision with snapshot
+   */
+  async getRevision(lessonId, revisionNumber) {
+    const number = parseInt(revisionNumber, 10);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new ValidationError('Invalid revision number', ['revision']);
+    }
+
+    try {
+      return await databaseService.getLessonRevision(lessonId, number);
+    } catch (error) {
+      if (error.message === 'Revision not found') {
+        throw new NotFoundError(`Revision ${number} not found`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Diff two revisions of a lesson, question by question
+   * @param {string} lessonId - Lesson ID
+   * @param {number} fromNumber - Older revision number
+   * @param {number} toNumber - Newer revision number
+   * @returns {Promise<Object>} { from, to, lessonChanges, questions, summary }
+   */
+  async diffRevisions(lessonId, fromNumber, toNumber) {
+    const [from, to] = await Promise.all([
+      this.getRevision(lessonId, fromNumber),
+      this.getRevision(lessonId, toNumber)
+    ]);
+
+    const diff = this.diffSnapshots(from.snapshot || {}, to.snapshot || {});
+
+    return {
+      from: { revisionNumber: from.revision_number, createdAt: from.created_at, note: from.note },
+      to: { revisionNumber: to.revision_number, createdAt: to.created_at, note: to.note },
+      ...diff
+    };
+  }
+
+  /**
+   * Compare two lesson snapshots
+   * Questions are matched by id (or position when they have none).
+   * @param {Object} before - Older lesson snapshot
+   * @param {Object} after - Newer lesson snapshot
+   * @returns {Object} { lessonChanges, questions, summary }
+   */
+  diffSnapshots(before, after) {
+    const lessonChanges = DIFF_LESSON_FIELDS
+      .filter(field => !this._isEqual(before[field], after[field]))
+      .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+    const beforeQuestions = this._indexQuestions(before.questions);
+    const afterQuestions = this._indexQuestions(after.questions);
+    const keys = [...new Set([...beforeQuestions.keys(), ...afterQuestions.keys()])];
+
+    const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+    const questions = keys.map(key => {
+      const oldEntry = beforeQuestions.get(key);
+      const newEntry = afterQuestions.get(key);
+
+      let status;
+      let changes = [];
+      if (!oldEntry) {
+        status = 'added';
+      } else if (!newEntry) {
+        status = 'removed';
+      } else {
+        const fields = [...new Set([...Object.keys(oldEntry.question), ...Object.keys(newEntry.question)])];
+        changes = fields
+          .filter(field => !this._isEqual(oldEntry.question[field], newEntry.question[field]))
+          .map(field => ({ field, before: oldEntry.question[field] ?? null, after: newEntry.question[field] ?? null }));
+        status = changes.length > 0 ? 'modified' : 'unchanged';
+      }
+
+      summary[status]++;
+      return {
+        questionId: key,
+        status,
+        beforeIndex: oldEntry ? oldEntry.index : null,
+        afterIndex: newEntry ? newEntry.index : null,
+        question: (newEntry || oldEntry).question.question || '',
+        answerKeyChanged: changes.some(change => ['correct', 'correctAnswer', 'tolerance', 'units', 'unit'].includes(change.field)),
+        changes
+      };
+    });
+
+    return { lessonChanges, questions, summary };
+  }
+
+  /**
+   * Restore an older revision; the restore itself is saved as a new revision
+   * @param {string} lessonId - Lesson ID
+   * @param {number} revisionNumber - Revision to restore
+   * @returns {Promise<Object>} Updated lesson row
+   */
+  async restoreRevision(lessonId, revisionNumber) {
+    const revision = await this.getRevision(lessonId, revisionNumber);
+
+    const restoreData = { ...(revision.snapshot || {}) };
+    RESTORE_EXCLUDED_FIELDS.forEach(field => delete restoreData[field]);
+
+    const updated = await databaseService.updateLesson(lessonId, restoreData, {
+      revisionNote: `restore:${revision.revision_number}`
+    });
+
+    if (!updated || updated.length === 0) {
+      throw new NotFoundError('Lesson not found');
+    }
+    return updated[0];
+  }
+
+  // Helper method to map questions by their key
+  _indexQuestions(questions) {
+    const map = new Map();
+    (Array.isArray(questions) ? questions : []).forEach((question, index) => {
+      map.set(gradingService.getQuestionKey(question, index), { question, index });
+    });
+    return map;
+  }
+
+  // Helper method for structural equality of JSON values
+  _isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+}
+
+module.exports = new RevisionService();
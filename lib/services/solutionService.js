@@ -0,0 +1,346 @@
+const databaseService = require('./databaseService');
+const gradingService = require('./gradingService');
+const materialsService = require('./materialsService');
+const aiService = require('./ai/aiService');
+const aiUsageService = require('./ai/aiUsageService');
+const { NotFoundError, ValidationError, QuotaExceededError } = require('../middleware/errorHandler');
+const { SOLUTION_CONFIG } = require('../config/constants');
+const { normalizeQuestionType } = require('../utils/pointsDistributor');
+
+const OPTION_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const STATEMENT_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+const SOLUTION_FIELDS = ['solution', 'solutionStatus', 'solutionSource', 'solutionUpdatedAt'];
+
+/**
+ * Step-by-step worked solutions stored on lesson questions
+ * A question carries solution (LaTeX text), solutionStatus ('draft' for unreviewed AI output,
+ * 'approved' once a teacher accepts or writes it), solutionSource ('ai' or 'teacher') and
+ * solutionUpdatedAt. Solutions saved before the workflow existed have no status and count as approved.
+ */
+class SolutionService {
+  /**
+   * List the solution state of every question in a lesson
+   * @param {string} lessonId - Lesson ID
+   * @returns {Promise<Object>} { lessonId, summary, questions }
+   */
+  async listSolutions(lessonId) {
+    const lesson = await this._getLesson(lessonId);
+    const questions = (lesson.questions || []).map((question, index) => ({
+      key: gradingService.getQuestionKey(question, index),
+      index,
+      question: question.question || '',
+      solution: this._hasSolution(question) ? question.solution : null,
+      solutionStatus: this.getSolutionStatus(question),
+      solutionSource: question.solutionSource || null,
+      solutionUpdatedAt: question.solutionUpdatedAt || null
+    }));
+
+    return {
+      lessonId: lesson.id,
+      summary: {
+        total: questions.length,
+        approved: questions.filter(entry => entry.solutionStatus === SOLUTION_CONFIG.STATUS.APPROVED).length,
+        draft: questions.filter(entry => entry.solutionStatus === SOLUTION_CONFIG.STATUS.DRAFT).length,
+        missing: questions.filter(entry => entry.solutionStatus === null).length
+      },
+      questions
+    };
+  }
+
+  /**
+   * Generate AI draft solutions for the questions of a lesson in one batch
+   * Questions that already have a solution are skipped unless overwrite is set
+   * (approved solutions are never overwritten). Work finished before a quota
+   * error is still saved.
+   * @param {string} lessonId - Lesson ID
+   * @param {Object} options - { overwrite, questionKeys } (all questions when questionKeys is empty)
+   * @returns {Promise<Object>} { lessonId, generated, skipped, failed }
+   */
+  async generateLessonSolutions(lessonId, { overwrite = false, questionKeys = [] } = {}) {
+    const lesson = await this._getLesson(lessonId);
+    aiUsageService.setLesson(lesson.id);
+
+    const targets = [];
+    const skipped = [];
+    (lesson.questions || []).forEach((question, index) => {
+      const key = gradingService.getQuestionKey(question, index);
+      if (questionKeys.length > 0 && !questionKeys.includes(key)) return;
+
+      const status = this.getSolutionStatus(question);
+      if (status === SOLUTION_CONFIG.STATUS.APPROVED) {
+        skipped.push({ key, reason: 'approved' });
+      } else if (status === SOLUTION_CONFIG.STATUS.DRAFT && !overwrite) {
+        skipped.push({ key, reason: 'draft exists' });
+      } else {
+        targets.push({ key, question });
+      }
+    });
+
+    const solutions = new Map();
+    const failed = [];
+    let quotaError = null;
+
+    await this._runWithConcurrency(targets, SOLUTION_CONFIG.CONCURRENCY, async ({ key, question }) => {
+      if (quotaError) {
+        failed.push({ key, error: quotaError.message });
+        return;
+      }
+      try {
+        solutions.set(key, await aiService.generateWorkedSolution(this._buildPromptInput(question, lesson.grade)));
+      } catch (error) {
+        if (error instanceof QuotaExceededError) quotaError = error;
+        console.error(`Error generating solution for question ${key}:`, error.message);
+        failed.push({ key, error: error.message });
+      }
+    });
+
+    if (solutions.size > 0) {
+      const updatedAt = new Date().toISOString();
+      await this._saveSolutions(lesson.id, 'ai:solutions', (question, key) => {
+        if (!solutions.has(key)) return null;
+        // The question may have been approved by a teacher while the batch ran
+        if (this.getSolutionStatus(question) === SOLUTION_CONFIG.STATUS.APPROVED) return null;
+        return {
+          solution: solutions.get(key),
+          solutionStatus: SOLUTION_CONFIG.STATUS.DRAFT,
+          solutionSource: SOLUTION_CONFIG.SOURCE.AI,
+          solutionUpdatedAt: updatedAt
+        };
+      });
+    }
+
+    console.log(`🧮 Generated ${solutions.size} solution(s) for lesson ${lesson.id} (${skipped.length} skipped, ${failed.length} failed)`);
+
+    return {
+      lessonId: lesson.id,
+      generated: Array.from(solutions.keys()),
+      skipped,
+      failed
+    };
+  }
+
+  /**
+   * Edit the solution of one question
+   * Text written or changed by a teacher is recorded with source 'teacher'.
+   * @param {string} lessonId - Lesson ID
+   * @param {string} questionKey - Question key (question ID or "index:N")
+   * @param {Object} changes - { solution, status } (an empty solution removes it)
+   * @returns {Promise<Object>} Updated solution fields of the question
+   */
+  async updateSolution(lessonId, questionKey, { solution, status } = {}) {
+    if (solution !== undefined && solution !== null && typeof solution !== 'string') {
+      throw new ValidationError('Solution must be a string');
+    }
+    if (typeof solution === 'string' && solution.length > SOLUTION_CONFIG.MAX_LENGTH) {
+      throw new ValidationError(`Solution must be at most ${SOLUTION_CONFIG.MAX_LENGTH} characters`);
+    }
+    if (status !== undefined && !Object.values(SOLUTION_CONFIG.STATUS).includes(status)) {
+      throw new ValidationError(`Status must be one of: ${Object.values(SOLUTION_CONFIG.STATUS).join(', ')}`);
+    }
+
+    let updated = null;
+    await this._saveSolutions(lessonId, 'solution:edit', (question, key) => {
+      if (key !== questionKey) return null;
+
+      if (solution !== undefined && (solution === null || solution.trim() === '')) {
+        updated = { solution: null, solutionStatus: null, solutionSource: null, solutionUpdatedAt: null };
+        return updated;
+      }
+
+      const text = solution !== undefined ? solution.trim() : question.solution;
+      if (!text) {
+        throw new ValidationError('Question has no solution to update');
+      }
+
+      const edited = solution !== undefined && text !== question.solution;
+      updated = {
+        solution: text,
+        solutionStatus: status || this.getSolutionStatus(question) || SOLUTION_CONFIG.STATUS.APPROVED,
+        solutionSource: edited ? SOLUTION_CONFIG.SOURCE.TEACHER : (question.solutionSource || SOLUTION_CONFIG.SOURCE.TEACHER),
+        solutionUpdatedAt: new Date().toISOString()
+      };
+      return updated;
+    });
+
+    if (!updated) {
+      throw new NotFoundError(`Question ${questionKey} not found in lesson`);
+    }
+    return { key: questionKey, ...updated };
+  }
+
+  /**
+   * Approve draft solutions so students can see them
+   * @param {string} lessonId - Lesson ID
+   * @param {Array} questionKeys - Keys to approve (all drafts when empty)
+   * @returns {Promise<Object>} { lessonId, approved }
+   */
+  async approveSolutions(lessonId, questionKeys = []) {
+    const approved = [];
+    const updatedAt = new Date().toISOString();
+
+    await this._saveSolutions(lessonId, 'solution:approve', (question, key) => {
+      if (questionKeys.length > 0 && !questionKeys.includes(key)) return null;
+      if (this.getSolutionStatus(question) !== SOLUTION_CONFIG.STATUS.DRAFT) return null;
+
+      approved.push(key);
+      return { solutionStatus: SOLUTION_CONFIG.STATUS.APPROVED, solutionUpdatedAt: updatedAt };
+    });
+
+    return { lessonId, approved };
+  }
+
+  /**
+   * Read the solution status of a question
+   * @param {Object} question - Lesson question
+   * @returns {string|null} 'draft', 'approved' or null when there is no solution
+   */
+  getSolutionStatus(question) {
+    if (!this._hasSolution(question)) return null;
+    return question.solutionStatus === SOLUTION_CONFIG.STATUS.DRAFT
+      ? SOLUTION_CONFIG.STATUS.DRAFT
+      : SOLUTION_CONFIG.STATUS.APPROVED;
+  }
+
+  /**
+   * Prepare the questions shown on a result page
+   * Solutions approved after the result was graded are taken from the current lesson
+   * (matched by question key), so students see them without any new AI call.
+   * Draft solutions are removed unless includeDrafts is set (admins).
+   * @param {Array} questions - Questions of the graded revision
+   * @param {Array} currentQuestions - Questions of the current lesson (optional)
+   * @param {Object} options - { includeDrafts }
+   * @returns {Array} Questions with their solution fields resolved
+   */
+  applyToResultQuestions(questions, currentQuestions = [], { includeDrafts = false } = {}) {
+    const currentByKey = new Map();
+    (currentQuestions || []).forEach((question, index) => {
+      currentByKey.set(gradingService.getQuestionKey(question, index), question);
+    });
+
+    const resolved = (questions || []).map((question, index) => {
+      const current = currentByKey.get(gradingService.getQuestionKey(question, index));
+      return current && this.getSolutionStatus(current) === SOLUTION_CONFIG.STATUS.APPROVED
+        ? { ...question, ...this._pickSolutionFields(current) }
+        : question;
+    });
+
+    return includeDrafts ? resolved : this.hideDraftSolutions(resolved);
+  }
+
+  /**
+   * Remove unreviewed AI solutions from questions served to students
+   * @param {Array} questions - Lesson questions
+   * @returns {Array} Questions without draft solutions
+   */
+  hideDraftSolutions(questions) {
+    return (questions || []).map(question => {
+      if (this.getSolutionStatus(question) !== SOLUTION_CONFIG.STATUS.DRAFT) return question;
+
+      const visible = { ...question };
+      SOLUTION_FIELDS.forEach(field => delete visible[field]);
+      return visible;
+    });
+  }
+
+  // Helper method to load a lesson with all of its questions
+  async _getLesson(lessonId) {
+    try {
+      return await databaseService.getLessonById(lessonId, { applyQuestionPool: false });
+    } catch (error) {
+      if (error.message === 'Lesson not found') {
+        throw new NotFoundError('Lesson not found');
+      }
+      throw error;
+    }
+  }
+
+  // Helper method to apply per-question changes to the latest questions and save them once
+  async _saveSolutions(lessonId, revisionNote, changeFor) {
+    const lesson = await this._getLesson(lessonId);
+    let changed = false;
+
+    const questions = (lesson.questions || []).map((question, index) => {
+      const changes = changeFor(question, gradingService.getQuestionKey(question, index));
+      if (!changes) return question;
+
+      changed = true;
+      const next = { ...question, ...changes };
+      SOLUTION_FIELDS.forEach(field => {
+        if (next[field] === null) delete next[field];
+      });
+      return next;
+    });
+
+    if (changed) {
+      await databaseService.updateLesson(lesson.id, { questions }, { revisionNote });
+    }
+    return changed;
+  }
+
+  // Helper method to describe a question and its answer for the solution prompt
+  _buildPromptInput(question, grade) {
+    const type = normalizeQuestionType(question.type);
+    const { correctAnswer } = gradingService.gradeQuestion(question, null, 1);
+    const optionText = (option) => (option && typeof option === 'object' ? String(option.text ?? option.content ?? '') : String(option ?? ''));
+    const options = Array.isArray(question.options) ? question.options : [];
+
+    let formattedOptions = [];
+    let answerText;
+    if (type === 'abcd') {
+      formattedOptions = options.map((option, position) => `${OPTION_LETTERS[position]}. ${optionText(option)}`);
+      const position = OPTION_LETTERS.indexOf(correctAnswer);
+      answerText = position >= 0 && options[position] !== undefined
+        ? `${correctAnswer}. ${optionText(options[position])}`
+        : String(correctAnswer ?? '');
+    } else if (type === 'truefalse') {
+      formattedOptions = options.map((statement, position) => `${STATEMENT_LETTERS[position]}) ${optionText(statement)}`);
+      answerText = options
+        .map((statement, position) => `${STATEMENT_LETTERS[position]}) ${Array.isArray(correctAnswer) && correctAnswer[position] === true ? 'Đúng' : 'Sai'}`)
+        .join(', ');
+    } else {
+      const unit = question.unit || question.units;
+      answerText = `${correctAnswer ?? ''}${unit ? ` ${unit}` : ''}`;
+    }
+
+    const formulas = materialsService
+      .findFormulas(`${question.question || ''} ${formattedOptions.join(' ')}`, {
+        grade: parseInt(grade, 10) || null,
+        limit: SOLUTION_CONFIG.MAX_FORMULAS
+      })
+      .map(entry => `${entry.label}: ${entry.formula}`);
+
+    return {
+      question: String(question.question || ''),
+      options: formattedOptions,
+      correctAnswer: answerText,
+      formulas
+    };
+  }
+
+  // Helper method to copy the solution fields of a question
+  _pickSolutionFields(question) {
+    return SOLUTION_FIELDS.reduce((fields, field) => {
+      if (question[field] !== undefined) fields[field] = question[field];
+      return fields;
+    }, {});
+  }
+
+  // Helper method to check whether a question has solution text
+  _hasSolution(question) {
+    return Boolean(question && typeof question.solution === 'string' && question.solution.trim());
+  }
+
+  // Helper method to run a worker over items with at most `limit` running at once
+  async _runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        await worker(item);
+      }
+    });
+    await Promise.all(runners);
+  }
+}
+
+module.exports = new SolutionService();
@@ -0,0 +1,131 @@
+const databaseService = require('./databaseService');
+const gradingService = require('./gradingService');
+const ratingService = require('./ratingService');
+const streakService = require('./streakService');
+const revisionService = require('./revisionService');
+
+class SubmissionService {
+  /**
+   * Grade a submission on the server, save the result and update rating and streak
+   * @param {Object} submission - Submission details
+   * @param {Object} submission.lesson - Lesson with its full question list
+   * @param {string} submission.studentId - Student ID (may be null)
+   * @param {Array} submission.answers - Answers submitted by the student
+   * @param {Object} submission.snapshot - Attempt snapshot { questionIds, optionOrders } or null
+   * @param {Object} submission.studentInfo - Student info stored with the result
+   * @param {number|null} submission.timeTaken - Seconds spent, measured on the server
+   * @param {string} submission.mode - Result mode ('test' by default)
+   * @param {string} submission.ipAddress - Client IP address
+   * @param {Object} submission.hintUsage - Hints taken per question key (practice attempts), or null
+   * @param {Object} submission.extra - Additional result columns (attempt_id, is_late, ...)
+   * @returns {Promise<Object>} { savedResult, score, totalPoints, rating, streak }
+   */
+  async recordResult({
+    lesson,
+    studentId,
+    answers,
+    snapshot = null,
+    studentInfo,
+    timeTaken = null,
+    mode = 'test',
+    ipAddress = 'unknown',
+    hintUsage = null,
+    extra = {}
+  }) {
+    // Grade on the server - client-sent points, earnedPoints and isCorrect are ignored
+    const {
+      gradedAnswers,
+      score,
+      totalPoints,
+      servedQuestionIds,
+      unmatchedAnswers
+    } = gradingService.gradeSubmission(lesson, answers, snapshot, { hintUsage });
+
+    console.log('🔍 Submission - Server grading:', {
+      lessonId: lesson.id,
+      score,
+      totalPoints,
+      answersCount: Array.isArray(answers) ? answers.length : 0,
+      servedCount: servedQuestionIds.length,
+      unmatchedAnswers
+    });
+
+    // Link the result to the lesson revision it was graded against
+    let revisionId = null;
+    try {
+      const revision = await revisionService.ensureCurrentRevision(lesson);
+      revisionId = revision ? revision.id : null;
+    } catch (error) {
+      console.error('Error resolving lesson revision for result:', error);
+    }
+
+    // Prepare result data matching the database schema with snake_case columns
+    const resultData = {
+      id: Date.now().toString(),
+      lesson_id: lesson.id,
+      student_id: studentId,
+      questions: gradedAnswers, // Use 'questions' column name, not 'answers'
+      served_questions: servedQuestionIds,
+      revision_id: revisionId,
+      score,
+      total_points: totalPoints,
+      student_info: studentInfo,
+      timestamp: new Date().toISOString(),
+      ip_address: ipAddress,
+      time_taken: typeof timeTaken === 'number' ? Math.round(timeTaken) : null,
+      mode,
+      ...extra
+    };
+
+    let savedResult;
+    try {
+      savedResult = await databaseService.createResult(resultData);
+      console.log('✅ Result saved successfully:', savedResult);
+    } catch (dbError) {
+      console.error('❌ Database save error:', dbError);
+      console.error('❌ Error details:', {
+        message: dbError.message,
+        code: dbError.code,
+        details: dbError.details,
+        hint: dbError.hint
+      });
+      throw new Error(`Failed to save result: ${dbError.message}`);
+    }
+
+    // Update rating and streak if student is authenticated
+    let ratingUpdate = null;
+    let streakUpdate = null;
+
+    if (studentId && score > 0) {
+      try {
+        // Update student streak (only for successful completion)
+        streakUpdate = await streakService.recordDailyActivity(studentId);
+
+        // Get current streak for rating calculation
+        const currentStreak = streakUpdate?.stats?.currentStreak || 0;
+
+        // Update rating with calculated streak
+        ratingUpdate = await ratingService.updateStudentRating(
+          studentId,
+          lesson.id,
+          score,
+          totalPoints,
+          resultData.time_taken,
+          currentStreak
+        );
+      } catch (error) {
+        console.error('Rating or streak update failed:', error);
+      }
+    }
+
+    return {
+      savedResult,
+      score,
+      totalPoints,
+      rating: ratingUpdate,
+      streak: streakUpdate?.stats || null
+    };
+  }
+}
+
+module.exports = new SubmissionService();
@@ -0,0 +1,147 @@
+/**
+ * Safe evaluation of plain arithmetic expressions such as "(20 - 5) / 1,5 * 9.8^2"
+ * Used to recompute numeric answers without eval(). Supports + - * / ^, parentheses,
+ * decimal commas, scientific notation, pi and a few functions (angles in degrees).
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  ln: Math.log,
+  log: Math.log10,
+  sin: (degrees) => Math.sin((degrees * Math.PI) / 180),
+  cos: (degrees) => Math.cos((degrees * Math.PI) / 180),
+  tan: (degrees) => Math.tan((degrees * Math.PI) / 180)
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  'π': Math.PI
+};
+
+// Helper to split an expression into number, name, operator and parenthesis tokens
+function tokenize(expression) {
+  const source = String(expression)
+    .replace(/×|·/g, '*')
+    .replace(/÷|:/g, '/')
+    .replace(/−/g, '-')
+    .replace(/(\d),(\d)/g, '$1.$2');
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)|([A-Za-zπ]+)|(\*\*|[-+*/^()]))/gy;
+
+  let match;
+  let position = 0;
+  while (position < source.length) {
+    pattern.lastIndex = position;
+    match = pattern.exec(source);
+    if (!match) {
+      if (source.slice(position).trim() === '') break;
+      return null;
+    }
+    position = pattern.lastIndex;
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    else tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3] });
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression
+ * @param {string} expression - Expression with numbers only (no variables)
+ * @returns {number|null} Result, or null when the expression cannot be read or is not finite
+ */
+function evaluateExpression(expression) {
+  if (expression === undefined || expression === null || String(expression).trim() === '') return null;
+
+  const tokens = tokenize(expression);
+  if (!tokens || tokens.length === 0) return null;
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+
+  // expression := term (("+" | "-") term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[index++].value;
+      const right = parseTerm();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  // term := unary (("*" | "/") unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (isOperator('*') || isOperator('/')) {
+      const operator = tokens[index++].value;
+      const right = parseUnary();
+      value = operator === '*' ? value * right : value / right;
+    }
+    return value;
+  };
+
+  // unary := ("+" | "-") unary | power
+  const parseUnary = () => {
+    if (isOperator('-')) {
+      index++;
+      return -parseUnary();
+    }
+    if (isOperator('+')) {
+      index++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // power := primary ("^" unary)?  (right associative)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOperator('^')) {
+      index++;
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  // primary := number | constant | function "(" expression ")" | "(" expression ")"
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error('unexpected end');
+
+    if (token.type === 'number') return token.value;
+
+    if (token.type === 'name') {
+      if (CONSTANTS[token.value] !== undefined) return CONSTANTS[token.value];
+      if (!FUNCTIONS[token.value] || !isOperator('(')) throw new Error(`unknown name ${token.value}`);
+      index++;
+      const argument = parseExpression();
+      if (!isOperator(')')) throw new Error('missing )');
+      index++;
+      return FUNCTIONS[token.value](argument);
+    }
+
+    if (token.value === '(') {
+      const value = parseExpression();
+      if (!isOperator(')')) throw new Error('missing )');
+      index++;
+      return value;
+    }
+
+    throw new Error(`unexpected ${token.value}`);
+  };
+
+  try {
+    const result = parseExpression();
+    if (index !== tokens.length) return null;
+    return Number.isFinite(result) ? result : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  evaluateExpression
+};
@@ -0,0 +1,77 @@
+/**
+ * Splitting extracted document text for AI formatting
+ * Large exam documents are cut at question boundaries so every chunk fits in one AI call
+ * and no question is split across two chunks.
+ */
+
+// A question starts a line with "Câu 12:", "Câu 12.", "Bài 3)" or "Question 4:"
+const QUESTION_START = /^[ \t]*(?:Câu|Bài|Question)\s*(\d+)\s*[:.)]/gim;
+
+/**
+ * Find where each question starts in the source text
+ * @param {string} text - Extracted document text
+ * @returns {Array} [{ index, number }] in text order
+ */
+function findQuestionStarts(text) {
+  const starts = [];
+  let match;
+  QUESTION_START.lastIndex = 0;
+  while ((match = QUESTION_START.exec(text)) !== null) {
+    starts.push({ index: match.index, number: parseInt(match[1], 10) });
+  }
+  return starts;
+}
+
+/**
+ * Count the questions in the source text
+ * @param {string} text - Extracted document text
+ * @returns {number} Number of question starts
+ */
+function countSourceQuestions(text) {
+  return findQuestionStarts(String(text || '')).length;
+}
+
+/**
+ * Split text into chunks at question boundaries
+ * Text without recognisable questions (lecture notes) is returned as a single chunk.
+ * @param {string} text - Extracted document text
+ * @param {Object} options - { maxChars, maxQuestions }
+ * @returns {Array} [{ index, text, sourceQuestions }]
+ */
+function splitAtQuestionBoundaries(text, { maxChars = 12000, maxQuestions = 10 } = {}) {
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  const starts = findQuestionStarts(source);
+
+  if (starts.length === 0) {
+    return [{ index: 0, text: source.trim(), sourceQuestions: 0 }];
+  }
+
+  // Anything before the first question (exam header, shared instructions) goes with the first chunk
+  const pieces = starts.map((start, position) => ({
+    text: source.slice(position === 0 ? 0 : start.index, position + 1 < starts.length ? starts[position + 1].index : source.length),
+    questions: 1
+  }));
+
+  const chunks = [];
+  let current = null;
+  pieces.forEach(piece => {
+    if (current && (current.text.length + piece.text.length > maxChars || current.sourceQuestions >= maxQuestions)) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { index: chunks.length, text: '', sourceQuestions: 0 };
+    }
+    current.text += piece.text;
+    current.sourceQuestions += piece.questions;
+  });
+  chunks.push(current);
+
+  return chunks.map(chunk => ({ ...chunk, text: chunk.text.trim() }));
+}
+
+module.exports = {
+  findQuestionStarts,
+  countSourceQuestions,
+  splitAtQuestionBoundaries
+};
@@ -0,0 +1,261 @@
+/**
+ * GIFT question format (Moodle's plain-text format)
+ * Reads multiple choice, true/false and numerical questions into lesson questions
+ * and writes lesson questions back out.
+ */
+
+const { htmlToText } = require('./moodleXml');
+
+const SPECIAL_CHARACTERS = /([~=#{}:\\])/g;
+
+/**
+ * Escape GIFT control characters in text
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text (newlines written as \n)
+ */
+function escapeGift(text) {
+  return String(text ?? '').replace(SPECIAL_CHARACTERS, '\\$1').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undo GIFT escapes
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeGift(text) {
+  return String(text ?? '').replace(/\\(n|.)/g, (match, character) => (character === 'n' ? '\n' : character));
+}
+
+// Helper to find the first unescaped occurrence of a character
+function indexOfUnescaped(text, character, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === character) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Helper to split text on unescaped marker characters, keeping the marker with each part
+function splitOnMarkers(text, markers) {
+  const parts = [];
+  let current = null;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      if (current) current.text += text.slice(i, i + 2);
+      i++;
+    } else if (markers.includes(text[i])) {
+      current = { marker: text[i], text: '' };
+      parts.push(current);
+    } else if (current) {
+      current.text += text[i];
+    }
+  }
+  return parts;
+}
+
+// Helper to read "%50%answer#feedback" into its parts
+function readAnswer(raw) {
+  let text = raw.trim();
+  let weight = null;
+  const weightMatch = text.match(/^%(-?\d+(?:\.\d+)?)%/);
+  if (weightMatch) {
+    weight = parseFloat(weightMatch[1]);
+    text = text.slice(weightMatch[0].length);
+  }
+
+  const feedbackIndex = indexOfUnescaped(text, '#');
+  const feedback = feedbackIndex >= 0 ? unescapeGift(text.slice(feedbackIndex + 1)).trim() : '';
+  if (feedbackIndex >= 0) text = text.slice(0, feedbackIndex);
+
+  return { text: unescapeGift(text).trim(), weight, feedback };
+}
+
+// Helper to read a numerical answer: "9.8:0.1", "1..5" or "9.8"
+function readNumericAnswer(raw) {
+  const { text, weight } = readAnswer(raw);
+  const range = text.match(/^(-?[\d.eE+-]+)\.\.(-?[\d.eE+-]+)$/);
+  if (range) {
+    const min = parseFloat(range[1]);
+    const max = parseFloat(range[2]);
+    return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2, weight };
+  }
+  const [value, tolerance] = text.split(':');
+  return { value: parseFloat(value), tolerance: tolerance !== undefined ? parseFloat(tolerance) : 0, weight };
+}
+
+// Helper to split a GIFT file into question blocks separated by blank lines
+function splitBlocks(text) {
+  const blocks = [];
+  let current = [];
+  let line = 0;
+  let startLine = 1;
+
+  String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    line++;
+    const trimmed = rawLine.trim();
+    if (trimmed.startsWith('//')) return;
+    if (trimmed === '') {
+      if (current.length > 0) blocks.push({ text: current.join('\n'), line: startLine });
+      current = [];
+      return;
+    }
+    if (current.length === 0) startLine = line;
+    current.push(rawLine);
+  });
+  if (current.length > 0) blocks.push({ text: current.join('\n'), line: startLine });
+  return blocks;
+}
+
+/**
+ * Convert GIFT text into lesson questions
+ * @param {string} text - GIFT file contents
+ * @returns {Object} { questions, unmapped, warnings }
+ */
+function parseGift(text) {
+  const questions = [];
+  const unmapped = [];
+  const warnings = [];
+
+  splitBlocks(text).forEach((block, blockIndex) => {
+    let body = block.text.trim();
+    if (/^\$CATEGORY:/i.test(body)) return;
+
+    // Optional "::title::"
+    let name = `Question ${blockIndex + 1}`;
+    if (body.startsWith('::')) {
+      const titleEnd = body.indexOf('::', 2);
+      if (titleEnd > 0) {
+        name = unescapeGift(body.slice(2, titleEnd)).trim() || name;
+        body = body.slice(titleEnd + 2).trim();
+      }
+    }
+    const skip = (reason) => unmapped.push({ index: blockIndex + 1, line: block.line, name, reason });
+
+    // Optional "[html]" / "[plain]" / "[markdown]" / "[moodle]" text format
+    let format = 'moodle';
+    const formatMatch = body.match(/^\[(html|plain|markdown|moodle)\]/i);
+    if (formatMatch) {
+      format = formatMatch[1].toLowerCase();
+      body = body.slice(formatMatch[0].length);
+    }
+
+    const open = indexOfUnescaped(body, '{');
+    const close = open >= 0 ? indexOfUnescaped(body, '}', open) : -1;
+    if (open < 0 || close < 0) {
+      skip('No answer block found (descriptions are not imported)');
+      return;
+    }
+
+    const before = body.slice(0, open).trim();
+    const after = body.slice(close + 1).trim();
+    let questionText = unescapeGift(after ? `${before} _____ ${after}` : before);
+    if (format === 'html') questionText = htmlToText(questionText);
+    if (!questionText) {
+      skip('Question has no text');
+      return;
+    }
+
+    const answerBlock = body.slice(open + 1, close).trim();
+    let question = null;
+
+    if (answerBlock === '') {
+      skip('Essay questions are not supported');
+      return;
+    } else if (/^(T|TRUE|F|FALSE)\s*(#|$)/i.test(answerBlock)) {
+      const value = /^T/i.test(answerBlock);
+      question = { type: 'truefalse', question: questionText, options: [questionText], correct: [value] };
+    } else if (answerBlock.startsWith('#')) {
+      const numericBody = answerBlock.slice(1).trim();
+      const entries = /^[=~]/.test(numericBody)
+        ? splitOnMarkers(numericBody, ['=', '~']).map(part => readNumericAnswer(part.text))
+        : [readNumericAnswer(numericBody)];
+      const correct = entries.find(entry => entry.weight === null || entry.weight >= 100);
+      if (!correct || !Number.isFinite(correct.value)) {
+        skip('Numerical question has no numeric correct answer');
+        return;
+      }
+      question = { type: 'number', question: questionText, correct: String(correct.value) };
+      if (correct.tolerance > 0) {
+        question.tolerance = { type: 'absolute', value: correct.tolerance };
+      }
+      if (entries.length > 1) {
+        warnings.push(`${name}: partial-credit numerical answers were not imported`);
+      }
+    } else {
+      const parts = splitOnMarkers(answerBlock, ['=', '~']);
+      if (parts.some(part => part.text.includes('->'))) {
+        skip('Matching questions are not supported');
+        return;
+      }
+      if (!parts.some(part => part.marker === '~')) {
+        skip('Short answer questions are not supported');
+        return;
+      }
+
+      const answers = parts.map(part => ({ marker: part.marker, ...readAnswer(part.text) }));
+      const correct = answers.filter(answer => answer.marker === '=' || (answer.weight !== null && answer.weight >= 100));
+      const partial = answers.filter(answer => answer.marker === '~' && answer.weight !== null && answer.weight > 0 && answer.weight < 100);
+      if (correct.length !== 1 || partial.length > 0) {
+        skip('Only single-answer multiple choice questions can be imported');
+        return;
+      }
+
+      question = {
+        type: 'abcd',
+        question: questionText,
+        options: answers.map(answer => answer.text),
+        correct: String.fromCharCode(65 + answers.indexOf(correct[0]))
+      };
+    }
+
+    // "####" after the answers holds the general feedback
+    const generalFeedback = answerBlock.match(/####([\s\S]*)$/);
+    if (generalFeedback && generalFeedback[1].trim()) {
+      question.explanation = unescapeGift(generalFeedback[1]).trim();
+    }
+
+    questions.push({ id: questions.length + 1, ...question });
+  });
+
+  return { questions, unmapped, warnings };
+}
+
+/**
+ * Write export items as GIFT text
+ * @param {Array} items - [{ kind: multichoice|truefalse|numerical, name, text, ... }]
+ * @param {string} category - Category name written at the top of the file
+ * @returns {string} GIFT text
+ */
+function buildGift(items, category = '') {
+  const blocks = [];
+  if (category) blocks.push(`$CATEGORY: $course$/${category}`);
+
+  items.forEach(item => {
+    const head = `::${escapeGift(item.name)}:: ${escapeGift(item.text)}`;
+    const feedback = item.explanation ? `\n####${escapeGift(item.explanation)}` : '';
+
+    if (item.kind === 'multichoice') {
+      const options = item.options
+        .map((option, index) => `${index === item.correctIndex ? '=' : '~'}${escapeGift(option)}`)
+        .join('\n');
+      blocks.push(`${head} {\n${options}${feedback}\n}`);
+    } else if (item.kind === 'truefalse') {
+      blocks.push(`${head} {${item.answer ? 'TRUE' : 'FALSE'}${feedback}}`);
+    } else if (item.kind === 'numerical') {
+      const tolerance = item.tolerance ? `:${item.tolerance}` : '';
+      blocks.push(`${head} {#${item.value}${tolerance}${feedback}}`);
+    }
+  });
+
+  return blocks.join('\n\n') + '\n';
+}
+
+module.exports = {
+  escapeGift,
+  unescapeGift,
+  parseGift,
+  buildGift
+};
@@ -232,6 +232,29 @@ async function retry(fn, maxRetries = 3, baseDelay = 1000) {
   }
 }
 
+// Turn any string into a 32-bit seed (FNV-1a)
+function hashStringToSeed(text) {
+  let hash = 0x811c9dc5;
+  const str = String(text);
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Create a deterministic random number generator (mulberry32) returning values in [0, 1)
+function createSeededRandom(seed) {
+  let state = (typeof seed === 'number' ? seed : hashStringToSeed(seed)) >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 module.exports = {
   generateId,
   generateUUID,
@@ -254,5 +277,7 @@ module.exports = {
   throttle,
   generateETag,
   isEmpty,
-  retry
+  retry,
+  hashStringToSeed,
+  createSeededRandom
 };
@@ -0,0 +1,312 @@
+/**
+ * Moodle XML question format
+ * Reads multichoice, truefalse and numerical questions into lesson questions and
+ * writes lesson questions back out. Uses a small built-in XML reader so no AI or
+ * extra dependency is involved.
+ */
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode XML/HTML character entities
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const decoded = XML_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Escape text for use inside XML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn the HTML used in Moodle question texts into plain text
+ * @param {string} html - HTML fragment
+ * @returns {string} Text with paragraphs and line breaks kept as newlines
+ */
+function htmlToText(html) {
+  return decodeEntities(String(html ?? '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Parse an XML document into a simple element tree
+ * Supports elements, attributes, text, CDATA, comments and processing instructions.
+ * @param {string} xml - XML text
+ * @returns {Object} Root node { name, attrs, children, text }
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const source = String(xml).replace(/^\uFEFF/, '');
+  let position = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  while (position < source.length) {
+    const tagStart = source.indexOf('<', position);
+    if (tagStart === -1) {
+      current().text += decodeEntities(source.slice(position));
+      break;
+    }
+    if (tagStart > position) {
+      current().text += decodeEntities(source.slice(position, tagStart));
+    }
+
+    if (source.startsWith('<![CDATA[', tagStart)) {
+      const end = source.indexOf(']]>', tagStart);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      current().text += source.slice(tagStart + 9, end);
+      position = end + 3;
+    } else if (source.startsWith('<!--', tagStart)) {
+      const end = source.indexOf('-->', tagStart);
+      if (end === -1) throw new Error('Unterminated comment');
+      position = end + 3;
+    } else if (source.startsWith('<?', tagStart) || source.startsWith('<!', tagStart)) {
+      const end = source.indexOf('>', tagStart);
+      if (end === -1) throw new Error('Unterminated declaration');
+      position = end + 1;
+    } else if (source[tagStart + 1] === '/') {
+      const end = source.indexOf('>', tagStart);
+      if (end === -1) throw new Error('Unterminated closing tag');
+      const name = source.slice(tagStart + 2, end).trim();
+      if (stack.length === 1 || current().name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+      position = end + 1;
+    } else {
+      const end = source.indexOf('>', tagStart);
+      if (end === -1) throw new Error('Unterminated tag');
+      let body = source.slice(tagStart + 1, end);
+      const selfClosing = body.endsWith('/');
+      if (selfClosing) body = body.slice(0, -1);
+
+      const nameMatch = body.match(/^\s*([^\s/>]+)/);
+      if (!nameMatch) throw new Error('Invalid tag');
+
+      const attrs = {};
+      const attrPattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+      let attrMatch;
+      while ((attrMatch = attrPattern.exec(body.slice(nameMatch[0].length))) !== null) {
+        attrs[attrMatch[1]] = decodeEntities(attrMatch[3] !== undefined ? attrMatch[3] : attrMatch[4]);
+      }
+
+      const node = { name: nameMatch[1], attrs, children: [], text: '' };
+      current().children.push(node);
+      if (!selfClosing) stack.push(node);
+      position = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${current().name}>`);
+  }
+  return root;
+}
+
+// Helpers to walk the element tree
+const child = (node, name) => (node ? node.children.find(item => item.name === name) : undefined);
+const childrenNamed = (node, name) => (node ? node.children.filter(item => item.name === name) : []);
+const textOf = (node) => (node ? (child(node, 'text') ? child(node, 'text').text : node.text) : '');
+
+// Helper to read a Moodle text field (questiontext, answer, feedback) as plain text
+function readText(node) {
+  if (!node) return '';
+  const raw = textOf(node);
+  const format = node.attrs.format || 'html';
+  return format === 'html' || format === 'moodle_auto_format' ? htmlToText(raw) : decodeEntities(raw).trim();
+}
+
+/**
+ * Convert a Moodle XML quiz into lesson questions
+ * @param {string} xml - Moodle XML export
+ * @returns {Object} { questions, unmapped, warnings }
+ */
+function parseMoodleXml(xml) {
+  const document = parseXml(xml);
+  const quiz = child(document, 'quiz');
+  if (!quiz) {
+    throw new Error('Not a Moodle XML file: missing <quiz> element');
+  }
+
+  const questions = [];
+  const unmapped = [];
+  const warnings = [];
+
+  childrenNamed(quiz, 'question').forEach((node, index) => {
+    const type = node.attrs.type;
+    if (type === 'category') return;
+
+    const name = readText(child(node, 'name')) || `Question ${index + 1}`;
+    const text = readText(child(node, 'questiontext'));
+    const explanation = readText(child(node, 'generalfeedback'));
+    const answers = childrenNamed(node, 'answer').map(answer => ({
+      text: readText(answer),
+      fraction: parseFloat(answer.attrs.fraction || '0'),
+      tolerance: child(answer, 'tolerance') ? parseFloat(child(answer, 'tolerance').text) : 0
+    }));
+    const skip = (reason) => unmapped.push({ index: index + 1, name, type, reason });
+
+    if (!text) {
+      skip('Question has no text');
+      return;
+    }
+    if (/@@PLUGINFILE@@/.test(textOf(child(node, 'questiontext')))) {
+      warnings.push(`${name}: embedded images were not imported`);
+    }
+
+    let question = null;
+    if (type === 'multichoice') {
+      const correct = answers.filter(answer => answer.fraction >= 100);
+      const single = textOf(child(node, 'single')).trim();
+      if (single === 'false' || single === '0' || correct.length !== 1) {
+        skip('Only single-answer multiple choice questions can be imported');
+        return;
+      }
+      question = {
+        type: 'abcd',
+        question: text,
+        options: answers.map(answer => answer.text),
+        correct: String.fromCharCode(65 + answers.indexOf(correct[0]))
+      };
+    } else if (type === 'truefalse') {
+      const correct = answers.find(answer => answer.fraction >= 100);
+      if (!correct || !['true', 'false'].includes(correct.text.toLowerCase())) {
+        skip('True/false question has no valid correct answer');
+        return;
+      }
+      question = {
+        type: 'truefalse',
+        question: text,
+        options: [text],
+        correct: [correct.text.toLowerCase() === 'true']
+      };
+    } else if (type === 'numerical') {
+      const correct = answers.find(answer => answer.fraction >= 100);
+      const value = correct ? parseFloat(correct.text) : NaN;
+      if (!Number.isFinite(value)) {
+        skip('Numerical question has no numeric correct answer');
+        return;
+      }
+      question = { type: 'number', question: text, correct: String(value) };
+      if (correct.tolerance > 0) {
+        question.tolerance = { type: 'absolute', value: correct.tolerance };
+      }
+
+      const units = childrenNamed(child(node, 'units'), 'unit');
+      const baseUnits = units
+        .filter(unit => parseFloat(textOf(child(unit, 'multiplier')) || '1') === 1)
+        .map(unit => textOf(child(unit, 'unit_name')).trim())
+        .filter(Boolean);
+      if (baseUnits.length > 0) question.units = baseUnits;
+      if (units.length > baseUnits.length) {
+        warnings.push(`${name}: units with a multiplier other than 1 were not imported`);
+      }
+    } else {
+      skip(`Question type "${type}" is not supported`);
+      return;
+    }
+
+    if (explanation) question.explanation = explanation;
+    questions.push({ id: questions.length + 1, ...question });
+  });
+
+  return { questions, unmapped, warnings };
+}
+
+// Helper to write a Moodle text field; CDATA keeps LaTeX and special characters intact
+function textElement(tag, text, indent) {
+  const html = String(text ?? '').split('\n').map(line => escapeXml(line)).join('<br>');
+  const cdata = html.replace(/]]>/g, ']]]]><![CDATA[>');
+  return `${indent}<${tag} format="html">\n${indent}  <text><![CDATA[${cdata}]]></text>\n${indent}</${tag}>`;
+}
+
+/**
+ * Write export items as a Moodle XML quiz
+ * @param {Array} items - [{ kind: multichoice|truefalse|numerical, name, text, ... }]
+ * @param {string} category - Category name written at the top of the quiz
+ * @returns {string} Moodle XML
+ */
+function buildMoodleXml(items, category = '') {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+
+  if (category) {
+    lines.push('  <question type="category">');
+    lines.push(`    <category>\n      <text>$course$/${escapeXml(category)}</text>\n    </category>`);
+    lines.push('  </question>');
+  }
+
+  items.forEach(item => {
+    lines.push(`  <question type="${item.kind}">`);
+    lines.push(`    <name>\n      <text>${escapeXml(item.name)}</text>\n    </name>`);
+    lines.push(textElement('questiontext', item.text, '    '));
+    if (item.explanation) lines.push(textElement('generalfeedback', item.explanation, '    '));
+    lines.push(`    <defaultgrade>${item.points || 1}</defaultgrade>`);
+
+    if (item.kind === 'multichoice') {
+      lines.push('    <single>true</single>');
+      lines.push('    <shuffleanswers>true</shuffleanswers>');
+      lines.push('    <answernumbering>ABCD</answernumbering>');
+      item.options.forEach((option, index) => {
+        lines.push(`    <answer fraction="${index === item.correctIndex ? 100 : 0}" format="html">`);
+        lines.push(`      <text><![CDATA[${escapeXml(option).replace(/]]>/g, ']]]]><![CDATA[>')}]]></text>`);
+        lines.push('    </answer>');
+      });
+    } else if (item.kind === 'truefalse') {
+      lines.push(`    <answer fraction="${item.answer ? 100 : 0}" format="moodle_auto_format">\n      <text>true</text>\n    </answer>`);
+      lines.push(`    <answer fraction="${item.answer ? 0 : 100}" format="moodle_auto_format">\n      <text>false</text>\n    </answer>`);
+    } else if (item.kind === 'numerical') {
+      lines.push('    <answer fraction="100">');
+      lines.push(`      <text>${item.value}</text>`);
+      lines.push(`      <tolerance>${item.tolerance || 0}</tolerance>`);
+      lines.push('    </answer>');
+      if (item.units && item.units.length > 0) {
+        lines.push('    <units>');
+        item.units.forEach(unit => {
+          lines.push(`      <unit>\n        <multiplier>1</multiplier>\n        <unit_name>${escapeXml(unit)}</unit_name>\n      </unit>`);
+        });
+        lines.push('    </units>');
+        lines.push('    <unitgradingtype>0</unitgradingtype>');
+        lines.push('    <showunits>2</showunits>');
+      }
+    }
+
+    lines.push('  </question>');
+  });
+
+  lines.push('</quiz>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  decodeEntities,
+  escapeXml,
+  htmlToText,
+  parseXml,
+  parseMoodleXml,
+  buildMoodleXml
+};
@@ -0,0 +1,345 @@
+/**
+ * Utilities for grading "number" questions
+ * Handles Vietnamese decimal commas, scientific notation, units with SI prefixes
+ * and per-question tolerance settings.
+ */
+
+// SI prefixes, longest first so "da" wins over "d"
+const SI_PREFIXES = [
+  ['da', 1e1],
+  ['Y', 1e24], ['Z', 1e21], ['E', 1e18], ['P', 1e15], ['T', 1e12],
+  ['G', 1e9], ['M', 1e6], ['k', 1e3], ['h', 1e2],
+  ['d', 1e-1], ['c', 1e-2], ['m', 1e-3],
+  ['µ', 1e-6], ['μ', 1e-6], ['u', 1e-6],
+  ['n', 1e-9], ['p', 1e-12], ['f', 1e-15]
+];
+
+const TOLERANCE_TYPES = ['absolute', 'relative', 'percent', 'sigfigs'];
+
+// Relative epsilon used when no tolerance is configured, to absorb floating-point noise
+const EXACT_EPSILON = 1e-9;
+
+/**
+ * Parse a number string, accepting decimal commas and thousands separators
+ * @param {string} text - Raw number text without unit
+ * @returns {number|null} Parsed number or null
+ */
+function parseNumber(text) {
+  if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+  if (text === undefined || text === null) return null;
+
+  let normalized = String(text).trim()
+    .replace(/\s+/g, '')
+    .replace(/−/g, '-');
+
+  const hasComma = normalized.includes(',');
+  const hasDot = normalized.includes('.');
+
+  if (hasComma && hasDot) {
+    // Whichever separator comes last is the decimal separator: "1.234,5" or "1,234.5"
+    if (normalized.lastIndexOf(',') > normalized.lastIndexOf('.')) {
+      normalized = normalized.replace(/\./g, '').replace(',', '.');
+    } else {
+      normalized = normalized.replace(/,/g, '');
+    }
+  } else if (hasComma) {
+    // Vietnamese decimal comma: "78,5"
+    if ((normalized.match(/,/g) || []).length > 1) return null;
+    normalized = normalized.replace(',', '.');
+  }
+
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(normalized)) return null;
+
+  const value = Number(normalized);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Split an answer such as "78,5 J", "7.85e1kJ" or "2,5.10^3 m" into number and unit
+ * @param {*} input - Raw answer
+ * @returns {Object} { value, unit } - value is null when no number could be read
+ */
+function parseQuantity(input) {
+  if (typeof input === 'number') {
+    return { value: Number.isFinite(input) ? input : null, unit: '' };
+  }
+  if (input === undefined || input === null) {
+    return { value: null, unit: '' };
+  }
+
+  const text = String(input).trim().replace(/\$/g, '');
+
+  // Scientific forms first: "7.85e1", "2,5.10^3", "2,5 × 10^-3"
+  const scientific = text.match(/^([-+−]?[\d.,\s]*?\d)\s*(?:e([-+]?\d+)|[×x*·.]\s*10\^\{?\(?([-+−]?\d+)\)?\}?)(?![\d.,])\s*(.*)$/i);
+  if (scientific) {
+    const mantissa = parseNumber(scientific[1]);
+    const exponent = parseInt(String(scientific[2] || scientific[3]).replace('−', '-'), 10);
+    return {
+      value: mantissa === null ? null : mantissa * Math.pow(10, exponent),
+      unit: normalizeUnit(scientific[4])
+    };
+  }
+
+  const match = text.match(/^([-+−]?[\d.,\s]*\d)\s*(.*)$/);
+  if (!match) {
+    return { value: null, unit: '' };
+  }
+
+  return {
+    value: parseNumber(match[1]),
+    unit: normalizeUnit(match[2])
+  };
+}
+
+/**
+ * Normalize unit spelling so "m²", "m^2" and "m2" compare equal
+ * @param {string} unit - Raw unit text
+ * @returns {string} Normalized unit
+ */
+function normalizeUnit(unit) {
+  if (!unit) return '';
+  return String(unit).trim()
+    .replace(/\s+/g, '')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/([A-Za-zµμΩ])(\d)$/, '$1^$2');
+}
+
+// Helper to split "cm^2" into the symbol and its power
+function splitPower(unit) {
+  const match = unit.match(/^(.*?)\^(-?\d+)$/);
+  if (match && match[1]) {
+    return { symbol: match[1], power: parseInt(match[2], 10) };
+  }
+  return { symbol: unit, power: 1 };
+}
+
+/**
+ * Find the factor that converts a value in `fromUnit` to `toUnit` using SI prefixes
+ * @param {string} fromUnit - Unit the value is expressed in (e.g. "kJ", "cm^2")
+ * @param {string} toUnit - Target unit (e.g. "J", "m^2")
+ * @returns {number|null} Multiplication factor, or null when the units are not related by a prefix
+ */
+function getUnitFactor(fromUnit, toUnit) {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (from === to) return 1;
+
+  const fromParts = splitPower(from);
+  const toParts = splitPower(to);
+  if (fromParts.power !== toParts.power) return null;
+
+  const factorFor = (symbol, base) => {
+    if (symbol === base) return 1;
+    for (const [prefix, factor] of SI_PREFIXES) {
+      if (symbol === prefix + base) return factor;
+    }
+    return null;
+  };
+
+  // Prefix on the source unit: "kJ" -> "J"
+  const forward = factorFor(fromParts.symbol, toParts.symbol);
+  if (forward !== null) return Math.pow(forward, fromParts.power);
+
+  // Prefix on the target unit: "g" -> "kg"
+  const backward = factorFor(toParts.symbol, fromParts.symbol);
+  if (backward !== null) return Math.pow(1 / backward, fromParts.power);
+
+  return null;
+}
+
+/**
+ * Read the tolerance configured on a question
+ * Accepts { type, value }, a bare number (absolute) or legacy toleranceType/tolerance fields
+ * @param {Object} question - Question object
+ * @returns {Object|null} { type, value } or null when grading should be exact
+ */
+function getTolerance(question) {
+  let tolerance = question.tolerance;
+
+  if (typeof tolerance === 'number' || typeof tolerance === 'string') {
+    tolerance = { type: question.toleranceType || 'absolute', value: tolerance };
+  }
+
+  if (!tolerance || typeof tolerance !== 'object') return null;
+
+  const type = String(tolerance.type || 'absolute').toLowerCase();
+  const value = parseNumber(tolerance.value);
+  if (!TOLERANCE_TYPES.includes(type) || value === null || value < 0) return null;
+
+  return { type, value };
+}
+
+/**
+ * Read the accepted units of a question; the first one is the unit the answer is graded in
+ * @param {Object} question - Question object
+ * @param {string} correctUnit - Unit written in the stored correct answer, if any
+ * @returns {string[]} Normalized accepted units
+ */
+function getAcceptedUnits(question, correctUnit = '') {
+  let units = question.units || question.unit || [];
+  if (!Array.isArray(units)) units = [units];
+
+  const normalized = units.map(normalizeUnit).filter(Boolean);
+  if (normalized.length === 0 && correctUnit) {
+    normalized.push(correctUnit);
+  }
+  return normalized;
+}
+
+/**
+ * Round a number to a number of significant figures
+ * @param {number} value - Number to round
+ * @param {number} figures - Significant figures
+ * @returns {number} Rounded number
+ */
+function roundToSignificantFigures(value, figures) {
+  if (value === 0 || !Number.isFinite(value)) return value;
+  return Number(value.toPrecision(Math.max(1, Math.min(21, Math.round(figures)))));
+}
+
+/**
+ * Compare a submitted value with the expected one using the question's tolerance
+ * @param {number} submitted - Submitted value (already in the grading unit)
+ * @param {number} expected - Expected value
+ * @param {Object|null} tolerance - { type, value }
+ * @returns {string|null} Acceptance reason, or null when outside the tolerance
+ */
+function compareWithTolerance(submitted, expected, tolerance) {
+  const difference = Math.abs(submitted - expected);
+  const epsilon = EXACT_EPSILON * Math.max(1, Math.abs(expected));
+
+  if (difference <= epsilon) return 'exact_match';
+  if (!tolerance) return null;
+
+  switch (tolerance.type) {
+    case 'absolute':
+      return difference <= tolerance.value + epsilon ? 'within_absolute_tolerance' : null;
+    case 'relative':
+      return difference <= tolerance.value * Math.abs(expected) + epsilon ? 'within_relative_tolerance' : null;
+    case 'percent':
+      return difference <= (tolerance.value / 100) * Math.abs(expected) + epsilon ? 'within_relative_tolerance' : null;
+    case 'sigfigs':
+      return roundToSignificantFigures(submitted, tolerance.value) === roundToSignificantFigures(expected, tolerance.value)
+        ? 'significant_figures_match'
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Grade a "number" answer against the stored correct answer
+ * @param {Object} question - Question with correct/correctAnswer and optional tolerance/units
+ * @param {*} correctAnswer - Raw stored correct answer
+ * @param {*} submittedAnswer - Raw submitted answer
+ * @returns {Object} { isCorrect, reason, expected, submitted, unit }
+ */
+function gradeNumericAnswer(question, correctAnswer, submittedAnswer) {
+  const expectedQuantity = parseQuantity(correctAnswer);
+  const acceptedUnits = getAcceptedUnits(question, expectedQuantity.unit);
+  const gradingUnit = acceptedUnits[0] || '';
+  const result = { isCorrect: false, reason: null, expected: null, submitted: null, unit: gradingUnit };
+
+  if (expectedQuantity.value === null) {
+    result.reason = 'invalid_correct_answer';
+    return result;
+  }
+
+  // Express the stored answer in the grading unit too ("0,0785 kJ" with units ["J"])
+  const expectedFactor = expectedQuantity.unit && gradingUnit
+    ? getUnitFactor(expectedQuantity.unit, gradingUnit)
+    : 1;
+  if (expectedFactor === null) {
+    result.reason = 'invalid_correct_answer';
+    return result;
+  }
+  result.expected = expectedQuantity.value * expectedFactor;
+
+  if (submittedAnswer === undefined || submittedAnswer === null || String(submittedAnswer).trim() === '') {
+    result.reason = 'no_answer';
+    return result;
+  }
+
+  const submittedQuantity = parseQuantity(submittedAnswer);
+  if (submittedQuantity.value === null) {
+    result.reason = 'not_a_number';
+    return result;
+  }
+
+  // A bare number is read in the grading unit; otherwise convert from any accepted unit
+  let factor = 1;
+  let converted = false;
+  if (submittedQuantity.unit) {
+    if (!gradingUnit) {
+      result.submitted = submittedQuantity.value;
+      result.reason = 'unit_not_accepted';
+      return result;
+    }
+
+    factor = null;
+    for (const unit of acceptedUnits) {
+      const toAccepted = getUnitFactor(submittedQuantity.unit, unit);
+      const toGrading = toAccepted !== null ? getUnitFactor(unit, gradingUnit) : null;
+      if (toAccepted !== null && toGrading !== null) {
+        factor = toAccepted * toGrading;
+        break;
+      }
+    }
+
+    if (factor === null) {
+      result.submitted = submittedQuantity.value;
+      result.reason = 'unit_not_accepted';
+      return result;
+    }
+    converted = submittedQuantity.unit !== gradingUnit;
+  }
+
+  result.submitted = submittedQuantity.value * factor;
+
+  const reason = compareWithTolerance(result.submitted, result.expected, getTolerance(question));
+  if (!reason) {
+    result.reason = 'outside_tolerance';
+    return result;
+  }
+
+  result.isCorrect = true;
+  result.reason = converted ? `${reason}_after_unit_conversion` : reason;
+  return result;
+}
+
+/**
+ * Validate the tolerance/unit settings of a question (used by lesson validation)
+ * @param {Object} question - Question object
+ * @returns {string[]} Error keys: 'tolerance' and/or 'units'
+ */
+function validateNumericSettings(question) {
+  const errors = [];
+
+  if (question.tolerance !== undefined && question.tolerance !== null && question.tolerance !== '') {
+    if (!getTolerance(question)) errors.push('tolerance');
+  }
+
+  const units = question.units !== undefined ? question.units : question.unit;
+  if (units !== undefined && units !== null && units !== '') {
+    const list = Array.isArray(units) ? units : [units];
+    if (list.some(unit => typeof unit !== 'string' || normalizeUnit(unit) === '')) errors.push('units');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  SI_PREFIXES,
+  TOLERANCE_TYPES,
+  parseNumber,
+  parseQuantity,
+  normalizeUnit,
+  getUnitFactor,
+  getTolerance,
+  getAcceptedUnits,
+  roundToSignificantFigures,
+  compareWithTolerance,
+  gradeNumericAnswer,
+  validateNumericSettings
+};
@@ -0,0 +1,165 @@
+/**
+ * Office Math (OMML) to LaTeX
+ * Converts the <m:oMath> trees Word stores for equations into LaTeX strings.
+ * Works on the element tree produced by parseXml in ./moodleXml.
+ */
+
+// Unicode symbols Word uses inside equations and their LaTeX commands
+const SYMBOLS = {
+  'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\varepsilon', 'ϵ': '\\epsilon',
+  'ζ': '\\zeta', 'η': '\\eta', 'θ': '\\theta', 'ϑ': '\\vartheta', 'ι': '\\iota', 'κ': '\\kappa',
+  'λ': '\\lambda', 'μ': '\\mu', 'ν': '\\nu', 'ξ': '\\xi', 'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma',
+  'τ': '\\tau', 'υ': '\\upsilon', 'φ': '\\varphi', 'ϕ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+  'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi',
+  'Σ': '\\Sigma', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+  '×': '\\times', '·': '\\cdot', '⋅': '\\cdot', '÷': '\\div', '±': '\\pm', '∓': '\\mp',
+  '≤': '\\le', '≥': '\\ge', '≠': '\\ne', '≈': '\\approx', '≡': '\\equiv', '∼': '\\sim', '∝': '\\propto',
+  '→': '\\rightarrow', '←': '\\leftarrow', '⇒': '\\Rightarrow', '⇔': '\\Leftrightarrow', '↔': '\\leftrightarrow',
+  '∞': '\\infty', '∂': '\\partial', '∇': '\\nabla', '°': '^\\circ', '∈': '\\in', '∉': '\\notin',
+  '⊂': '\\subset', '∪': '\\cup', '∩': '\\cap', '∅': '\\emptyset', '∀': '\\forall', '∃': '\\exists',
+  '−': '-', '′': "'", '…': '\\ldots', '⋯': '\\cdots', 'ℏ': '\\hbar', '∠': '\\angle', '⊥': '\\perp', '∥': '\\parallel'
+};
+
+// Large operators (m:nary) by character
+const NARY_OPERATORS = {
+  '∑': '\\sum', '∏': '\\prod', '∫': '\\int', '∬': '\\iint', '∭': '\\iiint', '∮': '\\oint',
+  '⋃': '\\bigcup', '⋂': '\\bigcap'
+};
+
+// Accents (m:acc) by combining character
+const ACCENTS = {
+  '\u0307': '\\dot', '\u0308': '\\ddot', '\u20d7': '\\vec', '\u0302': '\\hat', '\u0303': '\\tilde',
+  '\u0304': '\\bar', '\u0305': '\\overline', '→': '\\vec', '\u20d1': '\\vec'
+};
+
+// Functions Word writes in m:fName that have their own LaTeX command
+const FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'det'];
+
+// Delimiters that need escaping or a command in \left / \right
+const DELIMITERS = { '{': '\\{', '}': '\\}', '|': '|', '‖': '\\|', '⟨': '\\langle', '⟩': '\\rangle', '⌊': '\\lfloor', '⌋': '\\rfloor', '⌈': '\\lceil', '⌉': '\\rceil', '': '.' };
+
+// Helpers to walk the element tree
+const child = (node, name) => (node ? node.children.find(item => item.name === name) : undefined);
+const childrenNamed = (node, name) => (node ? node.children.filter(item => item.name === name) : []);
+const propertyValue = (node, propertiesName, name) => {
+  const property = child(child(node, propertiesName), name);
+  return property ? property.attrs['m:val'] : undefined;
+};
+
+// Helper to turn the characters of an m:t into LaTeX
+function convertText(text) {
+  let latex = '';
+  for (const character of text) {
+    if (SYMBOLS[character]) {
+      latex += `${SYMBOLS[character]} `;
+    } else if (character === '{' || character === '}' || character === '%' || character === '#' || character === '&' || character === '_') {
+      latex += `\\${character}`;
+    } else if (character === ' ') {
+      latex += ' ';
+    } else {
+      latex += character;
+    }
+  }
+  return latex.replace(/ (?=[\s^_}),=+-]|$)/g, '');
+}
+
+// Helper to wrap LaTeX in braces unless it is a single character
+const group = (latex) => (latex.length === 1 ? latex : `{${latex}}`);
+
+/**
+ * Convert an OMML element (m:oMath, m:oMathPara or any child) to LaTeX
+ * @param {Object} node - Element from parseXml
+ * @returns {string} LaTeX without surrounding $ delimiters
+ */
+function ommlToLatex(node) {
+  if (!node) return '';
+
+  const inner = (item) => (item ? item.children.map(ommlToLatex).join('') : '');
+  const part = (name) => inner(child(node, name));
+
+  switch (node.name) {
+    case 'm:oMathPara':
+      return childrenNamed(node, 'm:oMath').map(ommlToLatex).join(' \\\\ ');
+    case 'm:oMath':
+    case 'm:e':
+    case 'm:num':
+    case 'm:den':
+    case 'm:sup':
+    case 'm:sub':
+    case 'm:deg':
+    case 'm:lim':
+    case 'm:fName':
+    case 'm:box':
+    case 'm:borderBox':
+    case 'm:phant':
+      return inner(node);
+    case 'm:r': {
+      const text = childrenNamed(node, 'm:t').map(item => item.text).join('');
+      return convertText(text);
+    }
+    case 'm:f': {
+      const type = propertyValue(node, 'm:fPr', 'm:type');
+      if (type === 'lin') return `${group(part('m:num'))}/${group(part('m:den'))}`;
+      if (type === 'noBar') return `\\genfrac{}{}{0pt}{}{${part('m:num')}}{${part('m:den')}}`;
+      return `\\frac{${part('m:num')}}{${part('m:den')}}`;
+    }
+    case 'm:sSup':
+      return `${group(part('m:e'))}^${group(part('m:sup'))}`;
+    case 'm:sSub':
+      return `${group(part('m:e'))}_${group(part('m:sub'))}`;
+    case 'm:sSubSup':
+      return `${group(part('m:e'))}_${group(part('m:sub'))}^${group(part('m:sup'))}`;
+    case 'm:sPre':
+      return `{}_${group(part('m:sub'))}^${group(part('m:sup'))}${part('m:e')}`;
+    case 'm:rad': {
+      const degree = part('m:deg');
+      return degree ? `\\sqrt[${degree}]{${part('m:e')}}` : `\\sqrt{${part('m:e')}}`;
+    }
+    case 'm:d': {
+      const begin = propertyValue(node, 'm:dPr', 'm:begChr') ?? '(';
+      const end = propertyValue(node, 'm:dPr', 'm:endChr') ?? ')';
+      const separator = propertyValue(node, 'm:dPr', 'm:sepChr') ?? ',';
+      const content = childrenNamed(node, 'm:e').map(ommlToLatex).join(separator === '|' ? ' \\mid ' : separator);
+      return `\\left${DELIMITERS[begin] ?? begin}${content}\\right${DELIMITERS[end] ?? end}`;
+    }
+    case 'm:nary': {
+      const character = propertyValue(node, 'm:naryPr', 'm:chr') ?? '∫';
+      const operator = NARY_OPERATORS[character] || convertText(character);
+      const lower = part('m:sub');
+      const upper = part('m:sup');
+      return `${operator}${lower ? `_${group(lower)}` : ''}${upper ? `^${group(upper)}` : ''} ${part('m:e')}`;
+    }
+    case 'm:func': {
+      const name = part('m:fName').trim();
+      const command = FUNCTIONS.includes(name) ? `\\${name}` : (/^[a-z]+$/i.test(name) ? `\\operatorname{${name}}` : name);
+      return `${command}${group(part('m:e'))}`;
+    }
+    case 'm:limLow':
+      return `${group(part('m:e'))}_${group(part('m:lim'))}`;
+    case 'm:limUpp':
+      return `${group(part('m:e'))}^${group(part('m:lim'))}`;
+    case 'm:acc': {
+      const character = propertyValue(node, 'm:accPr', 'm:chr') ?? '\u0302';
+      return `${ACCENTS[character] || '\\hat'}{${part('m:e')}}`;
+    }
+    case 'm:bar':
+      return propertyValue(node, 'm:barPr', 'm:pos') === 'bot' ? `\\underline{${part('m:e')}}` : `\\overline{${part('m:e')}}`;
+    case 'm:groupChr': {
+      const character = propertyValue(node, 'm:groupChrPr', 'm:chr') ?? '⏟';
+      const command = propertyValue(node, 'm:groupChrPr', 'm:pos') === 'top' || character === '⏞' ? '\\overbrace' : '\\underbrace';
+      return SYMBOLS[character] ? `\\xrightarrow{${part('m:e')}}` : `${command}{${part('m:e')}}`;
+    }
+    case 'm:eqArr':
+      return `\\begin{aligned}${childrenNamed(node, 'm:e').map(ommlToLatex).join(' \\\\ ')}\\end{aligned}`;
+    case 'm:m':
+      return `\\begin{matrix}${childrenNamed(node, 'm:mr').map(row => childrenNamed(row, 'm:e').map(ommlToLatex).join(' & ')).join(' \\\\ ')}\\end{matrix}`;
+    default:
+      // Property elements (m:fPr, m:rPr, w:rPr ...) carry no content
+      return node.name.endsWith('Pr') ? '' : inner(node);
+  }
+}
+
+module.exports = {
+  ommlToLatex
+};
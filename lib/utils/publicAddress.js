@@ -0,0 +1,95 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guard against requests to internal hosts (SSRF)
+ * URLs supplied by users (outbound webhook endpoints) must resolve to public
+ * addresses only: never loopback, private, link-local (cloud metadata), CGNAT,
+ * multicast or reserved ranges. The check runs when a URL is saved and again
+ * when connecting, through publicLookup, so a DNS record changed after
+ * registration cannot point requests inside the network.
+ */
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local (cloud metadata)
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // NAT64 (embeds IPv4 addresses)
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for internal addresses and anything that is not an IP address
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a hostname and check every address it resolves to
+ * @param {string} hostname - Hostname or IP literal (IPv6 with or without brackets)
+ * @returns {Promise<Array>} Resolved addresses [{ address, family }]
+ * @throws {Error} With code ENOTPUBLIC when any address is internal
+ */
+async function assertPublicHost(hostname) {
+  const host = String(hostname).replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) throw notPublicError(host, blocked.address);
+  return addresses;
+}
+
+/**
+ * dns.lookup replacement for http(s).Agent that refuses internal addresses
+ * Node only calls it for hostnames, so IP literals must be checked with assertPublicHost.
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) return callback(notPublicError(hostname, blocked.address));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Helper to build the error for a host that resolves inside the network
+function notPublicError(hostname, address) {
+  const error = new Error(`${hostname} is not a public address (${address})`);
+  error.code = 'ENOTPUBLIC';
+  return error;
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicHost,
+  publicLookup
+};
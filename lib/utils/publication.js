@@ -0,0 +1,88 @@
+/**
+ * Utilities for the lesson publication workflow
+ * A lesson is draft, scheduled, published or archived. Scheduled and published
+ * lessons are only visible between publish_at and unpublish_at when those are set.
+ */
+
+const { PUBLICATION_CONFIG } = require('../config/constants');
+
+const { STATUS } = PUBLICATION_CONFIG;
+
+/**
+ * Parse a publication timestamp
+ * @param {string|Date|null} value - ISO timestamp
+ * @returns {Date|null} Date or null when unset or invalid
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Work out the state a lesson is in right now
+ * The stored status is the admin's intent; the publication window decides whether a
+ * scheduled or published lesson is still waiting, live, or past its unpublish time.
+ * @param {Object} lesson - Lesson row (snake_case columns)
+ * @param {Date} now - Reference time
+ * @returns {string} draft | scheduled | published | archived
+ */
+function getPublicationState(lesson, now = new Date()) {
+  const status = lesson.publication_status || PUBLICATION_CONFIG.DEFAULT_STATUS;
+  if (status === STATUS.DRAFT || status === STATUS.ARCHIVED) return status;
+
+  const publishAt = parseTimestamp(lesson.publish_at);
+  const unpublishAt = parseTimestamp(lesson.unpublish_at);
+
+  if (unpublishAt && unpublishAt <= now) return STATUS.ARCHIVED;
+  if (publishAt && publishAt > now) return STATUS.SCHEDULED;
+  return STATUS.PUBLISHED;
+}
+
+/**
+ * Check whether students can currently see a lesson
+ * @param {Object} lesson - Lesson row
+ * @param {Date} now - Reference time
+ * @returns {boolean} True when the lesson is live
+ */
+function isLessonVisible(lesson, now = new Date()) {
+  return getPublicationState(lesson, now) === STATUS.PUBLISHED;
+}
+
+/**
+ * Validate publication settings sent by the admin UI
+ * @param {Object} data - Lesson payload (camelCase or snake_case fields)
+ * @returns {Array<string>} Names of the invalid settings (empty when valid)
+ */
+function validatePublicationSettings(data) {
+  const errors = [];
+  const status = data.publicationStatus ?? data.publication_status;
+  const publishAtValue = data.publishAt !== undefined ? data.publishAt : data.publish_at;
+  const unpublishAtValue = data.unpublishAt !== undefined ? data.unpublishAt : data.unpublish_at;
+
+  if (status !== undefined && status !== null && !Object.values(STATUS).includes(status)) {
+    errors.push('status');
+  }
+
+  const publishAt = parseTimestamp(publishAtValue);
+  const unpublishAt = parseTimestamp(unpublishAtValue);
+  if (publishAtValue && !publishAt) errors.push('publishAt');
+  if (unpublishAtValue && !unpublishAt) errors.push('unpublishAt');
+
+  if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+    errors.push('window');
+  }
+
+  if (status === STATUS.SCHEDULED && !publishAt) {
+    errors.push('schedule');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  parseTimestamp,
+  getPublicationState,
+  isLessonVisible,
+  validatePublicationSettings
+};
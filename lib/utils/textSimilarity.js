@@ -0,0 +1,120 @@
+/**
+ * Lexical similarity between short texts (question stems, lesson summaries)
+ * Texts are compared as sets of words and word pairs, so rewording a few words
+ * or changing one number still scores high while a different question scores low.
+ * MinHash signatures give a fixed-size estimate of the same similarity for texts
+ * that are kept around and compared often (e.g. cache entries).
+ */
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+/**
+ * Split text into lowercase words and numbers
+ * @param {string} text - Raw text (LaTeX and punctuation are ignored)
+ * @returns {string[]} Tokens in order
+ */
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .split(/[^\p{L}\p{N}.]+/u)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Build the word and word-pair set of a text
+ * @param {string} text - Raw text
+ * @returns {Set<string>} Shingles
+ */
+function shingles(text) {
+  const tokens = tokenize(text);
+  const set = new Set(tokens);
+  for (let i = 0; i < tokens.length - 1; i++) {
+    set.add(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return set;
+}
+
+/**
+ * Jaccard index of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two texts
+ * @param {string|Set} a - Text or precomputed shingles
+ * @param {string|Set} b - Text or precomputed shingles
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  return jaccard(a instanceof Set ? a : shingles(a), b instanceof Set ? b : shingles(b));
+}
+
+// Helper to hash a string with 32-bit FNV-1a, mixed with a seed so each seed acts as a different hash function
+function hashString(text, seed) {
+  let hash = (FNV_OFFSET ^ Math.imul(seed + 1, 0x9e3779b1)) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+  // Final avalanche so nearby seeds give unrelated values
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  return hash >>> 0;
+}
+
+/**
+ * Build a MinHash signature: the smallest hash of the shingles under each of `size` hash functions
+ * @param {string|Set} text - Text or precomputed shingles
+ * @param {number} size - Number of hash functions
+ * @returns {number[]} Signature
+ */
+function minHash(text, size = 64) {
+  const set = text instanceof Set ? text : shingles(text);
+  const signature = new Array(size).fill(0xffffffff);
+  set.forEach(shingle => {
+    for (let seed = 0; seed < size; seed++) {
+      const hash = hashString(shingle, seed);
+      if (hash < signature[seed]) signature[seed] = hash;
+    }
+  });
+  return signature;
+}
+
+/**
+ * Estimate the similarity of two texts from their MinHash signatures
+ * @param {number[]} a - First signature
+ * @param {number[]} b - Second signature (same size)
+ * @returns {number} Estimated Jaccard similarity between 0 and 1
+ */
+function estimateSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+module.exports = {
+  tokenize,
+  shingles,
+  jaccard,
+  similarity,
+  minHash,
+  estimateSimilarity
+};
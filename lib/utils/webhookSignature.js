@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC-SHA256 webhook signatures with a timestamp
+ * The sender signs `${timestamp}.${raw body}` with the shared secret and sends
+ * the timestamp (Unix seconds) and "sha256=<hex>" in headers. Including the
+ * timestamp in the signed text means an intercepted request cannot be replayed
+ * once it falls outside the tolerance window.
+ */
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Shared secret
+ * @param {number|string} timestamp - Unix seconds
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body || '')
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a webhook signature and its timestamp
+ * @param {Object} options - { secret, signature, timestamp, body, toleranceSeconds, now }
+ * @returns {Object} { valid, reason } where reason is missing_signature, missing_timestamp,
+ *   invalid_timestamp, stale_timestamp or signature_mismatch
+ */
+function verifySignature({ secret, signature, timestamp, body, toleranceSeconds, now = Date.now() }) {
+  if (!signature) return { valid: false, reason: 'missing_signature' };
+  if (!timestamp) return { valid: false, reason: 'missing_timestamp' };
+
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds)) return { valid: false, reason: 'invalid_timestamp' };
+  if (Math.abs(Math.floor(now / 1000) - seconds) > toleranceSeconds) {
+    return { valid: false, reason: 'stale_timestamp' };
+  }
+
+  // Accept the bare hex digest as well as "sha256=<hex>"
+  const received = String(signature).trim().replace(/^sha256=/i, '').toLowerCase();
+  const expected = signPayload(secret, seconds, body).slice('sha256='.length);
+  const valid = received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+
+  return valid ? { valid: true, reason: null } : { valid: false, reason: 'signature_mismatch' };
+}
+
+module.exports = {
+  signPayload,
+  verifySignature
+};
@@ -36,13 +36,21 @@ module.exports = defineConfig({
 
   /* Configure projects for major browsers */
   projects: [
+    /* Unit tests of lib/ run in Node without a browser or server */
+    {
+      name: 'unit',
+      testMatch: 'unit/**/*.spec.js',
+    },
+
     {
       name: 'chromium',
+      testIgnore: 'unit/**',
       use: { ...devices['Desktop Chrome'] },
     },
 
     {
       name: 'firefox',
+      testIgnore: 'unit/**',
       use: { ...devices['Desktop Firefox'] },
     },
 
@@ -56,6 +64,7 @@ module.exports = defineConfig({
     /* Test against mobile viewports. */
     {
       name: 'Mobile Chrome',
+      testIgnore: 'unit/**',
       use: { ...devices['Pixel 5'] },
     },
     /* Mobile Safari disabled - requires webkit
@@ -80,6 +80,21 @@ router.get('/students/:studentId/profile', adminController.getStudentProfile);
 // Dashboard statistics
 router.get('/dashboard-stats', adminController.getDashboardStats);
 
+// Received Supabase webhooks and their processing status
+router.get('/webhooks/inbox', adminController.getWebhookInbox);
+router.get('/webhooks/inbox/:id', adminController.getWebhookInboxEntry);
+router.post('/webhooks/inbox/:id/retry', adminController.retryWebhookInboxEntry);
+
+// Outbound webhook endpoints and their delivery log
+router.get('/webhooks/endpoints', adminController.getWebhookEndpoints);
+router.post('/webhooks/endpoints', adminController.createWebhookEndpoint);
+router.put('/webhooks/endpoints/:id', adminController.updateWebhookEndpoint);
+router.delete('/webhooks/endpoints/:id', adminController.deleteWebhookEndpoint);
+router.post('/webhooks/endpoints/:id/test', adminController.sendWebhookTestEvent);
+router.get('/webhooks/deliveries', adminController.getWebhookDeliveries);
+router.get('/webhooks/deliveries/:id', adminController.getWebhookDelivery);
+router.post('/webhooks/deliveries/:id/retry', adminController.retryWebhookDelivery);
+
 // Image upload route (for admin interface compatibility)
 router.post('/upload-image',
   imageUpload.single('imageFile'),
@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { asyncHandler } = require('../lib/middleware/errorHandler');
-const { requireAdminAuth } = require('../lib/middleware/auth');
+const { asyncHandler, withAIFallback, ValidationError } = require('../lib/middleware/errorHandler');
+const { requireAdminAuth, requireAuth } = require('../lib/middleware/auth');
 const { noCacheMiddleware } = require('../lib/middleware/cache');
 const aiCacheService = require('../lib/services/cache/aiCacheService');
+const cacheService = require('../lib/services/cacheService');
 const databaseService = require('../lib/services/databaseService');
 const aiService = require('../lib/services/ai/aiService');
+const promptRegistry = require('../lib/services/ai/promptRegistry');
+const aiUsageService = require('../lib/services/ai/aiUsageService');
+const questionGenerationService = require('../lib/services/questionGenerationService');
 
 // Get AI cache statistics
 router.get('/cache/stats',
@@ -19,8 +23,9 @@ router.get('/cache/stats',
       }
 
       const cacheStats = aiCacheService.getStats();
+      const storeStats = await cacheService.getStoreStats();
 
-      // The aiCacheService.getStats() returns { memory: { size, maxSize, usage }, types: {...}, lastCleanup }
+      // The aiCacheService.getStats() returns { memory: { size, maxSize, usage }, types: {...}, lookups, byType, semantic, lastCleanup }
       // Use the actual structure returned by the service
       const memoryStats = cacheStats.memory || { size: 0, usage: 0 };
 
@@ -30,6 +35,10 @@ router.get('/cache/stats',
           usage: Math.round(memoryStats.usage || 0)
         },
         types: cacheStats.types || {},
+        lookups: cacheStats.lookups || {},
+        byType: cacheStats.byType || {},
+        semantic: cacheStats.semantic || {},
+        store: storeStats,
         lastCleanup: cacheStats.lastCleanup || 'Never'
       });
     } catch (error) {
@@ -98,7 +107,8 @@ router.get('/usage/stats',
   asyncHandler(async (req, res) => {
     try {
       let dailyRequests = 0;
-      let totalTokens = 0;
+      let cacheHits = 0;
+      let estimatedCost = 0;
 
       try {
         // Get today's AI interactions from database
@@ -107,7 +117,7 @@ router.get('/usage/stats',
 
         const { data: interactions, error } = await databaseService.supabase
           .from('ai_interactions')
-          .select('tokens_used, interaction_type')
+          .select('tokens_used, interaction_type, cache_hit, cost_usd')
           .gte('created_at', today.toISOString());
 
         if (error) {
@@ -116,20 +126,16 @@ router.get('/usage/stats',
         } else {
           // Calculate statistics from actual data
           dailyRequests = interactions ? interactions.length : 0;
-          totalTokens = interactions ? interactions.reduce((sum, i) => sum + (i.tokens_used || 0), 0) : 0;
+          cacheHits = interactions ? interactions.filter(i => i.cache_hit).length : 0;
+          estimatedCost = interactions ? interactions.reduce((sum, i) => sum + (Number(i.cost_usd) || 0), 0) : 0;
         }
       } catch (dbError) {
         console.warn('Database error when fetching AI interactions:', dbError.message);
         // Continue with default values
       }
 
-      // Get cache stats for hit rate
-      const cacheStats = aiCacheService.getStats();
-      // For now, use a default cache hit rate since we don't track hits/misses yet
-      const cacheHitRate = 0.5; // 50% default hit rate
-
-      // Estimate cost (using Gemini pricing estimates)
-      const estimatedCost = (totalTokens / 1000000) * 0.075;
+      // Every AI call is recorded with its cache hit/miss and estimated cost
+      const cacheHitRate = dailyRequests > 0 ? cacheHits / dailyRequests : 0;
 
       res.json({
         dailyRequests,
@@ -141,19 +147,97 @@ router.get('/usage/stats',
       res.status(500).json({
         error: 'Failed to get usage statistics',
         dailyRequests: 0,
-        cacheHitRate: 0.5,
+        cacheHitRate: 0,
         estimatedCost: 0
       });
     }
   })
 );
 
+// Get the caller's own AI usage and quotas
+router.get('/usage/me',
+  requireAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    const caller = aiUsageService.getCaller();
+    const [usage, quotas] = await Promise.all([
+      aiUsageService.getUsage(caller),
+      aiUsageService.getEffectiveQuotas(caller.role, caller.userId)
+    ]);
+
+    res.json({
+      success: true,
+      role: caller.role,
+      usage,
+      quotas
+    });
+  })
+);
+
+// AI spend report grouped by operation and by lesson
+router.get('/usage/report',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    const { from, to } = req.query;
+    const report = await aiUsageService.getSpendReport({ from, to });
+
+    res.json({
+      success: true,
+      report
+    });
+  })
+);
+
+// List AI quotas (defaults, per-role and per-student settings)
+router.get('/usage/quotas',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      quotas: await aiUsageService.listQuotas()
+    });
+  })
+);
+
+// Set the daily/monthly AI quota of a role or student
+router.put('/usage/quotas/:scope/:subjectId',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    const { scope, subjectId } = req.params;
+    const quota = await aiUsageService.setQuota(scope, subjectId, req.body);
+
+    res.json({
+      success: true,
+      message: `AI quota for ${scope} ${subjectId} updated`,
+      quota
+    });
+  })
+);
+
+// Remove a quota setting so the role setting or default applies again
+router.delete('/usage/quotas/:scope/:subjectId',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    const { scope, subjectId } = req.params;
+    await aiUsageService.deleteQuota(scope, subjectId);
+
+    res.json({
+      success: true,
+      message: `AI quota for ${scope} ${subjectId} removed`
+    });
+  })
+);
+
 // Generate AI tag suggestions for a lesson
 router.post('/suggest-tags',
   requireAdminAuth,
   noCacheMiddleware,
   asyncHandler(async (req, res) => {
-    try {
+    await withAIFallback(async () => {
       const { lessonData } = req.body;
 
       if (!lessonData) {
@@ -163,6 +247,8 @@ router.post('/suggest-tags',
         });
       }
 
+      aiUsageService.setLesson(lessonData.id);
+
       // Get all existing tags from the system
       const existingTags = await databaseService.getAllUniqueTags();
 
@@ -174,14 +260,14 @@ router.post('/suggest-tags',
         suggestions: suggestions
       });
 
-    } catch (error) {
+    }, error => {
       console.error('Error generating tag suggestions:', error);
       res.status(500).json({
         success: false,
         error: 'Failed to generate tag suggestions',
         message: error.message
       });
-    }
+    });
   })
 );
 
@@ -190,7 +276,7 @@ router.post('/chat-assist',
   requireAdminAuth,
   noCacheMiddleware,
   asyncHandler(async (req, res) => {
-    try {
+    await withAIFallback(async () => {
       const { message, lessonContent, stream = false, useGoogleSearch = false, toolMode = 'url' } = req.body;
 
       if (!message) {
@@ -200,6 +286,11 @@ router.post('/chat-assist',
         });
       }
 
+      aiUsageService.setLesson(lessonContent?.id);
+
+      // Answer with a plain 429 before the event stream is opened
+      await aiUsageService.reserveForRequest('chat', res);
+
       if (stream) {
         // Set up Server-Sent Events
         res.writeHead(200, {
@@ -213,10 +304,13 @@ router.post('/chat-assist',
         try {
           // Generate AI response with true streaming
           const options = { stream: true, useGoogleSearch, toolMode };
-          await aiService.generateChatAssistance(message, lessonContent, options, (chunk) => {
+          const { sources } = await aiService.generateChatAssistance(message, lessonContent, options, (chunk) => {
             res.write(`data: ${JSON.stringify({ type: 'chunk', content: chunk })}\n\n`);
           });
 
+          if (sources.length > 0) {
+            res.write(`data: ${JSON.stringify({ type: 'sources', sources })}\n\n`);
+          }
           res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`);
           res.end();
         } catch (streamError) {
@@ -231,18 +325,19 @@ router.post('/chat-assist',
         res.json({
           success: true,
           message: response.message,
-          actions: response.actions || []
+          actions: response.actions || [],
+          sources: response.sources || []
         });
       }
 
-    } catch (error) {
+    }, error => {
       console.error('Error in AI chat assistance:', error);
       res.status(500).json({
         success: false,
         error: 'Failed to generate AI assistance',
         message: error.message
       });
-    }
+    });
   })
 );
 
@@ -251,7 +346,7 @@ router.post('/analyze-lesson',
   requireAdminAuth,
   noCacheMiddleware,
   asyncHandler(async (req, res) => {
-    try {
+    await withAIFallback(async () => {
       const { lessonContent } = req.body;
 
       if (!lessonContent) {
@@ -261,6 +356,8 @@ router.post('/analyze-lesson',
         });
       }
 
+      aiUsageService.setLesson(lessonContent.id);
+
       // Generate lesson analysis
       const analysis = await aiService.analyzeLessonContent(lessonContent);
 
@@ -269,14 +366,125 @@ router.post('/analyze-lesson',
         analysis: analysis
       });
 
-    } catch (error) {
+    }, error => {
       console.error('Error in lesson analysis:', error);
       res.status(500).json({
         success: false,
         error: 'Failed to analyze lesson',
         message: error.message
       });
-    }
+    });
+  })
+);
+
+// Generate practice questions for a materials topic as a draft lesson
+// Body: { grade, chapter, topic, counts: { abcd, truefalse, number }, difficultyMix, createLesson }
+// With createLesson=true the draft is saved straight away (unpublished)
+router.post('/generate-questions',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    await withAIFallback(async () => {
+      const { grade, chapter, topic, counts, difficultyMix, title } = req.body;
+      const { lesson: draft, report } = await questionGenerationService.generateDraftLesson({
+        grade, chapter, topic, counts, difficultyMix
+      });
+      if (title) draft.title = String(title);
+
+      let lesson = null;
+      if ((req.body.createLesson === true || req.body.createLesson === 'true') && draft.questions.length > 0) {
+        lesson = await databaseService.createLesson(draft, { revisionNote: 'ai:generate' });
+      }
+
+      res.json({
+        success: true,
+        message: `Generated ${draft.questions.length} question(s), ${report.rejected.length} rejected`,
+        draft,
+        report,
+        lesson
+      });
+
+    }, error => {
+      // Invalid requests still get their 400 with the offending fields
+      if (error instanceof ValidationError) throw error;
+
+      console.error('Error generating questions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate questions',
+        message: error.message
+      });
+    });
+  })
+);
+
+// List prompt templates with their versions and variables
+router.get('/prompts',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      templates: await promptRegistry.list()
+    });
+  })
+);
+
+// Re-read prompt template files and stored edits; cached responses of changed templates are dropped
+router.post('/prompts/reload',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    const { changed } = await promptRegistry.reload();
+
+    res.json({
+      success: true,
+      changed,
+      templates: await promptRegistry.list()
+    });
+  })
+);
+
+// Get a prompt template including its text
+router.get('/prompts/:name',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      template: await promptRegistry.get(req.params.name)
+    });
+  })
+);
+
+// Preview a prompt template rendered with sample variables
+router.post('/prompts/:name/preview',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    const { variables = {} } = req.body;
+    const preview = await promptRegistry.preview(req.params.name, variables);
+
+    res.json({
+      success: true,
+      ...preview
+    });
+  })
+);
+
+// Edit a prompt template (bumps its version and invalidates its cached responses)
+router.put('/prompts/:name',
+  requireAdminAuth,
+  noCacheMiddleware,
+  asyncHandler(async (req, res) => {
+    const { body, description } = req.body;
+    const template = await promptRegistry.update(req.params.name, { body, description });
+
+    res.json({
+      success: true,
+      message: `Prompt template ${template.name} updated to version ${template.version}`,
+      template
+    });
   })
 );
 
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+
+// Import middleware
+const { noCacheMiddleware } = require('../lib/middleware/cache');
+const { asyncHandler, AppError, AuthenticationError } = require('../lib/middleware/errorHandler');
+
+// Import services
+const attemptService = require('../lib/services/attemptService');
+const webhookInboxService = require('../lib/services/events/webhookInboxService');
+const outboundWebhookService = require('../lib/services/events/outboundWebhookService');
+const { CRON_CONFIG } = require('../lib/config/constants');
+
+// Apply no-cache middleware to all cron routes
+router.use(noCacheMiddleware);
+
+/**
+ * Scheduled jobs
+ * Serverless instances are frozen between requests, so timers never fire reliably there.
+ * Vercel Cron calls these routes instead (see "crons" in vercel.json) with
+ * "Authorization: Bearer <CRON_SECRET>". Every job is safe to run concurrently and
+ * to run again: rows are claimed before they are processed.
+ */
+
+// Middleware to accept only requests carrying the cron secret
+const requireCronSecret = (req, res, next) => {
+  if (!CRON_CONFIG.SECRET) {
+    return next(new AppError('Cron secret is not configured', 503, 'CRON_NOT_CONFIGURED'));
+  }
+
+  const received = Buffer.from(req.get('authorization') || '');
+  const expected = Buffer.from(`Bearer ${CRON_CONFIG.SECRET}`);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return next(new AuthenticationError('Invalid cron secret'));
+  }
+
+  next();
+};
+
+// Finalize lesson attempts that ran past their time limit and were abandoned
+router.get('/attempts', requireCronSecret, asyncHandler(async (req, res) => {
+  const finalized = await attemptService.finalizeExpiredAttempts();
+
+  res.json({
+    success: true,
+    job: 'attempts',
+    finalized,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Retry received webhooks whose processing failed or was abandoned
+router.get('/webhooks', requireCronSecret, asyncHandler(async (req, res) => {
+  const summary = await webhookInboxService.retryDue();
+
+  res.json({
+    success: true,
+    job: 'webhooks',
+    ...summary,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Deliver queued outbound webhooks, retry failed ones and take over abandoned ones
+router.get('/outbound-webhooks', requireCronSecret, asyncHandler(async (req, res) => {
+  const summary = await outboundWebhookService.processQueue();
+
+  res.json({
+    success: true,
+    job: 'outbound-webhooks',
+    ...summary,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 
 // Import controllers
 const lessonController = require('../lib/controllers/lessonController');
+const attemptController = require('../lib/controllers/attemptController');
 
 // Import services
 const databaseService = require('../lib/services/databaseService');
@@ -12,7 +13,9 @@ const {
   validateIdParam,
   validatePagination,
   validateSearch,
-  validateLesson
+  validateLesson,
+  validateLessonPublication,
+  validateAttemptSubmission
 } = require('../lib/middleware/validation');
 const {
   requireAdminAuth,
@@ -25,6 +28,7 @@ const {
   noCacheMiddleware,
   shortCacheMiddleware
 } = require('../lib/middleware/cache');
+const { aiRateLimit } = require('../lib/middleware/rateLimiting');
 
 // Public lesson routes (with optional authentication)
 router.get('/',
@@ -129,6 +133,13 @@ router.get('/without-images',
   }
 );
 
+// Parse "Câu X:" lesson text into questions without saving (admin only)
+router.post('/parse-text',
+  requireAdminAuth,
+  noCacheMiddleware,
+  lessonController.parseLessonText
+);
+
 // Get lesson by ID - ENCRYPTED (contains quiz questions)
 router.get('/:id',
   optionalAuth,
@@ -137,6 +148,50 @@ router.get('/:id',
   lessonController.getLessonById
 );
 
+// Lesson attempts (student only) - fix the served questions and time the attempt on the server
+router.post('/:id/attempts',
+  requireStudentAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  attemptController.startAttempt
+);
+
+router.post('/:id/attempts/:attemptId/heartbeat',
+  requireStudentAuth,
+  validateIdParam('id'),
+  validateIdParam('attemptId'),
+  validateAttemptSubmission,
+  noCacheMiddleware,
+  attemptController.heartbeatAttempt
+);
+
+router.post('/:id/attempts/:attemptId/submit',
+  requireStudentAuth,
+  validateIdParam('id'),
+  validateIdParam('attemptId'),
+  validateAttemptSubmission,
+  noCacheMiddleware,
+  attemptController.submitAttempt
+);
+
+router.get('/:id/attempts/:attemptId/hints',
+  requireStudentAuth,
+  validateIdParam('id'),
+  validateIdParam('attemptId'),
+  noCacheMiddleware,
+  attemptController.getAttemptHints
+);
+
+// Progressive hints (practice attempts) - each tier costs part of the question's points
+router.post('/:id/attempts/:attemptId/hints',
+  requireStudentAuth,
+  validateIdParam('id'),
+  validateIdParam('attemptId'),
+  noCacheMiddleware,
+  aiRateLimit,
+  attemptController.requestHint
+);
+
 // Admin-only lesson management routes
 router.post('/',
   requireAdminAuth,
@@ -153,6 +208,14 @@ router.put('/:id',
   lessonController.updateLesson
 );
 
+router.patch('/:id/publication',
+  requireAdminAuth,
+  validateIdParam('id'),
+  validateLessonPublication,
+  noCacheMiddleware,
+  lessonController.updateLessonPublication
+);
+
 router.delete('/:id',
   requireAdminAuth,
   validateIdParam('id'),
@@ -174,6 +237,13 @@ router.post('/:id/duplicate',
 );
 
 // Lesson statistics and results (admin only)
+router.get('/:id/hints/stats',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.getLessonHintStats
+);
+
 router.get('/:id/statistics',
   requireAdminAuth,
   validateIdParam('id'),
@@ -189,6 +259,90 @@ router.get('/:id/results',
   lessonController.getLessonResults
 );
 
+// Export questions as Moodle XML or GIFT (admin only)
+router.get('/:id/export',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.exportLesson
+);
+
+// Lesson questions as "Câu X:" text (admin only)
+router.get('/:id/text',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.getLessonText
+);
+
+// Re-grade stored results after an answer-key correction (admin only)
+router.post('/:id/regrade',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.regradeLessonResults
+);
+
+// Worked solutions stored on the questions (admin only)
+router.get('/:id/solutions',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.getLessonSolutions
+);
+
+router.post('/:id/solutions/generate',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.generateLessonSolutions
+);
+
+router.post('/:id/solutions/approve',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.approveLessonSolutions
+);
+
+router.put('/:id/solutions/:questionKey',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.updateQuestionSolution
+);
+
+// Lesson revision history (admin only)
+router.get('/:id/revisions',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.getLessonRevisions
+);
+
+router.get('/:id/revisions/diff',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  lessonController.diffLessonRevisions
+);
+
+router.get('/:id/revisions/:revision',
+  requireAdminAuth,
+  validateIdParam('id'),
+  validateIdParam('revision'),
+  noCacheMiddleware,
+  lessonController.getLessonRevision
+);
+
+router.post('/:id/revisions/:revision/restore',
+  requireAdminAuth,
+  validateIdParam('id'),
+  validateIdParam('revision'),
+  noCacheMiddleware,
+  lessonController.restoreLessonRevision
+);
+
 // Student-accessible ranking data
 router.get('/:id/rankings',
   optionalAuth,
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const questionBankController = require('../lib/controllers/questionBankController');
+
+// Import middleware
+const { validateIdParam, validateBankQuestion } = require('../lib/middleware/validation');
+const { requireAdminAuth } = require('../lib/middleware/auth');
+const { noCacheMiddleware } = require('../lib/middleware/cache');
+
+// The question bank is admin only
+router.get('/',
+  requireAdminAuth,
+  noCacheMiddleware,
+  questionBankController.getQuestions
+);
+
+router.get('/:id',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  questionBankController.getQuestionById
+);
+
+router.get('/:id/usage',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  questionBankController.getQuestionUsage
+);
+
+router.post('/',
+  requireAdminAuth,
+  validateBankQuestion,
+  noCacheMiddleware,
+  questionBankController.createQuestion
+);
+
+router.put('/:id',
+  requireAdminAuth,
+  validateIdParam('id'),
+  validateBankQuestion,
+  noCacheMiddleware,
+  questionBankController.updateQuestion
+);
+
+router.delete('/:id',
+  requireAdminAuth,
+  validateIdParam('id'),
+  noCacheMiddleware,
+  questionBankController.deleteQuestion
+);
+
+module.exports = router;
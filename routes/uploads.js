@@ -4,6 +4,7 @@ const multer = require('multer');
 
 // Import controllers
 const uploadController = require('../lib/controllers/uploadController');
+const aiUsageService = require('../lib/services/ai/aiUsageService');
 
 // Import middleware
 const { 
@@ -47,6 +48,15 @@ const upload = multer({
   }
 });
 
+// Quiz files (Moodle XML / GIFT) are plain text and are checked by extension in the controller
+const quizUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 1
+  }
+});
+
 // Apply admin authentication to all upload routes
 router.use(requireAdminAuth);
 router.use(noCacheMiddleware);
@@ -76,10 +86,37 @@ router.delete('/image/:filename',
 router.post('/document',
   upload.single('document'),
   uploadErrorHandler,
+  aiUsageService.trackCaller(), // multer's stream callbacks lose the caller set in api/index.js
   validateFileUpload,
   uploadController.uploadDocument
 );
 
+// Progress of chunked document formatting (poll, or stream as Server-Sent Events)
+router.get('/document/jobs/:jobId',
+  validateIdParam('jobId'),
+  uploadController.getDocumentJob
+);
+
+router.get('/document/jobs/:jobId/stream',
+  validateIdParam('jobId'),
+  uploadController.streamDocumentJob
+);
+
+// Word question sheet import without the AI step (equations, images and answer marks kept)
+router.post('/docx',
+  upload.single('document'),
+  uploadErrorHandler,
+  validateFileUpload,
+  uploadController.importDocx
+);
+
+// Moodle XML / GIFT question import (file upload or raw text in "content")
+router.post('/quiz',
+  quizUpload.single('file'),
+  uploadErrorHandler,
+  uploadController.importQuiz
+);
+
 // File validation route
 router.post('/validate',
   upload.single('file'),
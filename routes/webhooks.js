@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 
 // Import middleware
 const { noCacheMiddleware } = require('../lib/middleware/cache');
+const { asyncHandler, AppError, AuthenticationError } = require('../lib/middleware/errorHandler');
+
+// Import services
+const webhookInboxService = require('../lib/services/events/webhookInboxService');
+const { getChangeKey } = require('../lib/services/events/supabaseEvents');
+const { verifySignature } = require('../lib/utils/webhookSignature');
+const { WEBHOOK_CONFIG } = require('../lib/config/constants');
 
 // Apply no-cache middleware to all webhook routes
 router.use(noCacheMiddleware);
@@ -11,160 +17,115 @@ router.use(noCacheMiddleware);
 /**
  * Supabase Webhook Handler
  * Handles webhooks from Supabase database triggers
- * These endpoints bypass CSRF protection as they come from external sources
+ * These endpoints bypass CSRF protection as they come from external sources, so every
+ * request must be signed with SUPABASE_WEBHOOK_SECRET (see lib/utils/webhookSignature.js).
+ * Verified webhooks are stored in the inbox, deduplicated, and turned into the domain
+ * events the app publishes itself (lesson.created, result.created, student.approved...),
+ * so changes made directly in the database invalidate caches the same way.
  */
 
-// Middleware to validate Supabase webhook signature (optional but recommended)
+// Middleware to verify the HMAC signature and timestamp of a Supabase webhook
 const validateSupabaseWebhook = (req, res, next) => {
-  // You can add webhook signature validation here if needed
-  // For now, we'll just log the webhook for debugging
-  console.log('[Webhook] Supabase webhook received:', {
-    method: req.method,
-    path: req.path,
-    headers: {
-      'user-agent': req.headers['user-agent'],
-      'content-type': req.headers['content-type']
-    },
-    body: req.body
+  const secret = WEBHOOK_CONFIG.SUPABASE_SECRET;
+  if (!secret) {
+    return next(new AppError('Webhook secret is not configured', 503, 'WEBHOOK_NOT_CONFIGURED'));
+  }
+
+  const result = verifySignature({
+    secret,
+    signature: req.get(WEBHOOK_CONFIG.SIGNATURE_HEADER),
+    timestamp: req.get(WEBHOOK_CONFIG.TIMESTAMP_HEADER),
+    body: req.rawBody,
+    toleranceSeconds: WEBHOOK_CONFIG.TOLERANCE_SECONDS
   });
-  
+
+  if (!result.valid) {
+    console.warn(`[Webhook] Rejected ${req.method} ${req.originalUrl}: ${result.reason}`);
+    return next(new AuthenticationError('Invalid webhook signature'));
+  }
+
   next();
 };
 
+// Store the webhook in the inbox and process it once
+const receiveWebhook = async (req, topic) => {
+  // The signed timestamp only bounds the replay window; retries of a change are signed again
+  // with a new one, so the change itself (from the signed body) identifies the delivery
+  const { duplicate, entry } = await webhookInboxService.receive({
+    dedupKey: `supabase:${getChangeKey(topic, req.body || {})}`,
+    source: 'supabase',
+    topic,
+    payload: req.body || {}
+  });
+
+  return {
+    inboxId: entry?.id || null,
+    status: entry?.status || null,
+    duplicate,
+    events: entry?.events || []
+  };
+};
+
 // Generic webhook handler for database events
-router.post('/database/:event', validateSupabaseWebhook, (req, res) => {
+router.post('/database/:event', validateSupabaseWebhook, asyncHandler(async (req, res) => {
   const { event } = req.params;
-  const payload = req.body;
   
-  console.log(`[Webhook] Database ${event} event:`, payload);
+  console.log(`[Webhook] Database ${event} event:`, req.body?.table);
   
-  // Handle different database events
-  switch (event) {
-    case 'insert':
-      handleDatabaseInsert(payload);
-      break;
-    case 'update':
-      handleDatabaseUpdate(payload);
-      break;
-    case 'delete':
-      handleDatabaseDelete(payload);
-      break;
-    default:
-      console.log(`[Webhook] Unknown database event: ${event}`);
-  }
+  const result = await receiveWebhook(req, `database/${event}`);
   
-  // Always respond with success to prevent webhook retries
+  // Respond with success even when a subscriber failed: the inbox retries it
   res.status(200).json({
     success: true,
     message: 'Webhook processed successfully',
     event: event,
+    ...result,
     timestamp: new Date().toISOString()
   });
-});
+}));
 
 // Specific handlers for different table events
-router.post('/students/:action', validateSupabaseWebhook, (req, res) => {
+router.post('/students/:action', validateSupabaseWebhook, asyncHandler(async (req, res) => {
   const { action } = req.params;
-  const payload = req.body;
   
-  console.log(`[Webhook] Student ${action} webhook:`, payload);
+  console.log(`[Webhook] Student ${action} webhook:`, req.body?.record?.id);
   
-  // Handle student-related webhooks
-  switch (action) {
-    case 'created':
-      handleStudentCreated(payload);
-      break;
-    case 'updated':
-      handleStudentUpdated(payload);
-      break;
-    case 'approved':
-      handleStudentApproved(payload);
-      break;
-    default:
-      console.log(`[Webhook] Unknown student action: ${action}`);
-  }
+  // created and approved have domain events; updated is recorded as ignored
+  const result = await receiveWebhook(req, `students/${action}`);
   
   res.status(200).json({
     success: true,
     message: 'Student webhook processed',
-    action: action
+    action: action,
+    ...result
   });
-});
+}));
 
-router.post('/lessons/:action', validateSupabaseWebhook, (req, res) => {
+router.post('/lessons/:action', validateSupabaseWebhook, asyncHandler(async (req, res) => {
   const { action } = req.params;
-  const payload = req.body;
   
-  console.log(`[Webhook] Lesson ${action} webhook:`, payload);
+  console.log(`[Webhook] Lesson ${action} webhook:`, req.body?.record?.id || req.body?.old_record?.id);
   
-  // Handle lesson-related webhooks
-  switch (action) {
-    case 'created':
-      handleLessonCreated(payload);
-      break;
-    case 'updated':
-      handleLessonUpdated(payload);
-      break;
-    default:
-      console.log(`[Webhook] Unknown lesson action: ${action}`);
-  }
+  // created, updated and deleted map to lesson.* events
+  const result = await receiveWebhook(req, `lessons/${action}`);
   
   res.status(200).json({
     success: true,
     message: 'Lesson webhook processed',
-    action: action
+    action: action,
+    ...result
   });
-});
+}));
 
 // Health check endpoint for webhook monitoring
 router.get('/health', (req, res) => {
   res.status(200).json({
     success: true,
     message: 'Webhook service is healthy',
+    signed: Boolean(WEBHOOK_CONFIG.SUPABASE_SECRET),
     timestamp: new Date().toISOString(),
     service: 'supabase-webhooks'
   });
 });
 
-// Webhook event handlers
-function handleDatabaseInsert(payload) {
-  // Handle database insert events
-  console.log('[Handler] Processing database insert:', payload?.table);
-}
-
-function handleDatabaseUpdate(payload) {
-  // Handle database update events
-  console.log('[Handler] Processing database update:', payload?.table);
-}
-
-function handleDatabaseDelete(payload) {
-  // Handle database delete events
-  console.log('[Handler] Processing database delete:', payload?.table);
-}
-
-function handleStudentCreated(payload) {
-  // Handle new student creation
-  console.log('[Handler] New student created:', payload?.record?.id);
-}
-
-function handleStudentUpdated(payload) {
-  // Handle student updates
-  console.log('[Handler] Student updated:', payload?.record?.id);
-}
-
-function handleStudentApproved(payload) {
-  // Handle student approval
-  console.log('[Handler] Student approved:', payload?.record?.id);
-}
-
-function handleLessonCreated(payload) {
-  // Handle new lesson creation
-  console.log('[Handler] New lesson created:', payload?.record?.id);
-}
-
-function handleLessonUpdated(payload) {
-  // Handle lesson updates
-  console.log('[Handler] Lesson updated:', payload?.record?.id);
-}
-
 module.exports = router;
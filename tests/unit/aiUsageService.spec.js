@@ -0,0 +1,130 @@
+import { test, expect } from '@playwright/test';
+import { EventEmitter } from 'events';
+import './helpers/databaseEnv';
+import { pgPool } from '../../lib/config/database';
+import aiUsageService from '../../lib/services/ai/aiUsageService';
+
+const STUDENT = { role: 'student', userId: '42', lessonId: '7' };
+
+// Stand-in for a pooled pg client; usage is the row the quota count query returns
+function installFakePool(usage, { failOn = null } = {}) {
+  const client = { queries: [], released: false };
+  client.query = async (sql, params) => {
+    client.queries.push({ sql: sql.trim().split(/\s+/).slice(0, 2).join(' '), params });
+    if (failOn && sql.includes(failOn)) throw new Error('connection reset');
+    if (sql.includes('FROM ai_interactions')) return { rows: [usage] };
+    if (sql.includes('RETURNING id')) return { rows: [{ id: 99 }] };
+    return { rows: [] };
+  };
+  client.release = () => { client.released = true; };
+
+  const { connect } = pgPool;
+  pgPool.connect = async () => client;
+  return { client, restore: () => { pgPool.connect = connect; } };
+}
+
+const usageRow = (requests, tokens = 0) => ({
+  daily_requests: requests, daily_tokens: String(tokens), monthly_requests: requests, monthly_tokens: String(tokens)
+});
+
+let pool;
+
+test.beforeEach(() => {
+  aiUsageService.quotaCache = {
+    settings: new Map([['role:student', { daily: { tokens: null, requests: 2 }, monthly: { tokens: null, requests: null } }]]),
+    expiresAt: Date.now() + 60000
+  };
+});
+
+test.afterEach(() => {
+  if (pool) pool.restore();
+  pool = null;
+  aiUsageService.quotaCache = null;
+});
+
+test.describe('aiUsageService.reserve', () => {
+  test('should not reserve calls of callers without a quota', async () => {
+    pool = installFakePool(usageRow(0));
+    expect(await aiUsageService.reserve('chat', { role: 'admin', userId: 'admin', lessonId: null })).toBeNull();
+    expect(pool.client.queries).toEqual([]);
+  });
+
+  test('should count and reserve under a per-caller lock in one transaction', async () => {
+    pool = installFakePool(usageRow(1));
+
+    expect(await aiUsageService.reserve('chat', STUDENT)).toBe(99);
+    expect(pool.client.queries.map(query => query.sql)).toEqual([
+      'BEGIN', 'SELECT pg_advisory_xact_lock(hashtext($1))', 'SELECT count(*)::int', 'INSERT INTO', 'COMMIT'
+    ]);
+    expect(pool.client.queries[1].params).toEqual(['ai_quota:student:42']);
+    expect(pool.client.queries[3].params).toEqual(['student', '42', '7', 'chat']);
+    expect(pool.client.released).toBe(true);
+  });
+
+  test('should roll back and refuse the call when a quota is used up', async () => {
+    pool = installFakePool(usageRow(2));
+
+    const error = await aiUsageService.reserve('chat', STUDENT).catch(caught => caught);
+    expect(error).toMatchObject({ statusCode: 429, code: 'AI_QUOTA_EXCEEDED' });
+    expect(error.details).toMatchObject({ period: 'daily', metric: 'requests', limit: 2, used: 2 });
+    expect(pool.client.queries.map(query => query.sql)).not.toContain('INSERT INTO');
+    expect(pool.client.queries.at(-1).sql).toBe('ROLLBACK');
+    expect(pool.client.released).toBe(true);
+  });
+
+  test('should refuse the call when usage cannot be read', async () => {
+    pool = installFakePool(usageRow(0), { failOn: 'FROM ai_interactions' });
+    const { error: logError } = console;
+    console.error = () => {};
+
+    try {
+      await expect(aiUsageService.reserve('chat', STUDENT)).rejects.toMatchObject({ statusCode: 503, code: 'AI_QUOTA_UNAVAILABLE' });
+    } finally {
+      console.error = logError;
+    }
+    expect(pool.client.queries.at(-1).sql).toBe('ROLLBACK');
+    expect(pool.client.released).toBe(true);
+  });
+});
+
+test.describe('aiUsageService.reserveForRequest', () => {
+  test('should hand the reservation to the next model call of the request', async () => {
+    pool = installFakePool(usageRow(1));
+    const res = new EventEmitter();
+    const released = [];
+    const { release } = aiUsageService;
+    aiUsageService.release = async reservationId => { released.push(reservationId); };
+
+    try {
+      await aiUsageService.callers.run({ ...STUDENT }, async () => {
+        await aiUsageService.reserveForRequest('chat', res);
+        const queryCount = pool.client.queries.length;
+
+        expect(await aiUsageService.reserve('chat')).toBe(99);
+        expect(pool.client.queries).toHaveLength(queryCount);
+      });
+      res.emit('close');
+    } finally {
+      aiUsageService.release = release;
+    }
+
+    expect(released).toEqual([]);
+  });
+
+  test('should release a reservation no model call used when the response ends', async () => {
+    pool = installFakePool(usageRow(1));
+    const res = new EventEmitter();
+    const released = [];
+    const { release } = aiUsageService;
+    aiUsageService.release = async reservationId => { released.push(reservationId); };
+
+    try {
+      await aiUsageService.callers.run({ ...STUDENT }, () => aiUsageService.reserveForRequest('formatDocument', res));
+      res.emit('close');
+    } finally {
+      aiUsageService.release = release;
+    }
+
+    expect(released).toEqual([99]);
+  });
+});
@@ -0,0 +1,21 @@
+import { test, expect } from '@playwright/test';
+import { evaluateExpression } from '../../lib/utils/arithmetic';
+
+test.describe('evaluateExpression', () => {
+  test('should follow operator precedence with decimal commas', () => {
+    expect(evaluateExpression('(20 - 5) / 1,5 * 9.8^2')).toBeCloseTo(960.4);
+    expect(evaluateExpression('2^3^2')).toBe(512);
+    expect(evaluateExpression('-2^2')).toBe(-4);
+  });
+
+  test('should support functions with angles in degrees', () => {
+    expect(evaluateExpression('sqrt(16) + sin(30)')).toBeCloseTo(4.5);
+    expect(evaluateExpression('cos(60) * pi')).toBeCloseTo(Math.PI / 2);
+  });
+
+  test('should return null instead of evaluating anything else', () => {
+    ['1/0', '2 +', '(1', 'foo(2)', 'process.exit()'].forEach(expression => {
+      expect(evaluateExpression(expression)).toBeNull();
+    });
+  });
+});
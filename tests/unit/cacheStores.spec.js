@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCacheStore, MemoryStore, FileStore } from '../../lib/services/cache/stores';
+
+const LIMITS = { maxEntries: 3, maxValueBytes: 64, cleanupEvery: 1000 };
+
+const STORES = {
+  memory: () => new MemoryStore(LIMITS),
+  file: () => new FileStore({ ...LIMITS, directory: fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-')) })
+};
+
+let store;
+
+// File modification times are coarse, so writes whose order matters are spaced out
+async function writeInOrder(entries) {
+  for (const [key, value, ttl] of entries) {
+    await store.set(key, value, ttl);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test.afterEach(() => {
+  if (store && store.directory) fs.rmSync(store.directory, { recursive: true, force: true });
+  store = null;
+});
+
+for (const [name, createStore] of Object.entries(STORES)) {
+  test.describe(`${name} cache store`, () => {
+    test('should read back JSON values and delete by key or prefix', async () => {
+      store = createStore();
+
+      expect(await store.set('lesson:1', { title: 'Lực', tags: ['a'] }, 60)).toBe(true);
+      await store.set('lesson:2', [1, 2], 60);
+      await store.set('result:1', 'ok', 60);
+
+      expect(await store.get('lesson:1')).toEqual({ title: 'Lực', tags: ['a'] });
+      expect(await store.get('missing')).toBeNull();
+      expect(await store.deleteByPrefix('lesson:')).toBe(2);
+      expect(await store.delete('result:1')).toBe(true);
+      expect(await store.delete('result:1')).toBe(false);
+      expect((await store.getStats()).entries).toBe(0);
+    });
+
+    test('should refuse values larger than maxValueBytes', async () => {
+      store = createStore();
+      expect(await store.set('big', 'x'.repeat(100), 60)).toBe(false);
+      expect(await store.get('big')).toBeNull();
+    });
+
+    test('should expire entries and drop the oldest writes beyond maxEntries', async () => {
+      store = createStore();
+
+      await writeInOrder([['expired', 1, 60], ['a', 1, 60], ['b', 2, 60], ['c', 3]]);
+
+      const realNow = Date.now;
+      Date.now = () => realNow() + 61 * 1000;
+      try {
+        expect(await store.get('expired')).toBeNull();
+        expect(await store.get('c')).toBe(3);
+      } finally {
+        Date.now = realNow;
+      }
+
+      await writeInOrder([['d', 4, 60], ['e', 5, 60]]);
+      await store.cleanup();
+
+      expect((await store.getStats()).entries).toBe(3);
+      expect(await store.get('a')).toBeNull();
+      expect(await store.get('e')).toBe(5);
+    });
+  });
+}
+
+test.describe('createCacheStore', () => {
+  test('should reject unknown store names', () => {
+    expect(createCacheStore('memory')).toBeInstanceOf(MemoryStore);
+    expect(() => createCacheStore('redis')).toThrow('Unknown cache store "redis"');
+  });
+});
@@ -0,0 +1,47 @@
+import { test, expect } from '@playwright/test';
+import {
+  findQuestionStarts,
+  countSourceQuestions,
+  splitAtQuestionBoundaries
+} from '../../lib/utils/documentChunker';
+
+const EXAM = [
+  'ĐỀ KIỂM TRA 15 PHÚT',
+  'Câu 1: Đơn vị của lực?',
+  'A. Joule',
+  'B. Newton',
+  'Câu 2. Gia tốc rơi tự do?',
+  'Bài 3) Tính quãng đường',
+  'Question 4: What is g?'
+].join('\r\n');
+
+test.describe('documentChunker', () => {
+  test('should find question starts in every supported label style', () => {
+    expect(findQuestionStarts(EXAM).map(start => start.number)).toEqual([1, 2, 3, 4]);
+    expect(countSourceQuestions(EXAM)).toBe(4);
+    expect(countSourceQuestions('Đáp án câu 1: B')).toBe(0);
+    expect(countSourceQuestions(null)).toBe(0);
+  });
+
+  test('should keep the header with the first chunk and never split a question', () => {
+    const chunks = splitAtQuestionBoundaries(EXAM, { maxQuestions: 2 });
+
+    expect(chunks.map(chunk => chunk.sourceQuestions)).toEqual([2, 2]);
+    expect(chunks[0].text).toBe('ĐỀ KIỂM TRA 15 PHÚT\nCâu 1: Đơn vị của lực?\nA. Joule\nB. Newton\nCâu 2. Gia tốc rơi tự do?');
+    expect(chunks[1]).toEqual({ index: 1, text: 'Bài 3) Tính quãng đường\nQuestion 4: What is g?', sourceQuestions: 2 });
+  });
+
+  test('should start a new chunk before exceeding the character limit', () => {
+    const chunks = splitAtQuestionBoundaries(EXAM, { maxChars: 60 });
+    expect(chunks.map(chunk => chunk.sourceQuestions)).toEqual([1, 2, 1]);
+
+    // A single question longer than the limit still forms its own chunk
+    expect(splitAtQuestionBoundaries(EXAM, { maxChars: 10 })).toHaveLength(4);
+  });
+
+  test('should return text without questions as a single chunk', () => {
+    expect(splitAtQuestionBoundaries('  Lý thuyết về lực  \n')).toEqual([
+      { index: 0, text: 'Lý thuyết về lực', sourceQuestions: 0 }
+    ]);
+  });
+});
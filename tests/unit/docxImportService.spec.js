@@ -0,0 +1,65 @@
+import { test, expect } from '@playwright/test';
+import JSZip from 'jszip';
+import './helpers/databaseEnv';
+import docxImportService from '../../lib/services/docxImportService';
+
+const run = (text, properties = '') =>
+  `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${text}</w:t></w:r>`;
+const paragraph = (...runs) => `<w:p>${runs.join('')}</w:p>`;
+const subscript = (base, index) =>
+  `<m:oMath><m:sSub><m:e><m:r><m:t>${base}</m:t></m:r></m:e><m:sub><m:r><m:t>${index}</m:t></m:r></m:sub></m:sSub></m:oMath>`;
+
+async function buildDocx(paragraphs) {
+  const zip = new JSZip();
+  zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<w:document xmlns:w="w" xmlns:m="m"><w:body>${paragraphs.join('')}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test.describe('docxImportService', () => {
+  test('should read answers from formatting and answer lines', async () => {
+    const buffer = await buildDocx([
+      paragraph(run('Câu 1: Đơn vị của lực là')),
+      paragraph(run('A. Joule  '), run('B. Newton', '<w:u w:val="single"/>'), run('  C. Watt  D. Pascal')),
+      paragraph(run('Câu 2: Vận tốc '), subscript('v', '0'), run(' bằng bao nhiêu?')),
+      paragraph(run('Đáp án: 5')),
+      paragraph(run('Lời giải: v = 5 m/s')),
+      paragraph(run('Câu 3: Xét các phát biểu')),
+      paragraph(run('a) ', '<w:color w:val="FF0000"/>'), run('Đúng')),
+      paragraph(run('b) Sai'))
+    ]);
+
+    const { text, questions, errors, warnings, images } = await docxImportService.importDocx(buffer, { storeImages: false });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(images).toEqual([]);
+    expect(text).toContain('*B. Newton');
+    expect(questions).toEqual([
+      { id: 1, type: 'abcd', question: 'Đơn vị của lực là', options: ['Joule', 'Newton', 'Watt', 'Pascal'], correct: 'B' },
+      { id: 2, type: 'number', question: 'Vận tốc $v_0$ bằng bao nhiêu?', correct: '5', explanation: 'v = 5 m/s' },
+      { id: 3, type: 'truefalse', question: 'Xét các phát biểu', options: ['Đúng', 'Sai'], correct: [true, false] }
+    ]);
+  });
+
+  test('should warn about paragraphs that use Word auto-numbering', async () => {
+    const buffer = await buildDocx([
+      paragraph(run('Câu 1: Chọn đáp án')),
+      paragraph('<w:pPr><w:numPr><w:numId w:val="1"/></w:numPr></w:pPr>', run('Joule')),
+      paragraph(run('*A. Newton')),
+      paragraph(run('B. Watt'))
+    ]);
+
+    const { warnings } = await docxImportService.importDocx(buffer, { storeImages: false });
+    expect(warnings[0]).toContain('1 paragraph(s) use Word auto-numbering');
+  });
+
+  test('should reject files that are not Word documents', async () => {
+    await expect(docxImportService.importDocx(Buffer.from('not a zip'))).rejects.toThrow('not a valid Word document');
+
+    const zip = new JSZip();
+    zip.file('content.xml', '<x/>');
+    await expect(docxImportService.importDocx(await zip.generateAsync({ type: 'nodebuffer' })))
+      .rejects.toThrow('word/document.xml is missing');
+  });
+});
@@ -0,0 +1,73 @@
+import { test, expect } from '@playwright/test';
+import { escapeGift, unescapeGift, parseGift, buildGift } from '../../lib/utils/gift';
+
+const GIFT_FILE = `$CATEGORY: $course$/Vật lý
+
+::Q1:: Đơn vị của lực là gì? {
+=Newton
+~Joule
+~Watt
+####Lực đo bằng N
+}
+
+::Q2:: Trái Đất quay quanh Mặt Trời. {T}
+
+::Q3:: g bằng bao nhiêu? {#9.8:0.1}
+
+::Q4:: Viết cảm nghĩ {}
+
+::Q5:: Escaped \\{braces\\} and 1\\=1 {=a ~b}
+`;
+
+test.describe('GIFT format', () => {
+  test('should import multiple choice, true/false and numerical questions', () => {
+    const { questions } = parseGift(GIFT_FILE);
+
+    expect(questions[0]).toEqual({
+      id: 1,
+      type: 'abcd',
+      question: 'Đơn vị của lực là gì?',
+      options: ['Newton', 'Joule', 'Watt'],
+      correct: 'A',
+      explanation: 'Lực đo bằng N'
+    });
+    expect(questions[1]).toMatchObject({ type: 'truefalse', correct: [true] });
+    expect(questions[2]).toMatchObject({
+      type: 'number',
+      correct: '9.8',
+      tolerance: { type: 'absolute', value: 0.1 }
+    });
+  });
+
+  test('should unescape control characters', () => {
+    const { questions } = parseGift(GIFT_FILE);
+    expect(questions[3].question).toBe('Escaped {braces} and 1=1');
+    expect(unescapeGift(escapeGift('a = {b}\nc'))).toBe('a = {b}\nc');
+  });
+
+  test('should report unsupported questions instead of importing them', () => {
+    const { questions, unmapped } = parseGift(GIFT_FILE);
+    expect(questions).toHaveLength(4);
+    expect(unmapped).toEqual([
+      { index: 5, line: 14, name: 'Q4', reason: 'Essay questions are not supported' }
+    ]);
+
+    expect(parseGift('::M:: Match {=a -> 1 =b -> 2}').unmapped[0].reason).toBe('Matching questions are not supported');
+    expect(parseGift('::S:: Short {=answer}').unmapped[0].reason).toBe('Short answer questions are not supported');
+  });
+
+  test('should write questions that import back unchanged', () => {
+    const text = buildGift([
+      { kind: 'multichoice', name: 'A:B', text: 'x = {y}', options: ['1', '2'], correctIndex: 1, explanation: 'e' },
+      { kind: 'truefalse', name: 't', text: 'tt', answer: false },
+      { kind: 'numerical', name: 'n', text: 'nn', value: 9.8, tolerance: 0.1 }
+    ], 'Cat');
+
+    expect(text.startsWith('$CATEGORY: $course$/Cat\n')).toBe(true);
+    expect(parseGift(text).questions).toEqual([
+      { id: 1, type: 'abcd', question: 'x = {y}', options: ['1', '2'], correct: 'B', explanation: 'e' },
+      { id: 2, type: 'truefalse', question: 'tt', options: ['tt'], correct: [false] },
+      { id: 3, type: 'number', question: 'nn', correct: '9.8', tolerance: { type: 'absolute', value: 0.1 } }
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+import { test, expect } from '@playwright/test';
+import gradingService from '../../lib/services/gradingService';
+
+const QUESTIONS = [
+  { id: 'q1', type: 'abcd', question: 'A?', options: ['x', 'y', 'z', 'w'], correct: 'B' },
+  { id: 'q2', type: 'truefalse', question: 'TF', options: ['a', 'b', 'c', 'd'], correct: [true, false, true, true] },
+  { id: 'q3', type: 'number', question: 'N', correct: '9,8', tolerance: { type: 'absolute', value: 0.1 } }
+];
+
+test.describe('gradingService', () => {
+  test('should grade on the server and ignore client-sent grading fields', () => {
+    const result = gradingService.gradeSubmission({ questions: QUESTIONS, scoring_policy: 'moet' }, [
+      { questionId: 'q1', answer: 'C', isCorrect: true, correct: 'C', points: 100, earnedPoints: 100 },
+      { questionId: 'q2', answer: [true, false, false, true] },
+      { questionId: 'q3', answer: '9.75' },
+      { questionId: 'unknown', answer: 'A' }
+    ]);
+
+    expect(result.gradedAnswers.map(answer => answer.earnedPoints)).toEqual([0, 0.5, 1]);
+    expect(result.gradedAnswers[0]).toMatchObject({ isCorrect: false, correctAnswer: 'B', points: 1 });
+    expect(result.gradedAnswers[0]).not.toHaveProperty('correct');
+    expect(result.gradedAnswers[2].gradingReason).toBe('within_absolute_tolerance');
+    expect(result).toMatchObject({ score: 1.5, totalPoints: 3, scoringPolicy: 'moet', unmatchedAnswers: 1 });
+  });
+
+  test('should pad a question pool with unanswered questions when there is no snapshot', () => {
+    const lesson = { questions: QUESTIONS, enable_question_pool: true, question_pool_size: 2 };
+    const result = gradingService.gradeSubmission(lesson, [{ questionId: 'q3', answer: '9.8' }]);
+
+    expect(result.servedQuestionIds).toEqual(['q1', 'q3']);
+    expect(result.gradedAnswers[0]).toMatchObject({ answered: false, earnedPoints: 0 });
+    expect(result).toMatchObject({ score: 1, totalPoints: 2 });
+  });
+
+  test('should map answers to shuffled options back to the stored order', () => {
+    const snapshot = { questionIds: ['q1'], optionOrders: { q1: [1, 0, 2, 3] } };
+    const result = gradingService.gradeSubmission({ questions: QUESTIONS }, [{ questionId: 'q1', answer: 'A' }], snapshot);
+
+    expect(result.gradedAnswers[0]).toMatchObject({ userAnswer: 'B', isCorrect: true });
+    expect(result.servedQuestionIds).toEqual(['q1']);
+  });
+
+  test('should deduct hint penalties recorded on the attempt', () => {
+    const result = gradingService.gradeSubmission({ questions: QUESTIONS }, [{ questionId: 'q1', answer: 'B' }], null, {
+      hintUsage: { q1: 2 }
+    });
+    expect(result.gradedAnswers[0]).toMatchObject({ earnedPoints: 0.75, hintsUsed: 2, hintPenalty: 0.25 });
+  });
+
+  test('should score true/false statements by policy', () => {
+    expect(gradingService.getStatementCredit(3, 4, 'moet')).toBe(0.5);
+    expect(gradingService.getStatementCredit(3, 4, 'all_or_nothing')).toBe(0);
+    expect(gradingService.getStatementCredit(2, 3, 'moet')).toBeCloseTo(2 / 3);
+  });
+
+  test('should trust only grader-written fields of stored answers', () => {
+    expect(gradingService.getStoredAnswerCredit({ type: 'abcd', correct: true, isCorrect: false })).toBe(0);
+    expect(gradingService.getStoredAnswerCredit({ type: 'abcd', isCorrect: false, points: 2, earnedPoints: 1 })).toBe(0.5);
+    expect(gradingService.getStoredAnswerCredit({ type: 'abcd', isCorrect: true })).toBe(1);
+  });
+
+  test('should keep hint penalties in the credit of stored answers of every type', () => {
+    expect(gradingService.getStoredAnswerCredit({
+      type: 'truefalse', correctAnswer: [true, false], userAnswer: [true, false], isCorrect: true, points: 2, earnedPoints: 1.5
+    })).toBe(0.75);
+    expect(gradingService.getStoredAnswerCredit({ type: 'abcd', isCorrect: true, points: 1, earnedPoints: 0.75 })).toBe(0.75);
+  });
+
+  test('should keep only descriptive fields of practice questions', () => {
+    const sources = new Map([['p1', { question: QUESTIONS[0], scoringPolicy: 'bogus' }]]);
+    const { gradedQuestions, score } = gradingService.gradePracticeQuestions(sources, [
+      { id: 'p1', lessonId: 'L1', answer: 'B', isCorrect: false, earnedPoints: 9, extra: 'x' },
+      { id: 'p2', answer: 'A', isCorrect: true, earnedPoints: 1 }
+    ]);
+
+    expect(gradedQuestions[0]).toMatchObject({ id: 'p1', lessonId: 'L1', earnedPoints: 1, scoringPolicy: 'proportional', graded: true });
+    expect(gradedQuestions[0]).not.toHaveProperty('extra');
+    expect(gradedQuestions[1]).toEqual({ id: 'p2', earnedPoints: 0, isCorrect: false, graded: false });
+    expect(score).toBe(1);
+  });
+
+  test('should resolve points from questions, then the distribution, then one each', () => {
+    const points = gradingService.resolveQuestionPoints(
+      [{ type: 'abcd' }, { type: 'abcd', points: 3 }, { type: 'truefalse' }, { type: 'number' }],
+      { abcd: 2, truefalse: 4 }
+    );
+    expect(points).toEqual([1, 3, 4, 1]);
+  });
+});
@@ -0,0 +1,53 @@
+const BUILDER_METHODS = [
+  'select', 'insert', 'update', 'upsert', 'delete',
+  'eq', 'neq', 'in', 'is', 'or', 'ilike', 'contains',
+  'order', 'range', 'limit', 'single', 'maybeSingle'
+];
+
+/**
+ * Replace client.from with a recording query builder
+ * Every query resolves with what respond({ table, calls }) returns, where calls is
+ * the list of builder calls ([method, ...args]) made on it.
+ * @param {Object} client - Supabase client to patch
+ * @param {Function} respond - Returns { data, error, count } for a finished query
+ * @returns {Function} Restores the original client.from
+ */
+function installFakeSupabase(client, respond) {
+  const original = client.from;
+
+  client.from = table => {
+    const calls = [];
+    const builder = {
+      then(resolve, reject) {
+        return Promise.resolve()
+          .then(() => respond({ table, calls }))
+          .then(result => ({ data: null, error: null, ...result }))
+          .then(resolve, reject);
+      }
+    };
+    BUILDER_METHODS.forEach(method => {
+      builder[method] = (...args) => {
+        calls.push([method, ...args]);
+        return builder;
+      };
+    });
+    return builder;
+  };
+
+  return () => {
+    client.from = original;
+  };
+}
+
+/**
+ * Find the first call of a builder method
+ * @param {Array} calls - Recorded calls
+ * @param {string} method - Method name
+ * @returns {Array|undefined} Arguments of the call
+ */
+function findCall(calls, method) {
+  const call = calls.find(([name]) => name === method);
+  return call && call.slice(1);
+}
+
+module.exports = { installFakeSupabase, findCall };
@@ -0,0 +1,63 @@
+import { test, expect } from '@playwright/test';
+import lessonTextService from '../../lib/services/lessonTextService';
+
+const LESSON_TEXT = `Câu 1: Đơn vị của lực? [2 pts]
+A. Joule
+*B. Newton
+C. Watt
+D. Pascal
+
+Câu 2: Xét các phát biểu
+*a) Nước sôi ở 100 °C
+b) Băng tan ở 10 °C
+*c) Ánh sáng truyền thẳng
+d) Âm thanh truyền trong chân không
+
+Câu 3: g bằng bao nhiêu (m/s²)?
+Answer: 9,8
+`;
+
+test.describe('lessonTextService', () => {
+  test('should parse choice, true/false and number questions', () => {
+    const { questions, errors, warnings } = lessonTextService.parse(LESSON_TEXT);
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(questions).toEqual([
+      { id: 1, type: 'abcd', question: 'Đơn vị của lực?', options: ['Joule', 'Newton', 'Watt', 'Pascal'], correct: 'B', points: 2 },
+      {
+        id: 2,
+        type: 'truefalse',
+        question: 'Xét các phát biểu',
+        options: ['Nước sôi ở 100 °C', 'Băng tan ở 10 °C', 'Ánh sáng truyền thẳng', 'Âm thanh truyền trong chân không'],
+        correct: [true, false, true, false]
+      },
+      { id: 3, type: 'number', question: 'g bằng bao nhiêu (m/s²)?', correct: '9,8' }
+    ]);
+  });
+
+  test('should serialize questions back to the same text', () => {
+    const { questions } = lessonTextService.parse(LESSON_TEXT);
+    expect(lessonTextService.serialize(questions)).toBe(LESSON_TEXT);
+  });
+
+  test('should report unmarked answers and duplicate numbers with their line', () => {
+    const { errors } = lessonTextService.parse('Câu 1: x\nA. a\nB. b\n\nCâu 1: y\n*A. a\nB. b');
+    expect(errors.map(error => error.line)).toEqual([1, 5]);
+    expect(errors[0].message).toContain('chưa đánh dấu đáp án đúng');
+    expect(errors[1].message).toContain('trùng số thứ tự');
+  });
+
+  test('should fail text without questions', () => {
+    const { questions, errors } = lessonTextService.parse('không có câu');
+    expect(questions).toEqual([]);
+    expect(errors[0].message).toContain('Không tìm thấy câu hỏi nào');
+  });
+
+  test('should renumber questions from a starting number', () => {
+    expect(lessonTextService.renumber('Câu 3: a\nCâu 7. b\n  câu 9: c', 5)).toEqual({
+      text: 'Câu 5: a\nCâu 6: b\n  Câu 7: c',
+      count: 3
+    });
+  });
+});
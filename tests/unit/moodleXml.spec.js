@@ -0,0 +1,75 @@
+import { test, expect } from '@playwright/test';
+import { decodeEntities, escapeXml, htmlToText, parseMoodleXml, buildMoodleXml } from '../../lib/utils/moodleXml';
+
+const MOODLE_QUIZ = `<?xml version="1.0"?>
+<quiz>
+  <question type="category"><category><text>$course$/Lý</text></category></question>
+  <question type="multichoice">
+    <name><text>MC</text></name>
+    <questiontext format="html"><text><![CDATA[<p>Đơn vị của <b>lực</b> &amp; công?</p>]]></text></questiontext>
+    <generalfeedback format="html"><text>Lực: N</text></generalfeedback>
+    <single>true</single>
+    <answer fraction="0"><text>Joule</text></answer>
+    <answer fraction="100"><text>Newton</text></answer>
+  </question>
+  <question type="truefalse">
+    <name><text>TF</text></name>
+    <questiontext><text>Nước sôi ở 100 &#176;C</text></questiontext>
+    <answer fraction="100"><text>true</text></answer>
+    <answer fraction="0"><text>false</text></answer>
+  </question>
+  <question type="numerical">
+    <name><text>NUM</text></name>
+    <questiontext><text>g = ?</text></questiontext>
+    <answer fraction="100"><text>9.8</text><tolerance>0.1</tolerance></answer>
+    <units>
+      <unit><multiplier>1</multiplier><unit_name>m/s^2</unit_name></unit>
+      <unit><multiplier>100</multiplier><unit_name>cm/s^2</unit_name></unit>
+    </units>
+  </question>
+  <question type="essay"><name><text>ES</text></name><questiontext><text>Viết</text></questiontext></question>
+</quiz>`;
+
+test.describe('Moodle XML format', () => {
+  test('should decode entities and HTML text', () => {
+    expect(decodeEntities('&lt;a&gt; &#x41;&#66; &unknown;')).toBe('<a> AB &unknown;');
+    expect(escapeXml('<a & "b">')).toBe('&lt;a &amp; &quot;b&quot;&gt;');
+    expect(htmlToText('<p>A<br>B</p><p>C &amp; D</p>')).toBe('A\nB\nC & D');
+  });
+
+  test('should import multichoice, truefalse and numerical questions', () => {
+    const { questions } = parseMoodleXml(MOODLE_QUIZ);
+
+    expect(questions).toEqual([
+      { id: 1, type: 'abcd', question: 'Đơn vị của lực & công?', options: ['Joule', 'Newton'], correct: 'B', explanation: 'Lực: N' },
+      { id: 2, type: 'truefalse', question: 'Nước sôi ở 100 °C', options: ['Nước sôi ở 100 °C'], correct: [true] },
+      { id: 3, type: 'number', question: 'g = ?', correct: '9.8', tolerance: { type: 'absolute', value: 0.1 }, units: ['m/s^2'] }
+    ]);
+  });
+
+  test('should report skipped questions and dropped units', () => {
+    const { unmapped, warnings } = parseMoodleXml(MOODLE_QUIZ);
+    expect(unmapped).toEqual([{ index: 5, name: 'ES', type: 'essay', reason: 'Question type "essay" is not supported' }]);
+    expect(warnings).toEqual(['NUM: units with a multiplier other than 1 were not imported']);
+  });
+
+  test('should reject files without a quiz element', () => {
+    expect(() => parseMoodleXml('<root/>')).toThrow('missing <quiz> element');
+  });
+
+  test('should write questions that import back unchanged', () => {
+    const xml = buildMoodleXml([
+      { kind: 'multichoice', name: 'q', text: 'a]]>b\nline2', options: ['x', 'y'], correctIndex: 0 },
+      { kind: 'numerical', name: 'n', text: 't', value: 9.8, tolerance: 0.1, units: ['m/s^2'] }
+    ], 'Cat');
+
+    expect(parseMoodleXml(xml)).toEqual({
+      questions: [
+        { id: 1, type: 'abcd', question: 'a]]>b\nline2', options: ['x', 'y'], correct: 'A' },
+        { id: 2, type: 'number', question: 't', correct: '9.8', tolerance: { type: 'absolute', value: 0.1 }, units: ['m/s^2'] }
+      ],
+      unmapped: [],
+      warnings: []
+    });
+  });
+});
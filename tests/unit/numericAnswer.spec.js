@@ -0,0 +1,69 @@
+import { test, expect } from '@playwright/test';
+import {
+  parseNumber,
+  parseQuantity,
+  getUnitFactor,
+  getTolerance,
+  gradeNumericAnswer,
+  validateNumericSettings
+} from '../../lib/utils/numericAnswer';
+
+test.describe('numericAnswer', () => {
+  test('should read decimal commas and thousands separators', () => {
+    expect(parseNumber('78,5')).toBe(78.5);
+    expect(parseNumber('1.234,5')).toBe(1234.5);
+    expect(parseNumber('1,234.5')).toBe(1234.5);
+    expect(parseNumber('−2,5')).toBe(-2.5);
+    expect(parseNumber('1,2,3')).toBeNull();
+    expect(parseNumber('abc')).toBeNull();
+  });
+
+  test('should split numbers in scientific notation from their unit', () => {
+    expect(parseQuantity('78,5 J')).toEqual({ value: 78.5, unit: 'J' });
+    expect(parseQuantity('7.85e1kJ')).toEqual({ value: 78.5, unit: 'kJ' });
+    expect(parseQuantity('2,5.10^3 m')).toEqual({ value: 2500, unit: 'm' });
+    expect(parseQuantity('5 m²')).toEqual({ value: 5, unit: 'm^2' });
+  });
+
+  test('should convert between units related by an SI prefix', () => {
+    expect(getUnitFactor('kJ', 'J')).toBe(1000);
+    expect(getUnitFactor('g', 'kg')).toBe(0.001);
+    expect(getUnitFactor('cm^2', 'm^2')).toBeCloseTo(1e-4);
+    expect(getUnitFactor('J', 'm')).toBeNull();
+  });
+
+  test('should read tolerance from objects and legacy fields', () => {
+    expect(getTolerance({ tolerance: { type: 'percent', value: '1,5' } })).toEqual({ type: 'percent', value: 1.5 });
+    expect(getTolerance({ tolerance: 0.1 })).toEqual({ type: 'absolute', value: 0.1 });
+    expect(getTolerance({ tolerance: 2, toleranceType: 'relative' })).toEqual({ type: 'relative', value: 2 });
+    expect(getTolerance({ tolerance: { type: 'unknown', value: 1 } })).toBeNull();
+  });
+
+  test('should accept answers in another accepted unit', () => {
+    const result = gradeNumericAnswer({ units: ['J'] }, '78,5', '0,0785 kJ');
+    expect(result.isCorrect).toBe(true);
+    expect(result.reason).toBe('exact_match_after_unit_conversion');
+    expect(result.unit).toBe('J');
+  });
+
+  test('should apply percent and significant figure tolerances', () => {
+    const percent = { tolerance: { type: 'percent', value: 1 } };
+    expect(gradeNumericAnswer(percent, '100', '100,9').reason).toBe('within_relative_tolerance');
+    expect(gradeNumericAnswer(percent, '100', '102')).toMatchObject({ isCorrect: false, reason: 'outside_tolerance' });
+
+    const sigfigs = { tolerance: { type: 'sigfigs', value: 2 } };
+    expect(gradeNumericAnswer(sigfigs, '9.81', '9.8').reason).toBe('significant_figures_match');
+  });
+
+  test('should explain why an answer was rejected', () => {
+    expect(gradeNumericAnswer({}, '5', '').reason).toBe('no_answer');
+    expect(gradeNumericAnswer({}, '5', 'abc').reason).toBe('not_a_number');
+    expect(gradeNumericAnswer({}, '5', '5 m').reason).toBe('unit_not_accepted');
+    expect(gradeNumericAnswer({}, 'abc', '5').reason).toBe('invalid_correct_answer');
+  });
+
+  test('should validate tolerance settings', () => {
+    expect(validateNumericSettings({ tolerance: { type: 'bad', value: 1 } })).toEqual(['tolerance']);
+    expect(validateNumericSettings({ tolerance: { type: 'absolute', value: 0.1 }, units: ['J'] })).toEqual([]);
+  });
+});
@@ -0,0 +1,45 @@
+import { test, expect } from '@playwright/test';
+import dns from 'dns';
+import { isPublicAddress, assertPublicHost, publicLookup } from '../../lib/utils/publicAddress';
+
+const lookupWith = (hostname, options) => new Promise((resolve, reject) => {
+  publicLookup(hostname, options, (error, ...result) => (error ? reject(error) : resolve(result)));
+});
+
+test.describe('publicAddress', () => {
+  test('should refuse loopback, private, link-local and reserved addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '64:ff9b::a00:1'].forEach(address => {
+      expect(isPublicAddress(address), address).toBe(false);
+    });
+    expect(isPublicAddress('example.com')).toBe(false);
+  });
+
+  test('should accept public addresses', () => {
+    ['1.1.1.1', '93.184.216.34', '172.32.0.1', '2606:4700:4700::1111'].forEach(address => {
+      expect(isPublicAddress(address), address).toBe(true);
+    });
+  });
+
+  test('should check IP literals and resolved hostnames', async () => {
+    expect(await assertPublicHost('[2606:4700:4700::1111]')).toEqual([{ address: '2606:4700:4700::1111', family: 6 }]);
+    await expect(assertPublicHost('[::1]')).rejects.toMatchObject({ code: 'ENOTPUBLIC' });
+    await expect(assertPublicHost('169.254.169.254')).rejects.toThrow('169.254.169.254 is not a public address');
+    await expect(assertPublicHost('localhost')).rejects.toMatchObject({ code: 'ENOTPUBLIC' });
+  });
+
+  test('should refuse to connect when any resolved address is internal', async () => {
+    const { lookup } = dns;
+    dns.lookup = (hostname, options, callback) => callback(null, hostname === 'mixed.test'
+      ? [{ address: '1.1.1.1', family: 4 }, { address: '10.0.0.5', family: 4 }]
+      : [{ address: '1.1.1.1', family: 4 }]);
+
+    try {
+      expect(await lookupWith('public.test', {})).toEqual(['1.1.1.1', 4]);
+      expect(await lookupWith('public.test', { all: true })).toEqual([[{ address: '1.1.1.1', family: 4 }]]);
+      await expect(lookupWith('mixed.test', {})).rejects.toThrow('mixed.test is not a public address (10.0.0.5)');
+    } finally {
+      dns.lookup = lookup;
+    }
+  });
+});
@@ -0,0 +1,47 @@
+import { test, expect } from '@playwright/test';
+import {
+  parseTimestamp,
+  getPublicationState,
+  isLessonVisible,
+  validatePublicationSettings
+} from '../../lib/utils/publication';
+
+const NOW = new Date('2026-09-05T07:00:00Z');
+const YESTERDAY = '2026-09-04T07:00:00Z';
+const TOMORROW = '2026-09-06T07:00:00Z';
+
+test.describe('publication', () => {
+  test('should parse timestamps and ignore empty or invalid values', () => {
+    expect(parseTimestamp(YESTERDAY)).toEqual(new Date(YESTERDAY));
+    expect(parseTimestamp('')).toBeNull();
+    expect(parseTimestamp(null)).toBeNull();
+    expect(parseTimestamp('next monday')).toBeNull();
+  });
+
+  test('should keep lessons saved before the workflow published', () => {
+    expect(getPublicationState({}, NOW)).toBe('published');
+    expect(isLessonVisible({}, NOW)).toBe(true);
+  });
+
+  test('should derive the state from the status and the publication window', () => {
+    expect(getPublicationState({ publication_status: 'draft', publish_at: YESTERDAY }, NOW)).toBe('draft');
+    expect(getPublicationState({ publication_status: 'scheduled', publish_at: TOMORROW }, NOW)).toBe('scheduled');
+    expect(getPublicationState({ publication_status: 'scheduled', publish_at: YESTERDAY }, NOW)).toBe('published');
+    expect(getPublicationState({ publication_status: 'published', unpublish_at: YESTERDAY }, NOW)).toBe('archived');
+    expect(getPublicationState({ publication_status: 'published', unpublish_at: TOMORROW }, NOW)).toBe('published');
+  });
+
+  test('should show students only lessons that are live', () => {
+    expect(isLessonVisible({ publication_status: 'scheduled', publish_at: TOMORROW }, NOW)).toBe(false);
+    expect(isLessonVisible({ publication_status: 'archived' }, NOW)).toBe(false);
+    expect(isLessonVisible({ publication_status: 'published', publish_at: YESTERDAY, unpublish_at: TOMORROW }, NOW)).toBe(true);
+  });
+
+  test('should validate publication settings in either field style', () => {
+    expect(validatePublicationSettings({ publicationStatus: 'published' })).toEqual([]);
+    expect(validatePublicationSettings({ publication_status: 'hidden' })).toEqual(['status']);
+    expect(validatePublicationSettings({ publicationStatus: 'scheduled' })).toEqual(['schedule']);
+    expect(validatePublicationSettings({ publishAt: 'soon', unpublish_at: 'later' })).toEqual(['publishAt', 'unpublishAt']);
+    expect(validatePublicationSettings({ publishAt: TOMORROW, unpublishAt: YESTERDAY })).toEqual(['window']);
+  });
+});
@@ -0,0 +1,137 @@
+import { test, expect } from '@playwright/test';
+import './helpers/databaseEnv';
+import { installFakeSupabase, findCall } from './helpers/fakeSupabase';
+import { supabase } from '../../lib/config/database';
+import questionBankService from '../../lib/services/questionBankService';
+import databaseService from '../../lib/services/databaseService';
+
+const BANK_ROW = {
+  id: 'b1',
+  type: 'abcd',
+  question: 'Đơn vị của lực?',
+  content: { options: ['Joule', 'Newton'], correct: 'B', explanation: 'F = ma' },
+  tags: ['lực'],
+  grade: '10',
+  version: 3
+};
+
+const LESSONS = [
+  { id: 'L1', title: 'Cũ', questions: [{ id: 1, bankId: 'b1', bankVersion: 2, question: 'cũ', points: 2 }] },
+  { id: 'L2', title: 'Mới', questions: [{ id: 1, question: 'khác' }, { id: 2, bankId: 'b1', bankVersion: 3, question: 'Đơn vị của lực?' }] }
+];
+
+let restore;
+
+test.afterEach(() => {
+  if (restore) restore();
+  restore = null;
+});
+
+test.describe('questionBankService', () => {
+  test('should fill bare references with the current bank content', async () => {
+    restore = installFakeSupabase(supabase, () => ({ data: [BANK_ROW] }));
+
+    const questions = await questionBankService.resolveLessonQuestions([
+      { id: 7, bankId: 'b1', points: 2 },
+      { id: 8, bankId: 'b1', bankVersion: 1, question: 'bản cũ' },
+      { id: 9, type: 'abcd', question: 'riêng' }
+    ]);
+
+    expect(questions[0]).toEqual({
+      id: 7,
+      bankId: 'b1',
+      bankVersion: 3,
+      points: 2,
+      type: 'abcd',
+      question: 'Đơn vị của lực?',
+      options: ['Joule', 'Newton'],
+      correct: 'B',
+      explanation: 'F = ma'
+    });
+    expect(questions.slice(1)).toEqual([
+      { id: 8, bankId: 'b1', bankVersion: 1, question: 'bản cũ' },
+      { id: 9, type: 'abcd', question: 'riêng' }
+    ]);
+  });
+
+  test('should reject references to questions that are not in the bank', async () => {
+    restore = installFakeSupabase(supabase, () => ({ data: [] }));
+    await expect(questionBankService.resolveLessonQuestions([{ bankId: 'missing' }]))
+      .rejects.toMatchObject({ statusCode: 400, details: ['missing'] });
+  });
+
+  test('should only accept integer grades in stem filters', async () => {
+    const queries = [];
+    restore = installFakeSupabase(supabase, query => {
+      queries.push(query);
+      return { data: [] };
+    });
+
+    await questionBankService.listQuestionStems({ grade: '10' });
+    expect(findCall(queries[0].calls, 'or')).toEqual(['grade.eq.10,grade.is.null']);
+    await expect(questionBankService.listQuestionStems({ grade: '10,id.neq.0' })).rejects.toThrow('Invalid grade');
+  });
+
+  test('should report lessons that are behind the bank version', async () => {
+    restore = installFakeSupabase(supabase, () => ({ data: LESSONS }));
+
+    expect(await questionBankService.getUsage('b1', 3)).toEqual([
+      { lessonId: 'L1', title: 'Cũ', positions: [1], bankVersion: 2, outdated: true },
+      { lessonId: 'L2', title: 'Mới', positions: [2], bankVersion: 3, outdated: false }
+    ]);
+  });
+
+  test('should refuse to delete a question that lessons still use', async () => {
+    restore = installFakeSupabase(supabase, ({ table }) => ({ data: table === 'lessons' ? LESSONS : [BANK_ROW] }));
+
+    await expect(questionBankService.deleteQuestion('b1')).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'QUESTION_IN_USE',
+      details: { lessons: ['L1', 'L2'] }
+    });
+  });
+
+  test('should propagate a new version only to lessons that are behind, past lessons that fail', async () => {
+    const locked = { id: 'L3', title: 'Khoá', questions: [{ id: 1, bankId: 'b1', bankVersion: 1, question: 'rất cũ' }] };
+    restore = installFakeSupabase(supabase, () => ({ data: [...LESSONS, locked] }));
+    const { updateLesson } = databaseService;
+    const saves = [];
+    databaseService.updateLesson = async (...args) => {
+      saves.push(args);
+      if (args[0] === 'L3') throw new Error('statement timeout');
+      return [{ id: args[0] }];
+    };
+    const { error } = console;
+    console.error = () => {};
+
+    try {
+      const propagation = await questionBankService.propagateToLessons(questionBankService._formatQuestion(BANK_ROW));
+      expect(propagation).toEqual({ updated: ['L1'], failed: [{ lessonId: 'L3', error: 'statement timeout' }] });
+    } finally {
+      databaseService.updateLesson = updateLesson;
+      console.error = error;
+    }
+
+    expect(saves.map(([lessonId]) => lessonId)).toEqual(['L1', 'L3']);
+    expect(saves[0][1].questions[0]).toMatchObject({ id: 1, bankVersion: 3, points: 2, question: 'Đơn vị của lực?' });
+    expect(saves[0][2]).toEqual({ revisionNote: 'bank:b1@3' });
+  });
+
+  test('should refuse an update based on a version that was changed meanwhile', async () => {
+    const queries = [];
+    restore = installFakeSupabase(supabase, query => {
+      queries.push(query);
+      return { data: findCall(query.calls, 'update') ? [] : [BANK_ROW] };
+    });
+
+    await expect(questionBankService.updateQuestion('b1', { question: 'Đơn vị của công?' })).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'QUESTION_VERSION_CONFLICT',
+      details: { version: 3 }
+    });
+
+    const { calls } = queries.find(query => findCall(query.calls, 'update'));
+    expect(findCall(calls, 'update')[0]).toMatchObject({ question: 'Đơn vị của công?', version: 4 });
+    expect(calls.filter(([method]) => method === 'eq')).toEqual([['eq', 'id', 'b1'], ['eq', 'version', 3]]);
+  });
+});
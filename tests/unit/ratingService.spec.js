@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+import './helpers/databaseEnv';
+import { pgPool } from '../../lib/config/database';
+import ratingService from '../../lib/services/ratingService';
+
+test.describe('ratingService', () => {
+  test('should treat an unmeasured time as the full time bonus', () => {
+    expect(ratingService.calculateRatingChange(1500, 1, undefined, 0)).toBe(16);
+    expect(ratingService.calculateRatingChange(1500, 1, null, 0)).toBe(16);
+    expect(ratingService.calculateRatingChange(1500, 1, 0, 0)).toBe(16);
+  });
+
+  test('should shrink the change for slow completions and grow it with streaks', () => {
+    expect(ratingService.calculateRatingChange(1500, 1, 150, 0)).toBe(8);
+    expect(ratingService.calculateRatingChange(1500, 1, 300, 0)).toBe(0);
+    expect(ratingService.calculateRatingChange(1500, 0, undefined, 0)).toBe(-16);
+    // Streaks count up to MAX_STREAK_MULTIPLIER
+    expect(ratingService.calculateRatingChange(1500, 1, undefined, 20)).toBe(32);
+  });
+
+  test('should replay a rating history in memory from the default rating', () => {
+    const { rating, rows } = ratingService.replayRatingHistory([
+      { lessonId: 1, score: 10, totalPoints: 10, timeTaken: null, streak: 0, timestamp: 't1' },
+      { lessonId: 2, score: 0, totalPoints: 10, timeTaken: 60, streak: 1, timestamp: 't2' }
+    ]);
+
+    expect(rows).toEqual([
+      { lesson_id: 1, previous_rating: 1500, rating_change: 16, new_rating: 1516, performance: 1, time_taken: null, streak: 0, timestamp: 't1' },
+      { lesson_id: 2, previous_rating: 1516, rating_change: -15, new_rating: 1501, performance: 0, time_taken: 60, streak: 1, timestamp: 't2' }
+    ]);
+    expect(rating).toBe(1501);
+    expect(ratingService.replayRatingHistory([])).toEqual({ rating: null, rows: [] });
+  });
+
+  test('should replay from a given rating and carry over changes made outside the history', () => {
+    const { rating, rows } = ratingService.replayRatingHistory([
+      { adjustment: 100 },
+      { lessonId: 1, score: 1, totalPoints: 2, timeTaken: null, streak: 0, timestamp: 't1' },
+      { adjustment: -50 }
+    ], 1400);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ previous_rating: 1500, rating_change: 0, new_rating: 1500 });
+    expect(rating).toBe(1450);
+  });
+
+  test('should read and write the rating under the student lock', async () => {
+    const queries = [];
+    const client = {
+      query: async (sql, params) => {
+        queries.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+        return { rows: sql.startsWith('SELECT rating') ? [{ rating: 1600 }] : [] };
+      },
+      release: () => {}
+    };
+    const { connect } = pgPool;
+    pgPool.connect = async () => client;
+
+    try {
+      const update = await ratingService.updateStudentRating('s1', 'L1', 10, 10, undefined, 0);
+      expect(update).toEqual({ newRating: 1612, ratingChange: 12, previousRating: 1600 });
+    } finally {
+      pgPool.connect = connect;
+    }
+
+    expect(queries).toEqual([
+      'BEGIN', 'SELECT pg_advisory_xact_lock(hashtext($1))', 'SELECT rating', 'INSERT INTO', 'INSERT INTO', 'COMMIT'
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+import { test, expect } from '@playwright/test';
+import './helpers/databaseEnv';
+import regradeService from '../../lib/services/regradeService';
+
+const entry = (lessonId, timestamp, previousRating, ratingChange, streak) => ({
+  lesson_id: lessonId,
+  timestamp,
+  previous_rating: previousRating,
+  rating_change: ratingChange,
+  new_rating: previousRating + ratingChange,
+  performance: 1,
+  time_taken: null,
+  streak
+});
+
+// An admin reset the rating to 1600 before lesson B and to 1700 after it
+const HISTORY = [
+  entry('A', '2026-09-01T08:00:00.000Z', 1500, 16, 0),
+  entry('L', '2026-09-02T08:00:05.000Z', 1516, 15, 1),
+  entry('B', '2026-09-03T08:00:00.000Z', 1600, 10, 2)
+];
+
+const RESULT = { resultId: 'r1', timestamp: '2026-09-02T08:00:00.000Z', newScore: 5, newTotalPoints: 10, timeTaken: null };
+
+const plan = (results, history = HISTORY, currentRating = 1700) =>
+  regradeService.planRatingReplay('s1', 'L', results, { history, currentRating });
+
+test.describe('regradeService.planRatingReplay', () => {
+  test('should keep history before the lesson and replay from the rating recorded there', async () => {
+    const replay = await plan([RESULT]);
+
+    expect(replay.replaceFrom).toBe('2026-09-02T08:00:05.000Z');
+    expect(replay.historyRows.map(row => [row.lesson_id, row.previous_rating, row.new_rating])).toEqual([
+      ['L', 1516, 1515],
+      ['B', 1584, 1599]
+    ]);
+    expect(replay.historyRows[0]).toMatchObject({ performance: 0.5, streak: 1, timestamp: '2026-09-02T08:00:05.000Z' });
+  });
+
+  test('should carry over rating changes made outside the history', async () => {
+    const replay = await plan([RESULT]);
+
+    // +69 before lesson B and +90 after the last entry, as recorded
+    expect(replay.historyRows[1].previous_rating - replay.historyRows[0].new_rating).toBe(69);
+    expect(replay.newRating).toBe(replay.historyRows[1].new_rating + 90);
+  });
+
+  test('should drop the entry of a result that no longer scores', async () => {
+    const replay = await plan([{ ...RESULT, newScore: 0 }]);
+    expect(replay.historyRows.map(row => row.lesson_id)).toEqual(['B']);
+
+    const onlyLesson = await plan([{ ...RESULT, newScore: 0 }], HISTORY.slice(1, 2), 1531);
+    expect(onlyLesson).toMatchObject({ newRating: null, historyRows: [], replaceFrom: '2026-09-02T08:00:05.000Z' });
+  });
+
+  test('should not touch the history when the lesson never counted', async () => {
+    const replay = await plan([{ ...RESULT, newScore: 0 }], [HISTORY[0]], 1516);
+    expect(replay).toMatchObject({ newRating: 1516, replaceFrom: null, historyRows: [] });
+  });
+});
@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+import './helpers/databaseEnv';
+import { installFakeSupabase } from './helpers/fakeSupabase';
+import { supabase } from '../../lib/config/database';
+import revisionService from '../../lib/services/revisionService';
+import databaseService from '../../lib/services/databaseService';
+
+const BEFORE = {
+  title: 'Động học',
+  grade: 10,
+  questions: [
+    { id: 'q1', type: 'abcd', question: 'A?', options: ['x', 'y'], correct: 'A' },
+    { id: 'q2', type: 'number', question: 'g?', correct: '9,8' },
+    { id: 'q3', type: 'abcd', question: 'C?', options: ['x', 'y'], correct: 'B' }
+  ]
+};
+
+const AFTER = {
+  title: 'Động học chất điểm',
+  grade: 10,
+  questions: [
+    { id: 'q1', type: 'abcd', question: 'A (sửa)?', options: ['x', 'y'], correct: 'A' },
+    { id: 'q2', type: 'number', question: 'g?', correct: '9,81' },
+    { id: 'q4', type: 'abcd', question: 'D?', options: ['x', 'y'], correct: 'A' }
+  ]
+};
+
+test.describe('revisionService', () => {
+  test('should diff lesson fields and match questions by id', () => {
+    const { lessonChanges, questions, summary } = revisionService.diffSnapshots(BEFORE, AFTER);
+
+    expect(lessonChanges).toEqual([{ field: 'title', before: 'Động học', after: 'Động học chất điểm' }]);
+    expect(summary).toEqual({ added: 1, removed: 1, modified: 2, unchanged: 0 });
+    expect(questions.map(question => [question.questionId, question.status])).toEqual([
+      ['q1', 'modified'], ['q2', 'modified'], ['q3', 'removed'], ['q4', 'added']
+    ]);
+    expect(questions[1].changes).toEqual([{ field: 'correct', before: '9,8', after: '9,81' }]);
+  });
+
+  test('should flag only changes that affect the answer key', () => {
+    const { questions } = revisionService.diffSnapshots(BEFORE, AFTER);
+    expect(questions.map(question => question.answerKeyChanged)).toEqual([false, true, false, false]);
+  });
+
+  test('should match questions without ids by position', () => {
+    const { questions, summary } = revisionService.diffSnapshots(
+      { questions: [{ question: 'a' }, { question: 'b' }] },
+      { questions: [{ question: 'a' }] }
+    );
+    expect(questions.map(question => question.questionId)).toEqual(['index:0', 'index:1']);
+    expect(summary).toEqual({ added: 0, removed: 1, modified: 0, unchanged: 1 });
+  });
+
+  test('should restore content without changing who can see the lesson', async () => {
+    const { getLessonRevision, updateLesson } = databaseService;
+    const calls = [];
+    databaseService.getLessonRevision = async () => ({
+      revision_number: 3,
+      snapshot: { id: 'L1', views: 9, publication_status: 'draft', publish_at: null, ...BEFORE }
+    });
+    databaseService.updateLesson = async (...args) => {
+      calls.push(args);
+      return [{ id: 'L1' }];
+    };
+
+    try {
+      await revisionService.restoreRevision('L1', '3');
+    } finally {
+      Object.assign(databaseService, { getLessonRevision, updateLesson });
+    }
+
+    expect(calls).toEqual([['L1', BEFORE, { revisionNote: 'restore:3' }]]);
+    await expect(revisionService.getRevision('L1', 'x')).rejects.toThrow('Invalid revision number');
+  });
+
+  test('should return the saved lesson when its revision cannot be stored', async () => {
+    const tables = [];
+    const restore = installFakeSupabase(supabase, ({ table }) => {
+      tables.push(table);
+      return table === 'lessons'
+        ? { data: [{ id: 'L1', ...AFTER }] }
+        : { error: { code: '08006', message: 'connection failure' } };
+    });
+    const { error } = console;
+    console.error = () => {};
+
+    try {
+      expect(await databaseService.updateLesson('L1', AFTER)).toEqual([{ id: 'L1', ...AFTER }]);
+    } finally {
+      restore();
+      console.error = error;
+    }
+
+    expect(tables).toEqual(['lessons', 'lesson_revisions']);
+  });
+});
@@ -0,0 +1,29 @@
+import { test, expect } from '@playwright/test';
+import { getChangeKey } from '../../lib/services/events/supabaseEvents';
+
+const UPDATE = {
+  type: 'UPDATE',
+  table: 'lessons',
+  schema: 'public',
+  commit_timestamp: '2026-10-18T08:00:00.123Z',
+  record: { id: 7, title: 'Lực' },
+  old_record: { id: 7, title: 'Luc' }
+};
+
+test.describe('getChangeKey', () => {
+  test('should identify a change by operation, table, primary key and commit timestamp', () => {
+    expect(getChangeKey('database/update', UPDATE)).toBe('database/update:UPDATE:lessons:7:2026-10-18T08:00:00.123Z');
+    expect(getChangeKey('database/update', { ...UPDATE, commit_timestamp: '2026-10-18T08:00:01.000Z' }))
+      .not.toBe(getChangeKey('database/update', UPDATE));
+    expect(getChangeKey('database/delete', { type: 'DELETE', table: 'lessons', old_record: { id: 7 }, commit_timestamp: 't' }))
+      .toBe('database/delete:DELETE:lessons:7:t');
+  });
+
+  test('should tell changes apart by row content when the commit timestamp is missing', () => {
+    const { commit_timestamp: _, ...withoutTimestamp } = UPDATE;
+    const key = getChangeKey('database/update', withoutTimestamp);
+
+    expect(getChangeKey('database/update', JSON.parse(JSON.stringify(withoutTimestamp)))).toBe(key);
+    expect(getChangeKey('database/update', { ...withoutTimestamp, record: { id: 7, title: 'Lực đẩy' } })).not.toBe(key);
+  });
+});
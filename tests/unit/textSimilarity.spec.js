@@ -0,0 +1,26 @@
+import { test, expect } from '@playwright/test';
+import { tokenize, similarity, minHash, estimateSimilarity } from '../../lib/utils/textSimilarity';
+
+const FALL_20 = 'Một vật rơi tự do từ độ cao 20 m';
+const FALL_45 = 'Một vật rơi tự do từ độ cao 45 m';
+const RESISTANCE = 'Công thức tính điện trở của dây dẫn';
+
+test.describe('textSimilarity', () => {
+  test('should tokenize lowercase words and numbers without LaTeX markup', () => {
+    expect(tokenize('Tính $v_0$ = 5 m/s!')).toEqual(['tính', 'v', '0', '5', 'm', 's']);
+  });
+
+  test('should score reworded questions high and unrelated ones low', () => {
+    expect(similarity(FALL_20, FALL_45)).toBeGreaterThan(0.6);
+    expect(similarity(FALL_20, RESISTANCE)).toBe(0);
+    expect(similarity(FALL_20, FALL_20)).toBe(1);
+  });
+
+  test('should estimate similarity from MinHash signatures', () => {
+    const signature = minHash(FALL_20);
+    expect(signature).toHaveLength(64);
+    expect(estimateSimilarity(signature, minHash(FALL_20))).toBe(1);
+    expect(estimateSimilarity(signature, minHash(FALL_45))).toBeGreaterThan(0.5);
+    expect(estimateSimilarity(signature, minHash(RESISTANCE))).toBeLessThan(0.2);
+  });
+});
@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import { signPayload, verifySignature } from '../../lib/utils/webhookSignature';
+
+const SECRET = 'whsec_test_secret_value';
+const BODY = '{"type":"INSERT","table":"lessons"}';
+const NOW = 1760000000 * 1000;
+const TIMESTAMP = String(NOW / 1000);
+
+const verify = (overrides = {}) => verifySignature({
+  secret: SECRET,
+  signature: signPayload(SECRET, TIMESTAMP, BODY),
+  timestamp: TIMESTAMP,
+  body: BODY,
+  toleranceSeconds: 300,
+  now: NOW,
+  ...overrides
+});
+
+test.describe('webhookSignature', () => {
+  test('should sign the timestamp and body with HMAC-SHA256', () => {
+    expect(signPayload(SECRET, TIMESTAMP, BODY)).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(signPayload(SECRET, TIMESTAMP, Buffer.from(BODY))).toBe(signPayload(SECRET, TIMESTAMP, BODY));
+    expect(signPayload(SECRET, Number(TIMESTAMP) + 1, BODY)).not.toBe(signPayload(SECRET, TIMESTAMP, BODY));
+  });
+
+  test('should accept a valid signature with or without the sha256= prefix', () => {
+    expect(verify()).toEqual({ valid: true, reason: null });
+
+    const bare = signPayload(SECRET, TIMESTAMP, BODY).slice('sha256='.length).toUpperCase();
+    expect(verify({ signature: bare }).valid).toBe(true);
+  });
+
+  test('should reject missing, stale and mismatched signatures', () => {
+    expect(verify({ signature: '' }).reason).toBe('missing_signature');
+    expect(verify({ timestamp: '' }).reason).toBe('missing_timestamp');
+    expect(verify({ timestamp: 'soon' }).reason).toBe('invalid_timestamp');
+    expect(verify({ now: NOW + 301 * 1000 }).reason).toBe('stale_timestamp');
+    expect(verify({ body: `${BODY} ` }).reason).toBe('signature_mismatch');
+    expect(verify({ secret: 'another_secret_value' }).reason).toBe('signature_mismatch');
+    expect(verify({ signature: 'sha256=abc' }).reason).toBe('signature_mismatch');
+  });
+});